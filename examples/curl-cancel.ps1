@@ -1,10 +1,26 @@
 # examples/curl-cancel.ps1
-# Substitua a URL abaixo pela URL do serviço no Railway
+# Substitua a URL abaixo pela URL do serviço no Railway, e o telefone/nome pelos do paciente.
+# O segredo é o mesmo CANCEL_WEBHOOK_SECRET do serviço: $env:CANCEL_WEBHOOK_SECRET = "..."
+# dryRun = $true só mostra o que seria cancelado; troque para $false para cancelar de verdade.
+$secret = $env:CANCEL_WEBHOOK_SECRET
+if (-not $secret) { throw "Defina `$env:CANCEL_WEBHOOK_SECRET antes de rodar." }
+
 $body = @{
-  text = "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 19/08/25, horário 10:00."
-} | ConvertTo-Json
+  text   = "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 19/08/25, horário 10:00."
+  phone  = "+5511999990000"
+  name   = "Maria Alves"
+  dryRun = $true
+} | ConvertTo-Json -Compress
+
+# Assinatura: HMAC-SHA256 dos MESMOS bytes enviados no corpo
+$bytes = [System.Text.Encoding]::UTF8.GetBytes($body)
+$hmac = [System.Security.Cryptography.HMACSHA256]::new([System.Text.Encoding]::UTF8.GetBytes($secret))
+$signature = "sha256=" + (($hmac.ComputeHash($bytes) | ForEach-Object { $_.ToString("x2") }) -join "")
 
-curl -Method POST `
+# 200: cancelado / simulação / nada encontrado (veja "ok" e "cancelled")
+# 409: mais de um evento do paciente no horário (veja "candidates"); 400: faltou phone/name; 401: assinatura
+Invoke-WebRequest -Method POST `
   -Uri "https://SEU-SUBDOMINIO.railway.app/cancel-from-message" `
-  -Body $body `
-  -ContentType "application/json"
+  -Headers @{ "X-Signature-256" = $signature } `
+  -Body $bytes `
+  -ContentType "application/json; charset=utf-8"
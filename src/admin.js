@@ -0,0 +1,243 @@
+// src/admin.js
+// API administrativa das conversas (montada em /admin pelo server.js).
+// Protegida por ADMIN_TOKEN: header "Authorization: Bearer <token>" ou "x-admin-token".
+// Sem ADMIN_TOKEN as rotas respondem 404 (desligadas).
+//
+//   GET    /admin/conversations              lista as conversas ativas (telefone mascarado)
+//   GET    /admin/conversations/:id          mensagens e flags de uma conversa
+//   POST   /admin/conversations/:id/reset    mesmo efeito da palavra "reset" no WhatsApp
+//   PATCH  /admin/conversations/:id          altera patientName, patientNameLocked, mode, state, appointmentType, professionalId, modality
+//   GET    /admin/google-auth                situação da autenticação Google (token revogado etc.)
+//   GET    /admin/calendar-watch             canais de notificação do Google Calendar e sincronização
+//   POST   /admin/calendar-watch             registra/renova os canais ({ "force": true } renova todos)
+//   GET    /admin/cancellations              últimos cancelamentos (auditoria; ?limit=N)
+//
+// :id é o `ref` devolvido na listagem (hash curto do telefone) ou o próprio telefone.
+import crypto from "crypto";
+import express from "express";
+import { mask } from "./redact.js";
+import { phoneKey } from "./phone.js";
+import { safeEqual } from "./webhook_auth.js";
+import { STATES, getState, transition } from "./conversation_state.js";
+import { googleAuthStatus } from "./google_auth.esm.js";
+import { calendarWatchConfig, calendarWatchStatus, renewCalendarWatches } from "./calendar_watch.esm.js";
+import { cancellationAudit } from "./cancellation.esm.js";
+import { getAppointmentType, listAppointmentTypes } from "./appointment_types.js";
+import { getProfessional, listProfessionals } from "./professionals.js";
+import { MODALITIES, normalizeModality } from "./modalities.js";
+
+const EDITABLE = ["patientName", "patientNameLocked", "mode", "state", "appointmentType", "professionalId", "modality"];
+
+// Identificador estável da conversa que não expõe o telefone
+function refFor(phone, token) {
+  return crypto.createHmac("sha256", token).update(phone).digest("hex").slice(0, 12);
+}
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+function summary(phone, conv, ref) {
+  return {
+    ref,
+    phone: mask(phone),
+    state: getState(conv),
+    mode: conv.mode || null,
+    appointmentType: conv.appointmentType || null,
+    professionalId: conv.professionalId || null,
+    modality: conv.modality || null,
+    patientName: conv.patientName || null,
+    messages: (conv.messages || []).length,
+    lastUserAt: iso(conv.lastUserAt),
+    updatedAt: iso(conv.updatedAt),
+  };
+}
+
+// Telefones soltos num texto (descrição/título do evento, #patient_phone:...) mascarados
+function maskText(text) {
+  if (typeof text !== "string") return text;
+  return text.replace(/\+?\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4,}/g, (m) => mask(phoneKey(m) || m));
+}
+
+// Evento resumido (findPatientEvents) guardado no cancelCtx
+function maskEvent(ev) {
+  if (!ev || typeof ev !== "object") return ev;
+  return { ...ev, summary: maskText(ev.summary), description: maskText(ev.description) };
+}
+
+// Flags da conversa (tudo menos as mensagens), com telefones mascarados
+function flags(conv) {
+  const { messages, ...rest } = conv;
+  const out = JSON.parse(JSON.stringify(rest));
+  if (out.lastKnownPhone) out.lastKnownPhone = mask(out.lastKnownPhone);
+  if (out.cancelCtx) {
+    if (out.cancelCtx.phone) out.cancelCtx.phone = mask(out.cancelCtx.phone);
+    if (out.cancelCtx.chosenEvent) out.cancelCtx.chosenEvent = maskEvent(out.cancelCtx.chosenEvent);
+    if (Array.isArray(out.cancelCtx.matchList)) out.cancelCtx.matchList = out.cancelCtx.matchList.map(maskEvent);
+  }
+  return out;
+}
+
+// Handler async do Express 4: erro vira 500 em vez de rejeição sem tratamento
+function safe(fn) {
+  return async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (e) {
+      console.error(`[admin] ${req.method} ${req.path} falhou:`, e?.message || e);
+      if (!res.headersSent) res.status(500).json({ error: "erro interno" });
+    }
+  };
+}
+
+/**
+ * @param {{ store: ReturnType<import("./conversation_store.js").createConversationStore>,
+ *           resetConversation: (phone: string) => void }} deps
+ */
+export function createAdminRouter({ store, resetConversation }) {
+  const router = express.Router();
+  const token = () => process.env.ADMIN_TOKEN || "";
+
+  router.use((req, res, next) => {
+    if (!token()) return res.sendStatus(404);
+    const auth = String(req.get("authorization") || "");
+    const given = auth.toLowerCase().startsWith("bearer ") ? auth.slice(7).trim() : req.get("x-admin-token") || "";
+    if (!given || !safeEqual(given, token())) {
+      console.warn(`[admin] acesso recusado (ip=${req.ip} ${req.method} ${req.path})`);
+      return res.sendStatus(401);
+    }
+    next();
+  });
+
+  // ref -> telefone dos refs já devolvidos (o HMAC não se inverte); trocar o token invalida
+  const refs = new Map();
+  let refsToken = "";
+  const REFS_MAX = 5000;
+
+  function refOf(phone) {
+    if (refsToken !== token()) { refs.clear(); refsToken = token(); }
+    const ref = refFor(phone, token());
+    refs.delete(ref);
+    refs.set(ref, phone);
+    if (refs.size > REFS_MAX) refs.delete(refs.keys().next().value);
+    return ref;
+  }
+
+  // ref ou telefone -> chave canônica (ou null). Ref desconhecido: procura nas conversas do
+  // cache e, só então, numa página da listagem.
+  async function resolve(id) {
+    const raw = String(id || "").trim();
+    if (/^[0-9a-f]{12}$/i.test(raw)) {
+      const ref = raw.toLowerCase();
+      if (refsToken === token() && refs.has(ref)) return refs.get(ref);
+      for (const phone of store.keys()) if (refOf(phone) === ref) return phone;
+      for (const { phone } of await store.list({ limit: 1000 })) if (refOf(phone) === ref) return phone;
+    }
+    return phoneKey(raw);
+  }
+
+  async function loadConversation(req, res) {
+    const phone = await resolve(req.params.id);
+    const conv = phone ? await store.load(phone) : null;
+    if (!conv) {
+      res.status(404).json({ error: "conversa não encontrada" });
+      return {};
+    }
+    return { phone, conv };
+  }
+
+  router.get("/conversations", safe(async (req, res) => {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const wanted = req.query.state ? String(req.query.state) : null;
+    const items = (await store.list({ limit }))
+      .filter(({ conv }) => !wanted || getState(conv) === wanted)
+      .map(({ phone, conv }) => summary(phone, conv, refOf(phone)));
+    res.json({ count: items.length, items });
+  }));
+
+  router.get("/google-auth", (_req, res) => {
+    res.json(googleAuthStatus());
+  });
+
+  router.get("/calendar-watch", (_req, res) => {
+    res.json(calendarWatchStatus());
+  });
+
+  router.post("/calendar-watch", safe(async (req, res) => {
+    if (!calendarWatchConfig().enabled) {
+      return res.status(409).json({ error: "defina CALENDAR_WATCH_URL e CALENDAR_WATCH_TOKEN" });
+    }
+    const results = await renewCalendarWatches({ force: !!req.body?.force });
+    console.log(`[admin] canais de agenda: ${results.filter((r) => r.renewed).length} registrados/renovados`);
+    res.json({ results, ...calendarWatchStatus() });
+  }));
+
+  router.get("/cancellations", (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json({ cancellations: cancellationAudit({ limit }) });
+  });
+
+  router.get("/conversations/:id", safe(async (req, res) => {
+    const { phone, conv } = await loadConversation(req, res);
+    if (!conv) return;
+    res.json({ ...summary(phone, conv, refOf(phone)), flags: flags(conv), messages: conv.messages || [] });
+  }));
+
+  router.post("/conversations/:id/reset", safe(async (req, res) => {
+    const { phone, conv } = await loadConversation(req, res);
+    if (!conv) return;
+    resetConversation(phone);
+    await store.flush();
+    console.log(`[admin] ${mask(phone)} conversa resetada`);
+    res.json({ ok: true, ref: refOf(phone) });
+  }));
+
+  router.patch("/conversations/:id", safe(async (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const unknown = Object.keys(body).filter((k) => !EDITABLE.includes(k));
+    if (unknown.length || !Object.keys(body).length) {
+      return res.status(400).json({ error: `campos aceitos: ${EDITABLE.join(", ")}`, unknown });
+    }
+    if ("state" in body && !Object.values(STATES).includes(body.state)) {
+      return res.status(400).json({ error: `state inválido; use ${Object.values(STATES).join(", ")}` });
+    }
+    if ("mode" in body && ![null, "", "cancel"].includes(body.mode)) {
+      return res.status(400).json({ error: 'mode aceita "cancel" ou null' });
+    }
+    if (body.appointmentType && !getAppointmentType(body.appointmentType)) {
+      return res.status(400).json({ error: `appointmentType inválido; use ${listAppointmentTypes().map((t) => t.id).join(", ")}` });
+    }
+    if (body.professionalId && !getProfessional(body.professionalId)) {
+      return res.status(400).json({ error: `professionalId inválido; use ${listProfessionals().map((p) => p.id).join(", ")}` });
+    }
+    if (body.modality && !normalizeModality(body.modality)) {
+      return res.status(400).json({ error: `modality inválida; use ${MODALITIES.join(", ")}` });
+    }
+
+    const { phone, conv } = await loadConversation(req, res);
+    if (!conv) return;
+
+    // mode é derivado do estado (conversation_state.js): "cancel" = localizar agendamento
+    let to = body.state;
+    if (!to && "mode" in body) to = body.mode === "cancel" ? STATES.CANCEL_LOOKUP : STATES.IDLE;
+    if (to && !transition(conv, to, { phone, reason: "admin" })) {
+      return res.status(409).json({ error: `transição ${getState(conv)} -> ${to} não permitida` });
+    }
+
+    const patch = {};
+    if ("patientName" in body) {
+      patch.patientName = body.patientName ? String(body.patientName).trim() : null;
+      // nome definido à mão não é sobrescrito pela heurística de extração
+      patch.patientNameLocked = !!patch.patientName;
+    }
+    if ("patientNameLocked" in body) patch.patientNameLocked = !!body.patientNameLocked;
+    if ("appointmentType" in body) patch.appointmentType = body.appointmentType ? getAppointmentType(body.appointmentType).id : null;
+    if ("professionalId" in body) patch.professionalId = body.professionalId ? getProfessional(body.professionalId).id : null;
+    if ("modality" in body) patch.modality = normalizeModality(body.modality);
+    store.set(phone, patch); // marca para gravação (inclusive a transição acima)
+
+    await store.flush();
+    console.log(`[admin] ${mask(phone)} alterado: ${Object.keys(body).join(", ")}`);
+    res.json({ ...summary(phone, conv, refOf(phone)), flags: flags(conv) });
+  }));
+
+  return router;
+}
@@ -0,0 +1,119 @@
+// src/appointment_types.js
+// Catálogo dos tipos de consulta: cada tipo tem duração, intervalo depois da
+// consulta (buffer) e dias/horários em que pode ser marcado.
+//
+// APPOINTMENT_TYPES_JSON (opcional), ex.:
+// [
+//   { "id": "dor", "label": "Medicina da Dor", "durationMin": 60, "bufferMin": 10,
+//     "hours": { "1": [["08:00","12:00"]], "3": [["13:00","18:00"]] },
+//     "keywords": ["medicina da dor", "dor", "lombar"] },
+//   { "id": "pre_anestesica", "label": "Avaliação Pré-anestésica", "durationMin": 30 }
+// ]
+//  - durationMin: duração do evento (padrão SLOT_MINUTES ou 60)
+//  - bufferMin:   minutos livres exigidos depois da consulta (padrão 0)
+//  - stepMin:     passo da grade de horários (padrão durationMin + bufferMin)
+//  - hours:       mesmo formato de WORKING_HOURS_JSON (chave = dia da semana, 0=dom);
+//                 só os dias presentes são oferecidos. Sem "hours", vale WORKING_HOURS_JSON.
+//  - keywords:    termos que identificam o tipo no texto do paciente (sem acento; palavra
+//                 inteira, ou prefixo quando termina em "*", ex.: "neuropat*")
+// O primeiro tipo do catálogo é o padrão quando a conversa ainda não definiu o motivo.
+
+const DEFAULT_TYPES = [
+  {
+    id: "dor",
+    label: "Medicina da Dor",
+    keywords: ["medicina da dor", "dor", "dores", "neuropat*", "lombar", "cervical", "ombro", "joelho", "coluna", "cefale*"],
+  },
+  {
+    id: "pre_anestesica",
+    label: "Avaliação Pré-anestésica",
+    keywords: ["pre-anest*", "pre anest*", "preanest*", "anestesi*", "preop*", "pre-operat*", "pre operat*"],
+  },
+];
+
+const norm = (s) => String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+function parseHours(raw) {
+  try { return raw ? JSON.parse(raw) : null; } catch { return null; }
+}
+
+function normalizeType(t, i) {
+  const durationMin = Number(t.durationMin) || Number(process.env.SLOT_MINUTES) || 60;
+  const bufferMin = Math.max(0, Number(t.bufferMin) || 0);
+  const id = String(t.id || norm(t.label).replace(/[^a-z0-9]+/g, "_") || `tipo_${i + 1}`);
+  return {
+    id,
+    label: String(t.label || id),
+    durationMin,
+    bufferMin,
+    stepMin: Number(t.stepMin) || durationMin + bufferMin,
+    hours: t.hours && typeof t.hours === "object" ? t.hours : null,
+    keywords: (t.keywords || []).map(norm).filter(Boolean),
+  };
+}
+
+let cached = null; // { raw, types }
+
+/**
+ * Tipos configurados (APPOINTMENT_TYPES_JSON) ou os dois tipos padrão da clínica.
+ */
+export function listAppointmentTypes() {
+  const raw = process.env.APPOINTMENT_TYPES_JSON || "";
+  if (cached?.raw === raw) return cached.types;
+
+  let list = DEFAULT_TYPES;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed) && parsed.length) list = parsed;
+      else throw new Error("esperado um array não vazio");
+    } catch (e) {
+      console.error(`[appointment-types] APPOINTMENT_TYPES_JSON inválido (${e.message}); usando os tipos padrão`);
+    }
+  }
+  cached = { raw, types: list.map(normalizeType) };
+  return cached.types;
+}
+
+export function defaultAppointmentType() {
+  return listAppointmentTypes()[0];
+}
+
+/**
+ * Tipo pelo id ou pelo nome ("Avaliação pré-anestésica" == "avaliacao pre-anestesica").
+ */
+export function getAppointmentType(idOrLabel) {
+  const key = norm(idOrLabel);
+  if (!key) return null;
+  return listAppointmentTypes().find((t) => norm(t.id) === key || norm(t.label) === key) || null;
+}
+
+/**
+ * Tipo citado num texto livre (nome do tipo ou uma das keywords). Vence o termo mais
+ * longo encontrado ("avaliação pré-anestésica para cirurgia de coluna" -> pré-anestésica).
+ */
+export function matchAppointmentType(text) {
+  const t = norm(text);
+  if (!t) return null;
+  let best = null;
+  let bestLen = 0;
+  for (const type of listAppointmentTypes()) {
+    for (const k of [norm(type.label), ...type.keywords]) {
+      const prefix = k.endsWith("*");
+      const word = prefix ? k.slice(0, -1) : k;
+      if (word.length <= bestLen) continue;
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const re = new RegExp(`(^|[^a-z0-9])${escaped}${prefix ? "" : "(?![a-z0-9])"}`);
+      if (re.test(t)) { best = type; bestLen = word.length; }
+    }
+  }
+  return best;
+}
+
+/**
+ * Faixas de horário do tipo no dia da semana (0=dom); [] = não atende nesse dia.
+ */
+export function typeHoursFor(type, dow) {
+  const hours = type?.hours || parseHours(process.env.WORKING_HOURS_JSON) || {};
+  return hours[String(dow)] || [];
+}
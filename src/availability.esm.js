@@ -1,79 +1,98 @@
 // availability.esm.js
-// Verifica disponibilidade/bloqueio no Google Calendar antes de criar um evento.
-// Usa freebusy.query em 1 ou 2 agendas: a agenda principal (GOOGLE_CALENDAR_ID)
-// e, opcionalmente, uma agenda exclusiva de bloqueios (GOOGLE_BLOCK_CALENDAR_ID).
-import { google } from "googleapis";
-
-// ===== ENV =====
-const CLIENT_ID     = process.env.GOOGLE_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI  = process.env.GOOGLE_REDIRECT_URI;
-const REFRESH_TOKEN = process.env.GOOGLE_REFRESH_TOKEN;
-const CALENDAR_ID   = process.env.GOOGLE_CALENDAR_ID || "primary";
-const BLOCK_CAL_ID  = process.env.GOOGLE_BLOCK_CALENDAR_ID || "";
+// Verifica disponibilidade/bloqueio na agenda antes de criar um evento.
+// Usa freeBusy em 1 ou 2 agendas: a agenda principal (CALENDAR_ID/GOOGLE_CALENDAR_ID)
+// e, opcionalmente, uma agenda exclusiva de bloqueios (BLOCK_CALENDAR_ID/GOOGLE_BLOCK_CALENDAR_ID).
+// O backend (Google, CalDAV, .ics) vem de calendar.esm.js.
+import { freeBusy, listEvents, insertEvent, busyCalendarIds, blockCalendarId, defaultCalendarId } from "./calendar.esm.js";
+import { atLocalTime, clinicZone, localWeekday } from "./tz.esm.js";
+import { getAppointmentType } from "./appointment_types.js";
+import { normalizeModality, modalityHoursFor } from "./modalities.js";
+import { professionalModality } from "./professionals.js";
 
 // (opcional) definição de turnos para mensagens mais amigáveis
 // Ex.: {"manha":["07:00","12:00"],"tarde":["12:00","18:00"],"noite":["18:00","22:00"]}
 let TURNOS = {};
 try { TURNOS = JSON.parse(process.env.TURNOS_JSON || "{}"); } catch { TURNOS = {}; }
 
-function getAuth() {
-  if (!CLIENT_ID || !CLIENT_SECRET || !REDIRECT_URI || !REFRESH_TOKEN) {
-    throw new Error("Faltam variáveis do Google (CLIENT_ID, CLIENT_SECRET, REDIRECT_URI, REFRESH_TOKEN).");
-  }
-  const o = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
-  o.setCredentials({ refresh_token: REFRESH_TOKEN });
-  return o;
+function buildTime(dateISO, hhmm) {
+  // retorna uma ISO no mesmo dia local (fuso da clínica) de dateISO com hora hh:mm
+  return atLocalTime(dateISO, hhmm).toUTC().toISO();
 }
 
-function buildTime(dateISO, hhmm) {
-  // retorna uma ISO no mesmo dia de dateISO com hora hh:mm
-  const d = new Date(dateISO);
-  const [hh, mm] = String(hhmm).split(":").map(Number);
-  const local = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), hh + 3, mm || 0, 0)); // SP=UTC-3
-  return local.toISOString();
+// O horário cabe numa faixa da modalidade? (sem horários próprios: sempre cabe)
+function insideModalityHours({ startISO, endISO, modality, professional }) {
+  const ranges = modalityHoursFor(professionalModality(professional, modality), localWeekday(startISO));
+  if (!ranges) return true;
+  const start = new Date(startISO).getTime();
+  const end = new Date(endISO).getTime();
+  return ranges.some(([ini, fim]) =>
+    new Date(buildTime(startISO, ini)).getTime() <= start && end <= new Date(buildTime(startISO, fim)).getTime()
+  );
 }
 
 /**
  * Retorna conflitos (busy) entre startISO/endISO.
  * Também lista os eventos conflitantes para mensagem ao usuário.
+ * Com `type` (appointment_types.js), o fim é o da duração do tipo e o buffer
+ * depois da consulta também precisa estar livre.
+ * `calendarIds`: agendas a conferir (ex.: as do profissional, ver professionals.js);
+ * padrão = agenda principal + bloqueios.
+ * Com `modality` (modalities.js), horário fora da faixa da modalidade também conta como
+ * ocupado (conflito "Fora do horário de Telemedicina").
+ * `ignoreEventId` (remarcação): o próprio evento que vai mudar de horário não conta como
+ * ocupado nem aparece nos conflitos.
  */
-export async function isSlotBlockedOrBusy({ startISO, endISO }) {
-  const auth = getAuth();
-  const calendar = google.calendar({ version: "v3", auth });
-
-  const items = [{ id: CALENDAR_ID }];
-  if (BLOCK_CAL_ID && BLOCK_CAL_ID !== CALENDAR_ID) items.push({ id: BLOCK_CAL_ID });
-
-  const fb = await calendar.freebusy.query({
-    requestBody: { timeMin: startISO, timeMax: endISO, items },
-  });
+export async function isSlotBlockedOrBusy({ startISO, endISO, type, calendarIds, modality, professional, ignoreEventId }) {
+  const appt = typeof type === "string" ? getAppointmentType(type) : type;
+  if (appt) {
+    const start = new Date(startISO).getTime();
+    endISO = new Date(start + (appt.durationMin + appt.bufferMin) * 60000).toISOString();
+  }
+  const ids = calendarIds?.length ? calendarIds : busyCalendarIds();
+  const fb = await freeBusy({ calendarIds: ids, timeMin: startISO, timeMax: endISO });
 
-  const busy = Object.values(fb.data.calendars || {}).some((c) => (c.busy || []).length > 0);
+  const conflicts = [];
+  const ignored = []; // { calendarId, start, end } do evento ignorado
+  const othersOn = new Set(); // agendas com outro evento (que ocupa) na janela
+  const mod = normalizeModality(modality);
+  let outsideModality = false;
+  if (mod) {
+    const consultEnd = appt ? new Date(new Date(startISO).getTime() + appt.durationMin * 60000).toISOString() : endISO;
+    if (!insideModalityHours({ startISO, endISO: consultEnd, modality: mod, professional })) {
+      outsideModality = true;
+      conflicts.push({ calendarId: null, id: null, summary: `Fora do horário de ${mod}`, start: startISO, end: consultEnd, allDay: false });
+    }
+  }
 
   // Além do freebusy, listamos eventos para mostrar nomes dos conflitos
-  const conflicts = [];
-  for (const calId of items.map((i) => i.id)) {
-    const { data } = await calendar.events.list({
-      calendarId: calId,
-      timeMin: startISO,
-      timeMax: endISO,
-      singleEvents: true,
-      maxResults: 10,
-      orderBy: "startTime",
-    });
-    for (const e of data.items || []) {
+  for (const calId of ids) {
+    const items = await listEvents({ calendarId: calId, timeMin: startISO, timeMax: endISO, maxResults: 10 });
+    for (const e of items) {
+      const start = e.start?.dateTime || e.start?.date;
+      const end = e.end?.dateTime || e.end?.date;
+      if (ignoreEventId && e.id === ignoreEventId) {
+        ignored.push({ calendarId: calId, start: new Date(start).getTime(), end: new Date(end).getTime() });
+        continue;
+      }
+      if (e.transparency !== "transparent") othersOn.add(calId);
       conflicts.push({
         calendarId: calId,
         id: e.id,
         summary: e.summary || "(sem título)",
-        start: e.start?.dateTime || e.start?.date,
-        end: e.end?.dateTime || e.end?.date,
+        start,
+        end,
         allDay: !!e.start?.date,
       });
     }
   }
 
+  // ocupado = algum intervalo do freeBusy que não seja só o evento ignorado
+  // (o freeBusy junta eventos sobrepostos; um evento dentro do ignorado aparece na listagem)
+  const onlyIgnored = (calId, b) => !othersOn.has(calId) && ignored.some((ig) =>
+    ig.calendarId === calId && ig.start <= new Date(b.start).getTime() && new Date(b.end).getTime() <= ig.end);
+  const busy = outsideModality ||
+    Object.entries(fb).some(([calId, list]) => (list || []).some((b) => !onlyIgnored(calId, b)));
+
   return { busy, conflicts };
 }
 
@@ -89,21 +108,16 @@ export async function blockTurno({ dateISO, nomeTurno, titlePrefix = "[BLOQUEIO]
   const startISO = buildTime(dateISO, ini);
   const endISO = buildTime(dateISO, fim);
 
-  const auth = getAuth();
-  const calendar = google.calendar({ version: "v3", auth });
-
-  const { data } = await calendar.events.insert({
-    calendarId: BLOCK_CAL_ID || CALENDAR_ID,
-    requestBody: {
+  return insertEvent({
+    calendarId: blockCalendarId() || defaultCalendarId(),
+    event: {
       summary: `${titlePrefix} ${nomeTurno}`,
       description: "Janela indisponível criada pela Cristina",
-      start: { dateTime: startISO, timeZone: "America/Sao_Paulo" },
-      end: { dateTime: endISO, timeZone: "America/Sao_Paulo" },
+      start: { dateTime: startISO, timeZone: clinicZone() },
+      end: { dateTime: endISO, timeZone: clinicZone() },
       transparency: "opaque",
       visibility: "private",
     },
     sendUpdates: "none",
   });
-
-  return data;
 }
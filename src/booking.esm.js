@@ -0,0 +1,187 @@
+// booking.esm.js
+// Agendamento idempotente: a mesma confirmação (telefone canônico + início + tipo de
+// consulta) nunca cria dois eventos, mesmo que a IA repita a frase "Pronto! … agendada"
+// ou o provedor reentregue o webhook.
+//
+// A chave vai em extendedProperties.private.booking_key e dela sai o id do evento
+// (id escolhido pelo cliente, aceito por todos os drivers): uma segunda inserção com o
+// mesmo id responde 409 no backend, então nem duas instâncias ao mesmo tempo duplicam.
+// Um evento com a chave que tinha sido cancelado volta a valer (o id não pode ser reusado).
+//
+// Remarcação (rescheduleBooking): a consulta atual continua na agenda até o novo horário
+// ser confirmado; aí o MESMO evento muda de horário (events.patch), com o histórico na
+// descrição e a chave trocada pela do novo horário.
+import crypto from "crypto";
+import { createCalendarEvent, getCalendarEvent, patchEvent, listEvents } from "./calendar.esm.js";
+import { cancelAppointment, CANCEL_PROPS } from "./cancellation.esm.js";
+import { phoneKey } from "./phone.js";
+import { mask } from "./redact.js";
+import { formatLocal } from "./tz.esm.js";
+
+const pending = new Map(); // chave -> Promise do agendamento em andamento neste processo
+
+/**
+ * "+5511987654321|2025-09-02T11:00:00.000Z|dor"
+ */
+export function bookingKey({ phone, startISO, type }) {
+  const typeId = typeof type === "string" ? type : type?.id || "";
+  return `${phoneKey(phone)}|${new Date(startISO).toISOString()}|${typeId}`;
+}
+
+// id de evento válido no Google (base32hex: 0-9 e a-v, 5 a 1024 caracteres)
+export function bookingEventId(key) {
+  return "bk" + crypto.createHash("sha256").update(key).digest("hex").slice(0, 40);
+}
+
+const isConflict = (e) => Number(e?.code) === 409 || e?.response?.status === 409;
+
+/**
+ * Evento ativo (não cancelado) desta chave na agenda, ou null.
+ * Consulta remarcada mantém o id antigo: procura também pela chave no horário.
+ */
+export async function findBooking({ calendarId, phone, startISO, type }) {
+  const key = bookingKey({ phone, startISO, type });
+  const ev = await getCalendarEvent({ calendarId, eventId: bookingEventId(key) });
+  if (ev && ev.status !== "cancelled") return ev;
+  const start = new Date(startISO).getTime();
+  const around = await listEvents({
+    calendarId,
+    timeMin: new Date(start - 60000).toISOString(),
+    timeMax: new Date(start + 60000).toISOString(),
+  });
+  return around.find((e) => e.status !== "cancelled" && e.extendedProperties?.private?.booking_key === key) || null;
+}
+
+/**
+ * Cria o evento da consulta uma única vez por chave.
+ * Recebe os campos de createCalendarEvent (calendar.esm.js) + `phone`.
+ * Retorna { event, created, reactivated? }: created=false quando o evento já existia.
+ */
+export function bookAppointment({ phone, startISO, appointmentType, ...fields }) {
+  const key = bookingKey({ phone, startISO, type: appointmentType });
+  // repetição no mesmo processo espera a primeira e recebe o mesmo evento
+  if (pending.has(key)) return pending.get(key).then((r) => ({ ...r, created: false, reactivated: false }));
+
+  const p = insertOnce(key, { phone, startISO, appointmentType, ...fields });
+  pending.set(key, p);
+  return p.finally(() => pending.delete(key));
+}
+
+async function insertOnce(key, { phone, startISO, endISO, appointmentType, calendarId, extendedProperties, ...fields }) {
+  const eventId = bookingEventId(key);
+  const props = {
+    ...extendedProperties,
+    private: { ...extendedProperties?.private, booking_key: key },
+  };
+
+  try {
+    const event = await createCalendarEvent({
+      ...fields, startISO, endISO, appointmentType, calendarId, eventId, extendedProperties: props,
+    });
+    console.log(`[booking] ${mask(phoneKey(phone))} ${startISO} criado (${event?.id})`);
+    return { event, created: true };
+  } catch (e) {
+    if (!isConflict(e)) throw e;
+  }
+
+  const existing = await getCalendarEvent({ calendarId, eventId });
+  if (!existing) throw new Error(`[booking] id ${eventId} em conflito, mas o evento não foi encontrado`);
+  if (existing.status !== "cancelled") {
+    console.log(`[booking] ${mask(phoneKey(phone))} ${startISO} já agendado (${eventId}); nada criado`);
+    return { event: existing, created: false };
+  }
+
+  // mesmo paciente, mesmo horário e tipo, depois de um cancelamento: reativa o evento
+  // (sem as marcas do cancelamento: null apaga a chave no PATCH)
+  const event = await patchEvent({
+    calendarId,
+    eventId,
+    patch: {
+      ...fields,
+      status: "confirmed",
+      start: { dateTime: startISO },
+      end: { dateTime: endISO || existing.end?.dateTime },
+      extendedProperties: {
+        private: {
+          ...props.private,
+          ...(appointmentType ? { appointment_type: typeof appointmentType === "string" ? appointmentType : appointmentType.id } : {}),
+          ...Object.fromEntries(CANCEL_PROPS.map((k) => [k, null])),
+        },
+      },
+    },
+    sendUpdates: "all",
+  });
+  console.log(`[booking] ${mask(phoneKey(phone))} ${startISO} reativado (${eventId})`);
+  return { event, created: true, reactivated: true };
+}
+
+const typeIdOf = (t) => (typeof t === "string" ? t : t?.id) || "";
+const stamp = (iso) => formatLocal(iso, "dd/MM/yy HH:mm");
+
+/**
+ * Move a consulta `eventId` (agenda `calendarId`) para startISO/endISO.
+ * Recebe os campos do novo agendamento (como bookAppointment) + `targetCalendarId`.
+ * - Mesma agenda: um único events.patch (mesmo id e dados do paciente); o aviso aos
+ *   convidados sai junto com a alteração, só se ela der certo.
+ * - Outra agenda (outro profissional/modalidade): cria o novo evento e só então cancela o antigo.
+ * Retorna { event, moved, previousStartISO, previousEndISO }. Evento original inexistente/cancelado: erro code "GONE".
+ */
+export async function rescheduleBooking({
+  calendarId, eventId, targetCalendarId, phone, startISO, endISO, appointmentType,
+  summary, location, description, extendedProperties,
+}) {
+  const original = await getCalendarEvent({ calendarId, eventId });
+  if (!original || original.status === "cancelled") {
+    const e = new Error(`[booking] consulta ${eventId} não existe mais para remarcar`);
+    e.code = "GONE";
+    throw e;
+  }
+  const previousStartISO = original.start?.dateTime || original.start?.date;
+  const previousEndISO = original.end?.dateTime || original.end?.date;
+  const key = bookingKey({ phone, startISO, type: appointmentType });
+  const history = `Remarcado em ${stamp(new Date().toISOString())}: ${stamp(previousStartISO)} -> ${stamp(startISO)}`;
+  const historyProps = {
+    booking_key: key,
+    rescheduled_from: new Date(previousStartISO).toISOString(),
+    reschedule_count: String(Number(original.extendedProperties?.private?.reschedule_count || 0) + 1),
+  };
+
+  if (!targetCalendarId || targetCalendarId === calendarId) {
+    const pvt = extendedProperties?.private || {};
+    const event = await patchEvent({
+      calendarId,
+      eventId,
+      patch: {
+        ...(summary ? { summary } : {}),
+        ...(location ? { location } : {}),
+        description: [original.description || "", history].filter(Boolean).join("\n"),
+        start: { dateTime: startISO },
+        end: { dateTime: endISO },
+        extendedProperties: {
+          private: {
+            ...(pvt.modality ? { modality: pvt.modality } : {}),
+            ...(pvt.professional_id ? { professional_id: pvt.professional_id } : {}),
+            ...(appointmentType ? { appointment_type: typeIdOf(appointmentType) } : {}),
+            ...historyProps,
+          },
+        },
+      },
+      sendUpdates: "all",
+    });
+    console.log(`[booking] ${mask(phoneKey(phone))} remarcado ${previousStartISO} -> ${startISO} (${eventId})`);
+    return { event, moved: true, previousStartISO, previousEndISO };
+  }
+
+  // outra agenda: o novo primeiro; o antigo só sai depois que o novo existe
+  const { event } = await bookAppointment({
+    phone, startISO, endISO, appointmentType, calendarId: targetCalendarId, summary, location,
+    description: [description || "", history].filter(Boolean).join("\n"),
+    extendedProperties: {
+      ...extendedProperties,
+      private: { ...extendedProperties?.private, ...historyProps, rescheduled_event: eventId },
+    },
+  });
+  await cancelAppointment({ calendarId, eventId, reason: `remarcada para ${stamp(startISO)} (${event?.id})`, source: "reschedule" });
+  console.log(`[booking] ${mask(phoneKey(phone))} remarcado ${previousStartISO} -> ${startISO} (${eventId} -> ${event?.id})`);
+  return { event, moved: false, previousStartISO, previousEndISO };
+}
@@ -0,0 +1,121 @@
+// busy_cache.esm.js
+// Cache curto dos horários ocupados (freeBusy), compartilhado entre as conversas.
+// A grade de horários (slots.esm.js) pede a janela inteira de uma vez; aqui cada agenda
+// guarda o trecho já consultado e só vai ao backend quando falta cobertura ou expirou.
+//
+// BUSY_CACHE_TTL_SECONDS: validade (padrão 60; 0 desliga o cache).
+// Toda escrita do bot na agenda (criar, alterar, cancelar; ver onCalendarChange em
+// calendar.esm.js) invalida a agenda afetada. Mudanças feitas fora do processo (outra
+// instância, servidor de cancelamento, edição manual) aparecem quando o TTL vence.
+//
+// Não use para a checagem final antes de criar o evento (availability.esm.js consulta direto).
+import { freeBusy, onCalendarChange } from "./calendar.esm.js";
+
+const entries = new Map(); // calendarId -> { from, to, busy: [{ start, end }], expiresAt }
+const generation = new Map(); // calendarId -> nº de invalidações (descarta consulta que ficou velha no caminho)
+let epoch = 0; // idem, para a invalidação geral
+const inflight = new Map(); // chave da consulta -> Promise
+
+function ttlMs() {
+  const s = Number(process.env.BUSY_CACHE_TTL_SECONDS ?? 60);
+  return Number.isFinite(s) && s > 0 ? s * 1000 : 0;
+}
+
+const fresh = (e, now) => e && e.expiresAt > now;
+
+/**
+ * Intervalos ocupados por agenda entre timeMin e timeMax:
+ * { [calendarId]: [{ start: Date, end: Date }] } (só os que cruzam a janela).
+ * Agendas sem cobertura válida vão juntas numa única consulta ao backend.
+ */
+export async function getBusyIntervals({ calendarIds, timeMin, timeMax }) {
+  const min = new Date(timeMin).getTime();
+  const max = new Date(timeMax).getTime();
+  const ids = Array.from(new Set(calendarIds || []));
+  const ttl = ttlMs();
+
+  if (!ttl) {
+    const fb = await freeBusy({ calendarIds: ids, timeMin, timeMax });
+    return Object.fromEntries(ids.map((id) => [id, toDates(fb[id])]));
+  }
+
+  const now = Date.now();
+  const missing = ids.filter((id) => {
+    const e = entries.get(id);
+    return !(fresh(e, now) && e.from <= min && max <= e.to);
+  });
+
+  let fetched = {};
+  if (missing.length) {
+    // estende a cobertura de quem ainda vale, para a próxima página/dia cair no cache
+    let from = min;
+    let to = max;
+    for (const id of missing) {
+      const e = entries.get(id);
+      if (fresh(e, now)) { from = Math.min(from, e.from); to = Math.max(to, e.to); }
+    }
+    fetched = await fetchInto(missing, from, to, ttl);
+  }
+
+  const out = {};
+  for (const id of ids) {
+    // o que acabou de chegar vale mesmo se não entrou no cache (invalidado no caminho)
+    const busy = fetched[id] || entries.get(id)?.busy || [];
+    out[id] = busy.filter((b) => b.end.getTime() > min && b.start.getTime() < max);
+  }
+  return out;
+}
+
+function toDates(list) {
+  const out = [];
+  for (const b of list || []) {
+    const start = new Date(b.start);
+    const end = new Date(b.end);
+    if (!isNaN(start) && !isNaN(end)) out.push({ start, end });
+  }
+  return out;
+}
+
+async function fetchInto(ids, from, to, ttl) {
+  const key = `${[...ids].sort().join(",")}|${from}|${to}`;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const gens = new Map(ids.map((id) => [id, generation.get(id) || 0]));
+  const startEpoch = epoch;
+  const p = (async () => {
+    const fb = await freeBusy({
+      calendarIds: ids,
+      timeMin: new Date(from).toISOString(),
+      timeMax: new Date(to).toISOString(),
+    });
+    const expiresAt = Date.now() + ttl;
+    const got = {};
+    for (const id of ids) {
+      got[id] = toDates(fb[id]);
+      if (epoch !== startEpoch || (generation.get(id) || 0) !== gens.get(id)) continue; // invalidada durante a consulta
+      entries.set(id, { from, to, busy: got[id], expiresAt });
+    }
+    return got;
+  })();
+  inflight.set(key, p);
+  try {
+    return await p;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+/**
+ * Esquece os ocupados de uma agenda (ou de todas, sem argumento).
+ */
+export function invalidateBusyCache(calendarId) {
+  if (!calendarId) {
+    entries.clear();
+    epoch++;
+    return;
+  }
+  entries.delete(calendarId);
+  generation.set(calendarId, (generation.get(calendarId) || 0) + 1);
+}
+
+onCalendarChange(({ calendarId }) => invalidateBusyCache(calendarId));
@@ -0,0 +1,213 @@
+// caldav.esm.js
+// Driver CalDAV (Nextcloud, Radicale, Baïkal, iCloud, Fastmail...) da interface
+// de agenda (ver calendar.esm.js). Cada evento é um recurso <UID>.ics na coleção.
+//
+// Requer:
+//  - CALDAV_URL       -> URL da coleção da agenda principal (ex.: https://host/remote.php/dav/calendars/usuario/clinica/)
+//  - CALDAV_USERNAME / CALDAV_PASSWORD (Basic; use senha de app quando houver)
+// Outras agendas (ex.: bloqueios): o calendarId pode ser uma URL completa ou o nome
+// de uma coleção irmã da principal.
+// Eventos recorrentes são expandidos pelo servidor e ficam só para leitura.
+// `sendUpdates` é ignorado (convites ficam a cargo do servidor CalDAV).
+import axios from "axios";
+import crypto from "crypto";
+import { DateTime } from "luxon";
+import { parseICS, toICS, applyEventPatch, busyIntervals } from "./ics.esm.js";
+
+function config() {
+  return {
+    url: process.env.CALDAV_URL || "",
+    username: process.env.CALDAV_USERNAME || "",
+    password: process.env.CALDAV_PASSWORD || "",
+  };
+}
+
+function checkConfig() {
+  return ["CALDAV_URL"].filter((k) => !process.env[k]);
+}
+
+const withSlash = (u) => (u.endsWith("/") ? u : `${u}/`);
+
+function collectionUrl(calendarId) {
+  const base = withSlash(config().url);
+  const id = String(calendarId || "primary");
+  if (id === "primary") return base;
+  if (/^https?:\/\//i.test(id)) return withSlash(id);
+  return new URL(`../${encodeURIComponent(id)}/`, base).toString();
+}
+
+// href de cada evento já visto (UIDs criados por outros clientes nem sempre são <UID>.ics)
+const hrefs = new Map(); // `${coleção}|${id}` -> { href, etag }
+
+async function dav(method, url, { data, headers = {} } = {}) {
+  const c = config();
+  if (!c.url) throw new Error("CALDAV_URL ausente");
+  return axios.request({
+    method,
+    url,
+    data,
+    headers,
+    auth: c.username ? { username: c.username, password: c.password } : undefined,
+    timeout: 15000,
+    validateStatus: () => true,
+    responseType: "text",
+    transformResponse: (d) => d,
+  });
+}
+
+function davError(res, what) {
+  const e = new Error(`CalDAV ${what}: HTTP ${res.status}`);
+  e.code = res.status;
+  return e;
+}
+
+const xmlDecode = (s) => String(s)
+  .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, "$1")
+  .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+  .replace(/&#(?:13|x[dD]);/g, "\r").replace(/&amp;/g, "&");
+
+// <multistatus> -> [{ href, etag, ics }]
+function parseMultistatus(xml) {
+  const out = [];
+  for (const block of String(xml || "").match(/<(?:[\w-]+:)?response\b[\s\S]*?<\/(?:[\w-]+:)?response>/gi) || []) {
+    const href = block.match(/<(?:[\w-]+:)?href>([^<]+)</i)?.[1];
+    const etag = block.match(/<(?:[\w-]+:)?getetag>([^<]+)</i)?.[1];
+    const data = block.match(/<(?:[\w-]+:)?calendar-data[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/i)?.[1];
+    if (href && data) out.push({ href: href.trim(), etag: etag ? xmlDecode(etag).trim() : null, ics: xmlDecode(data) });
+  }
+  return out;
+}
+
+const davTime = (iso) => DateTime.fromISO(iso).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+
+function calendarQuery(timeMin, timeMax) {
+  // expand exige início e fim; sem limites, usa uma janela larga
+  const start = davTime(timeMin || new Date(Date.now() - 365 * 86400000).toISOString());
+  const end = davTime(timeMax || new Date(Date.now() + 2 * 365 * 86400000).toISOString());
+  return `<?xml version="1.0" encoding="utf-8"?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <D:getetag/>
+    <C:calendar-data><C:expand start="${start}" end="${end}"/></C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range start="${start}" end="${end}"/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+}
+
+async function listEvents({ calendarId, timeMin, timeMax, q, showDeleted = false, maxResults = 2500 }) {
+  const coll = collectionUrl(calendarId);
+  const res = await dav("REPORT", coll, {
+    data: calendarQuery(timeMin, timeMax),
+    headers: { Depth: "1", "Content-Type": "application/xml; charset=utf-8" },
+  });
+  if (res.status !== 207) throw davError(res, "REPORT");
+
+  const needle = q ? String(q).toLowerCase() : null;
+  const out = [];
+  for (const { href, etag, ics } of parseMultistatus(res.data)) {
+    for (const ev of parseICS(ics)) {
+      // instância de recorrência: id no estilo do Google (<uid>_<início>), só leitura
+      if (ev.originalStartTime) {
+        ev.recurringEventId = ev.id;
+        ev.id = `${ev.id}_${davTime(ev.originalStartTime.dateTime || `${ev.originalStartTime.date}T00:00:00Z`)}`;
+      } else {
+        hrefs.set(`${coll}|${ev.id}`, { href: new URL(href, coll).toString(), etag });
+      }
+      if (!showDeleted && ev.status === "cancelled") continue;
+      if (needle && !`${ev.summary || ""} ${ev.description || ""} ${ev.location || ""}`.toLowerCase().includes(needle)) continue;
+      out.push(ev);
+    }
+  }
+  out.sort((a, b) => Date.parse(a.start.dateTime || a.start.date) - Date.parse(b.start.dateTime || b.start.date));
+  return out.slice(0, maxResults);
+}
+
+async function freeBusy({ calendarIds, timeMin, timeMax }) {
+  const out = {};
+  for (const id of calendarIds) {
+    out[id] = busyIntervals(await listEvents({ calendarId: id, timeMin, timeMax }), timeMin, timeMax);
+  }
+  return out;
+}
+
+function resourceFor(coll, eventId) {
+  return hrefs.get(`${coll}|${eventId}`) || { href: `${coll}${encodeURIComponent(eventId)}.ics`, etag: null };
+}
+
+async function fetchEvent(coll, eventId) {
+  const { href } = resourceFor(coll, eventId);
+  const res = await dav("GET", href);
+  if (res.status === 404 || res.status === 410) return null;
+  if (res.status !== 200) throw davError(res, "GET");
+  const ev = parseICS(res.data).find((e) => e.id === eventId && !e.originalStartTime);
+  if (ev) hrefs.set(`${coll}|${eventId}`, { href, etag: res.headers?.etag || null });
+  return ev || null;
+}
+
+async function getEvent({ calendarId, eventId }) {
+  return fetchEvent(collectionUrl(calendarId), eventId);
+}
+
+async function insertEvent({ calendarId, event }) {
+  const coll = collectionUrl(calendarId);
+  const id = event.id || crypto.randomUUID();
+  const now = new Date().toISOString();
+  const ev = { status: "confirmed", ...JSON.parse(JSON.stringify(event)), id, created: now, updated: now };
+  const href = `${coll}${encodeURIComponent(id)}.ics`;
+
+  const res = await dav("PUT", href, {
+    data: toICS([ev]),
+    headers: { "Content-Type": "text/calendar; charset=utf-8", "If-None-Match": "*" },
+  });
+  if (res.status === 412) {
+    const e = new Error(`Evento já existe: ${id}`);
+    e.code = 409; // mesmo código do Google para id duplicado
+    throw e;
+  }
+  if (res.status < 200 || res.status >= 300) throw davError(res, "PUT");
+  hrefs.set(`${coll}|${id}`, { href, etag: res.headers?.etag || null });
+  return ev;
+}
+
+// PUT condicional (If-Match); se outro cliente alterou no meio, relê e tenta de novo uma vez
+async function patchEvent({ calendarId, eventId, patch }) {
+  const coll = collectionUrl(calendarId);
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const current = await fetchEvent(coll, eventId);
+    if (!current) throw davError({ status: 404 }, `evento ${eventId}`);
+    const next = applyEventPatch(current, JSON.parse(JSON.stringify(patch || {})));
+    const { href, etag } = resourceFor(coll, eventId);
+
+    const res = await dav("PUT", href, {
+      data: toICS([next]),
+      headers: { "Content-Type": "text/calendar; charset=utf-8", ...(etag ? { "If-Match": etag } : {}) },
+    });
+    if (res.status === 412 && attempt === 0) continue;
+    if (res.status < 200 || res.status >= 300) throw davError(res, "PUT");
+    hrefs.set(`${coll}|${eventId}`, { href, etag: res.headers?.etag || null });
+    return next;
+  }
+  throw davError({ status: 412 }, "PUT");
+}
+
+// Mantém o recurso com STATUS:CANCELLED (como o Google), em vez de apagar
+async function cancelEvent({ calendarId, eventId }) {
+  return patchEvent({ calendarId, eventId, patch: { status: "cancelled" } });
+}
+
+export const caldavCalendar = {
+  name: "caldav",
+  checkConfig,
+  listEvents,
+  freeBusy,
+  getEvent,
+  insertEvent,
+  patchEvent,
+  cancelEvent,
+};
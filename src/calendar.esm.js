@@ -0,0 +1,251 @@
+// calendar.esm.js
+// Interface única de agenda. Cada backend é um driver com:
+//   name, checkConfig() -> [envs faltando]
+//   listEvents({ calendarId, timeMin, timeMax, q?, showDeleted?, maxResults? }) -> [evento]
+//   freeBusy({ calendarIds, timeMin, timeMax }) -> { [calendarId]: [{ start, end }] }
+//   getEvent({ calendarId, eventId }) -> evento | null
+//   insertEvent({ calendarId, event, sendUpdates? }) -> evento (id duplicado: erro code 409)
+//   patchEvent({ calendarId, eventId, patch, sendUpdates? }) -> evento (inexistente: erro code 404)
+//   cancelEvent({ calendarId, eventId, sendUpdates? }) -> evento com status "cancelled"
+// Opcionais (notificações push, só no Google; ver calendar_watch.esm.js):
+//   watchEvents({ calendarId, channelId, address, token, ttlSeconds? }) -> { id, resourceId, expiration }
+//   stopChannel({ channelId, resourceId })
+//   listChanges({ calendarId, syncToken? }) -> { items, nextSyncToken } (token vencido: erro code 410)
+//
+// "evento" é sempre o formato do Google Calendar v3 (id, status, summary, description,
+// location, start/end { dateTime | date }, transparency, attendees,
+// extendedProperties.private); os drivers CalDAV e .ics convertem (ver ics.esm.js).
+// listEvents devolve instâncias únicas (recorrências expandidas), ordenadas pelo início.
+//
+// Backend: CALENDAR_BACKEND=google (padrão) | caldav | ics.
+// Agendas: CALENDAR_ID (ou GOOGLE_CALENDAR_ID, padrão "primary") e, opcional,
+// BLOCK_CALENDAR_ID (ou GOOGLE_BLOCK_CALENDAR_ID) só com bloqueios.
+import { phoneKey } from "./phone.js";
+import { extractPhonesFromEvent } from "./patient_identity.js";
+import { formatLocal } from "./tz.esm.js";
+import { getAppointmentType } from "./appointment_types.js";
+import { googleCalendar } from "./google.esm.js";
+import { caldavCalendar } from "./caldav.esm.js";
+import { icsFileCalendar } from "./ics_file.esm.js";
+
+const REQUIRED = ["listEvents", "freeBusy", "getEvent", "insertEvent", "patchEvent", "cancelEvent"];
+
+const backends = new Map(); // name -> driver
+
+export function registerCalendarBackend(driver) {
+  const missing = REQUIRED.filter((fn) => typeof driver?.[fn] !== "function");
+  if (!driver?.name || missing.length) {
+    throw new Error(`Backend de agenda inválido (${driver?.name || "sem nome"}): faltam ${missing.join(", ") || "name"}`);
+  }
+  backends.set(String(driver.name).toLowerCase(), { checkConfig: () => [], ...driver });
+}
+
+/**
+ * Backend pelo nome; sem nome, usa CALENDAR_BACKEND (padrão: Google).
+ */
+export function getCalendar(name = process.env.CALENDAR_BACKEND || "google") {
+  const b = backends.get(String(name).toLowerCase());
+  if (!b) throw new Error(`Backend de agenda desconhecido: ${name}`);
+  return b;
+}
+
+export function listCalendarBackends() {
+  return Array.from(backends.keys());
+}
+
+registerCalendarBackend(googleCalendar);
+registerCalendarBackend(caldavCalendar);
+registerCalendarBackend(icsFileCalendar);
+
+// ===== Agendas =====
+
+export function defaultCalendarId() {
+  return process.env.CALENDAR_ID || process.env.GOOGLE_CALENDAR_ID || "primary";
+}
+
+export function blockCalendarId() {
+  return process.env.BLOCK_CALENDAR_ID || process.env.GOOGLE_BLOCK_CALENDAR_ID || "";
+}
+
+// Agenda principal + agenda de bloqueios (se houver e for outra)
+export function busyCalendarIds() {
+  const main = defaultCalendarId();
+  const block = blockCalendarId();
+  return block && block !== main ? [main, block] : [main];
+}
+
+// ===== Operações no backend configurado =====
+
+export function listEvents({ calendarId, ...rest } = {}) {
+  return getCalendar().listEvents({ calendarId: calendarId || defaultCalendarId(), ...rest });
+}
+
+export function freeBusy({ calendarIds, timeMin, timeMax }) {
+  return getCalendar().freeBusy({ calendarIds: calendarIds?.length ? calendarIds : busyCalendarIds(), timeMin, timeMax });
+}
+
+export function getEvent({ calendarId, eventId }) {
+  return getCalendar().getEvent({ calendarId: calendarId || defaultCalendarId(), eventId });
+}
+
+export function insertEvent({ calendarId, event, sendUpdates }) {
+  const id = calendarId || defaultCalendarId();
+  return changing(id, "insert", event?.id, () => getCalendar().insertEvent({ calendarId: id, event, sendUpdates }));
+}
+
+export function patchEvent({ calendarId, eventId, patch, sendUpdates }) {
+  const id = calendarId || defaultCalendarId();
+  return changing(id, "patch", eventId, () => getCalendar().patchEvent({ calendarId: id, eventId, patch, sendUpdates }));
+}
+
+// `props` (opcional): chaves de extendedProperties.private gravadas na mesma escrita
+// (motivo/momento do cancelamento; ver cancellation.esm.js)
+export function cancelEvent({ calendarId, eventId, sendUpdates, props }) {
+  const id = calendarId || defaultCalendarId();
+  const driver = getCalendar();
+  return changing(id, "cancel", eventId, () => props
+    ? driver.patchEvent({ calendarId: id, eventId, patch: { status: "cancelled", extendedProperties: { private: props } }, sendUpdates })
+    : driver.cancelEvent({ calendarId: id, eventId, sendUpdates }));
+}
+
+// ===== Avisos de escrita =====
+// Quem guarda dados da agenda (ex.: busy_cache.esm.js) é avisado a cada escrita feita
+// por esta interface — também quando ela falha, pois o backend pode ter aplicado parte.
+// fn({ calendarId, op: "insert" | "patch" | "cancel", eventId, updated })
+// (`updated`: carimbo do evento devolvido pelo backend, quando houver)
+const changeListeners = new Set();
+
+export function onCalendarChange(fn) {
+  changeListeners.add(fn);
+  return () => changeListeners.delete(fn);
+}
+
+async function changing(calendarId, op, eventId, run) {
+  let result;
+  try {
+    result = await run();
+    return result;
+  } finally {
+    for (const fn of changeListeners) {
+      try {
+        fn({ calendarId, op, eventId: eventId || result?.id || null, updated: result?.updated || null });
+      } catch (e) {
+        console.error("[calendar] listener de alteração:", e?.message || e);
+      }
+    }
+  }
+}
+
+/**
+ * Eventos do paciente (telefone e/ou nome) entre daysBack e daysAhead a partir de agora.
+ * Telefone: extendedProperties.private.patient_phone, tag #patient_phone ou telefone na descrição.
+ * Nome: no título/descrição ou na tag #patient_name.
+ */
+export async function findByPatient({ calendarId, phone, name, daysBack = 30, daysAhead = 180 }) {
+  const now = Date.now();
+  const items = await listEvents({
+    calendarId,
+    timeMin: new Date(now - daysBack * 86400000).toISOString(),
+    timeMax: new Date(now + daysAhead * 86400000).toISOString(),
+  });
+
+  const nameNorm = String(name || "").trim().toLowerCase();
+  const wantedPhone = phoneKey(phone);
+
+  return items.filter((ev) => {
+    const descLower = String(ev.description || "").toLowerCase();
+    const sumLower = String(ev.summary || "").toLowerCase();
+    const phoneOk = wantedPhone ? extractPhonesFromEvent(ev).includes(wantedPhone) : true;
+    const nameOk = nameNorm
+      ? (descLower.includes(nameNorm) ||
+         sumLower.includes(nameNorm) ||
+         descLower.includes(`#patient_name:${nameNorm}`))
+      : true;
+    return phoneOk && nameOk;
+  });
+}
+
+// ===== Funções usadas pelo server.js (antes em google.esm.js) =====
+
+// appointmentType (appointment_types.js): define o fim quando endISO não vem e fica
+// gravado em extendedProperties.private.appointment_type
+// eventId (opcional): id escolhido pelo cliente; já existente -> erro com code 409 (ver booking.esm.js)
+export async function createCalendarEvent({
+  summary,
+  description,
+  startISO,
+  endISO,
+  attendees = [],
+  location,
+  calendarId,
+  extendedProperties,
+  appointmentType,
+  eventId,
+}) {
+  const type = typeof appointmentType === "string" ? getAppointmentType(appointmentType) : appointmentType;
+  const end = endISO || new Date(new Date(startISO).getTime() + (type?.durationMin || 60) * 60000).toISOString();
+  const props = type
+    ? { ...extendedProperties, private: { ...extendedProperties?.private, appointment_type: type.id } }
+    : extendedProperties;
+  return insertEvent({
+    calendarId,
+    event: {
+      ...(eventId ? { id: eventId } : {}),
+      summary,
+      description,
+      location,
+      start: { dateTime: startISO },
+      end:   { dateTime: end },
+      attendees,
+      reminders: { useDefault: false },
+      ...(props ? { extendedProperties: props } : {}),
+    },
+    sendUpdates: "all",
+  });
+}
+
+// Eventos do paciente já resumidos para as mensagens (dia/hora no fuso da clínica).
+// `calendarIds` procura em várias agendas (ex.: uma por profissional); cada item
+// diz de qual agenda veio.
+export async function findPatientEvents({ calendarIds, ...opts } = {}) {
+  const ids = calendarIds?.length ? calendarIds : [opts.calendarId || defaultCalendarId()];
+  const found = [];
+  for (const calendarId of ids) {
+    for (const ev of await findByPatient({ ...opts, calendarId })) found.push({ ev, calendarId });
+  }
+  return found.map(({ ev, calendarId }) => {
+    const startISO =
+      ev.start?.dateTime || (ev.start?.date ? `${ev.start.date}T00:00:00` : null);
+    return {
+      id: ev.id,
+      calendarId,
+      summary: ev.summary || "",
+      description: ev.description || "",
+      startISO,
+      endISO: ev.end?.dateTime || null,
+      dayLabel: startISO ? formatLocal(startISO, "dd/MM") : "",
+      timeLabel: startISO ? formatLocal(startISO, "HH:mm") : "",
+    };
+  });
+}
+
+// Lista eventos futuros (não cancelados) — usado para reconstruir os lembretes no boot
+export async function listUpcomingEvents({ calendarId, daysAhead = 30 } = {}) {
+  const now = Date.now();
+  const events = await listEvents({
+    calendarId,
+    timeMin: new Date(now).toISOString(),
+    timeMax: new Date(now + daysAhead * 86400000).toISOString(),
+  });
+  return events.filter((ev) => ev.status !== "cancelled");
+}
+
+// Busca um evento pelo ID (null se não existir mais)
+export function getCalendarEvent({ calendarId, eventId }) {
+  return getEvent({ calendarId, eventId });
+}
+
+// Grava chaves em extendedProperties.private (mantém as existentes)
+export async function setEventPrivateProps({ calendarId, eventId, props }) {
+  await patchEvent({ calendarId, eventId, patch: { extendedProperties: { private: props } }, sendUpdates: "none" });
+}
@@ -0,0 +1,314 @@
+// calendar_watch.esm.js
+// Notificações push do Google Calendar (events.watch): o Google faz POST em
+// /webhook/gcal a cada mudança numa agenda observada; aqui buscamos só o que mudou
+// (syncToken), invalidamos o cache de ocupados (busy_cache.esm.js) e avisamos quando um
+// agendamento do bot foi movido ou apagado direto na agenda (fora do bot).
+//
+// CALENDAR_WATCH_URL        endereço público HTTPS do POST /webhook/gcal (vazio = desligado)
+// CALENDAR_WATCH_TOKEN      segredo do canal; o Google devolve em X-Goog-Channel-Token (obrigatório)
+// CALENDAR_WATCH_TTL_SECONDS validade pedida para cada canal (padrão 604800 = 7 dias; o Google pode encurtar)
+// CALENDAR_WATCH_RENEW_MINUTES renova o canal quando faltar menos que isso (padrão 720)
+//
+// Canais e syncTokens ficam em memória: depois de um restart, renewCalendarWatches() registra
+// canais novos e faz a leitura completa de novo. Canais antigos ainda vivos continuam
+// notificando até vencer; são aceitos (mesmo token) e parados quando chegam.
+// Só o driver "google" tem watchEvents/stopChannel/listChanges (ver calendar.esm.js).
+import crypto from "crypto";
+import { getCalendar, onCalendarChange } from "./calendar.esm.js";
+import { extractPhonesFromEvent } from "./patient_identity.js";
+import { invalidateBusyCache } from "./busy_cache.esm.js";
+import { listProfessionals, professionalBusyCalendarIds } from "./professionals.js";
+import { safeEqual } from "./webhook_auth.js";
+
+const channels = new Map(); // calendarId -> { id, resourceId, calendarId, expiration, createdAt }
+const syncs = new Map(); // calendarId -> { syncToken, known: Map(eventId -> startISO), lastSyncAt }
+const running = new Map(); // calendarId -> Promise da sincronização em andamento
+const botWrites = new Map(); // "calendarId|eventId" -> { op, updated, at } da última escrita feita pelo bot
+const listeners = new Set();
+
+const BOT_WRITE_TTL_MS = 24 * 60 * 60 * 1000;
+
+export function calendarWatchConfig() {
+  const address = String(process.env.CALENDAR_WATCH_URL || "").trim();
+  const token = String(process.env.CALENDAR_WATCH_TOKEN || "").trim();
+  const ttl = Number(process.env.CALENDAR_WATCH_TTL_SECONDS || 604800);
+  const renew = Number(process.env.CALENDAR_WATCH_RENEW_MINUTES || 720);
+  return {
+    enabled: !!(address && token),
+    address,
+    token,
+    ttlSeconds: Number.isFinite(ttl) && ttl > 0 ? ttl : 604800,
+    renewBeforeMs: (Number.isFinite(renew) && renew >= 0 ? renew : 720) * 60 * 1000,
+  };
+}
+
+function watchError(message, code) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+function driver() {
+  const cal = getCalendar();
+  if (typeof cal.watchEvents !== "function" || typeof cal.listChanges !== "function") {
+    throw watchError(`[calendar-watch] backend "${cal.name}" não suporta notificações push`, "WATCH_UNSUPPORTED");
+  }
+  return cal;
+}
+
+// Agendas observadas: as de atendimento e as de bloqueio de cada profissional
+export function watchedCalendarIds() {
+  return Array.from(new Set(listProfessionals().flatMap(professionalBusyCalendarIds)));
+}
+
+/**
+ * Recebe { type: "moved" | "cancelled", calendarId, eventId, event, previousStartISO, startISO }
+ * para cada agendamento do bot (evento com telefone do paciente) alterado fora do bot.
+ */
+export function onExternalEventChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+async function emit(change) {
+  for (const fn of listeners) {
+    try {
+      await fn(change);
+    } catch (e) {
+      console.error("[calendar-watch] listener:", e?.message || e);
+    }
+  }
+}
+
+// Escritas do próprio bot também geram notificação: não são "fora do bot". A versão
+// do evento na sincronização é do bot se o carimbo `updated` for o que a escrita devolveu
+// (cancelamento: o evento segue cancelado).
+onCalendarChange(({ calendarId, op, eventId, updated }) => {
+  if (!calendarId || !eventId) return;
+  const now = Date.now();
+  for (const [k, w] of botWrites) if (now - w.at > BOT_WRITE_TTL_MS) botWrites.delete(k);
+  botWrites.set(`${calendarId}|${eventId}`, { op, updated, at: now });
+});
+
+function wroteByBot(calendarId, ev) {
+  const w = botWrites.get(`${calendarId}|${ev.id}`);
+  if (!w) return false;
+  if (ev.status === "cancelled") return w.op === "cancel";
+  return !!w.updated && w.updated === ev.updated;
+}
+
+const startOf = (ev) => ev.start?.dateTime || ev.start?.date || null;
+const sameInstant = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+/**
+ * Busca as mudanças da agenda desde o último syncToken (sem token: leitura completa,
+ * sem avisos). Token vencido (410): leitura completa de novo.
+ * Retorna { calendarId, changed, external: [...] }.
+ */
+export function syncCalendar(calendarId) {
+  // notificações chegam em rajada: uma sincronização por agenda de cada vez
+  const prev = running.get(calendarId) || Promise.resolve();
+  const p = prev.catch(() => {}).then(() => runSync(calendarId));
+  running.set(calendarId, p);
+  return p.finally(() => {
+    if (running.get(calendarId) === p) running.delete(calendarId);
+  });
+}
+
+async function runSync(calendarId) {
+  const cal = driver();
+  const state = syncs.get(calendarId) || { syncToken: null, known: new Map(), lastSyncAt: null };
+  const full = !state.syncToken;
+
+  let res;
+  try {
+    res = await cal.listChanges({ calendarId, syncToken: state.syncToken || undefined });
+  } catch (e) {
+    if (Number(e?.code) !== 410 || full) throw e;
+    console.warn(`[calendar-watch] syncToken vencido em ${calendarId}; leitura completa`);
+    state.syncToken = null;
+    syncs.set(calendarId, state);
+    invalidateBusyCache(calendarId);
+    return runSync(calendarId);
+  }
+
+  const items = res?.items || [];
+  const external = [];
+  for (const ev of items) {
+    const patient = extractPhonesFromEvent(ev).length > 0;
+    const before = state.known.get(ev.id);
+    const start = startOf(ev);
+
+    if (ev.status === "cancelled") {
+      state.known.delete(ev.id);
+      if (!full && before && !wroteByBot(calendarId, ev)) {
+        external.push({ type: "cancelled", calendarId, eventId: ev.id, event: ev, previousStartISO: before, startISO: null });
+      }
+      continue;
+    }
+    if (!patient || !start) continue;
+    state.known.set(ev.id, start);
+    if (!full && before && !sameInstant(before, start) && !wroteByBot(calendarId, ev)) {
+      external.push({ type: "moved", calendarId, eventId: ev.id, event: ev, previousStartISO: before, startISO: start });
+    }
+  }
+
+  state.syncToken = res?.nextSyncToken || null;
+  state.lastSyncAt = new Date().toISOString();
+  syncs.set(calendarId, state);
+  if (!full && items.length) invalidateBusyCache(calendarId);
+
+  for (const change of external) {
+    console.log(`[calendar-watch] ${change.type === "moved" ? "movido" : "cancelado"} fora do bot: ${calendarId}/${change.eventId}`);
+    await emit(change);
+  }
+  return { calendarId, changed: items.length, full, external };
+}
+
+/**
+ * Registra (ou troca) o canal de uma agenda e faz a leitura inicial, se ainda não houver.
+ */
+export async function watchCalendar(calendarId) {
+  const cfg = calendarWatchConfig();
+  if (!cfg.enabled) throw watchError("[calendar-watch] defina CALENDAR_WATCH_URL e CALENDAR_WATCH_TOKEN", "WATCH_DISABLED");
+  const cal = driver();
+
+  const ch = await cal.watchEvents({
+    calendarId,
+    channelId: crypto.randomUUID(),
+    address: cfg.address,
+    token: cfg.token,
+    ttlSeconds: cfg.ttlSeconds,
+  });
+  const old = channels.get(calendarId);
+  channels.set(calendarId, { ...ch, calendarId, createdAt: new Date().toISOString() });
+  console.log(`[calendar-watch] canal ${ch.id} em ${calendarId} até ${ch.expiration ? new Date(ch.expiration).toISOString() : "?"}`);
+
+  // o novo já está valendo: para o antigo
+  if (old) await stopQuietly(old);
+  if (!syncs.get(calendarId)?.syncToken) await syncCalendar(calendarId);
+  return channels.get(calendarId);
+}
+
+async function stopQuietly(ch) {
+  try {
+    await getCalendar().stopChannel({ channelId: ch.id, resourceId: ch.resourceId });
+  } catch (e) {
+    // canal já vencido/parado: 404
+    if (Number(e?.code) !== 404) console.warn(`[calendar-watch] não consegui parar o canal ${ch.id}:`, e?.message || e);
+  }
+}
+
+export async function stopCalendarWatch(calendarId) {
+  const ch = channels.get(calendarId);
+  if (!ch) return false;
+  channels.delete(calendarId);
+  await stopQuietly(ch);
+  return true;
+}
+
+/**
+ * Registra as agendas ainda sem canal e renova as que vencem em menos de
+ * CALENDAR_WATCH_RENEW_MINUTES (force: renova todas). Erros por agenda vão no retorno.
+ */
+export async function renewCalendarWatches({ calendarIds = watchedCalendarIds(), force = false } = {}) {
+  const { renewBeforeMs } = calendarWatchConfig();
+  const out = [];
+  for (const calendarId of calendarIds) {
+    const ch = channels.get(calendarId);
+    const due = force || !ch || !ch.expiration || ch.expiration - Date.now() < renewBeforeMs;
+    if (!due) {
+      out.push({ calendarId, renewed: false });
+      continue;
+    }
+    try {
+      await watchCalendar(calendarId);
+      out.push({ calendarId, renewed: true });
+    } catch (e) {
+      console.error(`[calendar-watch] ${calendarId}:`, e?.message || e);
+      out.push({ calendarId, renewed: false, error: e?.message || String(e) });
+    }
+  }
+  return out;
+}
+
+export function calendarWatchStatus() {
+  const { enabled, address } = calendarWatchConfig();
+  const ids = new Set([...watchedCalendarIds(), ...channels.keys()]);
+  return {
+    enabled,
+    address: address || null,
+    calendars: Array.from(ids).map((calendarId) => {
+      const ch = channels.get(calendarId);
+      const st = syncs.get(calendarId);
+      return {
+        calendarId,
+        channelId: ch?.id || null,
+        expiration: ch?.expiration ? new Date(ch.expiration).toISOString() : null,
+        synced: !!st?.syncToken,
+        lastSyncAt: st?.lastSyncAt || null,
+        knownEvents: st?.known.size || 0,
+      };
+    }),
+  };
+}
+
+// ".../calendars/<id>/events?alt=json" -> id
+function calendarFromUri(uri) {
+  const m = String(uri || "").match(/\/calendars\/([^/?]+)\/events/);
+  if (!m) return null;
+  try {
+    return decodeURIComponent(m[1]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Trata uma notificação (cabeçalhos X-Goog-* do POST, em minúsculas).
+ * Retorna { status, ... } — status HTTP a responder ao Google.
+ */
+export async function handleCalendarNotification(headers = {}) {
+  const cfg = calendarWatchConfig();
+  const h = (k) => String(headers[k] || "");
+  if (!cfg.token || !safeEqual(h("x-goog-channel-token"), cfg.token)) {
+    console.warn("[calendar-watch] notificação com token inválido, ignorada");
+    return { status: 401 };
+  }
+
+  const channelId = h("x-goog-channel-id");
+  const state = h("x-goog-resource-state");
+  const known = Array.from(channels.values()).find((c) => c.id === channelId);
+  const calendarId = known?.calendarId || calendarFromUri(h("x-goog-resource-uri"));
+  if (!calendarId) return { status: 400 };
+
+  // "sync" é só o aviso de que o canal foi criado
+  if (state === "sync") return { status: 200, calendarId, state };
+
+  // canal de outra instância/restart (mesmo token): sincroniza e para o canal velho
+  if (!known && channels.has(calendarId)) {
+    await stopQuietly({ id: channelId, resourceId: h("x-goog-resource-id") });
+  }
+
+  try {
+    const result = await syncCalendar(calendarId);
+    return { status: 200, calendarId, state, ...result };
+  } catch (e) {
+    console.error(`[calendar-watch] sincronização de ${calendarId}:`, e?.message || e);
+    invalidateBusyCache(calendarId); // sem saber o que mudou: ao menos não serve ocupados velhos
+    return { status: 200, calendarId, state, error: e?.message || String(e) };
+  }
+}
+
+// Rota express para POST /webhook/gcal: responde logo (o Google reenvia se demorar)
+// e sincroniza em seguida.
+export function calendarWatchRoute() {
+  return (req, res) => {
+    const cfg = calendarWatchConfig();
+    if (!cfg.token || !safeEqual(String(req.get("x-goog-channel-token") || ""), cfg.token)) {
+      return res.sendStatus(cfg.enabled ? 401 : 404);
+    }
+    res.sendStatus(200);
+    handleCalendarNotification(req.headers).catch((e) => console.error("[calendar-watch] notificação:", e?.message || e));
+  };
+}
@@ -0,0 +1,232 @@
+// cancellation.esm.js
+// Serviço único de cancelamento: o fluxo da conversa (server.js), o servidor de
+// cancelamento (server.cancel.js), google.cancel.esm.js e a remarcação entre agendas
+// (booking.esm.js) passam por aqui.
+//
+// - Cancelamento "suave": o evento continua na agenda com status "cancelled" e, em
+//   extendedProperties.private, cancel_reason, cancelled_at e cancelled_by (origem),
+//   gravados na mesma escrita.
+// - Cada cancelamento gera uma entrada de auditoria: linha [cancel-audit] no log e as últimas
+//   CANCEL_AUDIT_MAX (padrão 200) na memória do processo (GET /admin/cancellations).
+// - Aviso aos convidados: CANCEL_SEND_UPDATES = all (padrão) | externalOnly | none.
+// - Frase de cancelamento da IA (cancelFromMessage): resolvida no próprio processo; só vai
+//   por HTTP ao server.cancel.js quando CANCEL_SERVER_URL está definido.
+// - onAppointmentCancelled: avisa quem precisa do horário liberado (lista de espera).
+import { getEvent, listEvents, cancelEvent, defaultCalendarId } from "./calendar.esm.js";
+import { matchProfessional, professionalCalendarIds } from "./professionals.js";
+import { hasIdentity, matchPatientEvents, extractPhonesFromEvent } from "./patient_identity.js";
+import { parseBRDateTime } from "./gcal.esm.js";
+import { signBody } from "./webhook_auth.js";
+import { mask } from "./redact.js";
+
+const SEND_UPDATES = ["all", "externalOnly", "none"];
+// chaves de extendedProperties.private gravadas no cancelamento (apagadas quando o evento volta a valer)
+export const CANCEL_PROPS = Object.freeze(["cancel_reason", "cancelled_at", "cancelled_by"]);
+const audit = []; // entradas mais antigas primeiro
+const cancelledListeners = new Set();
+
+/**
+ * Chamado depois de cada cancelamento com
+ * { calendarId, eventId, startISO, endISO, professionalId, source, event }.
+ * Erro de um ouvinte não desfaz o cancelamento. Retorna a função que remove o ouvinte.
+ */
+export function onAppointmentCancelled(fn) {
+  cancelledListeners.add(fn);
+  return () => cancelledListeners.delete(fn);
+}
+
+function sendUpdatesPolicy() {
+  const v = String(process.env.CANCEL_SEND_UPDATES || "all").trim();
+  return SEND_UPDATES.includes(v) ? v : "all";
+}
+
+function auditMax() {
+  const n = Number(process.env.CANCEL_AUDIT_MAX || 200);
+  return Number.isFinite(n) && n > 0 ? n : 200;
+}
+
+function record(entry) {
+  audit.push(entry);
+  if (audit.length > auditMax()) audit.splice(0, audit.length - auditMax());
+  console.log(`[cancel-audit] ${JSON.stringify({ ...entry, phone: mask(entry.phone) })}`);
+}
+
+/**
+ * Últimos cancelamentos (mais recente primeiro), com o telefone mascarado.
+ */
+export function cancellationAudit({ limit = 50 } = {}) {
+  return audit.slice(-limit).reverse().map((e) => ({ ...e, phone: mask(e.phone) }));
+}
+
+/**
+ * Cancela a consulta `eventId`.
+ * `reason`: texto livre; `source`: quem pediu ("whatsapp", "cancel-server", "reschedule"...).
+ * `sendUpdates` sobrepõe CANCEL_SEND_UPDATES só nesta chamada.
+ * Retorna { cancelled, alreadyCancelled?, event }. Evento inexistente: erro code 404.
+ */
+export async function cancelAppointment({ calendarId, eventId, reason = "", source = "", sendUpdates } = {}) {
+  const calId = calendarId || defaultCalendarId();
+  const ev = await getEvent({ calendarId: calId, eventId });
+  if (!ev) {
+    const e = new Error(`[cancel] evento ${eventId} não encontrado`);
+    e.code = 404;
+    throw e;
+  }
+  if (ev.status === "cancelled") return { cancelled: false, alreadyCancelled: true, event: ev };
+
+  const at = new Date().toISOString();
+  const notify = SEND_UPDATES.includes(sendUpdates) ? sendUpdates : sendUpdatesPolicy();
+  const event = await cancelEvent({
+    calendarId: calId,
+    eventId,
+    sendUpdates: notify,
+    props: { cancel_reason: String(reason), cancelled_at: at, cancelled_by: String(source) },
+  });
+  record({
+    at,
+    source,
+    reason,
+    calendarId: calId,
+    eventId,
+    startISO: ev.start?.dateTime || ev.start?.date || null,
+    phone: extractPhonesFromEvent(ev)[0] || "",
+    sendUpdates: notify,
+  });
+  const info = {
+    calendarId: calId,
+    eventId,
+    startISO: ev.start?.dateTime || ev.start?.date || null,
+    endISO: ev.end?.dateTime || ev.end?.date || null,
+    professionalId: ev.extendedProperties?.private?.professional_id || null,
+    source,
+    event,
+  };
+  for (const fn of cancelledListeners) {
+    try {
+      await fn(info);
+    } catch (err) {
+      console.error("[cancel] ouvinte falhou:", err?.message || err);
+    }
+  }
+  return { cancelled: true, event };
+}
+
+// Resumo do evento para a resposta (candidatos / evento cancelado)
+function candidateOf(ev) {
+  return {
+    eventId: ev.id,
+    calendarId: ev.calendarId,
+    summary: ev.summary || "",
+    startISO: ev.start?.dateTime || ev.start?.date || null,
+    endISO: ev.end?.dateTime || ev.end?.date || null,
+  };
+}
+
+/**
+ * Cancela a consulta do paciente no horário citado na mensagem (janela de ±30 min).
+ * Com vários profissionais (professionals.js), usa a agenda de quem foi citado na frase
+ * ou procura em todas. `phone` e/ou `name` são obrigatórios: cada um informado tem que
+ * bater com o evento (patient_identity.js).
+ * - nenhum evento do paciente: { ok: false, candidates: [] }
+ * - mais de um: { ok: false, ambiguous: true, candidates } — nada é cancelado
+ * - `dryRun`: { ok: true, cancelled: false, dryRun: true, candidates } sem cancelar
+ */
+export async function cancelEventFromMessage(message, { phone, name, dryRun = false, source = "cancel-server" } = {}) {
+  const parsed = parseBRDateTime(message);
+  if (!parsed) return { ok: false, cancelled: false, error: "Não consegui entender a data/horário na mensagem." };
+  if (!hasIdentity({ phone, name })) {
+    return { ok: false, cancelled: false, error: "Informe o telefone e/ou o nome do paciente." };
+  }
+
+  try {
+    const center = new Date(parsed.startISO);
+    const timeMin = new Date(center.getTime() - 30 * 60000).toISOString();
+    const timeMax = new Date(center.getTime() + 30 * 60000).toISOString();
+    const timeWindow = { timeMin, timeMax };
+
+    // "Pronto! Sua consulta com o Dr. Paulo ..." -> só a agenda dele
+    const pro = matchProfessional(message);
+    const calendarIds = pro ? [pro.calendarId] : professionalCalendarIds();
+
+    const events = [];
+    for (const id of calendarIds) {
+      for (const ev of await listEvents({ calendarId: id, timeMin, timeMax })) events.push({ ...ev, calendarId: id });
+    }
+    const { match, candidates } = matchPatientEvents(events, { phone, name });
+    const listed = candidates.map(candidateOf);
+
+    if (!candidates.length) {
+      return { ok: false, cancelled: false, error: "Nenhum evento deste paciente encontrado para cancelar.", candidates: [], timeWindow };
+    }
+    if (!match) {
+      return {
+        ok: false,
+        cancelled: false,
+        ambiguous: true,
+        error: "Mais de um evento deste paciente no horário; nada foi cancelado.",
+        candidates: listed,
+        timeWindow,
+      };
+    }
+    if (dryRun) {
+      return { ok: true, cancelled: false, dryRun: true, candidates: listed, timeWindow };
+    }
+
+    await cancelAppointment({
+      calendarId: match.calendarId,
+      eventId: match.id,
+      reason: "frase de cancelamento",
+      source,
+    });
+    return {
+      ok: true,
+      cancelled: true,
+      cancelledEventSummary: match.summary,
+      cancelledEventId: match.id,
+      calendarId: match.calendarId,
+      candidates: listed,
+      timeWindow,
+    };
+  } catch (err) {
+    return { ok: false, cancelled: false, error: String(err?.message || err) };
+  }
+}
+
+/**
+ * Frase de cancelamento da IA: cancela no próprio processo ou, com CANCEL_SERVER_URL,
+ * encaminha ao server.cancel.js (corpo assinado com CANCEL_WEBHOOK_SECRET).
+ * Retorna o mesmo resultado de cancelEventFromMessage (+ `remote: true` quando encaminhado).
+ * Encaminhado: resposta fora de 2xx, sem resposta em CANCEL_SERVER_TIMEOUT_MS (padrão 10 s)
+ * ou erro de rede -> ok: false (com o corpo da resposta, quando houver).
+ */
+export async function cancelFromMessage({ text, phone, name, dryRun = false }) {
+  const base = String(process.env.CANCEL_SERVER_URL || "").trim();
+  if (!base) return cancelEventFromMessage(text, { phone, name, dryRun, source: "whatsapp" });
+
+  const endpoint = `${base.replace(/\/+$/, "")}/cancel-from-message`;
+  const body = JSON.stringify({ text, phone, name, dryRun });
+  const secret = process.env.CANCEL_WEBHOOK_SECRET;
+  const timeoutMs = Number(process.env.CANCEL_SERVER_TIMEOUT_MS) || 10000;
+  let r;
+  try {
+    r = await fetch(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        // o servidor de cancelamento só aceita corpo assinado
+        ...(secret ? { "X-Signature-256": signBody(body, secret) } : {}),
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    const error = err?.name === "TimeoutError" ? `sem resposta em ${timeoutMs} ms` : String(err?.message || err);
+    return { ok: false, cancelled: false, error, remote: true, endpoint };
+  }
+  const result = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    // 409 (ambíguo) traz os candidatos; 401/5xx só o status
+    return { ...result, ok: false, cancelled: false, error: result.error || `HTTP ${r.status}`, status: r.status, remote: true, endpoint };
+  }
+  return { ...result, remote: true, endpoint };
+}
@@ -0,0 +1,112 @@
+// src/conversation_state.js
+// Máquina de estados da conversa (agendar / cancelar / remarcar).
+// Substitui as flags soltas (mode, after, phase, cancelCtx.awaitingConfirm,
+// pendingRescheduleISO...) por UM estado nomeado em conv.state, com transições
+// declaradas. `conv.mode` continua existindo, mas é derivado do estado
+// ("cancel" nos estados de cancelamento/remarcação) para o código legado.
+import { mask } from "./redact.js";
+
+export const STATES = Object.freeze({
+  IDLE: "idle",                                   // nada em andamento
+  CHOOSING_SLOT: "choosing_slot",                 // lista de horários enviada, aguardando "opção N"
+  COLLECTING_DATA: "collecting_data",             // horário escolhido, coletando nome/idade/motivo/modalidade
+  AWAITING_CONFIRMATION: "awaiting_confirmation", // Cristina perguntou "posso agendar…?"
+  BOOKED: "booked",                               // evento criado / consulta confirmada
+  CANCEL_LOOKUP: "cancel_lookup",                 // localizando o agendamento a cancelar
+  CANCEL_CONFIRM: "cancel_confirm",               // aguardando "sim/não" do cancelamento
+  RESCHEDULE: "reschedule",                       // localizando o agendamento a remarcar
+});
+
+const S = STATES;
+
+// Para cada estado, os destinos permitidos. IDLE é sempre permitido (desistência/reset).
+// Os botões do lembrete valem a qualquer momento: CANCELAR leva a CANCEL_CONFIRM mesmo no
+// meio de um agendamento e CONFIRMAR leva a BOOKED mesmo no meio de um cancelamento.
+const TRANSITIONS = {
+  [S.IDLE]:                  [S.CHOOSING_SLOT, S.COLLECTING_DATA, S.AWAITING_CONFIRMATION, S.BOOKED, S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE],
+  [S.CHOOSING_SLOT]:         [S.CHOOSING_SLOT, S.COLLECTING_DATA, S.AWAITING_CONFIRMATION, S.BOOKED, S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE],
+  [S.COLLECTING_DATA]:       [S.COLLECTING_DATA, S.CHOOSING_SLOT, S.AWAITING_CONFIRMATION, S.BOOKED, S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE],
+  [S.AWAITING_CONFIRMATION]: [S.AWAITING_CONFIRMATION, S.BOOKED, S.CHOOSING_SLOT, S.COLLECTING_DATA, S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE],
+  [S.BOOKED]:                [S.BOOKED, S.CHOOSING_SLOT, S.COLLECTING_DATA, S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE],
+  [S.CANCEL_LOOKUP]:         [S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE, S.BOOKED],
+  [S.CANCEL_CONFIRM]:        [S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.CHOOSING_SLOT, S.RESCHEDULE, S.BOOKED],
+  [S.RESCHEDULE]:            [S.RESCHEDULE, S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.CHOOSING_SLOT, S.BOOKED],
+};
+
+// Texto curto para a IA saber em que etapa o paciente está
+const DESCRIPTIONS = {
+  [S.IDLE]: "sem fluxo em andamento.",
+  [S.CHOOSING_SLOT]: "o paciente recebeu uma lista de horários e deve escolher uma opção.",
+  [S.COLLECTING_DATA]: "horário escolhido; colete NOME COMPLETO, TELEFONE, IDADE, MODALIDADE e MOTIVO.",
+  [S.AWAITING_CONFIRMATION]: "dados coletados; aguardando o paciente confirmar o agendamento.",
+  [S.BOOKED]: "a consulta já está agendada no sistema.",
+  [S.CANCEL_LOOKUP]: "localizando o agendamento que o paciente quer cancelar.",
+  [S.CANCEL_CONFIRM]: "aguardando 'sim' ou 'não' para o cancelamento.",
+  [S.RESCHEDULE]: "localizando o agendamento que o paciente quer remarcar.",
+};
+
+const CANCEL_STATES = new Set([S.CANCEL_LOOKUP, S.CANCEL_CONFIRM, S.RESCHEDULE]);
+const BOOKING_STATES = new Set([S.CHOOSING_SLOT, S.COLLECTING_DATA, S.AWAITING_CONFIRMATION]);
+const HISTORY_MAX = 20;
+
+export function getState(conv) {
+  return conv?.state || S.IDLE;
+}
+
+export function isCancelFlow(conv) {
+  return CANCEL_STATES.has(getState(conv));
+}
+
+// Agendamento em andamento: "sim"/"não" respondem à pergunta do fluxo
+export function isBookingFlow(conv) {
+  return BOOKING_STATES.has(getState(conv));
+}
+
+export function canTransition(from, to) {
+  if (to === S.IDLE) return true;
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function describeState(conv) {
+  const st = getState(conv);
+  return `${st} — ${DESCRIPTIONS[st] || ""}`.trim();
+}
+
+/**
+ * Move a conversa para `to`. Transições não declaradas são recusadas (retorna false)
+ * e registradas no log, sem derrubar o atendimento.
+ * Ao entrar em um estado, limpa as flags do fluxo que ficou para trás.
+ */
+export function transition(conv, to, { phone = "", reason = "" } = {}) {
+  if (!conv) return false;
+  if (!Object.values(S).includes(to)) throw new Error(`Estado desconhecido: ${to}`);
+
+  const from = getState(conv);
+  if (!canTransition(from, to)) {
+    console.warn(`[state] ${mask(phone)} transição inválida ${from} -> ${to} (${reason || "sem motivo"})`);
+    return false;
+  }
+
+  // flags do fluxo anterior não vazam para o próximo
+  if (!CANCEL_STATES.has(to) || !CANCEL_STATES.has(from)) conv.cancelCtx = null;
+  delete conv.after; // flag antiga (conversas gravadas antes do estado RESCHEDULE)
+  if (to === S.IDLE || to === S.BOOKED || CANCEL_STATES.has(to)) {
+    conv.pendingRescheduleISO = null;
+    conv.waitlistOfferISO = null; // oferta aceita da lista de espera (ver server.js)
+  }
+  // remarcação em andamento (conv.reschedule: consulta que será movida) acaba ao desistir,
+  // ao trocar para cancelamento ou ao começar outra remarcação
+  if (to === S.IDLE || to === S.CANCEL_LOOKUP || to === S.CANCEL_CONFIRM || (to === S.RESCHEDULE && from !== S.RESCHEDULE)) {
+    conv.reschedule = null;
+  }
+  if (to !== S.BOOKED) conv.templateCtx = null;
+
+  conv.state = to;
+  conv.mode = CANCEL_STATES.has(to) ? "cancel" : null; // compat com o código legado
+  conv.stateSince = Date.now();
+  conv.stateHistory = [...(conv.stateHistory || []), { from, to, reason, at: conv.stateSince }].slice(-HISTORY_MAX);
+  conv.updatedAt = Date.now();
+
+  if (from !== to) console.log(`[state] ${mask(phone)} ${from} -> ${to}${reason ? ` (${reason})` : ""}`);
+  return true;
+}
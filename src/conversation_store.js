@@ -0,0 +1,236 @@
+// src/conversation_store.js
+// Memória de conversas por telefone com drivers plugáveis:
+//  - "memory"   (padrão sem banco): só o Map em memória, como sempre foi
+//  - "postgres" : o mesmo Map funciona como cache, e cada conversa é gravada
+//                 em uma tabela (sobrevive a redeploys do Railway)
+//
+// A API continua SÍNCRONA (get/ensure/append/reset), porque o handleInbound
+// altera o objeto da conversa diretamente (conv.state = ..., conv.cancelCtx = ...).
+// get() é só leitura; ensure()/append()/set()/touch() marcam a conversa para gravação.
+// Para o driver postgres:
+//  - load(phone)  -> traz a conversa do banco para o cache (chamar antes de usar)
+//  - flush()      -> grava tudo que foi tocado desde o último flush
+import { getPool } from "./db.js";
+
+// ===== Drivers =====
+
+function createMemoryDriver() {
+  return {
+    name: "memory",
+    async init() {},
+    async read() { return null; },       // o cache já é a fonte da verdade
+    async write() {},
+    async remove() {},
+    async purgeOlderThan() {},
+    async list() { return []; },
+  };
+}
+
+function createPostgresDriver(pool) {
+  const TABLE = process.env.CONVERSATION_TABLE || "conversations";
+  return {
+    name: "postgres",
+    async init() {
+      await pool.query(
+        `CREATE TABLE IF NOT EXISTS ${TABLE} (
+           phone TEXT PRIMARY KEY,
+           data JSONB NOT NULL,
+           updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+         )`
+      );
+    },
+    async read(phone) {
+      const { rows } = await pool.query(`SELECT data FROM ${TABLE} WHERE phone = $1`, [phone]);
+      return rows[0]?.data || null;
+    },
+    async write(phone, conv) {
+      await pool.query(
+        `INSERT INTO ${TABLE} (phone, data, updated_at)
+         VALUES ($1, $2, to_timestamp($3 / 1000.0))
+         ON CONFLICT (phone) DO UPDATE SET data = EXCLUDED.data, updated_at = EXCLUDED.updated_at`,
+        [phone, JSON.stringify(conv), conv.updatedAt || Date.now()]
+      );
+    },
+    async remove(phone) {
+      await pool.query(`DELETE FROM ${TABLE} WHERE phone = $1`, [phone]);
+    },
+    async purgeOlderThan(cutoffMs) {
+      await pool.query(`DELETE FROM ${TABLE} WHERE updated_at < to_timestamp($1 / 1000.0)`, [cutoffMs]);
+    },
+    async list({ sinceMs, limit }) {
+      const { rows } = await pool.query(
+        `SELECT phone, data FROM ${TABLE} WHERE updated_at >= to_timestamp($1 / 1000.0)
+         ORDER BY updated_at DESC LIMIT $2`,
+        [sinceMs, limit]
+      );
+      return rows;
+    },
+  };
+}
+
+function pickDriver(name) {
+  const wanted = String(name || "").toLowerCase();
+  if (wanted === "postgres" || wanted === "pg") {
+    const pool = getPool();
+    if (!pool) {
+      console.warn("[conversation-store] CONVERSATION_STORE=postgres sem DATABASE_URL; usando memória.");
+      return createMemoryDriver();
+    }
+    return createPostgresDriver(pool);
+  }
+  return createMemoryDriver();
+}
+
+// ===== Store =====
+
+export function createConversationStore({
+  driver = process.env.CONVERSATION_STORE || (process.env.DATABASE_URL ? "postgres" : "memory"),
+  ttlHours = Number(process.env.MEMORY_TTL_HOURS || 48),
+  maxMessages = Number(process.env.MEMORY_MAX_MESSAGES || 20),
+} = {}) {
+  const backend = typeof driver === "string" ? pickDriver(driver) : driver;
+  const cache = new Map();   // phone -> conversa
+  const dirty = new Set();   // telefones alterados desde o último flush
+  const removed = new Set(); // telefones resetados desde o último flush
+  let ready = null;
+
+  const ttlMs = () => ttlHours * 60 * 60 * 1000;
+  const isExpired = (c) => !c || (Date.now() - (c.updatedAt || 0)) > ttlMs();
+
+  function init() {
+    if (!ready) {
+      ready = backend.init().catch((e) => {
+        console.error(`[conversation-store] falha ao iniciar driver ${backend.name}:`, e?.message || e);
+      });
+    }
+    return ready;
+  }
+
+  function get(phone) {
+    const c = cache.get(phone);
+    if (!c) return null;
+    if (isExpired(c)) {
+      cache.delete(phone);
+      removed.add(phone);
+      dirty.delete(phone);
+      return null;
+    }
+    return c;
+  }
+
+  // Marca a conversa para gravação no próximo flush (alterada direto no objeto)
+  function touch(phone) {
+    if (phone && cache.has(phone)) dirty.add(phone);
+  }
+
+  // Conversa para alterar: cria se não existir e marca para gravação
+  function ensure(phone) {
+    const existing = get(phone);
+    if (existing) {
+      dirty.add(phone);
+      return existing;
+    }
+    const c = { updatedAt: Date.now(), messages: [] };
+    cache.set(phone, c);
+    removed.delete(phone);
+    dirty.add(phone);
+    return c;
+  }
+
+  function append(phone, role, content) {
+    const conv = ensure(phone);
+    conv.messages.push({ role, content: String(content || "").slice(0, 4000) });
+    if (role === "user") conv.lastUserAt = Date.now();
+    if (conv.messages.length > maxMessages) {
+      conv.messages = conv.messages.slice(conv.messages.length - maxMessages);
+    }
+    conv.updatedAt = Date.now();
+  }
+
+  function set(phone, patch = {}) {
+    const conv = ensure(phone);
+    Object.assign(conv, patch, { updatedAt: Date.now() });
+    return conv;
+  }
+
+  function reset(phone) {
+    cache.delete(phone);
+    dirty.delete(phone);
+    removed.add(phone);
+  }
+
+  // Traz a conversa do banco (se ainda não estiver no cache)
+  async function load(phone) {
+    if (!phone || cache.has(phone)) return get(phone);
+    await init();
+    try {
+      const data = await backend.read(phone);
+      if (data && !isExpired(data) && !cache.has(phone)) {
+        if (!Array.isArray(data.messages)) data.messages = [];
+        cache.set(phone, data);
+      }
+    } catch (e) {
+      console.error("[conversation-store] load falhou:", e?.message || e);
+    }
+    return get(phone);
+  }
+
+  async function flush() {
+    if (!dirty.size && !removed.size) return;
+    await init();
+    const toWrite = Array.from(dirty);
+    const toRemove = Array.from(removed);
+    dirty.clear();
+    removed.clear();
+
+    for (const phone of toRemove) {
+      try { await backend.remove(phone); }
+      catch (e) { removed.add(phone); console.error("[conversation-store] remove falhou:", e?.message || e); }
+    }
+    for (const phone of toWrite) {
+      const c = cache.get(phone);
+      if (!c) continue;
+      try { await backend.write(phone, c); }
+      catch (e) { dirty.add(phone); console.error("[conversation-store] write falhou:", e?.message || e); }
+    }
+  }
+
+  // Telefones com conversa ativa no cache (sem marcar nada como alterado)
+  function keys() {
+    return Array.from(cache.entries()).filter(([, c]) => !isExpired(c)).map(([k]) => k);
+  }
+
+  // Conversas ativas (cache + banco), mais recentes primeiro: [{ phone, conv }].
+  // Só leitura: não carrega no cache nem marca para gravação.
+  async function list({ limit = 100 } = {}) {
+    const out = new Map();
+    for (const phone of keys()) out.set(phone, cache.get(phone));
+    await init();
+    try {
+      const rows = backend.list ? await backend.list({ sinceMs: Date.now() - ttlMs(), limit }) : [];
+      for (const { phone, data } of rows) {
+        if (!out.has(phone) && !removed.has(phone) && data && !isExpired(data)) out.set(phone, data);
+      }
+    } catch (e) {
+      console.error("[conversation-store] list falhou:", e?.message || e);
+    }
+    return Array.from(out, ([phone, conv]) => ({ phone, conv }))
+      .sort((a, b) => (b.conv.updatedAt || 0) - (a.conv.updatedAt || 0))
+      .slice(0, limit);
+  }
+
+  // Expira conversas antigas (cache e banco)
+  async function sweep() {
+    const cutoff = Date.now() - ttlMs();
+    for (const [k, v] of cache.entries()) {
+      if ((v.updatedAt || 0) < cutoff) { cache.delete(k); dirty.delete(k); }
+    }
+    try { await init(); await backend.purgeOlderThan(cutoff); }
+    catch (e) { console.error("[conversation-store] sweep falhou:", e?.message || e); }
+  }
+
+  return {
+    driver: backend.name,
+    init, get, ensure, set, touch, append, reset, load, flush, sweep, keys, list,
+  };
+}
@@ -1,18 +1,15 @@
 // src/daily_sender_gc.js
-// Worker: lê do Google Calendar e envia lembretes via Z-API (sem banco)
+// Worker: lê da agenda (calendar.esm.js: Google, CalDAV ou .ics) e envia lembretes pelo provedor de mensagens (sem banco)
 
-import axios from "axios";
 import cron from "node-cron";
-import dayjs from "dayjs";
-import utc from "dayjs/plugin/utc.js";
-import timezone from "dayjs/plugin/timezone.js";
-import { google } from "googleapis";
-
-dayjs.extend(utc);
-dayjs.extend(timezone);
+import { listEvents, patchEvent, getCalendar } from "./calendar.esm.js";
+import { professionalCalendarIds } from "./professionals.js";
+import { phoneKey } from "./phone.js";
+import { getProvider } from "./messaging.js";
+import { clinicZone, startOfLocalDay, formatLocal, inZone } from "./tz.esm.js";
 
 // ====== CONFIG ======
-const TZ = process.env.TZ || "America/Sao_Paulo";
+const TZ = clinicZone();
 
 const REMINDER_DAYS_BEFORE = parseInt(process.env.REMINDER_DAYS_BEFORE || "1", 10);
 const REMINDER_HOUR = parseInt(process.env.REMINDER_HOUR || "9", 10);
@@ -23,42 +20,19 @@ const REMINDER_MESSAGE =
   'Olá {{nome}}, lembrando da sua consulta {{modalidade}} no dia {{data}} às {{hora}}. ' +
   'Se estiver tudo certo, responda "Confirmo". Se precisar remarcar, digite "Remarcar".';
 
-const CALENDAR_ID = process.env.GOOGLE_CALENDAR_ID || "primary";
+// Agendas lidas: a de cada profissional (professionals.js; sem cadastro, só a padrão)
 // Marcar no evento que já enviou (idempotência simples)
 const CALENDAR_MARK_SENT = (process.env.GOOGLE_CALENDAR_MARK_SENT || "1") === "1";
 
-// Z-API
-const ZAPI_BASE_URL = process.env.ZAPI_BASE_URL || "https://api.z-api.io";
-const ZAPI_INSTANCE_ID = process.env.ZAPI_INSTANCE_ID || process.env.ZAPI_INSTANCE;
-// Token da instância (NÃO fazer fallback para o token da conta)
-const ZAPI_TOKEN = process.env.ZAPI_TOKEN;
-// Token da CONTA (vai no header client-token)
-const ZAPI_ACCOUNT_TOKEN = process.env.ZAPI_ACCOUNT_TOKEN;
+// Provedor do worker: REMINDER_PROVIDER (padrão Z-API, como sempre foi)
+const provider = getProvider(process.env.REMINDER_PROVIDER || "zapi");
 
 // Checagem explícita (evita rodar sem credenciais)
-function mask(s) { return s ? s.slice(0,4) + '…' + s.slice(-4) : '(vazio)'; }
-for (const [k, v] of Object.entries({
-  ZAPI_BASE_URL, ZAPI_INSTANCE_ID, ZAPI_TOKEN, ZAPI_ACCOUNT_TOKEN
-})) {
-  if (!v || !String(v).trim()) {
-    console.error(`[FATAL][Worker] Env ${k} ausente/vazia`); process.exit(1);
-  }
+const missingEnv = provider.checkConfig();
+if (missingEnv.length) {
+  console.error(`[FATAL][Worker] Env ${missingEnv.join(", ")} ausente/vazia (${provider.name})`); process.exit(1);
 }
-console.log('[OK][Worker] Z-API envs:',
-  `instance=${ZAPI_INSTANCE_ID}`,
-  `tokenI=${mask(ZAPI_TOKEN)}`,
-  `tokenC=${mask(ZAPI_ACCOUNT_TOKEN)}`
-);
-
-// Cliente Axios ÚNICO da Z-API (sempre manda client-token)
-const zapi = axios.create({
-  baseURL: `${ZAPI_BASE_URL}/instances/${ZAPI_INSTANCE_ID}/token/${ZAPI_TOKEN}`,
-  headers: {
-    'client-token': ZAPI_ACCOUNT_TOKEN,
-    'Content-Type': 'application/json',
-  },
-  timeout: 15000,
-});
+console.log('[OK][Worker] provedor de mensagens:', provider.name);
 
 // Ritmo humano / logs
 const HUMAN_DELAY_MIN_MS = parseInt(process.env.HUMAN_DELAY_MIN_MS || "2000", 10);
@@ -66,53 +40,37 @@ const HUMAN_DELAY_MAX_MS = parseInt(process.env.HUMAN_DELAY_MAX_MS || "6000", 10
 const REMINDER_BATCH_LIMIT = parseInt(process.env.REMINDER_BATCH_LIMIT || "300", 10);
 const ENABLE_LOGS = (process.env.REMINDER_VERBOSE_LOGS || "true").toLowerCase() === "true";
 
-// ====== GOOGLE AUTH (OAuth com refresh token) ======
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET
-);
-oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_REFRESH_TOKEN });
-const calendar = google.calendar({ version: "v3", auth: oauth2Client });
-
 // ====== HELPERS ======
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 const rand = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
 const humanDelay = () => rand(HUMAN_DELAY_MIN_MS, HUMAN_DELAY_MAX_MS);
 
 function targetDayBoundsTZ(daysBefore) {
-  const startLocal = dayjs().tz(TZ).add(daysBefore, "day").startOf("day");
-  const endLocal = startLocal.endOf("day");
+  const startLocal = startOfLocalDay(new Date(), daysBefore);
+  const endLocal = startOfLocalDay(new Date(), daysBefore + 1);
   return {
-    startISO: startLocal.toDate().toISOString(),
-    endISO: endLocal.toDate().toISOString(),
-    prettyDate: startLocal.format("DD/MM/YYYY"),
+    startISO: startLocal.toUTC().toISO(),
+    endISO: endLocal.toUTC().toISO(),
+    prettyDate: startLocal.toFormat("dd/MM/yyyy"),
   };
 }
 
-function normalizePhoneToBR(phoneRaw) {
-  if (!phoneRaw) return null;
-  const digits = phoneRaw.replace(/\D+/g, "");
-  if (digits.startsWith("55")) return digits;
-  if (digits.length >= 10 && digits.length <= 11) return "55" + digits;
-  return null;
-}
-
-// tenta extrair telefone do evento
+// tenta extrair telefone do evento -> chave canônica (+55...) ou null
 function extractPhone(ev) {
   const priv = ev.extendedProperties?.private || {};
-  if (priv.patientPhone) {
-    const p = normalizePhoneToBR(String(priv.patientPhone));
-    if (p) return p;
-  }
+  const fromPriv = phoneKey(priv.patient_phone || priv.patientPhone);
+  if (fromPriv) return fromPriv;
+
   const desc = ev.description || "";
+  const tag = desc.match(/#patient_phone:\+?([0-9]+)/i);
+  if (tag && phoneKey(tag[1])) return phoneKey(tag[1]);
+
   const m1 = desc.match(/\b(?:\+?55)?\D?(\d{2})\D?\d{4,5}\D?\d{4}\b/);
-  if (m1) {
-    const p = normalizePhoneToBR(m1[0]);
-    if (p) return p;
-  }
+  if (m1 && phoneKey(m1[0])) return phoneKey(m1[0]);
+
   if (Array.isArray(ev.attendees)) {
     for (const at of ev.attendees) {
-      const p = normalizePhoneToBR(at?.comment || at?.displayName || at?.email || "");
+      const p = phoneKey(at?.comment || at?.displayName || "");
       if (p) return p;
     }
   }
@@ -137,10 +95,8 @@ function fillTemplate(tpl, vars) {
     .replace(/{{\s*modalidade\s*}}/gi, vars.modalidade || "")
     .replace(/{{\s*local\s*}}/gi, vars.local || "");
 }
-async function sendViaZapiText(phoneE164, message) {
-  const payload = { phone: phoneE164, message };
-  const { data } = await zapi.post('/send-text', payload);
-  return data;
+async function sendReminderText(phoneE164, message) {
+  return provider.sendText({ to: phoneE164, text: message });
 }
 
 function alreadyMarkedSent(ev, templateKey) {
@@ -148,20 +104,15 @@ function alreadyMarkedSent(ev, templateKey) {
   return priv?.[templateKey] === "1";
 }
 
-async function markSentOnEvent(ev, templateKey) {
+async function markSentOnEvent(ev, calendarId, templateKey) {
   if (!CALENDAR_MARK_SENT) return;
   try {
     const priv = { ...(ev.extendedProperties?.private || {}) };
     priv[templateKey] = "1";
-    await calendar.events.patch({
-      calendarId: CALENDAR_ID,
+    await patchEvent({
+      calendarId,
       eventId: ev.id,
-      requestBody: {
-        extendedProperties: {
-          ...ev.extendedProperties,
-          private: priv,
-        },
-      },
+      patch: { extendedProperties: { private: priv } },
     });
   } catch (e) {
     if (ENABLE_LOGS) console.warn("[WARN] Falha ao marcar reminder_sent:", e?.message || e);
@@ -171,24 +122,24 @@ async function markSentOnEvent(ev, templateKey) {
 // ====== CORE ======
 async function fetchEventsForTargetDay() {
   const { startISO, endISO } = targetDayBoundsTZ(REMINDER_DAYS_BEFORE);
-  const res = await calendar.events.list({
-    calendarId: CALENDAR_ID,
-    timeMin: startISO,
-    timeMax: endISO,
-    singleEvents: true,
-    orderBy: "startTime",
-    showDeleted: false,
-  });
-  return res.data.items || [];
+  const out = [];
+  for (const calendarId of professionalCalendarIds()) {
+    const items = await listEvents({ calendarId, timeMin: startISO, timeMax: endISO });
+    for (const ev of items) out.push({ ev, calendarId });
+  }
+  return out;
 }
 
 async function runDailyReminder() {
-  if (!ZAPI_INSTANCE_ID || !ZAPI_TOKEN || !ZAPI_ACCOUNT_TOKEN) {
-    console.error("[ERRO] Faltam credenciais da Z-API (INSTANCE_ID, TOKEN da instância ou ACCOUNT_TOKEN).");
+  const missing = provider.checkConfig();
+  if (missing.length) {
+    console.error(`[ERRO] Faltam credenciais do provedor ${provider.name}: ${missing.join(", ")}.`);
     return;
   }
-  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET || !process.env.GOOGLE_REFRESH_TOKEN) {
-    console.error("[ERRO] Faltam GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET / GOOGLE_REFRESH_TOKEN.");
+  const calendar = getCalendar();
+  const missingCal = calendar.checkConfig();
+  if (missingCal.length) {
+    console.error(`[ERRO] Faltam credenciais da agenda (${calendar.name}): ${missingCal.join(", ")}.`);
     return;
   }
 
@@ -196,13 +147,13 @@ async function runDailyReminder() {
   const events = await fetchEventsForTargetDay();
 
   if (ENABLE_LOGS) {
-    const when = dayjs().tz(TZ).format("DD/MM/YYYY HH:mm");
+    const when = formatLocal(new Date(), "dd/MM/yyyy HH:mm");
     console.log(`[INFO] ${when} — ${events.length} eventos no alvo (${templateKey}).`);
   }
 
   let sent = 0;
 
-  for (const ev of events) {
+  for (const { ev, calendarId } of events) {
     if (sent >= REMINDER_BATCH_LIMIT) break;
     if (ev.status === "cancelled") continue;
     if (alreadyMarkedSent(ev, templateKey)) {
@@ -211,7 +162,7 @@ async function runDailyReminder() {
     }
 
     const start = ev.start?.dateTime || ev.start?.date;
-    const startLocal = dayjs(start).tz(TZ);
+    const startLocal = inZone(start); // dia inteiro ("2025-09-03") é lido como data local
     const nome = (ev.summary || "").trim() || "Paciente";
     const telefone = extractPhone(ev);
     const modalidade = inferModality(ev);
@@ -224,8 +175,8 @@ async function runDailyReminder() {
 
     const vars = {
       nome,
-      data: startLocal.format("DD/MM/YYYY"),
-      hora: ev.start?.date ? "" : startLocal.format("HH:mm"),
+      data: startLocal.toFormat("dd/MM/yyyy"),
+      hora: ev.start?.date ? "" : startLocal.toFormat("HH:mm"),
       modalidade,
       local,
     };
@@ -234,12 +185,12 @@ async function runDailyReminder() {
 
     try {
       await sleep(humanDelay());
-      await sendViaZapiText(telefone, message);
+      await sendReminderText(telefone, message);
       sent++;
       if (ENABLE_LOGS) console.log(`[OK] ${telefone} | ${nome} | ${vars.data} ${vars.hora}`);
-      await markSentOnEvent(ev, templateKey);
+      await markSentOnEvent(ev, calendarId, templateKey);
         } catch (err) {
-      console.error(`[ERRO Z-API] ${telefone} | ${nome} | ${vars.data} ${vars.hora} ->`, {
+      console.error(`[ERRO ${provider.name}] ${telefone} | ${nome} | ${vars.data} ${vars.hora} ->`, {
         status: err?.response?.status,
         data: err?.response?.data,
         msg: err?.message
@@ -0,0 +1,33 @@
+// src/db.js
+// Pool único do Postgres (opcional). Só é criado se DATABASE_URL existir.
+import pg from "pg";
+
+const { Pool } = pg;
+
+let _pool = null;
+
+/**
+ * Retorna o Pool compartilhado ou null quando não há DATABASE_URL.
+ * SSL: Railway/Render exigem SSL em produção; PGSSL=false desliga (ex.: banco local).
+ */
+export function getPool() {
+  if (_pool) return _pool;
+  const url = process.env.DATABASE_URL;
+  if (!url) return null;
+
+  const useSSL = String(process.env.PGSSL || "true").toLowerCase() === "true";
+  _pool = new Pool({
+    connectionString: url,
+    max: parseInt(process.env.PG_POOL_MAX || "5", 10),
+    ...(useSSL ? { ssl: { rejectUnauthorized: false } } : {}),
+  });
+  _pool.on("error", (e) => console.error("[db] erro no pool:", e?.message || e));
+  return _pool;
+}
+
+export async function closePool() {
+  if (!_pool) return;
+  const p = _pool;
+  _pool = null;
+  await p.end();
+}
@@ -1,20 +1,7 @@
-import { google } from "googleapis";
-
-/** ====== ENV ====== */
-function env(a, b) { return process.env[a] || process.env[b] || ""; }
-const CLIENT_ID     = env("GOOGLE_CLIENT_ID", "CLIENT_ID");
-const CLIENT_SECRET = env("GOOGLE_CLIENT_SECRET", "CLIENT_SECRET");
-const REDIRECT_URI  = env("GOOGLE_REDIRECT_URI", "REDIRECT_URI");
-const REFRESH_TOKEN = env("GOOGLE_REFRESH_TOKEN", "REFRESH_TOKEN");
-const CALENDAR_ID   = process.env.GOOGLE_CALENDAR_ID || "primary";
-const TZ            = process.env.TZ || "America/Sao_Paulo";
-
-/** ====== AUTH ====== */
-function auth() {
-  const o = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
-  o.setCredentials({ refresh_token: REFRESH_TOKEN });
-  return o;
-}
+// gcal.esm.js
+// Data/hora de frases em PT-BR ("… está cancelada para o dia 03/09/25 09:00"), no fuso
+// da clínica. O cancelamento em si fica em cancellation.esm.js.
+import { localDateTime, currentLocalYear } from "./tz.esm.js";
 
 /** ====== PARSER (auto-contido) ====== */
 function normalizePtBrText(input) {
@@ -40,14 +27,13 @@ function to24h(hour12, ampm) {
   return h;
 }
 
+// Horário local da clínica (TZ) -> intervalo de 1h em UTC; null se a data não existir
 function buildIsoRange(d, m, y, HH, MM) {
-  let year = String(y || new Date().getFullYear());
+  let year = String(y || currentLocalYear());
   if (year.length === 2) year = "20" + year;
-  const baseUTC = new Date(Date.UTC(Number(year), Number(m) - 1, Number(d), Number(HH), Number(MM || 0), 0));
-  const offsetMinutes = /sao_paulo|são_paulo|sao-paulo/i.test(TZ) ? 180 : 0;
-  const startISO = new Date(baseUTC.getTime() + offsetMinutes * 60000).toISOString();
-  const endISO   = new Date(new Date(startISO).getTime() + 60 * 60000).toISOString();
-  return { startISO, endISO };
+  const start = localDateTime({ year, month: m, day: d, hour: HH, minute: MM || 0 });
+  if (!start) return null;
+  return { startISO: start.toUTC().toISO(), endISO: start.plus({ minutes: 60 }).toUTC().toISO() };
 }
 
 /**
@@ -93,41 +79,5 @@ export function parseBRDateTime(text) {
   return null;
 }
 
-/** ====== CANCELAMENTO ====== */
-export async function cancelEventFromMessage(message) {
-  const parsed = parseBRDateTime(message);
-  if (!parsed) return { ok: false, cancelled: false, error: "Não consegui entender a data/horário na mensagem." };
-
-  try {
-    const a = auth();
-    const calendar = google.calendar({ version: "v3", auth: a });
-
-    const center = new Date(parsed.startISO);
-    const timeMin = new Date(center.getTime() - 30 * 60000).toISOString();
-    const timeMax = new Date(center.getTime() + 30 * 60000).toISOString();
-
-    const list = await calendar.events.list({
-      calendarId: CALENDAR_ID,
-      timeMin, timeMax, singleEvents: true, orderBy: "startTime",
-    });
-    const items = list?.data?.items || [];
-    if (!items.length) {
-      return { ok: false, cancelled: false, error: "Nenhum evento encontrado para cancelar.", timeWindow: { timeMin, timeMax } };
-    }
-
-    const event = items[0];
-    await calendar.events.delete({ calendarId: CALENDAR_ID, eventId: event.id, sendUpdates: "all" });
-    return {
-      ok: true,
-      cancelled: true,
-      cancelledEventSummary: event.summary,
-      cancelledEventId: event.id,
-      timeWindow: { timeMin, timeMax },
-    };
-  } catch (err) {
-    return { ok: false, cancelled: false, error: String(err?.message || err) };
-  }
-}
-
 // Garantia de export explícito (caso o bundler exija)
-export default { cancelEventFromMessage, parseBRDateTime };
+export default { parseBRDateTime };
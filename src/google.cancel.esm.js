@@ -1,27 +1,10 @@
 // google.cancel.esm.js
-// Autenticação com os MESMOS env vars já usados no seu projeto principal.
-import { google } from "googleapis";
-
-function getOAuth2Client() {
-  const {
-    GOOGLE_CLIENT_ID,
-    GOOGLE_CLIENT_SECRET,
-    GOOGLE_REDIRECT_URI,
-    GOOGLE_REFRESH_TOKEN,
-  } = process.env;
-
-  if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI || !GOOGLE_REFRESH_TOKEN) {
-    throw new Error("Faltam variáveis de ambiente do Google Calendar (CLIENT_ID, CLIENT_SECRET, REDIRECT_URI, REFRESH_TOKEN).");
-  }
-
-  const oAuth2Client = new google.auth.OAuth2(
-    GOOGLE_CLIENT_ID,
-    GOOGLE_CLIENT_SECRET,
-    GOOGLE_REDIRECT_URI
-  );
-  oAuth2Client.setCredentials({ refresh_token: GOOGLE_REFRESH_TOKEN });
-  return oAuth2Client;
-}
+// Cancelamento por data/hora na agenda configurada (calendar.esm.js: Google, CalDAV ou .ics).
+// Mesmas regras de identidade do server.cancel.js (patient_identity.js); o cancelamento
+// passa pelo serviço único (cancellation.esm.js).
+import { listEvents } from "./calendar.esm.js";
+import { cancelAppointment } from "./cancellation.esm.js";
+import { hasIdentity, matchPatientEvents } from "./patient_identity.js";
 
 function widenWindow(startISO, endISO, minutes = 30) {
   const start = new Date(startISO);
@@ -32,41 +15,37 @@ function widenWindow(startISO, endISO, minutes = 30) {
 }
 
 /**
- * Cancela o primeiro evento encontrado entre timeMin e timeMax.
- * Retorna { cancelled: true, eventId, summary, timeMin, timeMax } se encontrado.
+ * Cancela o evento do paciente (`phone` e/ou `name`, obrigatórios) entre timeMin e timeMax.
+ * Só age com exatamente um evento dele; com mais de um, devolve `ambiguous` e os candidatos.
+ * `dryRun`: só informa o que seria cancelado.
+ * Retorna { cancelled, eventId?, summary?, ambiguous?, dryRun?, candidates, timeMin, timeMax }.
  */
-export async function cancelCalendarEventByDateTime({ calendarId = "primary", startISO, endISO }) {
-  const auth = getOAuth2Client();
-  const calendar = google.calendar({ version: "v3", auth });
-
+export async function cancelCalendarEventByDateTime({ calendarId, startISO, endISO, phone, name, dryRun = false }) {
   const { timeMin, timeMax } = widenWindow(startISO, endISO, 30);
+  if (!hasIdentity({ phone, name })) {
+    const e = new Error("Informe o telefone e/ou o nome do paciente.");
+    e.code = "IDENTITY_REQUIRED";
+    throw e;
+  }
 
-  const { data } = await calendar.events.list({
-    calendarId,
-    timeMin,
-    timeMax,
-    singleEvents: true,
-    orderBy: "startTime",
-    maxResults: 10,
-  });
-
-  const events = data.items || [];
-  const first = events.find((e) => e.status !== "cancelled");
+  const events = await listEvents({ calendarId, timeMin, timeMax, maxResults: 10 });
+  const { match, candidates } = matchPatientEvents(events, { phone, name });
+  const listed = candidates.map((e) => ({ eventId: e.id, summary: e.summary || "", startISO: e.start?.dateTime || e.start?.date || null }));
 
-  if (!first) {
-    return { cancelled: false, timeMin, timeMax };
+  if (!match) {
+    return { cancelled: false, ambiguous: candidates.length > 1, candidates: listed, timeMin, timeMax };
+  }
+  if (dryRun) {
+    return { cancelled: false, dryRun: true, eventId: match.id, summary: match.summary || "", candidates: listed, timeMin, timeMax };
   }
 
-  await calendar.events.delete({
-    calendarId,
-    eventId: first.id,
-    sendUpdates: "all",
-  });
+  await cancelAppointment({ calendarId, eventId: match.id, reason: "cancelamento por data/hora", source: "cancel-by-datetime" });
 
   return {
     cancelled: true,
-    eventId: first.id,
-    summary: first.summary || "",
+    eventId: match.id,
+    summary: match.summary || "",
+    candidates: listed,
     timeMin,
     timeMax,
   };
@@ -1,154 +1,136 @@
 // google.esm.js
+// Driver Google Calendar (googleapis) da interface de agenda (ver calendar.esm.js).
+// Os eventos já estão no formato comum (o próprio evento v3 do Google).
 import { google } from "googleapis";
+import { withGoogleAuth, googleAuthMissing } from "./google_auth.esm.js";
 
-function getOAuth2Client() {
-  const {
-    GOOGLE_CLIENT_ID,
-    GOOGLE_CLIENT_SECRET,
-    GOOGLE_REDIRECT_URI,
-    GOOGLE_REFRESH_TOKEN,
-  } = process.env;
-
-  if (!GOOGLE_CLIENT_ID || !GOOGLE_CLIENT_SECRET || !GOOGLE_REDIRECT_URI || !GOOGLE_REFRESH_TOKEN) {
-    throw new Error("Faltam variáveis de ambiente do Google Calendar.");
-  }
-
-  const oAuth2Client = new google.auth.OAuth2(
-    GOOGLE_CLIENT_ID,
-    GOOGLE_CLIENT_SECRET,
-    GOOGLE_REDIRECT_URI
-  );
-  oAuth2Client.setCredentials({ refresh_token: GOOGLE_REFRESH_TOKEN });
-  return oAuth2Client;
+// Cliente autenticado em cache (google_auth.esm.js); invalid_grant vira erro explicado
+function call(fn) {
+  return withGoogleAuth((auth) => fn(google.calendar({ version: "v3", auth })));
 }
 
-export async function pingGoogle() {
-  const auth = getOAuth2Client();
-  const token = await auth.getAccessToken();
-  return !!token;
+function checkConfig() {
+  return googleAuthMissing();
 }
 
-export async function createCalendarEvent({
-  summary,
-  description,
-  startISO,
-  endISO,
-  attendees = [],
-  location,
-  calendarId: calendarIdParam,      // aceita vir de fora
-  extendedProperties,               // << NOVO
-}) {
-  const auth = getOAuth2Client();
-  const calendar = google.calendar({ version: "v3", auth });
-  const calendarId = calendarIdParam || process.env.GOOGLE_CALENDAR_ID || "primary";
-
-  const event = {
-    summary,
-    description,
-    location,
-    start: { dateTime: startISO },
-    end:   { dateTime: endISO },
-    attendees,
-    reminders: { useDefault: false },
-    ...(extendedProperties ? { extendedProperties } : {}), // << NOVO
-  };
-
-  const res = await calendar.events.insert({
-    calendarId,
-    resource: event,
-    sendUpdates: "all",
+async function listEvents({ calendarId, timeMin, timeMax, q, showDeleted = false, maxResults = 2500 }) {
+  return call(async (calendar) => {
+    const out = [];
+    let pageToken;
+    do {
+      const res = await calendar.events.list({
+        calendarId,
+        singleEvents: true,
+        showDeleted,
+        orderBy: "startTime",
+        timeMin,
+        timeMax,
+        ...(q ? { q } : {}),
+        maxResults: Math.min(maxResults - out.length, 250),
+        pageToken,
+      });
+      out.push(...(res?.data?.items || []));
+      pageToken = res?.data?.nextPageToken;
+    } while (pageToken && out.length < maxResults);
+    return out;
   });
-  return res?.data;
 }
 
-// Busca eventos por telefone (em description) e filtra por nome
-export async function findPatientEvents({
-  calendarId,
-  phone,
-  name,
-  daysBack = 30,
-  daysAhead = 180,
-}) {
-  const auth = getOAuth2Client();
-  const calendar = google.calendar({ version: "v3", auth });
-  const calId = calendarId || process.env.GOOGLE_CALENDAR_ID || "primary";
-
-  const now = new Date();
-  const timeMin = new Date(now.getTime() - daysBack * 86400000).toISOString();
-  const timeMax = new Date(now.getTime() + daysAhead * 86400000).toISOString();
-
-  // busca pelo telefone (que gravamos em description como #patient_phone:<número>)
-  const q = String(phone || "").trim();
-  const res = await calendar.events.list({
-  calendarId: calId,
-  singleEvents: true,
-  showDeleted: false,
-  orderBy: "startTime",
-  timeMin,
-  timeMax,
-  maxResults: 250,   // aumenta o teto para não perder eventos
-});
-
-  const items = res?.data?.items || [];
-  const nameNorm   = String(name || "").trim().toLowerCase();
-const phoneDigits = String(phone || "").replace(/\D/g, "");
-
-const filtered = items.filter((ev) => {
-  const desc = String(ev.description || "");
-  const sum  = String(ev.summary || "");
-  const descLower  = desc.toLowerCase();
-  const sumLower   = sum.toLowerCase();
-  const descDigits = desc.replace(/\D/g, "");
+async function freeBusy({ calendarIds, timeMin, timeMax }) {
+  const r = await call((calendar) => calendar.freebusy.query({
+    requestBody: { timeMin, timeMax, items: calendarIds.map((id) => ({ id })) },
+  }));
+  const out = {};
+  const cals = r?.data?.calendars || {};
+  for (const id of calendarIds) out[id] = (cals[id]?.busy || []).map((b) => ({ start: b.start, end: b.end }));
+  return out;
+}
 
-  // Telefone OK se: tem o tag OU os dígitos aparecem na descrição formatada
-  const phoneOk = phoneDigits
-    ? (descLower.includes(`#patient_phone:${phoneDigits}`) ||
-       /#patient_phone:\d+/.test(descLower) ||
-       (phoneDigits && descDigits.includes(phoneDigits)))
-    : true;
+async function getEvent({ calendarId, eventId }) {
+  return call(async (calendar) => {
+    try {
+      const res = await calendar.events.get({ calendarId, eventId });
+      return res?.data || null;
+    } catch (e) {
+      const code = e?.code || e?.response?.status;
+      if (code === 404 || code === 410) return null;
+      throw e;
+    }
+  });
+}
 
-  // Nome OK se aparece no título/descrição ou no tag
-  const nameOk = nameNorm
-    ? (descLower.includes(nameNorm) ||
-       sumLower.includes(nameNorm) ||
-       descLower.includes(`#patient_name:${nameNorm}`))
-    : true;
+async function insertEvent({ calendarId, event, sendUpdates = "all" }) {
+  const res = await call((calendar) => calendar.events.insert({ calendarId, resource: event, sendUpdates }));
+  return res?.data;
+}
 
-  return phoneOk && nameOk;
-});
+async function patchEvent({ calendarId, eventId, patch, sendUpdates = "none" }) {
+  const res = await call((calendar) => calendar.events.patch({ calendarId, eventId, resource: patch, sendUpdates }));
+  return res?.data;
+}
 
+// status "cancelled": o evento continua existindo (aparece com showDeleted)
+async function cancelEvent({ calendarId, eventId, sendUpdates = "all" }) {
+  const res = await call((calendar) => calendar.events.patch({ calendarId, eventId, resource: { status: "cancelled" }, sendUpdates }));
+  return res?.data;
+}
 
+// ===== Notificações push (opcionais na interface; ver calendar_watch.esm.js) =====
 
-  return filtered.map((ev) => {
-    const startISO =
-      ev.start?.dateTime || (ev.start?.date ? `${ev.start.date}T00:00:00` : null);
-    const dt = startISO ? new Date(startISO) : null;
-    const dd = dt ? String(dt.getDate()).padStart(2, "0") : "";
-    const mm = dt ? String(dt.getMonth() + 1).padStart(2, "0") : "";
-    const hh = dt ? String(dt.getHours()).padStart(2, "0") : "";
-    const mi = dt ? String(dt.getMinutes()).padStart(2, "0") : "";
-    return {
-      id: ev.id,
-      summary: ev.summary || "",
-      description: ev.description || "",
-      startISO,
-      endISO: ev.end?.dateTime || null,
-      dayLabel: dt ? `${dd}/${mm}` : "",
-      timeLabel: dt ? `${hh}:${mi}` : "",
-    };
-  });
+// events.watch: o Google passa a fazer POST em `address` a cada mudança na agenda
+async function watchEvents({ calendarId, channelId, address, token, ttlSeconds }) {
+  const res = await call((calendar) => calendar.events.watch({
+    calendarId,
+    requestBody: {
+      id: channelId,
+      type: "web_hook",
+      address,
+      token,
+      ...(ttlSeconds ? { params: { ttl: String(ttlSeconds) } } : {}),
+    },
+  }));
+  const d = res?.data || {};
+  return { id: d.id || channelId, resourceId: d.resourceId, expiration: Number(d.expiration) || null };
 }
 
-// Cancela um evento pelo ID (status = "cancelled")
-export async function cancelCalendarEvent({ calendarId, eventId }) {
-  const auth = getOAuth2Client();
-  const calendar = google.calendar({ version: "v3", auth });
-  const calId = calendarId || process.env.GOOGLE_CALENDAR_ID || "primary";
+async function stopChannel({ channelId, resourceId }) {
+  await call((calendar) => calendar.channels.stop({ requestBody: { id: channelId, resourceId } }));
+}
 
-  await calendar.events.patch({
-    calendarId: calId,
-    eventId,
-    resource: { status: "cancelled" },
-    sendUpdates: "all", // notifica convidados (opcional)
+// Mudanças desde `syncToken` (inclui cancelados). Sem token: leitura completa, só para obter
+// o primeiro. Token vencido: erro com code 410 (refazer a leitura completa).
+async function listChanges({ calendarId, syncToken }) {
+  return call(async (calendar) => {
+    const items = [];
+    let pageToken;
+    let nextSyncToken;
+    do {
+      const res = await calendar.events.list({
+        calendarId,
+        singleEvents: true,
+        showDeleted: true,
+        maxResults: 2500,
+        ...(syncToken ? { syncToken } : {}),
+        pageToken,
+      });
+      items.push(...(res?.data?.items || []));
+      pageToken = res?.data?.nextPageToken;
+      nextSyncToken = res?.data?.nextSyncToken || nextSyncToken;
+    } while (pageToken);
+    return { items, nextSyncToken };
   });
 }
+
+export const googleCalendar = {
+  name: "google",
+  checkConfig,
+  listEvents,
+  freeBusy,
+  getEvent,
+  insertEvent,
+  patchEvent,
+  cancelEvent,
+  watchEvents,
+  stopChannel,
+  listChanges,
+};
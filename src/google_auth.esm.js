@@ -0,0 +1,147 @@
+// google_auth.esm.js
+// Autenticação Google única do projeto: um cliente por configuração, reaproveitado
+// entre chamadas (o próprio cliente guarda o access token e só renova quando expira).
+//
+// Dois modos:
+//  - conta de serviço (tem prioridade quando configurada):
+//      GOOGLE_SERVICE_ACCOUNT_JSON  -> JSON da chave (texto ou base64)
+//      GOOGLE_SERVICE_ACCOUNT_FILE  -> ou caminho do arquivo .json
+//      GOOGLE_IMPERSONATE_USER      -> e-mail do Workspace a representar (delegação em todo o domínio);
+//                                      sem ele, a agenda precisa estar compartilhada com a conta de serviço
+//  - OAuth com refresh token:
+//      GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, GOOGLE_REFRESH_TOKEN (GOOGLE_REDIRECT_URI opcional)
+//      (aceita também os nomes antigos CLIENT_ID, CLIENT_SECRET, REFRESH_TOKEN, REDIRECT_URI)
+//
+// Refresh token revogado/expirado (invalid_grant) vira um erro com code
+// "GOOGLE_AUTH_REVOKED" e mensagem explicando o que fazer, logado uma vez.
+import fs from "fs";
+import { google } from "googleapis";
+
+const SCOPES = ["https://www.googleapis.com/auth/calendar"];
+
+let cached = null;  // { key, client, mode }
+let revoked = null; // { at, message } enquanto o refresh token estiver inválido
+
+// Nome atual com fallback para o antigo (sem prefixo, do gcal.esm.js do servidor de cancelamento)
+function env(name) {
+  return process.env[name] || process.env[name.replace(/^GOOGLE_/, "")] || "";
+}
+
+function readServiceAccount() {
+  const raw = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+  const file = process.env.GOOGLE_SERVICE_ACCOUNT_FILE;
+  if (!raw && !file) return null;
+  try {
+    const text = raw
+      ? (raw.trim().startsWith("{") ? raw : Buffer.from(raw, "base64").toString("utf8"))
+      : fs.readFileSync(file, "utf8");
+    const json = JSON.parse(text);
+    if (!json.client_email || !json.private_key) throw new Error("faltam client_email/private_key");
+    return json;
+  } catch (e) {
+    throw new Error(`Conta de serviço do Google inválida (${raw ? "GOOGLE_SERVICE_ACCOUNT_JSON" : file}): ${e.message}`);
+  }
+}
+
+/**
+ * Variáveis faltando para autenticar no Google ([] = ok).
+ */
+export function googleAuthMissing() {
+  if (process.env.GOOGLE_SERVICE_ACCOUNT_JSON || process.env.GOOGLE_SERVICE_ACCOUNT_FILE) return [];
+  return ["GOOGLE_CLIENT_ID", "GOOGLE_CLIENT_SECRET", "GOOGLE_REFRESH_TOKEN"].filter((k) => !env(k));
+}
+
+// Muda quando a configuração muda (troca de env sem reiniciar, testes)
+function configKey() {
+  const e = process.env;
+  return [
+    e.GOOGLE_SERVICE_ACCOUNT_JSON, e.GOOGLE_SERVICE_ACCOUNT_FILE, e.GOOGLE_IMPERSONATE_USER,
+    env("GOOGLE_CLIENT_ID"), env("GOOGLE_CLIENT_SECRET"), env("GOOGLE_REDIRECT_URI"), env("GOOGLE_REFRESH_TOKEN"),
+  ].join("|");
+}
+
+function buildClient() {
+  const sa = readServiceAccount();
+  if (sa) {
+    const subject = process.env.GOOGLE_IMPERSONATE_USER || undefined;
+    const client = new google.auth.JWT({ email: sa.client_email, key: sa.private_key, scopes: SCOPES, subject });
+    console.log(`[google-auth] conta de serviço ${sa.client_email}${subject ? ` representando ${subject}` : ""}`);
+    return { client, mode: "service_account" };
+  }
+
+  const missing = googleAuthMissing();
+  if (missing.length) {
+    throw new Error(`Faltam variáveis de ambiente do Google Calendar: ${missing.join(", ")}.`);
+  }
+  const client = new google.auth.OAuth2(env("GOOGLE_CLIENT_ID"), env("GOOGLE_CLIENT_SECRET"), env("GOOGLE_REDIRECT_URI") || undefined);
+  client.setCredentials({ refresh_token: env("GOOGLE_REFRESH_TOKEN") });
+  return { client, mode: "oauth" };
+}
+
+/**
+ * Cliente autenticado (criado uma vez por configuração).
+ */
+export function getGoogleAuth() {
+  const key = configKey();
+  if (!cached || cached.key !== key) {
+    cached = { key, ...buildClient() };
+    revoked = null;
+  }
+  return cached.client;
+}
+
+export function isRevokedError(e) {
+  const data = e?.response?.data;
+  return data?.error === "invalid_grant" || /invalid_grant/i.test(String(e?.message || ""));
+}
+
+/**
+ * Traduz erros de autenticação do Google. Para invalid_grant devolve um erro
+ * com code "GOOGLE_AUTH_REVOKED"; os demais voltam como vieram.
+ */
+export function explainGoogleError(e) {
+  if (!isRevokedError(e)) return e;
+  const mode = cached?.mode || "oauth";
+  const message = mode === "service_account"
+    ? "Google recusou a conta de serviço (invalid_grant): confira a chave, o relógio do servidor e, com GOOGLE_IMPERSONATE_USER, a delegação em todo o domínio no Admin do Workspace."
+    : "GOOGLE_REFRESH_TOKEN revogado ou expirado (invalid_grant): gere um novo refresh token (consentimento OAuth com a conta da agenda) e atualize a variável. App OAuth em modo \"Teste\" expira o token em 7 dias.";
+  if (!revoked) {
+    revoked = { at: new Date().toISOString(), message };
+    console.error(`[google-auth] ${message}`);
+  }
+  const err = new Error(message);
+  err.code = "GOOGLE_AUTH_REVOKED";
+  err.cause = e;
+  return err;
+}
+
+/**
+ * Executa fn(auth) com o cliente em cache, traduzindo invalid_grant.
+ */
+export async function withGoogleAuth(fn) {
+  const auth = getGoogleAuth();
+  try {
+    const out = await fn(auth);
+    revoked = null;
+    return out;
+  } catch (e) {
+    throw explainGoogleError(e);
+  }
+}
+
+/**
+ * Situação da autenticação (para healthcheck/admin): { mode, ok, error }.
+ */
+export function googleAuthStatus() {
+  if (!cached) {
+    const missing = googleAuthMissing();
+    return { mode: null, ok: !missing.length, error: missing.length ? `faltam ${missing.join(", ")}` : null };
+  }
+  return { mode: cached.mode, ok: !revoked, error: revoked?.message || null, since: revoked?.at || null };
+}
+
+// Confere as credenciais pedindo um access token
+export async function pingGoogle() {
+  const token = await withGoogleAuth((auth) => auth.getAccessToken());
+  return !!(token?.token || token);
+}
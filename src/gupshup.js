@@ -1,20 +1,134 @@
+// src/gupshup.js
+// Adaptador Gupshup (WhatsApp Business API) para a interface de messaging.js
 import axios from "axios";
+import { phoneKey, toProviderDigits, onlyDigits } from "./phone.js";
+
 const GS_ENDPOINT = "https://api.gupshup.io/wa/api/v1/msg";
+const GS_TEMPLATE_ENDPOINT = "https://api.gupshup.io/wa/api/v1/template/msg";
 
-export async function sendWhatsAppText({ to, text }) {
-  if (!process.env.GUPSHUP_API_KEY) throw new Error("GUPSHUP_API_KEY ausente");
-  if (!process.env.GUPSHUP_SOURCE_NUMBER) throw new Error("GUPSHUP_SOURCE_NUMBER ausente");
+// status da Gupshup -> status unificado
+const STATUS_MAP = {
+  enqueued: "queued",
+  sent: "sent",
+  delivered: "delivered",
+  read: "read",
+  failed: "failed",
+};
+
+function checkConfig() {
+  return ["GUPSHUP_API_KEY", "GUPSHUP_SOURCE_NUMBER"].filter((k) => !process.env[k]);
+}
+
+async function post(url, fields) {
+  const missing = checkConfig();
+  if (missing.length) throw new Error(`${missing.join(", ")} ausente`);
 
   const payload = new URLSearchParams();
   payload.append("channel", "whatsapp");
   payload.append("source", process.env.GUPSHUP_SOURCE_NUMBER);
-  payload.append("destination", to);
-  payload.append("message", JSON.stringify({ type: "text", text }));
   if (process.env.GUPSHUP_APP_NAME) payload.append("src.name", process.env.GUPSHUP_APP_NAME);
+  for (const [k, v] of Object.entries(fields)) {
+    payload.append(k, typeof v === "string" ? v : JSON.stringify(v));
+  }
 
-  const { data } = await axios.post(GS_ENDPOINT, payload, {
+  const { data } = await axios.post(url, payload, {
     headers: { apikey: process.env.GUPSHUP_API_KEY, "Content-Type": "application/x-www-form-urlencoded" },
     timeout: 15000
   });
-  return data;
+  return { provider: "gupshup", messageId: data?.messageId || null, raw: data };
+}
+
+const dest = (to) => toProviderDigits(to) || onlyDigits(to);
+
+export async function sendWhatsAppText({ to, text }) {
+  return post(GS_ENDPOINT, { destination: dest(to), message: { type: "text", text } });
+}
+
+/**
+ * Template aprovado. O ID do template na Gupshup vem de GUPSHUP_TEMPLATE_<NOME>
+ * (ex.: GUPSHUP_TEMPLATE_CONFIRMA_CONSULTA_VESPERA); sem ele, usa o próprio nome.
+ * `buttons` são os payloads dos botões de resposta rápida, na ordem do template.
+ */
+async function sendTemplate({ to, name, params = [], buttons = [] }) {
+  const id = process.env[`GUPSHUP_TEMPLATE_${String(name).toUpperCase()}`] || name;
+  const fields = {
+    destination: dest(to),
+    template: { id, params: params.map(String) },
+  };
+  if (buttons.length) fields.postbackTexts = buttons.map((text, index) => ({ index, text }));
+  return post(GS_TEMPLATE_ENDPOINT, fields);
+}
+
+// Botões de resposta rápida (até 3). buttons: [{ id, title }]
+async function sendButtons({ to, text, buttons = [] }) {
+  return post(GS_ENDPOINT, {
+    destination: dest(to),
+    message: {
+      type: "quick_reply",
+      msgid: `qr${Date.now()}`,
+      content: { type: "text", text },
+      options: buttons.slice(0, 3).map((b) => ({ type: "text", title: b.title, postbackText: b.id })),
+    },
+  });
 }
+
+// Evento "message" da Gupshup -> mensagens normalizadas
+function parseInbound(body) {
+  const eventType = body?.type || body?.event || null;
+  if (eventType !== "message") return [];
+
+  const p = body?.payload || {};
+  const inner = p?.payload || {};
+  const from = phoneKey(p?.sender?.phone || p?.source, { international: true });
+  if (!from) return [];
+
+  let type = "other";
+  let text = "";
+  let buttonPayload = "";
+  if (p.type === "text") {
+    type = "text";
+    text = inner.text || "";
+  } else if (p.type === "button_reply" || p.type === "list_reply" || p.type === "quick_reply") {
+    type = "button";
+    text = inner.title || inner.text || inner.postbackText || "";
+    buttonPayload = (inner.postbackData ?? inner.postbackText ?? inner.payload ?? inner.title ?? "") + "";
+  }
+
+  return [{
+    provider: "gupshup",
+    messageId: p.id || null,
+    from,
+    name: (p?.sender?.name || "").toString().trim(),
+    type,
+    text,
+    buttonPayload,
+    fromMe: false,
+    raw: body,
+  }];
+}
+
+// Evento "message-event" (enqueued/sent/delivered/read/failed)
+function parseStatus(body) {
+  if (body?.type !== "message-event") return [];
+  const p = body?.payload || {};
+  const status = STATUS_MAP[p.type];
+  if (!status) return [];
+  return [{
+    provider: "gupshup",
+    messageId: p.gsId || p.id || null,
+    to: phoneKey(p.destination),
+    status,
+    error: status === "failed" ? (p?.payload?.reason || p?.payload?.code || "falha") : null,
+    raw: body,
+  }];
+}
+
+export const gupshupProvider = {
+  name: "gupshup",
+  checkConfig,
+  sendText: sendWhatsAppText,
+  sendTemplate,
+  sendButtons,
+  parseInbound,
+  parseStatus,
+};
@@ -0,0 +1,119 @@
+// holidays.esm.js
+// Feriados nacionais e fechamentos da clínica: dias em que não se oferecem horários.
+//
+// Nacionais (embutidos): fixos + Sexta-feira Santa (calculada a partir da Páscoa).
+// Pontos facultativos que a clínica costuma fechar (Carnaval seg/ter e Corpus Christi)
+// entram também; HOLIDAYS_INCLUDE_OPTIONAL=false tira. HOLIDAYS_NATIONAL=false
+// desliga a tabela inteira (só valem os fechamentos locais).
+//
+// Fechamentos locais: CLINIC_CLOSURES_JSON, ex.:
+// [
+//   { "date": "01-25", "name": "Aniversário de São Paulo" },        // MM-DD: todo ano
+//   { "date": "2025-10-17", "name": "Congresso" },                 // um dia
+//   { "from": "2025-12-22", "to": "2026-01-05", "name": "Recesso" } // período (inclusive)
+// ]
+// Datas sempre no fuso da clínica (ver tz.esm.js).
+import { DateTime } from "luxon";
+import { inZone, clinicZone } from "./tz.esm.js";
+
+const FIXED = [
+  ["01-01", "Confraternização Universal"],
+  ["04-21", "Tiradentes"],
+  ["05-01", "Dia do Trabalho"],
+  ["09-07", "Independência do Brasil"],
+  ["10-12", "Nossa Senhora Aparecida"],
+  ["11-02", "Finados"],
+  ["11-15", "Proclamação da República"],
+  ["11-20", "Dia Nacional de Zumbi e da Consciência Negra"],
+  ["12-25", "Natal"],
+];
+
+// Domingo de Páscoa (algoritmo de Meeus/Jones/Butcher, calendário gregoriano)
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return DateTime.fromObject({ year, month, day }, { zone: clinicZone() });
+}
+
+const flag = (name, dflt) => String(process.env[name] ?? dflt).toLowerCase() !== "false";
+
+/**
+ * Feriados nacionais do ano: [{ date: "yyyy-MM-dd", name, kind }]
+ * kind: "feriado" | "ponto facultativo"
+ */
+export function nationalHolidays(year) {
+  if (!flag("HOLIDAYS_NATIONAL", "true")) return [];
+  const easter = easterSunday(year);
+  const movable = (days, name, kind) => ({ date: easter.plus({ days }).toISODate(), name, kind });
+
+  const out = FIXED.map(([md, name]) => ({ date: `${year}-${md}`, name, kind: "feriado" }));
+  out.push(movable(-2, "Sexta-feira Santa", "feriado"));
+  if (flag("HOLIDAYS_INCLUDE_OPTIONAL", "true")) {
+    out.push(movable(-48, "Carnaval", "ponto facultativo"));
+    out.push(movable(-47, "Carnaval", "ponto facultativo"));
+    out.push(movable(60, "Corpus Christi", "ponto facultativo"));
+  }
+  return out.sort((x, y) => x.date.localeCompare(y.date));
+}
+
+let cached = null; // { raw, list }
+
+function localClosures() {
+  const raw = process.env.CLINIC_CLOSURES_JSON || "";
+  if (cached?.raw === raw) return cached.list;
+  let list = [];
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!Array.isArray(parsed)) throw new Error("esperado um array");
+      list = parsed.filter((c) => c && (c.date || (c.from && c.to)));
+    } catch (e) {
+      console.error(`[holidays] CLINIC_CLOSURES_JSON inválido (${e.message}); ignorando fechamentos locais`);
+    }
+  }
+  cached = { raw, list };
+  return list;
+}
+
+function matchLocal(iso) {
+  const md = iso.slice(5);
+  for (const c of localClosures()) {
+    const name = c.name || "clínica fechada";
+    if (c.date && (c.date === iso || c.date === md)) return { date: iso, name, kind: "fechamento" };
+    if (c.from && c.to && iso >= c.from && iso <= c.to) return { date: iso, name, kind: "fechamento" };
+  }
+  return null;
+}
+
+/**
+ * Motivo de a clínica não atender no dia local de `v` ({ date, name, kind }) ou null.
+ * Fechamento local tem prioridade sobre feriado nacional.
+ */
+export function closureFor(v) {
+  const day = inZone(v);
+  if (!day.isValid) return null;
+  const iso = day.toISODate();
+  return matchLocal(iso) || nationalHolidays(day.year).find((h) => h.date === iso) || null;
+}
+
+export function isClosedDay(v) {
+  return !!closureFor(v);
+}
+
+// Frase curta para o paciente: "Tiradentes, feriado nacional", "Carnaval", "Recesso"
+export function describeClosure(c) {
+  if (!c) return "";
+  return c.kind === "feriado" ? `${c.name}, feriado nacional` : c.name;
+}
@@ -0,0 +1,220 @@
+// ics.esm.js
+// Conversão iCalendar (RFC 5545) <-> evento no formato do Google Calendar v3,
+// que é o formato comum de todos os backends de agenda (ver calendar.esm.js).
+// Usado pelos drivers CalDAV e arquivo .ics. Cobre o que o bot usa: UID, SUMMARY,
+// DESCRIPTION, LOCATION, STATUS, TRANSP, DTSTART/DTEND (UTC, TZID ou dia inteiro),
+// ATTENDEE e as extendedProperties.private (X-CRISTINA-PRIVATE;X-KEY=<chave>:<valor>).
+// Recorrência (RRULE) não é expandida aqui: no CalDAV o servidor expande (<C:expand>).
+// Também traz as utilidades comuns dos drivers que guardam iCalendar (intervalo,
+// PATCH no estilo do Google, busy do freeBusy).
+import { DateTime } from "luxon";
+import { clinicZone, inZone } from "./tz.esm.js";
+
+const PRODID = "-//Cristina WhatsApp Webhook//Agenda//PT";
+
+// ===== Texto =====
+
+function unfold(text) {
+  return String(text || "").replace(/\r?\n[ \t]/g, "");
+}
+
+// linhas de no máximo 75 octetos (continuação começa com espaço)
+function fold(line) {
+  const out = [];
+  let cur = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch) > (out.length ? 74 : 75)) { out.push(cur); cur = ""; }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const escapeText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+const unescapeText = (s) => String(s ?? "").replace(/\\([\\;,nN])/g, (_, c) => (c === "n" || c === "N" ? "\n" : c));
+
+// "NOME;P1=a;P2="b:c":valor" -> { name, params, value }
+function parseLine(line) {
+  let i = 0;
+  let inQuote = false;
+  for (; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') inQuote = !inQuote;
+    else if (ch === ":" && !inQuote) break;
+  }
+  const head = line.slice(0, i);
+  const value = line.slice(i + 1);
+  const [name, ...rawParams] = head.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  }
+  return { name: name.toUpperCase(), params, value };
+}
+
+// ===== Datas =====
+
+// DTSTART/DTEND -> { dateTime } | { date }
+function parseDate(value, params) {
+  if (params.VALUE === "DATE" || /^\d{8}$/.test(value)) {
+    return { date: `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` };
+  }
+  const utc = value.endsWith("Z");
+  const zone = utc ? "utc" : params.TZID || clinicZone();
+  const dt = DateTime.fromFormat(value.replace(/Z$/, ""), "yyyyMMdd'T'HHmmss", { zone });
+  if (!dt.isValid) return null;
+  return { dateTime: dt.toUTC().toISO({ suppressMilliseconds: true }) };
+}
+
+function formatDate(when) {
+  if (when?.date) return { params: ";VALUE=DATE", value: when.date.replace(/-/g, "") };
+  const dt = DateTime.fromISO(String(when?.dateTime || ""), { setZone: true });
+  if (!dt.isValid) throw new Error(`Data inválida no evento: ${JSON.stringify(when)}`);
+  return { params: "", value: dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'") };
+}
+
+const stamp = (ms) => DateTime.fromMillis(ms ?? Date.now()).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+const fromStamp = (v) => parseDate(v, {})?.dateTime || null;
+
+// ===== VEVENT <-> evento =====
+
+function veventToEvent(lines) {
+  const ev = { status: "confirmed" };
+  const priv = {};
+  const attendees = [];
+  for (const raw of lines) {
+    const { name, params, value } = parseLine(raw);
+    switch (name) {
+      case "UID": ev.id = value; break;
+      case "SUMMARY": ev.summary = unescapeText(value); break;
+      case "DESCRIPTION": ev.description = unescapeText(value); break;
+      case "LOCATION": ev.location = unescapeText(value); break;
+      case "STATUS": ev.status = value.toLowerCase(); break;
+      case "TRANSP": ev.transparency = value.toLowerCase(); break;
+      case "DTSTART": ev.start = parseDate(value, params); break;
+      case "DTEND": ev.end = parseDate(value, params); break;
+      case "CREATED": ev.created = fromStamp(value); break;
+      case "LAST-MODIFIED": ev.updated = fromStamp(value); break;
+      case "RRULE": ev.recurrence = [`RRULE:${value}`]; break;
+      case "RECURRENCE-ID": ev.originalStartTime = parseDate(value, params); break;
+      case "ATTENDEE":
+        attendees.push({ email: value.replace(/^mailto:/i, ""), ...(params.CN ? { displayName: params.CN } : {}) });
+        break;
+      case "X-CRISTINA-PRIVATE":
+        if (params["X-KEY"]) priv[params["X-KEY"]] = unescapeText(value);
+        break;
+      default: break;
+    }
+  }
+  if (!ev.end && ev.start) ev.end = { ...ev.start };
+  if (attendees.length) ev.attendees = attendees;
+  if (Object.keys(priv).length) ev.extendedProperties = { private: priv };
+  return ev;
+}
+
+export function eventToVEVENT(ev) {
+  const out = ["BEGIN:VEVENT", `UID:${ev.id}`, `DTSTAMP:${stamp()}`];
+  const start = formatDate(ev.start);
+  const end = formatDate(ev.end || ev.start);
+  out.push(`DTSTART${start.params}:${start.value}`, `DTEND${end.params}:${end.value}`);
+  if (ev.originalStartTime) {
+    const rid = formatDate(ev.originalStartTime);
+    out.push(`RECURRENCE-ID${rid.params}:${rid.value}`);
+  }
+  for (const r of ev.recurrence || []) out.push(r);
+  if (ev.summary) out.push(`SUMMARY:${escapeText(ev.summary)}`);
+  if (ev.description) out.push(`DESCRIPTION:${escapeText(ev.description)}`);
+  if (ev.location) out.push(`LOCATION:${escapeText(ev.location)}`);
+  out.push(`STATUS:${String(ev.status || "confirmed").toUpperCase()}`);
+  if (ev.transparency) out.push(`TRANSP:${String(ev.transparency).toUpperCase()}`);
+  if (ev.created) out.push(`CREATED:${stamp(Date.parse(ev.created))}`);
+  out.push(`LAST-MODIFIED:${stamp(ev.updated ? Date.parse(ev.updated) : Date.now())}`);
+  for (const a of ev.attendees || []) {
+    if (a?.email) out.push(`ATTENDEE${a.displayName ? `;CN="${String(a.displayName).replace(/"/g, "")}"` : ""}:mailto:${a.email}`);
+  }
+  for (const [k, v] of Object.entries(ev.extendedProperties?.private || {})) {
+    if (v === null || v === undefined) continue;
+    out.push(`X-CRISTINA-PRIVATE;X-KEY=${String(k).replace(/[^A-Za-z0-9_.-]/g, "")}:${escapeText(v)}`);
+  }
+  out.push("END:VEVENT");
+  return out.map(fold).join("\r\n");
+}
+
+/**
+ * Eventos (formato Google) de um texto iCalendar com um ou mais VEVENT.
+ */
+export function parseICS(text) {
+  const events = [];
+  let cur = null;
+  let depth = 0; // ignora VALARM e afins dentro do VEVENT
+  for (const line of unfold(text).split(/\r?\n/)) {
+    if (!line) continue;
+    if (line === "BEGIN:VEVENT") { cur = []; depth = 0; continue; }
+    if (line === "END:VEVENT") {
+      if (cur) {
+        const ev = veventToEvent(cur);
+        if (ev.id && ev.start) events.push(ev);
+      }
+      cur = null;
+      continue;
+    }
+    if (!cur) continue;
+    if (line.startsWith("BEGIN:")) { depth++; continue; }
+    if (line.startsWith("END:")) { depth--; continue; }
+    if (depth === 0) cur.push(line);
+  }
+  return events;
+}
+
+/**
+ * VCALENDAR completo com os eventos dados.
+ */
+export function toICS(events, { name } = {}) {
+  const head = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  if (name) head.push(fold(`X-WR-CALNAME:${escapeText(name)}`));
+  return [...head, ...events.map(eventToVEVENT), "END:VCALENDAR", ""].join("\r\n");
+}
+
+// ===== Utilidades dos drivers iCalendar =====
+
+// dia inteiro começa/termina à meia-noite do fuso da clínica
+export function eventStartMs(ev) {
+  const s = ev?.start?.dateTime || ev?.start?.date;
+  return s ? inZone(s).toMillis() : NaN;
+}
+
+export function eventEndMs(ev) {
+  const s = ev?.end?.dateTime || ev?.end?.date;
+  return s ? inZone(s).toMillis() : eventStartMs(ev);
+}
+
+// mesma regra do Google: termina depois de timeMin e começa antes de timeMax
+export function overlapsRange(ev, timeMin, timeMax) {
+  const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+  const max = timeMax ? new Date(timeMax).getTime() : Infinity;
+  return eventEndMs(ev) > min && eventStartMs(ev) < max;
+}
+
+// PATCH como o do Google: campos no topo substituem; extendedProperties.private é mesclado
+// (chave com null é apagada)
+export function applyEventPatch(ev, patch = {}) {
+  const out = { ...ev, ...patch, id: ev.id, updated: new Date().toISOString() };
+  if (patch.extendedProperties) {
+    const merged = { ...(ev.extendedProperties?.private || {}), ...(patch.extendedProperties.private || {}) };
+    out.extendedProperties = {
+      ...(ev.extendedProperties || {}),
+      private: Object.fromEntries(Object.entries(merged).filter(([, v]) => v !== null)),
+    };
+  }
+  return out;
+}
+
+// [{ start, end }] (ISO) dos eventos que ocupam a agenda no intervalo
+export function busyIntervals(events, timeMin, timeMax) {
+  return events
+    .filter((ev) => ev.status !== "cancelled" && ev.transparency !== "transparent")
+    .filter((ev) => overlapsRange(ev, timeMin, timeMax))
+    .sort((a, b) => eventStartMs(a) - eventStartMs(b))
+    .map((ev) => ({ start: new Date(eventStartMs(ev)).toISOString(), end: new Date(eventEndMs(ev)).toISOString() }));
+}
@@ -0,0 +1,123 @@
+// ics_file.esm.js
+// Driver de agenda em arquivo .ics local (ver calendar.esm.js): um arquivo por
+// agenda em ICS_CALENDAR_DIR (padrão ./data/calendars), ex.: primary.ics.
+// Serve para desenvolvimento e para clínicas que não usam Google: o arquivo pode
+// ser importado/assinado em qualquer cliente de agenda.
+// Limitações: eventos recorrentes (RRULE) não são expandidos; um único processo
+// deve escrever no diretório (o lock é em memória).
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import {
+  parseICS, toICS, overlapsRange, eventStartMs, applyEventPatch, busyIntervals,
+} from "./ics.esm.js";
+
+const dir = () => process.env.ICS_CALENDAR_DIR || path.join(process.cwd(), "data", "calendars");
+
+function fileFor(calendarId = "primary") {
+  const safe = String(calendarId || "primary").replace(/[^A-Za-z0-9_.@-]/g, "_");
+  return path.join(dir(), `${safe}.ics`);
+}
+
+function notFound(eventId) {
+  const e = new Error(`Evento não encontrado: ${eventId}`);
+  e.code = 404;
+  return e;
+}
+
+async function readCalendar(calendarId) {
+  try {
+    return parseICS(await fs.readFile(fileFor(calendarId), "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+// grava em arquivo temporário e renomeia (leitores nunca veem o arquivo pela metade)
+async function writeCalendar(calendarId, events) {
+  const file = fileFor(calendarId);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, toICS(events, { name: calendarId }), "utf8");
+  await fs.rename(tmp, file);
+}
+
+// Serializa leitura-alteração-gravação por arquivo
+const locks = new Map();
+function withCalendar(calendarId, fn) {
+  const key = fileFor(calendarId);
+  const run = (locks.get(key) || Promise.resolve()).then(async () => {
+    const events = await readCalendar(calendarId);
+    const { result, changed } = await fn(events);
+    if (changed) await writeCalendar(calendarId, events);
+    return result;
+  });
+  locks.set(key, run.catch(() => {}));
+  return run;
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+function checkConfig() {
+  return [];
+}
+
+async function listEvents({ calendarId, timeMin, timeMax, q, showDeleted = false, maxResults = 2500 }) {
+  const needle = q ? String(q).toLowerCase() : null;
+  return (await readCalendar(calendarId))
+    .filter((ev) => showDeleted || ev.status !== "cancelled")
+    .filter((ev) => overlapsRange(ev, timeMin, timeMax))
+    .filter((ev) => !needle || `${ev.summary || ""} ${ev.description || ""} ${ev.location || ""}`.toLowerCase().includes(needle))
+    .sort((a, b) => eventStartMs(a) - eventStartMs(b))
+    .slice(0, maxResults);
+}
+
+async function freeBusy({ calendarIds, timeMin, timeMax }) {
+  const out = {};
+  for (const id of calendarIds) out[id] = busyIntervals(await readCalendar(id), timeMin, timeMax);
+  return out;
+}
+
+async function getEvent({ calendarId, eventId }) {
+  return (await readCalendar(calendarId)).find((ev) => ev.id === eventId) || null;
+}
+
+async function insertEvent({ calendarId, event }) {
+  return withCalendar(calendarId, (events) => {
+    const id = event.id || crypto.randomUUID().replace(/-/g, "");
+    if (events.some((ev) => ev.id === id)) {
+      const e = new Error(`Evento já existe: ${id}`);
+      e.code = 409; // mesmo código do Google para id duplicado
+      throw e;
+    }
+    const now = new Date().toISOString();
+    const ev = { status: "confirmed", ...clone(event), id, created: now, updated: now };
+    events.push(ev);
+    return { result: clone(ev), changed: true };
+  });
+}
+
+async function patchEvent({ calendarId, eventId, patch }) {
+  return withCalendar(calendarId, (events) => {
+    const i = events.findIndex((ev) => ev.id === eventId);
+    if (i < 0) throw notFound(eventId);
+    events[i] = applyEventPatch(events[i], clone(patch));
+    return { result: clone(events[i]), changed: true };
+  });
+}
+
+async function cancelEvent({ calendarId, eventId }) {
+  return patchEvent({ calendarId, eventId, patch: { status: "cancelled" } });
+}
+
+export const icsFileCalendar = {
+  name: "ics",
+  checkConfig,
+  listEvents,
+  freeBusy,
+  getEvent,
+  insertEvent,
+  patchEvent,
+  cancelEvent,
+};
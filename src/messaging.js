@@ -0,0 +1,49 @@
+// src/messaging.js
+// Interface única de mensageria (WhatsApp: Gupshup, Z-API, Meta Cloud API). Cada provedor é um adaptador com:
+//   name, checkConfig() -> [envs faltando]
+//   sendText({ to, text })
+//   sendTemplate({ to, name, language, params, buttons })
+//   sendButtons({ to, text, buttons: [{ id, title }] })
+//   parseInbound(body) -> [{ provider, messageId, from, name, type, text, buttonPayload, fromMe, raw }]
+//   parseStatus(body)  -> [{ provider, messageId, to, status, error, raw }]
+//
+// `to`/`from` são sempre a chave canônica (+55...; ver phone.js); cada adaptador
+// converte para o formato do seu provedor. Os envios retornam { provider, messageId, raw }.
+// Novo provedor = novo adaptador + registerProvider(), sem mexer no server.js.
+import { gupshupProvider } from "./gupshup.js";
+import { zapiProvider } from "./zapi.js";
+import { metaProvider } from "./meta.js";
+
+const REQUIRED = ["sendText", "sendTemplate", "sendButtons", "parseInbound", "parseStatus"];
+
+const providers = new Map(); // name -> adaptador
+
+// "Z-API", "ZAPI", "zapi" -> "zapi"
+function normName(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export function registerProvider(adapter) {
+  const missing = REQUIRED.filter((fn) => typeof adapter?.[fn] !== "function");
+  if (!adapter?.name || missing.length) {
+    throw new Error(`Provedor inválido (${adapter?.name || "sem nome"}): faltam ${missing.join(", ") || "name"}`);
+  }
+  providers.set(normName(adapter.name), { checkConfig: () => [], ...adapter });
+}
+
+/**
+ * Provedor pelo nome; sem nome, usa WHATSAPP_PROVIDER (padrão: Gupshup).
+ */
+export function getProvider(name = process.env.WHATSAPP_PROVIDER || "gupshup") {
+  const p = providers.get(normName(name));
+  if (!p) throw new Error(`Provedor de mensagens desconhecido: ${name}`);
+  return p;
+}
+
+export function listProviders() {
+  return Array.from(providers.keys());
+}
+
+registerProvider(gupshupProvider);
+registerProvider(zapiProvider);
+registerProvider(metaProvider);
@@ -0,0 +1,172 @@
+// src/meta.js
+// Adaptador WhatsApp Cloud API (Meta, sem intermediário) para a interface de messaging.js
+import axios from "axios";
+import { phoneKey, toProviderDigits, onlyDigits } from "./phone.js";
+
+/**
+ * Requer:
+ *  - META_ACCESS_TOKEN     -> token permanente do usuário do sistema
+ *  - META_PHONE_NUMBER_ID  -> ID do número no WhatsApp Manager
+ *  - META_APP_SECRET       -> valida o X-Hub-Signature-256 dos webhooks (webhook_auth.js)
+ *  - META_VERIFY_TOKEN     -> handshake GET do webhook
+ *  - (opcional) META_GRAPH_VERSION (padrão v20.0)
+ */
+function config() {
+  return {
+    version: process.env.META_GRAPH_VERSION || "v20.0",
+    token: process.env.META_ACCESS_TOKEN,
+    phoneNumberId: process.env.META_PHONE_NUMBER_ID,
+  };
+}
+
+function checkConfig() {
+  return ["META_ACCESS_TOKEN", "META_PHONE_NUMBER_ID"].filter((k) => !process.env[k]);
+}
+
+async function post(message) {
+  const missing = checkConfig();
+  if (missing.length) throw new Error(`${missing.join(", ")} ausente`);
+  const c = config();
+
+  const { data } = await axios.post(
+    `https://graph.facebook.com/${c.version}/${c.phoneNumberId}/messages`,
+    { messaging_product: "whatsapp", recipient_type: "individual", ...message },
+    {
+      headers: { Authorization: `Bearer ${c.token}`, "Content-Type": "application/json" },
+      timeout: 15000,
+    }
+  );
+  return { provider: "meta", messageId: data?.messages?.[0]?.id || null, raw: data };
+}
+
+const dest = (to) => toProviderDigits(to) || onlyDigits(to);
+
+async function sendText({ to, text }) {
+  return post({ to: dest(to), type: "text", text: { body: text, preview_url: false } });
+}
+
+// Template aprovado; `buttons` = payloads quick_reply na ordem do template
+async function sendTemplate({ to, name, language = "pt_BR", params = [], buttons = [] }) {
+  const components = [];
+  if (params.length) {
+    components.push({ type: "body", parameters: params.map((text) => ({ type: "text", text: String(text) })) });
+  }
+  buttons.forEach((payload, i) => {
+    components.push({
+      type: "button", sub_type: "quick_reply", index: String(i),
+      parameters: [{ type: "payload", payload }],
+    });
+  });
+  return post({
+    to: dest(to),
+    type: "template",
+    template: { name, language: { code: language }, components },
+  });
+}
+
+// Mensagem interativa com até 3 botões de resposta. buttons: [{ id, title }]
+async function sendButtons({ to, text, buttons = [] }) {
+  return post({
+    to: dest(to),
+    type: "interactive",
+    interactive: {
+      type: "button",
+      body: { text },
+      action: {
+        buttons: buttons.slice(0, 3).map((b) => ({
+          type: "reply",
+          reply: { id: String(b.id).slice(0, 256), title: String(b.title).slice(0, 20) },
+        })),
+      },
+    },
+  });
+}
+
+// entry[].changes[].value de um webhook "whatsapp_business_account"
+function changeValues(body) {
+  if (body?.object !== "whatsapp_business_account") return [];
+  const out = [];
+  for (const entry of body.entry || []) {
+    for (const change of entry.changes || []) {
+      if (change?.field === "messages" && change.value) out.push(change.value);
+    }
+  }
+  return out;
+}
+
+function parseInbound(body) {
+  const out = [];
+  for (const value of changeValues(body)) {
+    const names = new Map((value.contacts || []).map((c) => [c.wa_id, c?.profile?.name || ""]));
+    for (const m of value.messages || []) {
+      const from = phoneKey(m.from, { international: true });
+      if (!from) continue;
+
+      let type = "other";
+      let text = "";
+      let buttonPayload = "";
+      if (m.type === "text") {
+        type = "text";
+        text = m.text?.body || "";
+      } else if (m.type === "button") {
+        // resposta a botão quick_reply de template
+        type = "button";
+        text = m.button?.text || "";
+        buttonPayload = (m.button?.payload || "") + "";
+      } else if (m.type === "interactive") {
+        const reply = m.interactive?.button_reply || m.interactive?.list_reply || {};
+        type = "button";
+        text = reply.title || "";
+        buttonPayload = (reply.id || "") + "";
+      }
+
+      out.push({
+        provider: "meta",
+        messageId: m.id || null,
+        from,
+        name: (names.get(m.from) || "").toString().trim(),
+        type,
+        text,
+        buttonPayload,
+        fromMe: false,
+        raw: body,
+      });
+    }
+  }
+  return out;
+}
+
+function parseStatus(body) {
+  const out = [];
+  for (const value of changeValues(body)) {
+    for (const st of value.statuses || []) {
+      out.push({
+        provider: "meta",
+        messageId: st.id || null,
+        to: phoneKey(st.recipient_id),
+        status: st.status,
+        error: st.status === "failed" ? (st.errors?.[0]?.title || st.errors?.[0]?.code || "falha") : null,
+        raw: body,
+      });
+    }
+  }
+  return out;
+}
+
+// Handshake GET: devolve o hub.challenge se o verify token bater, senão null
+export function metaVerifyChallenge(query = {}, verifyToken = process.env.META_VERIFY_TOKEN) {
+  if (!verifyToken) return null;
+  if (query["hub.mode"] !== "subscribe") return null;
+  if (query["hub.verify_token"] !== verifyToken) return null;
+  return String(query["hub.challenge"] ?? "");
+}
+
+export const metaProvider = {
+  name: "meta",
+  checkConfig,
+  sendText,
+  sendTemplate,
+  sendButtons,
+  parseInbound,
+  parseStatus,
+};
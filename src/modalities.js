@@ -0,0 +1,94 @@
+// src/modalities.js
+// Modalidades de atendimento (Presencial e Telemedicina): cada uma pode ter dias/horários
+// próprios e, opcionalmente, uma agenda separada.
+//
+// MODALITIES_JSON (opcional), ex.:
+// {
+//   "Presencial":   { "hours": { "1": [["08:00","12:00"]], "3": [["08:00","12:00"]] } },
+//   "Telemedicina": { "hours": { "2": [["18:00","21:00"]] }, "calendarId": "tele@clinica.com.br" }
+// }
+//  - hours:      mesmo formato de WORKING_HOURS_JSON; no lugar dele para a modalidade (com
+//                tipo/profissional que também tenham horários, vale a interseção).
+//                Sem "hours", a modalidade não muda a grade.
+//  - calendarId: agenda onde os eventos dessa modalidade são criados (padrão: a do profissional).
+//                Conta como ocupação do profissional em qualquer modalidade.
+// Cada profissional pode sobrescrever com "modalities" no PROFESSIONALS_JSON (ver professionals.js).
+
+export const MODALITIES = ["Presencial", "Telemedicina"];
+
+const TELE_RE = /\btele\s*medicina\b|\bteleconsulta\b|\btele\s*atendimento\b|\bon\s?-?line\b|\bvirtual\b|\bvídeo?\s*chamada\b|\bvideo?\s*chamada\b|\bremot[oa]\b/i;
+const PRESENCIAL_RE = /\bpresencial\b|\bconsult[óo]rio\b/i;
+
+/**
+ * "telemedicina", "TELE", "presencial" -> nome canônico; null se não reconhecer.
+ */
+export function normalizeModality(v) {
+  const t = String(v || "").trim().toLowerCase();
+  if (!t) return null;
+  if (/^tele/.test(t) || TELE_RE.test(t)) return "Telemedicina";
+  if (PRESENCIAL_RE.test(t)) return "Presencial";
+  return null;
+}
+
+/**
+ * Modalidade citada num texto livre (só palavras; "3"/"4" do menu ficam com quem
+ * perguntou). Se o texto citar as duas, Telemedicina vence.
+ */
+export function matchModality(text) {
+  const t = String(text || "");
+  if (TELE_RE.test(t)) return "Telemedicina";
+  if (PRESENCIAL_RE.test(t)) return "Presencial";
+  return null;
+}
+
+let cached = null; // { raw, map }
+
+function globalModalities() {
+  const raw = process.env.MODALITIES_JSON || "";
+  if (cached?.raw === raw) return cached.map;
+  let map = {};
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) throw new Error("esperado um objeto");
+      for (const [k, v] of Object.entries(parsed)) {
+        const name = normalizeModality(k);
+        if (name && v && typeof v === "object") map[name] = v;
+      }
+    } catch (e) {
+      console.error(`[modalities] MODALITIES_JSON inválido (${e.message}); modalidades sem horários próprios`);
+      map = {};
+    }
+  }
+  cached = { raw, map };
+  return map;
+}
+
+/**
+ * Configuração efetiva da modalidade: { hours, calendarId } (campos null = sem regra própria).
+ * `overrides` é o "modalities" de um profissional, que vence a configuração global.
+ */
+export function modalitySettings(modality, overrides) {
+  const name = normalizeModality(modality);
+  if (!name) return { hours: null, calendarId: null };
+  const own = (overrides && Object.entries(overrides).find(([k]) => normalizeModality(k) === name)?.[1]) || {};
+  const global = globalModalities()[name] || {};
+  const hours = own.hours || global.hours;
+  return {
+    hours: hours && typeof hours === "object" ? hours : null,
+    calendarId: String(own.calendarId || global.calendarId || "") || null,
+  };
+}
+
+/**
+ * Faixas da modalidade no dia da semana (0=dom); null = sem restrição própria.
+ */
+export function modalityHoursFor(settings, dow) {
+  if (!settings?.hours) return null;
+  return settings.hours[String(dow)] || [];
+}
+
+// Agendas próprias de modalidade (globais + do profissional), sem repetir
+export function modalityCalendarIds(overrides) {
+  return Array.from(new Set(MODALITIES.map((m) => modalitySettings(m, overrides).calendarId).filter(Boolean)));
+}
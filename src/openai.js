@@ -1,8 +1,20 @@
 import OpenAI from "openai";
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Cliente criado na primeira chamada (o import não exige OPENAI_API_KEY)
+let client = null;
+
+function getClient() {
+  if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return client;
+}
+
+/**
+ * Troca o cliente (ex.: LLM roteirizado do simulador em src/sim/).
+ * Precisa expor chat.completions.create(params) como o SDK.
+ */
+export function setOpenAIClient(c) {
+  client = c;
+}
 
 /**
  * Ask Cristina (Chat Completions - simpler & stable)
@@ -14,7 +26,7 @@ export async function askCristina({ userText, userPhone }) {
   const system = process.env.CRISTINA_INSTRUCTIONS || "Você é a Secretária Cristina. Responda de forma breve, cordial e objetiva.";
 
   try {
-    const completion = await client.chat.completions.create({
+    const completion = await getClient().chat.completions.create({
       model,
       temperature: 0.2,
       max_tokens: 400,
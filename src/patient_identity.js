@@ -0,0 +1,111 @@
+// src/patient_identity.js
+// De quem é o evento da agenda? Regras únicas de telefone/nome do paciente, usadas pelo
+// fluxo de cancelamento/remarcação do server.js e pelo servidor de cancelamento
+// (server.cancel.js -> gcal.esm.js), para nunca mexer na consulta de outra pessoa.
+//
+// Telefone: extendedProperties.private.patient_phone, tag #patient_phone, ou número de 10–13
+// dígitos (ou formatado, "(11) 98765-4321") na descrição/título. Nome: patient_name, "Paciente: …", tag #patient_name ou um
+// trecho do título "Consulta (…) — Nome — …". Nome casa exato ou por inclusão.
+import { phoneKey, phonesEqual } from "./phone.js";
+
+export function normalizeStrLite(s) {
+  return String(s || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().replace(/\s+/g, " ")
+    .trim();
+}
+
+// varre possíveis telefones dentro do evento
+export function extractPhonesFromEvent(ev) {
+  const out = new Set();
+  const add = (v) => { const k = phoneKey(v); if (k) out.add(k); };
+
+  // extendedProperties.private.patient_phone
+  const pvt = ev?.extendedProperties?.private || {};
+  if (pvt.patient_phone) add(pvt.patient_phone);
+
+  // descrição (marca #patient_phone:XXXXXXXX)
+  if (ev?.description) {
+    const m = ev.description.match(/#patient_phone:\+?([0-9]+)/i);
+    if (m?.[1]) add(m[1]);
+    // fallback: captura blocos de 10+ dígitos e números formatados
+    const all = ev.description.match(/\b\d{10,13}\b/g);
+    (all || []).forEach(add);
+    (ev.description.match(/\+?\(?\d{2}\)?[\s-]?\d{4,5}-?\d{4}/g) || []).forEach(add);
+  }
+
+  // título pode ter telefone
+  if (ev?.summary) {
+    const all = ev.summary.match(/\b\d{10,13}\b/g);
+    (all || []).forEach(add);
+  }
+
+  return Array.from(out);
+}
+
+// varre possíveis nomes (normalizados) dentro do evento
+export function extractNamesFromEvent(ev) {
+  const out = new Set();
+  const add = (v) => { const n = normalizeStrLite(v); if (n) out.add(n); };
+
+  // extendedProperties.private.patient_name
+  const pvt = ev?.extendedProperties?.private || {};
+  if (pvt.patient_name) add(pvt.patient_name);
+
+  // descrição "Paciente: Fulano"
+  if (ev?.description) {
+    const m = ev.description.match(/^\s*Paciente:\s*(.+)$/im);
+    if (m?.[1]) add(m[1]);
+    const mTag = ev.description.match(/#patient_name:([^\n\r]+)/i);
+    if (mTag?.[1]) add(mTag[1]);
+  }
+
+  // título "Consulta (...) — Nome — ..."
+  if (ev?.summary) {
+    // pega o trecho entre travessões como possível nome
+    const parts = ev.summary.split("—").map(s => s.trim());
+    for (const part of parts) {
+      if (part && /[A-Za-zÀ-ÿ]/.test(part)) add(part);
+    }
+  }
+  return Array.from(out);
+}
+
+/**
+ * O evento é do paciente? Cada campo informado (telefone e/ou nome) TEM que bater;
+ * sem nenhum dos dois, qualquer evento passa.
+ */
+export function eventMatchesIdentity(ev, { phone, name } = {}) {
+  // Se fornecer telefone, ele DEVE bater
+  if (phone) {
+    const evPhones = extractPhonesFromEvent(ev);
+    const okPhone = evPhones.some(p => phonesEqual(p, phone));
+    if (!okPhone) return false;
+  }
+  // Se fornecer nome, ele DEVE bater
+  if (name) {
+    const target = normalizeStrLite(name);
+    const evNames = extractNamesFromEvent(ev);
+
+    // Casa exato OU por inclusão (parcial), para tolerar variações.
+    const okName = evNames.some(n =>
+      n === target || n.includes(target) || target.includes(n)
+    );
+
+    if (!okName) return false;
+  }
+  return true;
+}
+
+export function hasIdentity({ phone, name } = {}) {
+  return !!(phoneKey(phone) || normalizeStrLite(name));
+}
+
+/**
+ * Eventos (não cancelados) do paciente entre `events`; `match` só quando exatamente um bate.
+ * Retorna { match, candidates }.
+ */
+export function matchPatientEvents(events, identity) {
+  const candidates = (events || []).filter((ev) => ev.status !== "cancelled" && eventMatchesIdentity(ev, identity));
+  return { match: candidates.length === 1 ? candidates[0] : null, candidates };
+}
@@ -0,0 +1,91 @@
+// src/phone.js
+// Identidade única de telefone. Todo o sistema (conversas, contadores do
+// sendText, tags do calendário, lembretes) usa a MESMA chave canônica E.164:
+//   "+55" + DDD + número  (ex.: "+5511912345678")
+//
+// Regras para números brasileiros:
+//  - aceita com ou sem 55, com ou sem +, com máscara "(11) 91234-5678"
+//  - celular antigo com 8 dígitos (começa com 6–9) ganha o 9 na frente,
+//    porque o WhatsApp às vezes entrega "55DD8XXXXXXX" e às vezes "55DD98XXXXXXX"
+//  - número com outro DDI é mantido como veio (só com o "+")
+//  - 10/11 dígitos sem DDI só viram número BR se tiverem forma de número BR (DDD sem 0,
+//    celular com 11 dígitos começa com 9); "14155552671" é +1 415…, não DDD 14
+//  - número vindo do provedor de WhatsApp já traz o DDI ({ international: true }):
+//    "14155552671" do webhook nunca é lido como nacional
+
+const BR = "55";
+
+export function onlyDigits(s) {
+  return String(s || "").replace(/\D/g, "");
+}
+
+// DDD + número (10 ou 11 dígitos) -> forma nacional canônica (com o 9 do celular)
+function canonicalNational(national) {
+  if (national.length === 10) {
+    const first = national[2];
+    if (/[6-9]/.test(first)) return national.slice(0, 2) + "9" + national.slice(2);
+  }
+  return national;
+}
+
+// DDD (11–99, sem 0) + fixo de 8 dígitos (2–5), celular antigo de 8 (6–9) ou celular de 9 (9…)
+function looksNational(d) {
+  if (!/^[1-9][1-9]/.test(d)) return false;
+  return d.length === 11 ? d[2] === "9" : d.length === 10 && /[2-9]/.test(d[2]);
+}
+
+/**
+ * Chave canônica E.164 ("+5511912345678") ou "" se não parecer telefone.
+ * `international`: o número já vem com DDI (ex.: o remetente informado pelo provedor).
+ */
+export function phoneKey(raw, { international = false } = {}) {
+  let d = onlyDigits(raw);
+  if (!d) return "";
+  const explicitDDI = international || /^\s*(\+|00)/.test(String(raw));
+  if (d.startsWith("00")) d = d.slice(2);          // discagem internacional
+  if (explicitDDI && !d.startsWith(BR)) {           // "+1 415..." é de outro país
+    return d.length >= 8 && d.length <= 15 ? `+${d}` : "";
+  }
+  if (!explicitDDI && (d.length === 10 || d.length === 11)) { // nacional, sem DDI
+    if (d.startsWith("0")) return "";
+    if (looksNational(d)) return `+${BR}${canonicalNational(d)}`;
+  }
+  if (d.startsWith(BR) && (d.length === 12 || d.length === 13)) {
+    return `+${BR}${canonicalNational(d.slice(2))}`;
+  }
+  if (d.length >= 8 && d.length <= 15) return `+${d}`; // outro país
+  return "";
+}
+
+// Para as APIs de WhatsApp (Z-API, Gupshup): só dígitos, com DDI
+export function toProviderDigits(raw) {
+  return phoneKey(raw).replace(/^\+/, "");
+}
+
+// DDD + número, sem DDI (só para números BR)
+export function nationalDigits(raw) {
+  const k = phoneKey(raw);
+  return k.startsWith(`+${BR}`) ? k.slice(3) : k.replace(/^\+/, "");
+}
+
+export function phonesEqual(a, b) {
+  const A = phoneKey(a);
+  const B = phoneKey(b);
+  return !!A && A === B;
+}
+
+// "(11) 91234-5678" para mostrar ao paciente e gravar na descrição do evento
+export function formatBrazilPhone(raw) {
+  const key = phoneKey(raw);
+  if (!key) return onlyDigits(raw) || "Telefone não informado";
+  if (!key.startsWith(`+${BR}`)) return key;
+
+  const national = key.slice(3);
+  const ddd = national.slice(0, 2);
+  const rest = national.slice(2);
+
+  // 9 dígitos (celular) => 9XXXX-XXXX
+  if (rest.length === 9) return `(${ddd}) ${rest.slice(0, 5)}-${rest.slice(5)}`;
+  // 8 dígitos (fixo) => XXXX-XXXX
+  return `(${ddd}) ${rest.slice(0, 4)}-${rest.slice(4)}`;
+}
@@ -0,0 +1,185 @@
+// src/professionals.js
+// Cadastro dos profissionais da clínica: cada um tem agenda própria, horários,
+// tipos de consulta que atende e o nome exibido ao paciente.
+//
+// PROFESSIONALS_JSON (opcional), ex.:
+// [
+//   { "id": "jenifer", "name": "Dra. Jenifer", "calendarId": "jenifer@clinica.com.br",
+//     "types": ["dor", "pre_anestesica"] },
+//   { "id": "paulo", "name": "Dr. Paulo Mendes", "calendarId": "paulo@clinica.com.br",
+//     "blockCalendarId": "bloqueios-paulo@clinica.com.br",
+//     "hours": { "2": [["13:00","18:00"]], "4": [["08:00","12:00"]] },
+//     "types": ["dor"], "aliases": ["paulo", "dr paulo"] }
+// ]
+//  - calendarId:      agenda dos atendimentos (padrão CALENDAR_ID/GOOGLE_CALENDAR_ID)
+//  - blockCalendarId: agenda de bloqueios (padrão BLOCK_CALENDAR_ID, compartilhada)
+//  - hours:           mesmo formato de WORKING_HOURS_JSON; no lugar dele para este
+//                     profissional (com tipo/modalidade que também tenham horários, vale a interseção)
+//  - types:           ids de appointment_types.js; sem "types", atende todos
+//  - aliases:         outros jeitos de o paciente citar o profissional (sem acento)
+//  - modalities:      horários/agenda por modalidade, ex.: { "Telemedicina": { "hours": {...},
+//                     "calendarId": "..." } }; vence MODALITIES_JSON (ver modalities.js)
+// Sem PROFESSIONALS_JSON, a clínica tem um único profissional (Dra. Jenifer) na agenda padrão.
+import { defaultCalendarId, blockCalendarId } from "./calendar.esm.js";
+import { getAppointmentType } from "./appointment_types.js";
+import { modalitySettings, modalityCalendarIds } from "./modalities.js";
+
+const DEFAULT_PROFESSIONALS = [{ id: "jenifer", name: "Dra. Jenifer" }];
+
+const norm = (s) => String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+
+// "Dra. Jenifer" -> "jenifer"; "Dr Paulo Mendes" -> "paulo mendes"
+const withoutTitle = (name) => norm(name).replace(/^(?:dra?|doutora?|profa?)\.?\s+/, "");
+
+function normalizeProfessional(p, i) {
+  const name = String(p.name || p.displayName || p.id || `Profissional ${i + 1}`);
+  const id = String(p.id || withoutTitle(name).replace(/[^a-z0-9]+/g, "_") || `prof_${i + 1}`);
+  return {
+    id,
+    name,
+    calendarId: String(p.calendarId || defaultCalendarId()),
+    blockCalendarId: p.blockCalendarId === undefined ? blockCalendarId() : String(p.blockCalendarId || ""),
+    hours: p.hours && typeof p.hours === "object" ? p.hours : null,
+    types: Array.isArray(p.types) && p.types.length ? p.types.map(String) : null,
+    aliases: [withoutTitle(name), ...(p.aliases || []).map(norm)].filter(Boolean),
+    modalities: p.modalities && typeof p.modalities === "object" ? p.modalities : null,
+  };
+}
+
+let cached = null; // { key, list }
+
+/**
+ * Profissionais configurados (PROFESSIONALS_JSON) ou o profissional único padrão.
+ */
+export function listProfessionals() {
+  const raw = process.env.PROFESSIONALS_JSON || "";
+  // as agendas padrão também entram na chave: mudam quando o env muda
+  const key = `${raw}|${defaultCalendarId()}|${blockCalendarId()}`;
+  if (cached?.key === key) return cached.list;
+
+  let list = DEFAULT_PROFESSIONALS;
+  if (raw) {
+    try {
+      const parsed = JSON.parse(raw);
+      if (Array.isArray(parsed) && parsed.length) list = parsed;
+      else throw new Error("esperado um array não vazio");
+    } catch (e) {
+      console.error(`[professionals] PROFESSIONALS_JSON inválido (${e.message}); usando o profissional padrão`);
+    }
+  }
+  cached = { key, list: list.map(normalizeProfessional) };
+  return cached.list;
+}
+
+export function defaultProfessional() {
+  return listProfessionals()[0];
+}
+
+export function hasManyProfessionals() {
+  return listProfessionals().length > 1;
+}
+
+/**
+ * Profissional pelo id, nome ou apelido ("Dra. Jenifer" == "jenifer" == "dra jenifer").
+ */
+export function getProfessional(idOrName) {
+  if (idOrName && typeof idOrName === "object") return idOrName;
+  const key = norm(idOrName);
+  if (!key) return null;
+  const bare = withoutTitle(key);
+  return listProfessionals().find((p) =>
+    norm(p.id) === key || norm(p.name) === key || p.aliases.includes(bare)
+  ) || null;
+}
+
+/**
+ * Profissional citado num texto livre (nome sem título ou apelido, palavra inteira).
+ * Vence o termo mais longo ("Dr. Paulo Mendes" antes de "Paulo").
+ */
+export function matchProfessional(text) {
+  const t = norm(text);
+  if (!t) return null;
+  let best = null;
+  let bestLen = 0;
+  for (const p of listProfessionals()) {
+    for (const alias of p.aliases) {
+      if (alias.length <= bestLen) continue;
+      const escaped = alias.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      if (new RegExp(`(^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(t)) { best = p; bestLen = alias.length; }
+    }
+  }
+  return best;
+}
+
+/**
+ * Profissionais que atendem o tipo de consulta (objeto ou id); sem tipo, todos.
+ */
+export function professionalsFor(type) {
+  const typeId = typeof type === "string" ? getAppointmentType(type)?.id || type : type?.id;
+  const all = listProfessionals();
+  if (!typeId) return all;
+  return all.filter((p) => !p.types || p.types.includes(typeId));
+}
+
+// Agendas de atendimento do profissional: a dele + as de modalidade (ver modalities.js)
+function ownCalendarIds(p) {
+  return Array.from(new Set([p.calendarId, ...modalityCalendarIds(p.modalities)]));
+}
+
+export function professionalByCalendar(calendarId) {
+  return listProfessionals().find((p) => p.calendarId === calendarId) ||
+    listProfessionals().find((p) => ownCalendarIds(p).includes(calendarId)) ||
+    null;
+}
+
+// Horários/agenda da modalidade para o profissional: { hours, calendarId }
+export function professionalModality(p, modality) {
+  return modalitySettings(modality, (getProfessional(p) || defaultProfessional()).modalities);
+}
+
+// Agenda onde entra o evento: a da modalidade, se houver, ou a do profissional
+export function professionalEventCalendarId(p, modality) {
+  const pro = getProfessional(p) || defaultProfessional();
+  return professionalModality(pro, modality).calendarId || pro.calendarId;
+}
+
+// Agendas que ocupam o profissional: as de atendimento (todas as modalidades) + a de bloqueios
+export function professionalBusyCalendarIds(p) {
+  const pro = getProfessional(p) || defaultProfessional();
+  const ids = ownCalendarIds(pro);
+  if (pro.blockCalendarId && !ids.includes(pro.blockCalendarId)) ids.push(pro.blockCalendarId);
+  return ids;
+}
+
+// Todas as agendas de atendimento (sem repetir): busca de paciente, cancelamento, lembretes
+export function professionalCalendarIds() {
+  return Array.from(new Set(listProfessionals().flatMap(ownCalendarIds)));
+}
+
+/**
+ * Faixas do profissional no dia da semana (0=dom); null = sem restrição própria.
+ */
+export function professionalHoursFor(p, dow) {
+  if (!p?.hours) return null;
+  return p.hours[String(dow)] || [];
+}
+
+// Nome com artigo, como na frase de confirmação: "a Dra. Jenifer", "o Dr. Paulo"
+export function withArticle(p) {
+  const name = p?.name || "";
+  if (/^(dra|doutora)\b/i.test(name)) return `a ${name}`;
+  if (/^(dr|doutor)\b/i.test(name)) return `o ${name}`;
+  return name;
+}
+
+/**
+ * Lista para o prompt: "Dra. Jenifer (Medicina da Dor, Avaliação Pré-anestésica); Dr. Paulo (Medicina da Dor)".
+ */
+export function describeProfessionals() {
+  return listProfessionals()
+    .map((p) => {
+      const labels = (p.types || []).map((id) => getAppointmentType(id)?.label || id);
+      return labels.length ? `${p.name} (${labels.join(", ")})` : p.name;
+    })
+    .join("; ");
+}
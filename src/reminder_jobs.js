@@ -0,0 +1,246 @@
+// src/reminder_jobs.js
+// Fila de jobs agendados (lembretes da véspera etc.) que sobrevive a restarts.
+//  - Driver "postgres": tabela reminder_jobs (DATABASE_URL). Durável.
+//  - Driver "memory"  : lista em memória (dev). No boot, os jobs são
+//                       reconstruídos a partir do Google Calendar.
+//
+// Entrega "pelo menos uma vez": um job em execução fica travado por
+// JOB_LOCK_MS; se o processo morrer no meio, outro ciclo do executor pega de novo.
+// Cada job tem uma chave de idempotência (key): enfileirar a mesma chave duas
+// vezes não duplica o job, e o handler recebe a chave para evitar reenvio.
+import { getPool } from "./db.js";
+
+const POLL_MS      = parseInt(process.env.JOB_POLL_INTERVAL_MS || "30000", 10);
+const LOCK_MS      = parseInt(process.env.JOB_LOCK_MS || "300000", 10); // 5 min
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || "5", 10);
+const BATCH        = parseInt(process.env.JOB_BATCH_SIZE || "10", 10);
+
+// backoff simples: 1, 2, 4, 8... minutos
+function backoffMs(attempts) {
+  return Math.min(60, 2 ** Math.max(0, attempts - 1)) * 60 * 1000;
+}
+
+// ===== Drivers =====
+
+function createMemoryDriver() {
+  const jobs = new Map(); // key -> job
+  let seq = 0;
+  return {
+    name: "memory",
+    async init() {},
+    async insert({ key, type, runAt, payload }) {
+      if (jobs.has(key)) return false;
+      jobs.set(key, {
+        id: ++seq, key, type, runAt: new Date(runAt), payload,
+        status: "pending", attempts: 0, lockedUntil: null, lastError: null,
+      });
+      return true;
+    },
+    async cancel(key) {
+      const j = jobs.get(key);
+      if (j && j.status === "pending") { j.status = "cancelled"; return true; }
+      return false;
+    },
+    async claimDue(now) {
+      const due = Array.from(jobs.values())
+        .filter(j =>
+          (j.status === "pending" && j.runAt <= now) ||
+          (j.status === "running" && j.lockedUntil && j.lockedUntil <= now))
+        .sort((a, b) => a.runAt - b.runAt)
+        .slice(0, BATCH);
+      for (const j of due) {
+        j.status = "running";
+        j.attempts += 1;
+        j.lockedUntil = new Date(now.getTime() + LOCK_MS);
+      }
+      return due.map(j => ({ ...j }));
+    },
+    async complete(job) {
+      const j = jobs.get(job.key);
+      if (j) { j.status = "done"; j.lockedUntil = null; }
+    },
+    async fail(job, error, retryAt) {
+      const j = jobs.get(job.key);
+      if (!j) return;
+      j.lastError = error;
+      j.lockedUntil = null;
+      if (retryAt) { j.status = "pending"; j.runAt = retryAt; }
+      else j.status = "failed";
+    },
+  };
+}
+
+function createPostgresDriver(pool) {
+  const TABLE = process.env.REMINDER_JOBS_TABLE || "reminder_jobs";
+  const toJob = (r) => ({
+    id: r.id, key: r.idempotency_key, type: r.type, runAt: r.run_at,
+    payload: r.payload || {}, status: r.status, attempts: r.attempts,
+  });
+  return {
+    name: "postgres",
+    async init() {
+      await pool.query(
+        `CREATE TABLE IF NOT EXISTS ${TABLE} (
+           id BIGSERIAL PRIMARY KEY,
+           idempotency_key TEXT NOT NULL UNIQUE,
+           type TEXT NOT NULL,
+           run_at TIMESTAMPTZ NOT NULL,
+           payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+           status TEXT NOT NULL DEFAULT 'pending',
+           attempts INT NOT NULL DEFAULT 0,
+           locked_until TIMESTAMPTZ,
+           last_error TEXT,
+           created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+           done_at TIMESTAMPTZ
+         )`
+      );
+      await pool.query(`CREATE INDEX IF NOT EXISTS ${TABLE}_due_idx ON ${TABLE} (status, run_at)`);
+    },
+    async insert({ key, type, runAt, payload }) {
+      const r = await pool.query(
+        `INSERT INTO ${TABLE} (idempotency_key, type, run_at, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (idempotency_key) DO NOTHING`,
+        [key, type, new Date(runAt), JSON.stringify(payload || {})]
+      );
+      return r.rowCount > 0;
+    },
+    async cancel(key) {
+      const r = await pool.query(
+        `UPDATE ${TABLE} SET status = 'cancelled' WHERE idempotency_key = $1 AND status = 'pending'`,
+        [key]
+      );
+      return r.rowCount > 0;
+    },
+    async claimDue(now) {
+      const { rows } = await pool.query(
+        `UPDATE ${TABLE} SET status = 'running', attempts = attempts + 1,
+                locked_until = $1::timestamptz + ($2 || ' milliseconds')::interval
+          WHERE id IN (
+            SELECT id FROM ${TABLE}
+             WHERE (status = 'pending' AND run_at <= $1)
+                OR (status = 'running' AND locked_until <= $1)
+             ORDER BY run_at
+             LIMIT $3
+             FOR UPDATE SKIP LOCKED)
+          RETURNING *`,
+        [now, String(LOCK_MS), BATCH]
+      );
+      return rows.map(toJob);
+    },
+    async complete(job) {
+      await pool.query(
+        `UPDATE ${TABLE} SET status = 'done', locked_until = NULL, done_at = now() WHERE id = $1`,
+        [job.id]
+      );
+    },
+    async fail(job, error, retryAt) {
+      await pool.query(
+        `UPDATE ${TABLE}
+            SET status = $2, run_at = COALESCE($3, run_at), locked_until = NULL, last_error = $4
+          WHERE id = $1`,
+        [job.id, retryAt ? "pending" : "failed", retryAt, String(error || "").slice(0, 2000)]
+      );
+    },
+  };
+}
+
+function pickDriver(name) {
+  const wanted = String(name || "").toLowerCase();
+  if (wanted === "postgres" || wanted === "pg") {
+    const pool = getPool();
+    if (pool) return createPostgresDriver(pool);
+    console.warn("[jobs] REMINDER_JOBS_STORE=postgres sem DATABASE_URL; usando memória.");
+  }
+  return createMemoryDriver();
+}
+
+// ===== Fila + executor =====
+
+export function createJobQueue({
+  driver = process.env.REMINDER_JOBS_STORE || (process.env.DATABASE_URL ? "postgres" : "memory"),
+  pollMs = POLL_MS,
+} = {}) {
+  const backend = typeof driver === "string" ? pickDriver(driver) : driver;
+  const handlers = new Map(); // type -> async (payload, job) => void
+  let ready = null;
+  let timer = null;
+  let running = false;
+
+  function init() {
+    if (!ready) {
+      ready = backend.init().catch((e) => {
+        ready = null;
+        throw e;
+      });
+    }
+    return ready;
+  }
+
+  function registerHandler(type, fn) {
+    handlers.set(type, fn);
+  }
+
+  /**
+   * Enfileira um job. Retorna true se criou, false se a chave já existia.
+   * @param {{ key: string, type: string, runAt: Date|string, payload?: object }} job
+   */
+  async function enqueue({ key, type, runAt, payload = {} }) {
+    if (!key || !type || !runAt) throw new Error("enqueue: key, type e runAt são obrigatórios");
+    await init();
+    const created = await backend.insert({ key, type, runAt, payload });
+    console.log(`[jobs] ${created ? "enfileirado" : "já existia"}: ${key} -> ${new Date(runAt).toISOString()}`);
+    return created;
+  }
+
+  async function cancel(key) {
+    await init();
+    return backend.cancel(key);
+  }
+
+  // Executa os jobs vencidos (um ciclo do executor)
+  async function runDue(now = new Date()) {
+    if (running) return 0;
+    running = true;
+    let count = 0;
+    try {
+      await init();
+      const jobs = await backend.claimDue(now);
+      for (const job of jobs) {
+        const fn = handlers.get(job.type);
+        if (!fn) {
+          await backend.fail(job, `sem handler para '${job.type}'`, null);
+          continue;
+        }
+        try {
+          await fn(job.payload || {}, job);
+          await backend.complete(job);
+          count++;
+        } catch (e) {
+          const msg = e?.message || String(e);
+          const retryAt = job.attempts < MAX_ATTEMPTS ? new Date(Date.now() + backoffMs(job.attempts)) : null;
+          console.error(`[jobs] falha em ${job.key} (tentativa ${job.attempts}):`, msg);
+          await backend.fail(job, msg, retryAt);
+        }
+      }
+    } catch (e) {
+      console.error("[jobs] erro no ciclo:", e?.message || e);
+    } finally {
+      running = false;
+    }
+    return count;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => { runDue(); }, pollMs);
+    runDue();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { driver: backend.name, init, registerHandler, enqueue, cancel, runDue, start, stop };
+}
@@ -1,22 +1,32 @@
 import express from "express";
-import bodyParser from "body-parser";
-import { cancelEventFromMessage } from "./gcal.esm.js";
+import { cancelEventFromMessage } from "./cancellation.esm.js";
+import { webhookAuth } from "./webhook_auth.js";
 
 const app = express();
-app.use(bodyParser.json());
+app.set("trust proxy", 1);
+// guarda o corpo bruto: a assinatura (X-Signature-256) é conferida sobre ele
+app.use(express.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
 
 app.get("/", (_req, res) => {
   res.status(200).send("Servidor de cancelamento ativo ✅");
 });
 
 // Não exige a palavra "cancelada": qualquer texto com data/hora tenta cancelar
-app.post("/cancel-from-message", async (req, res) => {
+// Cancela eventos (cancelamento suave, com auditoria; ver cancellation.esm.js): exige HMAC
+// com CANCEL_WEBHOOK_SECRET (ver webhook_auth.js)
+// Corpo: { text, phone?, name?, dryRun? } — telefone e/ou nome do paciente obrigatórios;
+// só cancela quando exatamente um evento do horário é dele (ambíguo -> 409 com os candidatos)
+app.post("/cancel-from-message", webhookAuth("cancel"), async (req, res) => {
   try {
     const text = String(req.body?.text || req.body?.mensagem || "");
     if (!text) return res.status(400).json({ ok: false, error: "Faltou campo 'text' no JSON." });
+    const phone = String(req.body?.phone || req.body?.telefone || "");
+    const name = String(req.body?.name || req.body?.nome || "");
+    if (!phone && !name) return res.status(400).json({ ok: false, error: "Faltou 'phone' e/ou 'name' do paciente no JSON." });
+    const dryRun = req.body?.dryRun === true || req.body?.dry_run === true || req.query?.dryRun === "true";
 
-    const result = await cancelEventFromMessage(text);
-    return res.status(200).json(result);
+    const result = await cancelEventFromMessage(text, { phone, name, dryRun });
+    return res.status(result.ambiguous ? 409 : 200).json(result);
   } catch (e) {
     return res.status(500).json({ ok: false, error: String(e?.message || e) });
   }
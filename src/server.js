@@ -6,20 +6,54 @@ import compression from "compression";
 import cors from "cors";
 import dotenv from "dotenv";
 import getRawBody from "raw-body";
+import { pathToFileURL } from "url";
 
 import { askCristina } from "./openai.js";
-import { sendWhatsAppText } from "./gupshup.js";
-import { sendZapiText } from "./zapi.js";
-import { safeLog } from "./redact.js";
+import { getProvider } from "./messaging.js";
+import { metaVerifyChallenge } from "./meta.js";
+import { webhookAuth } from "./webhook_auth.js";
+import { safeLog, mask } from "./redact.js";
+import { createConversationStore } from "./conversation_store.js";
+import { createJobQueue } from "./reminder_jobs.js";
+import { createAdminRouter } from "./admin.js";
+import { phoneKey, toProviderDigits, formatBrazilPhone, onlyDigits } from "./phone.js";
+import { extractPhonesFromEvent, extractNamesFromEvent, eventMatchesIdentity } from "./patient_identity.js";
+import { STATES, getState, isCancelFlow, isBookingFlow, describeState, transition } from "./conversation_state.js";
 
 // >>> CALENDÁRIO (somente nossas funções)
-import { createCalendarEvent, findPatientEvents, cancelCalendarEvent } from "./google.esm.js";
+import {
+  findPatientEvents,
+  listUpcomingEvents, getCalendarEvent, setEventPrivateProps,
+} from "./calendar.esm.js";
+import { cancelAppointment, cancelFromMessage, onAppointmentCancelled } from "./cancellation.esm.js";
 import { parseCandidateDateTime } from "./utils.esm.js";
 import { isSlotBlockedOrBusy } from "./availability.esm.js";
 import { listAvailableSlots } from "./slots.esm.js";
-
-import axios from "axios";
-import { DateTime } from "luxon";
+import { getAppointmentType, matchAppointmentType, defaultAppointmentType } from "./appointment_types.js";
+import { closureFor, describeClosure } from "./holidays.esm.js";
+import {
+  getProfessional, matchProfessional, defaultProfessional, hasManyProfessionals, professionalsFor,
+  professionalByCalendar, professionalBusyCalendarIds, professionalCalendarIds, withArticle, describeProfessionals,
+  professionalEventCalendarId,
+} from "./professionals.js";
+import { matchModality, normalizeModality } from "./modalities.js";
+import { holdSlot, getHold, heldByOther, releaseHold, convertHold } from "./slot_holds.js";
+import {
+  PERIODS, offerMinutes, parsePeriod, joinWaitlist, leaveWaitlist, waitlistFor, createOffer, getOffer, closeOffer,
+  offerOutcome, openOffers, loadWaitlist, flushWaitlist,
+} from "./waitlist.js";
+import { bookAppointment, findBooking, rescheduleBooking } from "./booking.esm.js";
+import {
+  calendarWatchConfig,
+  calendarWatchRoute,
+  onExternalEventChange,
+  renewCalendarWatches,
+} from "./calendar_watch.esm.js";
+
+import {
+  clinicZone, inZone, nowLocal, localDateTime, startOfLocalDay, atLocalTime,
+  localWeekday, isLocalWeekend, formatLocal, currentLocalYear, upcomingLocalYear,
+} from "./tz.esm.js";
 
 // <<< FIM CALENDÁRIO
 
@@ -30,7 +64,7 @@ const MORE_SLOTS_DAYS = 7; // janela da paginação "mais" (pode manter 7)
 // (opcional) liga/desliga limpeza de *negrito* e ativa placeholder {{nome}}
 const WHATSAPP_STRIP_MARKDOWN = String(process.env.WHATSAPP_STRIP_MARKDOWN || "true").toLowerCase() === "true";
 
-// ===== Helper de envio unificado (Z-API ou Gupshup) =====
+// ===== Helper de envio unificado (provedor de messaging.js) =====
 // Versão "segura": jitter, cooldown por contato e deduplicação
 const _lastSendAtByPhone = new Map(); // phone -> timestamp
 const _lastPayloadByPhone = new Map(); // phone -> { text, at }
@@ -43,11 +77,7 @@ function _normInboundText(s) {
 // Contador diário por contato
 const _dailyCountByPhone = new Map(); // key="YYYYMMDD|phone" -> count
 function _dayKey() {
-  const d = new Date();
-  const yyyy = d.getFullYear();
-  const mm = String(d.getMonth() + 1).padStart(2, "0");
-  const dd = String(d.getDate()).padStart(2, "0");
-  return `${yyyy}${mm}${dd}`;
+  return formatLocal(new Date(), "yyyyMMdd"); // dia no fuso da clínica
 }
 function _getDaily(key) { return _dailyCountByPhone.get(key) || 0; }
 function _incDaily(key) { _dailyCountByPhone.set(key, _getDaily(key) + 1); }
@@ -62,16 +92,18 @@ function _isQuietHours(now = new Date()) {
     if (!cfg) return false;
     const [h1, h2] = cfg.split("-").map(x => parseInt(x, 10));
     if (Number.isNaN(h1) || Number.isNaN(h2)) return false;
-    const hr = now.getHours();
+    const hr = inZone(now).hour; // hora local da clínica
     if (h1 < h2) return hr >= h1 && hr < h2;        // 10-18
     return hr >= h1 || hr < h2;                     // 21-08 (vira a meia-noite)
   } catch { return false; }
 }
 
-async function sendText({ to, text, skipDedupeOnce = false }) {
-  // mantém compatibilidade com o resto do código
-  const provider = (process.env.WHATSAPP_PROVIDER || "GUPSHUP").toUpperCase();
-  const phone = (to || "").toString().replace(/\D/g, "");
+// optedIn: aviso que o paciente pediu (oferta da lista de espera) — não é outbound frio
+async function sendText({ to, text, skipDedupeOnce = false, optedIn = false }) {
+  // chave canônica (+55...) para contadores/memória; o adaptador converte para o provedor
+  const phone = phoneKey(to) || onlyDigits(to);
+  // envio fora do handleInbound (lembrete, lista de espera): conversa persistida antes das leituras
+  await conversationStore.load(phone);
 
     // --- Limite diário por contato (anti-rajada agressiva) ---
   try {
@@ -80,7 +112,7 @@ async function sendText({ to, text, skipDedupeOnce = false }) {
     const count = _getDaily(key);
 
     // Permite resposta se o usuário falou há ≤60s, mesmo após o limite
-    const conv = conversations.get(phone);
+    const conv = getConversation(phone);
     const lastUserAt = conv?.lastUserAt || 0;
     const userIsRecent = Date.now() - lastUserAt <= 60_000;
 
@@ -120,10 +152,10 @@ async function sendText({ to, text, skipDedupeOnce = false }) {
   // 1.5) Evita iniciar outbound depois de muito silêncio do paciente
   try {
     const MAX_SILENCE = parseInt(process.env.MAX_SILENCE_BEFORE_OUTBOUND_MS || "300000", 10); // 5min
-    const conv = conversations.get(phone);
+    const conv = getConversation(phone);
     const lastUserAt = conv?.lastUserAt || 0;
     // Se o paciente não falou recentemente e não há pergunta pendente, segure
-    if (lastUserAt && Date.now() - lastUserAt > MAX_SILENCE) {
+    if (!optedIn && lastUserAt && Date.now() - lastUserAt > MAX_SILENCE) {
       console.log("[sendText] long-silence: evitando outbound frio para", phone);
       return { skipped: "long-silence" };
     }
@@ -136,7 +168,7 @@ async function sendText({ to, text, skipDedupeOnce = false }) {
     const allowReply = String(process.env.QUIET_ALLOW_REPLY || "true").toLowerCase() === "true";
     if (_isQuietHours() && allowReply) {
       // Se não existe conversa recente, evite iniciar push frio neste horário
-      const conv = conversations.get(phone);
+      const conv = getConversation(phone);
       const hasRecentUserMsg = !!(conv && conv.messages && conv.messages.some(m => m.role === "user"));
       if (!hasRecentUserMsg) {
         console.log("[sendText] quiet-hours: evitando iniciar conversa com", phone);
@@ -165,13 +197,8 @@ async function sendText({ to, text, skipDedupeOnce = false }) {
     await _sleep(jitter);
   } catch {}
 
-  // 5) Envio pelo provedor selecionado (sem alterar sua lógica)
-  let out;
-  if (provider === "ZAPI") {
-    out = await sendZapiText({ phone, message: msg });
-  } else {
-    out = await sendWhatsAppText({ to, text: msg });
-  }
+  // 5) Envio pelo provedor selecionado (WHATSAPP_PROVIDER)
+  const out = await getProvider().sendText({ to: phone, text: msg });
 
   // 6) Marcações para as próximas proteções
   _lastSendAtByPhone.set(phone, Date.now());
@@ -204,7 +231,8 @@ app.use(
       : "*",
   })
 );
-app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev"));
+// sem log de acesso na simulação (NODE_ENV=test; ver src/sim/harness.js)
+app.use(morgan(process.env.NODE_ENV === "production" ? "combined" : "dev", { skip: () => process.env.NODE_ENV === "test" }));
 
 const limiter = rateLimit({ windowMs: 60 * 1000, max: 60 });
 app.use(limiter);
@@ -250,56 +278,14 @@ app.get("/", (_req, res) =>
 );
 app.get("/healthz", (_req, res) => res.status(200).send("ok"));
 app.get("/webhook/gupshup", (_req, res) => res.status(200).send("ok"));
-// === Webhook Z-API (mensagens recebidas) ===
-app.post("/webhook/zapi", async (req, res) => {
-  // Confirma rápido para a Z-API
-  res.sendStatus(200);
-
-  try {
-    const b = req.body || {};
-
-    // (Opcional) Se você deixou ligado "Notificar as enviadas por mim também",
-    // ignore eventos de mensagens enviadas pela própria instância para evitar loop:
-    if (b?.owner === true || b?.status === "SENT") return;
-
-    // Texto do usuário
-    const inboundText =
-      b?.text?.message ||
-      b?.message?.text?.message ||
-      b?.message?.body ||
-      "";
-
-    // Número do usuário
-    const fromRaw = (b?.phone || b?.message?.from || "") + "";
-    const from = fromRaw.replace(/\D/g, "");
-
-    if (!inboundText || !from) return;
-
-    // MONTA um "evento no formato Gupshup" e reutiliza TODO o fluxo
-    req.body = {
-      type: "message",
-      payload: {
-        type: "text",
-        payload: { text: inboundText },
-        sender: {
-            phone: from,
-            name:
-                b?.senderName ||
-                b?.pushname ||
-                b?.message?.sender?.name ||
-                b?.message?.senderName ||
-                b?.message?.authorName ||
-                ""
-        },
-        source: from
-      }
-    };
-
-    // chama o mesmo handler usado pela Gupshup
-    await handleInbound(req, res);
-  } catch (e) {
-    console.error("[/webhook/zapi] erro:", e?.response?.data || e);
-  }
+// Handshake da Meta (Cloud API): devolve hub.challenge se o META_VERIFY_TOKEN bater
+app.get("/webhook/meta", (req, res) => {
+  const challenge = metaVerifyChallenge(req.query);
+  if (challenge === null) {
+    console.warn("[/webhook/meta] verificação recusada (hub.mode/verify_token)");
+    return res.sendStatus(403);
+  }
+  res.status(200).send(challenge);
 });
 // =====================
 // Memória por telefone
@@ -308,68 +294,27 @@ const MEMORY_TTL_HOURS = Number(process.env.MEMORY_TTL_HOURS || 48);
 const MEMORY_MAX_MESSAGES = Number(process.env.MEMORY_MAX_MESSAGES || 20);
 const MAX_CONTEXT_CHARS = Number(process.env.MAX_CONTEXT_CHARS || 20000);
 
-
-const conversations = new Map();
-
-function nowMs() { return Date.now(); }
+// Driver: CONVERSATION_STORE=memory|postgres (postgres usa DATABASE_URL)
+const conversationStore = createConversationStore({
+  ttlHours: MEMORY_TTL_HOURS,
+  maxMessages: MEMORY_MAX_MESSAGES,
+});
+console.log("[conversation-store] driver:", conversationStore.driver);
 
 function getConversation(phone) {
-  const c = conversations.get(phone);
-  if (!c) return null;
-  const ageHours = (nowMs() - c.updatedAt) / (1000 * 60 * 60);
-  if (ageHours > MEMORY_TTL_HOURS) {
-    conversations.delete(phone);
-    return null;
-  }
-  return c;
+  return conversationStore.get(phone);
 }
 
 function ensureConversation(phone) {
-  const existing = getConversation(phone);
-  if (existing) return existing;
-  const c = { updatedAt: nowMs(), messages: [] };
-  conversations.set(phone, c);
-  return c;
+  return conversationStore.ensure(phone);
 }
 
-function formatBrazilPhone(raw) {
-  const digits = String(raw || "").replace(/\D/g, "");
-  const national = digits.startsWith("55") ? digits.slice(2) : digits;
-  if (national.length < 10) return digits || "Telefone não informado";
-
-  const ddd = national.slice(0, 2);
-  const rest = national.slice(2);
-
-  // 9 dígitos (celular) => 9XXXX-XXXX
-  if (rest.length === 9) {
-    return `(${ddd}) ${rest[0]}${rest.slice(1, 5)}-${rest.slice(5)}`;
-  }
-  // 8 dígitos (fixo) => XXXX-XXXX
-  if (rest.length === 8) {
-    return `(${ddd}) ${rest.slice(0, 4)}-${rest.slice(4)}`;
-  }
-  // fallback (10+ dígitos)
-  return `(${ddd}) ${rest}`;
-}
-// Normaliza para somente dígitos (mantém DDI 55 se vier)
-function onlyDigits(s) { return String(s || "").replace(/\D/g, ""); }
-
-// Retorna "55DDD9XXXXXXXX" ou "DDDnXXXXXXX" (sem símbolos)
-function normalizePhoneForLookup(raw) {
-  const d = onlyDigits(raw);
-  if (!d) return "";
-  if (d.length === 13 && d.startsWith("55")) return d; // 55 + 2(DDD) + 9 + 8
-  if (d.length === 12 && d.startsWith("55")) return d; // 55 + 2(DDD) + 8
-  if (d.length === 11 || d.length === 10) return d;    // nacional
-  if (d.length > 11 && !d.startsWith("55")) return "55" + d; // força DDI
-  return d;
-}
 // === Utils de data ===
 
-const SAO_PAULO_TZ = "America/Sao_Paulo";
+// Fuso da clínica: TZ (ver tz.esm.js)
 
 function reminderTimeVespera17(startISO) {
-  const start = DateTime.fromISO(startISO, { zone: SAO_PAULO_TZ });
+  const start = inZone(startISO);
 
   // 🧠 lê DAYS_BEFORE do Railway ou usa 1 como padrão
   const daysBefore = parseInt(process.env.REMINDER_DAYS_BEFORE || "1", 10);
@@ -389,79 +334,286 @@ function reminderTimeVespera17(startISO) {
   return vespera;
 }
 
-function scheduleOneShot(dateTime, jobFn) {
-  const now = DateTime.now().setZone(SAO_PAULO_TZ);
-  let ms = dateTime.diff(now, "milliseconds").milliseconds;
-
-  // se já passou, executa logo
-  if (ms <= 0) {
-    (async () => { try { await jobFn(); } catch (e) { console.error("[scheduleOneShot]", e); } })();
-    return { stop: () => {} };
-  }
-
-  // limita ao maior timeout suportado (~24 dias). Se for maior, vigia por intervalos.
-  const MAX_TIMEOUT = 2_147_000_000; // ~24,8 dias
-  if (ms > MAX_TIMEOUT) {
-    const iv = setInterval(async () => {
-      const now2 = DateTime.now().setZone(SAO_PAULO_TZ);
-      ms = dateTime.diff(now2, "milliseconds").milliseconds;
-      if (ms <= MAX_TIMEOUT) {
-        clearInterval(iv);
-        const t = setTimeout(async () => {
-          try { await jobFn(); } catch (e) { console.error("[scheduleOneShot]", e); }
-        }, Math.max(0, ms));
-        // expõe um stop que cancela ambos
-        return { stop: () => { try { clearInterval(iv); clearTimeout(t); } catch {} } };
-      }
-    }, 24 * 60 * 60 * 1000); // reavalia todo dia
-    return { stop: () => { try { clearInterval(iv); } catch {} } };
+// ===== Lembretes da véspera: fila durável (ver reminder_jobs.js) =====
+// Antes era um setTimeout dentro do processo (perdido a cada restart).
+const reminderJobs = createJobQueue();
+const CONFIRMATION_JOB = "confirmation_template";
+
+function confirmationJobKey(eventId, startISO) {
+  return `confirm|${eventId}|${new Date(startISO).toISOString()}`;
+}
+
+async function enqueueConfirmationReminder({ eventId, calendarId, startISO, phone, name, modality }) {
+  let runAt = reminderTimeVespera17(startISO);
+  const now = nowLocal();
+  // horário do lembrete já passou, mas a consulta ainda vem aí -> envia no próximo ciclo
+  if (runAt < now) runAt = now;
+
+  return reminderJobs.enqueue({
+    key: confirmationJobKey(eventId, startISO),
+    type: CONFIRMATION_JOB,
+    runAt: runAt.toJSDate(),
+    payload: { eventId, calendarId: calendarId || null, startISO, phone: phoneKey(phone), name, modality },
+  });
+}
+
+reminderJobs.registerHandler(CONFIRMATION_JOB, async (payload, job) => {
+  const { eventId, calendarId, startISO, phone, name } = payload;
+  const phoneDigits = toProviderDigits(phone);
+
+  if (new Date(startISO).getTime() <= Date.now()) {
+    console.log("[jobs] consulta já passou, template ignorado:", job.key);
+    return;
+  }
+
+  // O evento ainda existe e está no mesmo horário? (pode ter sido cancelado/movido)
+  if (eventId) {
+    const ev = await getCalendarEvent({ calendarId, eventId });
+    if (!ev || ev.status === "cancelled") {
+      console.log("[jobs] evento cancelado, template ignorado:", job.key);
+      return;
+    }
+    const evStart = ev.start?.dateTime;
+    if (evStart && new Date(evStart).getTime() !== new Date(startISO).getTime()) {
+      console.log("[jobs] evento mudou de horário, template ignorado:", job.key);
+      return;
+    }
+    // idempotência: se uma execução anterior já enviou, não reenvia
+    if (ev.extendedProperties?.private?.confirmation_sent === job.key) {
+      console.log("[jobs] template já enviado:", job.key);
+      return;
+    }
+  }
+
+  const pacienteNome = (name && name !== "Paciente (WhatsApp)") ? name : "Paciente";
+  const dataHoraPt   = inZone(startISO).toFormat("dd/LL 'às' HH:mm");
+
+  // lê texto base do template e faz substituição simples
+  const rawMessage = (process.env.REMINDER_MESSAGE || "Olá {{nome}}, sua consulta é amanhã às {{hora}}.")
+    .replace("{{nome}}", pacienteNome)
+    .replace("{{hora}}", dataHoraPt);
+
+  // log para conferência
+  console.log(`[📤 Enviando template]: ${rawMessage}`);
+
+  await sendConfirmationTemplate({
+    to: phoneDigits,
+    bodyParams: [rawMessage],
+    confirmPayload: `CONFIRMAR|${phoneDigits}|${startISO}`,
+    cancelPayload:  `CANCELAR|${phoneDigits}|${startISO}`,
+  });
+
+  if (eventId) {
+    try {
+      await setEventPrivateProps({ calendarId, eventId, props: { confirmation_sent: job.key } });
+    } catch (e) {
+      console.warn("[jobs] não consegui marcar confirmation_sent:", e?.message || e);
+    }
+  }
+});
+
+// Recria (sem duplicar) os lembretes dos eventos futuros criados pelo bot
+async function rebuildConfirmationJobs() {
+  const daysAhead = parseInt(process.env.REMINDER_REBUILD_DAYS || "30", 10);
+  const events = [];
+  for (const calendarId of professionalCalendarIds()) {
+    for (const ev of await listUpcomingEvents({ calendarId, daysAhead })) events.push({ ev, calendarId });
+  }
+  let created = 0;
+  for (const { ev, calendarId } of events) {
+    const pvt = ev.extendedProperties?.private || {};
+    const startISO = ev.start?.dateTime;
+    const phone = phoneKey(pvt.patient_phone);
+    if (!startISO || !phone) continue; // só eventos com paciente (criados pelo bot)
+
+    const ok = await enqueueConfirmationReminder({
+      eventId: ev.id,
+      calendarId,
+      startISO,
+      phone,
+      name: pvt.patient_name ? toTitleCase(pvt.patient_name) : "",
+      modality: pvt.modality || "",
+    });
+    if (ok) created++;
   }
+  console.log(`[jobs] rebuild: ${events.length} eventos futuros, ${created} lembretes recriados.`);
+}
 
-  const t = setTimeout(async () => {
-    try { await jobFn(); } catch (e) { console.error("[scheduleOneShot]", e); }
-  }, ms);
+// Agendamento movido/apagado direto na agenda (ver calendar_watch.esm.js): o lembrete do
+// horário antigo se descarta sozinho (confere o evento); aqui agenda o do horário novo.
+onExternalEventChange(async ({ type, calendarId, eventId, event, startISO }) => {
+  const pvt = event?.extendedProperties?.private || {};
+  const phone = phoneKey(pvt.patient_phone);
+  if (type === "cancelled") {
+    console.log(`[calendar-watch] agendamento de ${mask(phone)} apagado na agenda (${eventId})`);
+    return;
+  }
+  if (type !== "moved" || !phone || !event?.start?.dateTime) return;
+  if (new Date(startISO).getTime() <= Date.now()) return;
+  await enqueueConfirmationReminder({
+    eventId,
+    calendarId,
+    startISO: event.start.dateTime,
+    phone,
+    name: pvt.patient_name ? toTitleCase(pvt.patient_name) : "",
+    modality: pvt.modality || "",
+  });
+  console.log(`[calendar-watch] agendamento de ${mask(phone)} movido para ${event.start.dateTime}; lembrete reagendado`);
+});
 
-  return { stop: () => { try { clearTimeout(t); } catch {} } };
+// ===== Lista de espera (ver waitlist.js) =====
+// Horário liberado (cancelamento pelo bot ou pelo servidor de cancelamento, remarcação,
+// mudança direta na agenda) vai para o primeiro da fila para quem ele ainda serve (dia,
+// período, tipo de consulta, modalidade, antecedência). Uma oferta por vez, com prazo
+// (job WAITLIST_OFFER_JOB); recusa ou prazo vencido passa para o próximo.
+const WAITLIST_OFFER_JOB = "waitlist_offer_expiry";
+
+function waitlistJobKey(offerId) {
+  return `waitlist|${offerId}`;
 }
 
-// Envia TEMPLATE aprovado via Z-API (ajuste NAMESPACE/NAME conforme seu template aprovado)
-async function sendConfirmationTemplate({ to, templateName = "confirma_consulta_vespera", language = "pt_BR", bodyParams = [], confirmPayload, cancelPayload }) {
-  const { ZAPI_BASE_URL, ZAPI_INSTANCE_ID, ZAPI_TOKEN } = process.env;
-  const url = `${ZAPI_BASE_URL}/instances/${ZAPI_INSTANCE_ID}/token/${ZAPI_TOKEN}/send-template`;
-  const payload = {
-    phone: String(to).replace(/\D/g, ""),
-    namespace: process.env.ZAPI_TEMPLATE_NAMESPACE || null,
-    name: templateName,
-    language,
-    components: [
-      { type: "body", parameters: bodyParams },
-      { type: "button", sub_type: "quick_reply", index: "0", parameters: [{ type: "payload", payload: confirmPayload }] },
-      { type: "button", sub_type: "quick_reply", index: "1", parameters: [{ type: "payload", payload: cancelPayload }] },
-    ],
-  };
+// Libera a reserva da oferta (só se o paciente ainda segura aquele horário)
+function releaseOfferHold(offer, reason) {
+  const hold = getHold(offer.phone);
+  if (hold && hold.startISO === offer.slot.startISO) releaseHold(offer.phone, reason);
+}
 
+async function offerFreedSlot({ calendarId, professionalId, startISO, endISO, tried = [] }) {
   try {
-    const resp = await axios.post(url, payload);
+    const startMs = new Date(startISO).getTime();
+    if (!startISO || startMs <= Date.now()) return null;
+    const endMs = endISO ? new Date(endISO).getTime() : startMs + 60 * 60000;
+    const pro = getProfessional(professionalId) || professionalByCalendar(calendarId) || defaultProfessional();
+    const fromISO = new Date(Math.max(Date.now(), startOfLocalDay(startISO).toMillis())).toISOString();
 
-        // 🔒 Marca fase "reminder_template" por até 48h para isolar respostas "1/2" (com e sem 55)
-    try {
-      const raw = String(to).replace(/\D/g, "");
-      const withDDI = raw.startsWith("55") ? raw : ("55" + raw);
-      const noDDI   = raw.startsWith("55") ? raw.slice(2) : raw;
-
-      const isoFromPayload = (confirmPayload || "").split("|")[2] || null;
-
-      for (const key of [withDDI, noDDI]) {
-        const conv = ensureConversation(key);
-        conv.phase = "reminder_template";
-        conv.templateCtx = {
-          startISO: isoFromPayload || null,
-          setAt: Date.now(),
-          activeUntil: Date.now() + 48 * 60 * 60 * 1000 // 48h
-        };
-        conv.updatedAt = Date.now();
+    for (const entry of waitlistFor({ startISO, professionalId: pro?.id, exclude: tried })) {
+      const slots = await listAvailableSlots({
+        fromISO, days: 1, type: entry.typeId, professional: pro, modality: entry.modality, phone: entry.phone,
+      });
+      const slot = slots.find((s) => {
+        const t = new Date(s.startISO).getTime();
+        return t >= startMs && t < endMs;
+      });
+      if (!slot) continue;
+
+      const offer = createOffer({
+        entry,
+        slot,
+        freed: { calendarId, professionalId: pro?.id || null, startISO, endISO: new Date(endMs).toISOString() },
+        tried,
+      });
+      holdSlot({
+        phone: entry.phone,
+        startISO: slot.startISO,
+        endISO: slot.endISO,
+        professionalId: slot.professionalId || null,
+        calendarId: slot.calendarId || null,
+        minutes: offerMinutes(),
+      });
+      const sent = await sendText({
+        to: entry.phone,
+        text:
+          `Vagou um horário na lista de espera: **${slot.dayLabel} ${slot.label}**.\n` +
+          `Quer ficar com ele? Responda **quero o horário** em até ${offerMinutes()} minutos ou **não quero** para continuar na lista.`,
+        optedIn: true,
+      });
+      if (sent?.skipped) {
+        // não chegou ao paciente (limite diário, horário de silêncio...): tenta o próximo
+        closeOffer(entry.phone, "undelivered");
+        releaseOfferHold(offer, "liberada (oferta não enviada)");
+        tried = offer.tried;
+        continue;
       }
-    } catch {}
+      await reminderJobs.enqueue({
+        key: waitlistJobKey(offer.id),
+        type: WAITLIST_OFFER_JOB,
+        runAt: new Date(offer.expiresAt),
+        // o horário e a fila vão junto: o prazo ainda passa a vez se a oferta se perder (reinício sem gravação)
+        payload: { phone: entry.phone, offerId: offer.id, slot: offer.slot, freed: offer.freed, tried: offer.tried },
+      });
+      return offer;
+    }
+    return null;
+  } catch (e) {
+    console.error("[waitlist] falha ao oferecer horário liberado:", e?.message || e);
+    return null;
+  }
+}
+
+// Oferta recusada ou vencida: o paciente continua na lista e o horário vai para o próximo
+async function passOfferOn(offer) {
+  await reminderJobs.cancel(waitlistJobKey(offer.id));
+  releaseOfferHold(offer, "liberada (oferta da lista de espera)");
+  if (offer.freed) await offerFreedSlot({ ...offer.freed, tried: offer.tried });
+}
+
+reminderJobs.registerHandler(WAITLIST_OFFER_JOB, async ({ phone, offerId, slot, freed = null, tried = [] }) => {
+  if (offerOutcome(offerId)) return; // respondida antes do prazo
+  const offer = closeOffer(phone, "expired", { offerId }) ||
+    (slot ? { id: offerId, phone, slot, freed, tried } : null);
+  if (!offer) return;
+  await sendText({
+    to: phone,
+    text: `O prazo para o horário de **${offer.slot.dayLabel} ${offer.slot.label}** acabou. Você continua na lista de espera e te aviso se vagar outro.`,
+    optedIn: true,
+  });
+  await passOfferOn(offer);
+});
+
+onAppointmentCancelled(({ calendarId, professionalId, startISO, endISO }) =>
+  offerFreedSlot({ calendarId, professionalId, startISO, endISO }));
+
+// Apagado/movido direto na agenda (ou pelo server.cancel.js, que roda em outro processo)
+onExternalEventChange(async ({ calendarId, event, previousStartISO }) => {
+  if (!previousStartISO) return;
+  const s = event?.start?.dateTime, e = event?.end?.dateTime;
+  const endISO = s && e
+    ? new Date(new Date(previousStartISO).getTime() + (new Date(e) - new Date(s))).toISOString()
+    : null;
+  await offerFreedSlot({
+    calendarId,
+    professionalId: event?.extendedProperties?.private?.professional_id || null,
+    startISO: previousStartISO,
+    endISO,
+  });
+});
+
+// Convite para a lista de espera quando o dia pedido não tem horário (guarda o dia na conversa)
+function waitlistInvite(from, day) {
+  ensureConversation(from).waitlistAsk = { date: formatLocal(day, "yyyy-MM-dd") };
+  return "\nSe preferir, posso te colocar na **lista de espera** desse dia e te aviso se vagar um horário: " +
+    "responda **lista de espera** (ou **lista de espera de manhã** / **à tarde**).";
+}
+
+// Envia TEMPLATE aprovado pelo provedor configurado (ajuste o NAME conforme seu template aprovado)
+async function sendConfirmationTemplate({ to, templateName = "confirma_consulta_vespera", language = "pt_BR", bodyParams = [], confirmPayload, cancelPayload }) {
+  try {
+    const resp = await getProvider().sendTemplate({
+      to,
+      name: templateName,
+      language,
+      params: bodyParams,
+      buttons: [confirmPayload, cancelPayload],
+    });
+
+    // 🔒 Marca o template como ativo por até 48h (estado BOOKED) para isolar respostas "1/2".
+    // Paciente no meio de um cancelamento/remarcação continua nele: só os botões do
+    // template (CONFIRMAR|/CANCELAR|, tratados no handleInbound) valem nesse caso.
+    const isoFromPayload = (confirmPayload || "").split("|")[2] || null;
+    const key = phoneKey(to);
+    // fora do handleInbound: traz a conversa gravada antes de alterar (senão o flush a sobrescreve)
+    await conversationStore.load(key);
+    const conv = ensureConversation(key);
+    if (isCancelFlow(conv)) {
+      console.log(`[jobs] ${mask(key)} em ${getState(conv)}: template enviado sem entrar na fase de template`);
+    } else if (transition(conv, STATES.BOOKED, { phone: key, reason: "template da véspera" })) {
+      conv.templateCtx = {
+        startISO: isoFromPayload || null,
+        setAt: Date.now(),
+        activeUntil: Date.now() + 48 * 60 * 60 * 1000 // 48h
+      };
+      conv.updatedAt = Date.now();
+    }
 
     return resp;
   } catch (e) {
@@ -473,9 +625,19 @@ async function sendConfirmationTemplate({ to, templateName = "confirma_consulta_
 
 
 function isWeekend(dateOrISO) {
-  const d = new Date(dateOrISO);
-  const dow = d.getDay(); // 0=dom, 6=sáb
-  return dow === 0 || dow === 6;
+  return isLocalWeekend(dateOrISO); // sábado/domingo no fuso da clínica
+}
+
+// Feriado/fechamento da clínica (holidays.esm.js): explica ao paciente e devolve true
+async function rejectClosedDay(to, dateOrISO) {
+  const closure = closureFor(dateOrISO);
+  if (!closure) return false;
+  await sendText({
+    to,
+    text: `No dia **${formatLocal(dateOrISO, "dd/MM")}** a clínica não atende (${describeClosure(closure)}). ` +
+      "Posso procurar horários em outro dia?",
+  });
+  return true;
 }
 /**
  * Tenta extrair Nome, Telefone e Motivo.
@@ -599,7 +761,7 @@ function extractReasonChoice(text) {
   return null;
 }
 
-function extractPatientInfo({ payload, phone, conversation }) {
+function extractPatientInfo({ message, phone, conversation }) {
   const msgs = conversation?.messages || [];
 
 // ====== NOME (prioriza texto digitado pelo paciente; fallback: nome do WhatsApp) ======
@@ -690,7 +852,7 @@ if (nameFromUser && isLikelyNameLocal(nameFromUser)) {
   name = nameFromUser.trim();
 } else {
   // fallback mais seguro
-  const senderName = (payload?.sender?.name || "").toString().trim();
+  const senderName = (message?.name || "").toString().trim();
   name = isLikelyNameLocal(senderName) ? senderName : "Paciente (WhatsApp)";
 }
 // *** hardening final: exige 2+ palavras mesmo após escolha ***
@@ -708,17 +870,12 @@ console.log("[NAME PICKED]", name);
     phoneFromUser = extractPhoneFromText(m.content);
   }
   if (!phoneFromUser) {
-    const lastText = (
-      payload?.payload?.text ||
-      payload?.payload?.title ||
-      payload?.payload?.postbackText ||
-      payload?.text ||
-      ""
-    ) + "";
+    const lastText = (message?.text || message?.buttonPayload || "") + "";
     phoneFromUser = extractPhoneFromText(lastText);
   }
-  const rawPhone = phoneFromUser || phone || payload?.sender?.phone || payload?.source;
+  const rawPhone = phoneFromUser || phone || message?.from;
   const phoneFormatted = formatBrazilPhone(rawPhone);
+  const phoneCanonical = phoneKey(rawPhone) || phoneKey(phone);
 
   // ====== MOTIVO (somente duas opções) ======
   let reason = null;
@@ -736,15 +893,9 @@ console.log("[NAME PICKED]", name);
     if (!reason) reason = extractReasonChoice(m.content);
   }
 
-  // 2) Procura no payload atual
+  // 2) Procura na mensagem atual
   if (!reason) {
-    const lastText = (
-      payload?.payload?.text ||
-      payload?.payload?.title ||
-      payload?.payload?.postbackText ||
-      payload?.text ||
-      ""
-    ) + "";
+    const lastText = (message?.text || message?.buttonPayload || "") + "";
     const labeled = lastText.match(/motivo\s*[:\-]\s*(.+)/i);
     if (labeled?.[1]) {
       reason = extractReasonChoice(labeled[1]);
@@ -799,21 +950,15 @@ const extractModalityChoice = (text) => {
   if (/\b4\b/.test(t)) return "Telemedicina";
   if (/\b3\b/.test(t)) return "Presencial";
 
-  // PALAVRAS/EXPRESSÕES
-  if (/\btele\s*medicina\b|\bteleconsulta\b|\btele\s*atendimento\b|\bon\s?-?line\b|\bvirtual\b|\bvídeo?\s*chamada\b|\bvideo?\s*chamada\b|\bremot[oa]\b/.test(t)) {
-    return "Telemedicina";
-  }
-  if (/\bpresencial\b|\bconsult[óo]rio\b/.test(t)) {
-    return "Presencial";
-  }
-  return null;
+  // PALAVRAS/EXPRESSÕES (ver modalities.js)
+  return matchModality(t);
 };
 
 // 3) Monta uma lista de textos do mais recente para o mais antigo
 const texts = [];
 
-// a) payload atual (última mensagem do usuário)
-pickTexts(payload).forEach((s) => texts.push(s));
+// a) mensagem atual (última mensagem do usuário)
+pickTexts(message).forEach((s) => texts.push(s));
 
 // b) histórico correto: usar conversation.messages (quando existir)
 const histMsgs = Array.isArray(conversation?.messages) ? conversation.messages : [];
@@ -825,14 +970,9 @@ for (let i = histMsgs.length - 1; i >= 0; i--) {
 // 4) Decide: percorre do mais recente para o mais antigo
 for (const t of texts) {
   // dentro de cada texto, se houver os dois termos, TELE ganha
-  if (/\b4\b|\btele\s*medicina\b|\bteleconsulta\b|\btele\s*atendimento\b|\bon\s?-?line\b|\bvirtual\b|\bvídeo?\s*chamada\b|\bvideo?\s*chamada\b|\bremot[oa]\b/i.test(t)) {
-    modality = "Telemedicina";
-    break;
-  }
-  if (/\b3\b|\bpresencial\b|\bconsult[óo]rio\b/i.test(t)) {
-    modality = "Presencial";
-    break;
-  }
+  if (/\b4\b/.test(t)) { modality = "Telemedicina"; break; }
+  modality = matchModality(t) || (/\b3\b/.test(t) ? "Presencial" : null);
+  if (modality) break;
 }
 
 // 5) Fallback (se nada detectado)
@@ -841,7 +981,7 @@ if (!modality) modality = "Presencial";
 // Log de diagnóstico
 console.log("[MODALITY PICKED]", modality, "| sample(lastText)=", (texts[0] || "").slice(0, 120));
 
-  return { name, phoneFormatted, reason, modality };
+  return { name, phoneFormatted, phone: phoneCanonical, reason, modality };
 }
 
 
@@ -891,60 +1031,166 @@ function inferReasonFromText(raw) {
   return null; // não conseguiu inferir
 }
 
-function trimToLastN(arr, n) {
-  if (arr.length <= n) return arr;
-  return arr.slice(arr.length - n);
-}
-
 function appendMessage(phone, role, content) {
-  const conv = ensureConversation(phone);
-  conv.messages.push({ role, content: String(content || "").slice(0, 4000) });
-  if (role === "user") conv.lastUserAt = nowMs();
-  conv.messages = trimToLastN(conv.messages, MEMORY_MAX_MESSAGES);
-  conv.updatedAt = nowMs();
+  conversationStore.append(phone, role, content);
 }
 
 function resetConversation(phone) {
-  conversations.delete(phone);
+  releaseHold(phone, "liberada (reset)");
+  conversationStore.reset(phone);
 }
 
-setInterval(() => {
-  const cutoff = nowMs() - MEMORY_TTL_HOURS * 60 * 60 * 1000;
-  for (const [k, v] of conversations.entries()) {
-    if (v.updatedAt < cutoff) conversations.delete(k);
+// Estados em que o paciente largou o horário escolhido (nova lista, cancelar, desistir)
+const RELEASES_HOLD = new Set([STATES.IDLE, STATES.CHOOSING_SLOT, STATES.CANCEL_LOOKUP, STATES.CANCEL_CONFIRM, STATES.RESCHEDULE]);
+
+// Transição de estado da conversa deste contato (valida e loga; ver conversation_state.js)
+function setState(phone, to, reason) {
+  const ok = transition(ensureConversation(phone), to, { phone, reason });
+  if (ok && RELEASES_HOLD.has(to)) releaseHold(phone, `liberada (${reason || to})`);
+  return ok;
+}
+
+// Reserva provisória do horário escolhido na lista (ver slot_holds.js). Se outro paciente
+// acabou de reservá-lo, avisa e manda a lista atualizada; retorna false nesse caso.
+async function holdChosenSlot(from, chosen) {
+  const { ok } = holdSlot({
+    phone: from,
+    startISO: chosen.startISO,
+    endISO: chosen.endISO,
+    professionalId: chosen.professionalId || null,
+    calendarId: chosen.calendarId || null,
+  });
+  if (ok) return true;
+
+  const slots = await listAvailableSlots({
+    fromISO: new Date().toISOString(),
+    days: 14,
+    limit: SLOTS_PAGE_SIZE,
+    type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
+  });
+  let text = "Esse horário acabou de ser reservado por outro paciente.";
+  if (slots.length) {
+    text += "\n\nPosso te oferecer estes horários:\n" + slots.map((s, i) => `${i + 1}) ${s.dayLabel} ${s.label}`).join("\n");
+  } else {
+    text += " Pode me dizer um **dia específico** (ex.: 24/09)?";
   }
-}, 30 * 60 * 1000);
+  const conv = ensureConversation(from);
+  conv.lastSlots = slots;
+  conv.updatedAt = Date.now();
+  setState(from, STATES.CHOOSING_SLOT, "horário reservado por outro paciente");
+  await sendText({ to: from, text });
+  return false;
+}
+
+// Tipo de consulta da conversa (duração, buffer e horários; ver appointment_types.js).
+// Guardado em conv.appointmentType quando o paciente cita o motivo; até lá, o tipo padrão.
+function noteAppointmentType(phone, text) {
+  const type = matchAppointmentType(text);
+  if (type) ensureConversation(phone).appointmentType = type.id;
+  return type;
+}
+
+function appointmentTypeOf(phone) {
+  const id = getConversation(phone)?.appointmentType;
+  return (id && getAppointmentType(id)) || defaultAppointmentType();
+}
+
+// Profissional pedido pelo paciente (ver professionals.js): filtra as listas de horários.
+// Sem pedido (null), as listas juntam todos os profissionais que atendem o tipo.
+function noteProfessional(phone, text) {
+  const pro = matchProfessional(text);
+  if (pro) ensureConversation(phone).professionalId = pro.id;
+  return pro;
+}
+
+function professionalOf(phone) {
+  const id = getConversation(phone)?.professionalId;
+  return (id && getProfessional(id)) || null;
+}
+
+// Modalidade já dita pelo paciente (ver modalities.js): horários e agenda próprios.
+// null enquanto ele não disser; aí as listas não filtram por modalidade.
+function noteModality(phone, text) {
+  const modality = matchModality(text);
+  if (modality) ensureConversation(phone).modality = modality;
+  return modality;
+}
+
+function modalityOf(phone) {
+  return normalizeModality(getConversation(phone)?.modality);
+}
+
+// Quem atende a consulta confirmada: o citado na frase de confirmação, o do horário
+// escolhido na lista, o pedido pelo paciente ou o primeiro livre que atende o tipo.
+async function bookingProfessional(phone, { named, type, modality, startISO, endISO }) {
+  const conv = getConversation(phone) || {};
+  const known = matchProfessional(named) || getProfessional(conv.slotProfessionalId) || professionalOf(phone);
+  if (known) return known;
+  const candidates = professionalsFor(type);
+  for (const pro of candidates) {
+    const { busy } = await isSlotBlockedOrBusy({
+      startISO, endISO, type, modality, professional: pro, calendarIds: professionalBusyCalendarIds(pro),
+    });
+    if (!busy) return pro;
+  }
+  return candidates[0] || defaultProfessional();
+}
+
+// Resposta quando a confirmação se repete e o evento já existe (ver booking.esm.js)
+function alreadyBookedText(pro, startISO) {
+  return `Sua consulta com ${withArticle(pro)} no dia ${formatLocal(startISO, "dd/MM/yy 'às' HH:mm")} já está agendada. Não criei outro horário. 😊`;
+}
+
+// Frase de cancelamento da IA que não cancelou nada (ver cancelFromMessage): a resposta ao
+// paciente vira a correção. Mais de uma consulta dele no horário: segue no fluxo guiado de
+// cancelamento com a lista para escolher (cancelCtx.matchList, "1", "2"...).
+function cancelNotDoneText(from, result, phone) {
+  const list = (result.candidates || []).filter((c) => c.startISO).map((c) => ({
+    id: c.eventId,
+    calendarId: c.calendarId,
+    summary: c.summary || "",
+    description: "",
+    startISO: c.startISO,
+    endISO: c.endISO || null,
+    dayLabel: formatLocal(c.startISO, "dd/MM"),
+    timeLabel: formatLocal(c.startISO, "HH:mm"),
+  }));
+  if (result.ambiguous && list.length > 1 && setState(from, STATES.CANCEL_LOOKUP, "cancelamento ambíguo")) {
+    ensureConversation(from).cancelCtx = { phone, name: "", dateISO: null, timeHHMM: null, chosenEvent: null, matchList: list };
+    return "Encontrei mais de um agendamento seu nesse horário e não cancelei nenhum. Qual deles deseja cancelar? Escolha **1**, **2**...\n" +
+      list.map((ev, i) => `${i + 1}) ${ev.dayLabel} ${ev.timeLabel} — ${ev.summary || "Consulta"}`).join("\n");
+  }
+  if (Array.isArray(result.candidates) && !result.candidates.length) {
+    return "Não encontrei uma consulta sua nesse horário, então nada foi cancelado. " +
+      "Escreva **cancelar** e me diga a data da consulta para eu localizar certinho.";
+  }
+  return "Não consegui concluir o cancelamento agora e sua consulta continua marcada. " +
+    "Pode tentar de novo em instantes escrevendo **cancelar**?";
+}
+
+setInterval(() => { conversationStore.sweep(); }, 30 * 60 * 1000).unref();
+// grava alterações feitas fora do handleInbound (ex.: envio do template da véspera)
+setInterval(() => { conversationStore.flush(); }, 15 * 1000).unref();
 
 // =====================
 // Inbound handler
 // =====================
-async function handleInbound(req, res) {
-  res.status(200).end();
-
+// Recebe UMA mensagem já normalizada pelo adaptador do provedor (ver messaging.js)
+async function handleInbound(msg) {
   try {
-    console.log(
-      "[WEBHOOK HIT]",
-      new Date().toISOString(),
-      "method=", req.method,
-      "ct=", req.headers["content-type"],
-      "keys=", Object.keys(req.body || {})
-    );
-
-    const eventType = req.body?.type || req.body?.event || null;
-    if (eventType !== "message") return;
-
-    const p = req.body?.payload || {};
-    const msgType = p?.type;
-    const from = p?.sender?.phone || p?.source;
+    // Chave canônica do paciente (+55DDDNUMERO) — usada em toda a memória
+    const from = phoneKey(msg?.from);
     if (!from) return;
 
+    // Conversa persistida (driver postgres): traz do banco antes de qualquer leitura
+    await conversationStore.load(from);
+
     // Extrai texto
     let userText = "";
 
     // === Intercepta payloads de botão/template (Z-API/Gupshup) ===
 try {
-  const btnPayloadRaw =
-    (p?.payload?.postbackData ?? p?.payload?.postbackText ?? p?.payload?.payload ?? p?.payload?.title ?? "") + "";
+  const btnPayloadRaw = (msg.buttonPayload || "") + "";
   const PP = btnPayloadRaw.toUpperCase();
 
   if (PP.startsWith("CONFIRMAR|")) {
@@ -955,8 +1201,12 @@ try {
 
     // Marca “confirmado” e chama a IA para orientações
     const conv = ensureConversation(from);
+    if (!setState(from, STATES.BOOKED, "botão CONFIRMAR")) {
+      await sendText({ to: from, text: "Não consegui registrar a confirmação agora. Pode tocar em **CONFIRMAR** de novo?" });
+      return;
+    }
     conv.confirmedAt = Date.now();
-    conv.phase = null; // 🔹 sai explicitamente da fase template
+    conv.templateCtx = null; // 🔹 sai explicitamente da fase template
     try {
       // 👉 Mensagem direta no formato pedido (sem reapresentar)
   await sendText({
@@ -989,12 +1239,14 @@ try {
   if (PP.startsWith("CANCELAR|")) {
     // Joga direto no fluxo de cancelamento, preservando seu protocolo
     const parts = btnPayloadRaw.split("|");
-    const eventPhone = (parts[1] || "").replace(/\D/g, "");
+    const eventPhone = phoneKey(parts[1]);
     const eventStart = parts[2] || null;
 
     const convMem = ensureConversation(from);
-    convMem.mode = "cancel";
-    convMem.after = null; // cancelamento simples
+    if (!setState(from, STATES.CANCEL_CONFIRM, "botão CANCELAR")) { // cancelamento simples
+      await sendText({ to: from, text: "Não consegui iniciar o cancelamento agora. Escreva **cancelar** para tentarmos de novo." });
+      return;
+    }
     convMem.cancelCtx = {
       phone: eventPhone || "",
       name:  "",
@@ -1002,7 +1254,6 @@ try {
       timeHHMM: null,
       chosenEvent: null,
       eventId: null,
-      awaitingConfirm: true,
       confirmed: false,
     };
 
@@ -1014,12 +1265,11 @@ try {
 }
 
     
-    // --- Anti-duplicação de entrada (antes de ler msgType) ---
+    // --- Anti-duplicação de entrada (antes de ler o tipo da mensagem) ---
 {
   const now = Date.now();
   const last = _lastInboundByPhone.get(from);
-  const bodyForDedupe =
-    (p?.payload?.text ?? p?.payload?.title ?? p?.payload?.postbackText ?? "") + "";
+  const bodyForDedupe = (msg.text || msg.buttonPayload || "") + "";
   const textNorm = _normInboundText(bodyForDedupe);
   const WINDOW_MS = 10_000; // 10s
   if (last && last.textNorm === textNorm && now - last.at < WINDOW_MS) {
@@ -1029,10 +1279,8 @@ try {
   _lastInboundByPhone.set(from, { textNorm, at: now });
 }
 
-    if (msgType === "text") {
-      userText = p?.payload?.text || "";
-    } else if (msgType === "button_reply" || msgType === "list_reply") {
-      userText = p?.payload?.title || p?.payload?.postbackText || "";
+    if (msg.type === "text" || msg.type === "button") {
+      userText = msg.text || "";
     } else {
       await sendText({
         to: from,
@@ -1044,11 +1292,14 @@ try {
     const trimmed = (userText || "").trim().toLowerCase();
     // Marca que o paciente acabou de falar (libera respostas mesmo após longos silêncios)
 ensureConversation(from).lastUserAt = Date.now();
+    noteAppointmentType(from, userText);
+    noteProfessional(from, userText);
+    noteModality(from, userText);
 
   // === MEMÓRIA DE IDENTIDADE (nome/telefone) ===
 {
   const conv = ensureConversation(from);
-  const picked = extractPatientInfo({ payload: p, phone: from, conversation: conv });
+  const picked = extractPatientInfo({ message: msg, phone: from, conversation: conv });
   if (!conv.patientNameLocked && picked?.name && picked.name !== "Paciente (WhatsApp)") {
   conv.patientName = picked.name;
 }
@@ -1056,11 +1307,7 @@ ensureConversation(from).lastUserAt = Date.now();
 }
 
     if (["reset", "reiniciar", "novo atendimento"].includes(trimmed)) {
-  const d = String(from).replace(/\D/g, "");
-  const withDDI = d.startsWith("55") ? d : "55" + d;
-  const noDDI = d.startsWith("55") ? d.slice(2) : d;
-  resetConversation(withDDI);
-  resetConversation(noDDI);
+  resetConversation(from);
   return;
 }
 
@@ -1076,18 +1323,12 @@ if (isPureGreeting) {
 
  // === FASE DO TEMPLATE (isolada) — confirmar/cancelar sem confundir outros fluxos ===
 {
-  const keyA = String(from).replace(/\D/g, "");
-  const keyB = keyA.startsWith("55") ? keyA.slice(2) : ("55" + keyA);
-
-  // tenta achar a conversa em qualquer chave
-  const convA = getConversation(keyA);
-  const convB = getConversation(keyB);
-  const conv  = convA || convB || ensureConversation(keyA);
+  const conv = ensureConversation(from);
 
   const inTemplate =
-    conv?.phase === "reminder_template" &&
-
-    (!conv?.templateCtx?.activeUntil || Date.now() <= conv.templateCtx.activeUntil);
+    getState(conv) === STATES.BOOKED &&
+    !!conv.templateCtx &&
+    (!conv.templateCtx.activeUntil || Date.now() <= conv.templateCtx.activeUntil);
 
   if (inTemplate) {
     const norm = String(userText || "")
@@ -1102,13 +1343,8 @@ if (isPureGreeting) {
 
     // ↳ CONFIRMAR → chama IA contextualizada para orientações (sem se reapresentar)
     if (saidConfirm) {
-      // limpa fase para não reprocessar
-      conv.phase = null;
-            // mantém as duas chaves sincronizadas
-      try {
-        const a = ensureConversation(keyA); a.phase = null;
-        const b = ensureConversation(keyB); b.phase = null;
-      } catch {}
+      // limpa o template para não reprocessar
+      conv.templateCtx = null;
 
       try {
        await sendText({
@@ -1139,25 +1375,20 @@ if (isPureGreeting) {
 
     // ↳ CANCELAR → entra direto no modo cancelamento pedindo confirmação "sim/não"
     if (saidCancel) {
-      conv.phase = null; // sai da fase template
-            // mantém as duas chaves sincronizadas
-      try {
-        const a = ensureConversation(keyA); a.phase = null; a.mode = "cancel"; a.after = null; a.cancelCtx = ctx;
-        const b = ensureConversation(keyB); b.phase = null; b.mode  = "cancel"; b.after  = null; b.cancelCtx  = ctx;
-      } catch {}
-
-      conv.mode = "cancel";
-      conv.after = null;
-
       // Prefill do horário a partir do template (se disponível)
+      const templateStartISO = conv?.templateCtx?.startISO || null;
+      if (!setState(from, STATES.CANCEL_CONFIRM, "template: cancelar")) { // sai da fase template
+        await sendText({ to: from, text: "Não consegui iniciar o cancelamento agora. Escreva **cancelar** para tentarmos de novo." });
+        return;
+      }
+
       const ctx = conv.cancelCtx = {
-        phone: normalizePhoneForLookup(from),
+        phone: from,
         name:  conv.patientName || "",
-        dateISO: conv?.templateCtx?.startISO || null,
+        dateISO: templateStartISO,
         timeHHMM: null,
         chosenEvent: null,
         eventId: null,
-        awaitingConfirm: true,
         confirmed: false,
       };
 
@@ -1165,12 +1396,9 @@ if (isPureGreeting) {
       let pergunta = "Posso cancelar sua consulta para este horário? Responda **sim** ou **não**.";
       try {
         if (ctx.dateISO) {
-          const d = new Date(ctx.dateISO);
-          const dd = String(d.getDate()).padStart(2, "0");
-          const mm = String(d.getMonth()+1).padStart(2, "0");
-          const hh = String(d.getHours()).padStart(2, "0");
-          const mi = String(d.getMinutes()).padStart(2, "0");
-          pergunta = `Posso cancelar sua consulta no dia **${dd}/${mm} às ${hh}:${mi}**? Responda **sim** ou **não**.`;
+          const dia = formatLocal(ctx.dateISO, "dd/MM");
+          const hora = formatLocal(ctx.dateISO, "HH:mm");
+          pergunta = `Posso cancelar sua consulta no dia **${dia} às ${hora}**? Responda **sim** ou **não**.`;
         }
       } catch {}
       await sendText({ to: from, text: pergunta });
@@ -1183,6 +1411,107 @@ if (isPureGreeting) {
   }
 }
  
+// === LISTA DE ESPERA: resposta à oferta, entrar e sair (ver waitlist.js) ===
+if (!isCancelFlow(getConversation(from))) {
+  const norm = String(userText || "")
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase().trim();
+  const offer = getOffer(from);
+  // no meio de um agendamento, "sim"/"não" são da pergunta do fluxo: a oferta só com a
+  // resposta explícita ("quero o horário", "não quero a vaga")
+  const explicit = /\b(horario|vaga)\b/.test(norm) || /^nao\s+quero\b/.test(norm);
+  const answersOffer = !!offer && (explicit || !isBookingFlow(getConversation(from)));
+
+  if (answersOffer && /^(sim|quero|aceito|pode ser|pode)\b/.test(norm)) {
+    // aceitou: segue como a escolha de uma opção da lista (coleta de dados e confirmação)
+    const c = ensureConversation(from);
+    if (offer.typeId) c.appointmentType = offer.typeId;
+    if (offer.modality) c.modality = offer.modality;
+    await reminderJobs.cancel(waitlistJobKey(offer.id));
+    if (!(await holdChosenSlot(from, offer.slot))) {
+      closeOffer(from, "taken");
+      return;
+    }
+    closeOffer(from, "accepted");
+    // continua na lista até o agendamento desse horário ser criado (desistiu/falhou: não perde a vez)
+    c.waitlistOfferISO = offer.slot.startISO;
+    userText = `Quero agendar nesse horário: ${formatLocal(offer.slot.startISO, "dd/MM HH:mm")}`;
+    c.justPickedOption = true;
+    c.slotProfessionalId = offer.slot.professionalId || null;
+    c.lastSlots = [];
+    setState(from, STATES.COLLECTING_DATA, "oferta da lista de espera");
+    // segue o fluxo normal (sem return)
+  } else if (answersOffer && /^(nao|recuso|dispenso)\b/.test(norm)) {
+    closeOffer(from, "declined");
+    await sendText({ to: from, text: "Tudo bem! Você continua na lista de espera e te aviso se vagar outro horário." });
+    await passOfferOn(offer);
+    return;
+  } else if (/\blista\s+de\s+espera\b/.test(norm)) {
+    const conv = ensureConversation(from);
+    if (/\b(sair|remover|remova|tirar|tire)\b/.test(norm)) {
+      const left = leaveWaitlist(from);
+      const open = getOffer(from);
+      if (open) {
+        closeOffer(from, "declined");
+        await passOfferOn(open);
+      }
+      await sendText({
+        to: from,
+        text: left ? "Pronto, tirei você da lista de espera." : "Você não está na lista de espera.",
+      });
+      return;
+    }
+
+    // "lista de espera 10/09 a 12/09 de manhã"; sem data, o dia que acabou de ficar sem horário.
+    // O último dia é a próxima ocorrência da data (em dezembro, "05/01" é do ano que vem); o primeiro
+    // fica no mesmo ano, ou no anterior quando o intervalo vira o ano ("28/12 a 05/01")
+    const typed = Array.from(norm.matchAll(/(\d{1,2})\/(\d{1,2})/g), ([, d, m]) => ({ day: Number(d), month: Number(m) }))
+      .slice(0, 2);
+    let dates = [];
+    if (typed.length) {
+      const first = typed[0], last = typed.at(-1);
+      const toYear = upcomingLocalYear(last);
+      const fromYear = first.month * 100 + first.day > last.month * 100 + last.day ? toYear - 1 : toYear;
+      dates = [localDateTime({ ...first, year: fromYear }), localDateTime({ ...last, year: toYear })];
+    }
+    const fromDate = typed.length ? dates[0]?.toFormat("yyyy-MM-dd") : conv.waitlistAsk?.date;
+    const toDate = typed.length ? dates[1]?.toFormat("yyyy-MM-dd") : fromDate;
+    if (!fromDate) {
+      await sendText({
+        to: from,
+        text: "Para qual **dia** você quer entrar na lista de espera? (ex.: **lista de espera 24/09** ou **lista de espera 24/09 a 26/09 à tarde**)",
+      });
+      return;
+    }
+    if (toDate < formatLocal(new Date(), "yyyy-MM-dd")) {
+      await sendText({ to: from, text: "Essa data já passou. Por favor, informe **uma data a partir de hoje** (ex.: 24/09)." });
+      return;
+    }
+
+    const entry = joinWaitlist({
+      phone: from,
+      fromDate,
+      toDate,
+      period: parsePeriod(norm),
+      typeId: appointmentTypeOf(from)?.id || null,
+      professionalId: professionalOf(from)?.id || null,
+      modality: modalityOf(from),
+    });
+    conv.waitlistAsk = null;
+    const days = entry.fromDate === entry.toDate
+      ? formatLocal(entry.fromDate, "dd/MM")
+      : `${formatLocal(entry.fromDate, "dd/MM")} a ${formatLocal(entry.toDate, "dd/MM")}`;
+    await sendText({
+      to: from,
+      text:
+        `Pronto! Você está na lista de espera para **${days}** (${PERIODS[entry.period]}). ` +
+        `Se vagar um horário, te aviso por aqui e você terá ${offerMinutes()} minutos para confirmar.\n` +
+        "Para sair, é só mandar **sair da lista de espera**.",
+    });
+    return;
+  }
+}
+
 // === INTENÇÃO DE CANCELAMENTO / REAGENDAMENTO ===
 {
   const convMem = ensureConversation(from);
@@ -1193,10 +1522,8 @@ if (isPureGreeting) {
   const cancelIntent     = /\b(cancel(ar|amento)|desmarcar|quero\s*cancelar)\b/i;
 
   if (rescheduleIntent.test(userText)) {
-    convMem.mode = "cancel";
-    convMem.after = "schedule";      // <- sinaliza que após cancelar vamos agendar
+    setState(from, STATES.RESCHEDULE, "intenção: remarcar"); // localiza a consulta e depois a move
     convMem.cancelCtx = { phone: "", name: "", dateISO: null, timeHHMM: null, chosenEvent: null };
-    convMem.updatedAt = Date.now();
 
     await sendText({
   to: from,
@@ -1209,10 +1536,8 @@ return;
   }
 
   if (cancelIntent.test(userText)) {
-    convMem.mode = "cancel";
-    convMem.after = null;            // cancelamento simples
+    setState(from, STATES.CANCEL_LOOKUP, "intenção: cancelar"); // cancelamento simples
     convMem.cancelCtx = { phone: "", name: "", dateISO: null, timeHHMM: null, chosenEvent: null };
-    convMem.updatedAt = Date.now();
 
     
 await sendText({
@@ -1224,109 +1549,45 @@ await sendText({
 return;
   }
 }
-// ====== [IDENTIDADE DO PACIENTE] Helpers de comparação por telefone/nome ======
-function normalizeStrLite(s) {
-  return String(s || "")
-    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase().replace(/\s+/g, " ")
-    .trim();
-}
-function strip55(digits) {
-  const d = onlyDigits(digits);
-  if (!d) return "";
-  return d.startsWith("55") ? d.slice(2) : d;
-}
-function phonesEqual(a, b) {
-  const A = strip55(a); // nacional (10-11)
-  const B = strip55(b);
-  if (!A || !B) return false;
-  // compara últimos 11; se não houver, últimos 10
-  const tail = Math.max(10, Math.min(11, Math.max(A.length, B.length)));
-  return A.slice(-tail) === B.slice(-tail);
-}
-
-// varre possíveis telefones/nome dentro do evento do Google Calendar
-function extractPhonesFromEvent(ev) {
-  const out = new Set();
-  const add = (v) => { const d = onlyDigits(v); if (d) out.add(d); };
-
-  // extendedProperties.private.patient_phone
-  const pvt = ev?.extendedProperties?.private || {};
-  if (pvt.patient_phone) add(pvt.patient_phone);
-
-  // descrição (marca #patient_phone:XXXXXXXX)
-  if (ev?.description) {
-    const m = ev.description.match(/#patient_phone:([0-9]+)/i);
-    if (m?.[1]) add(m[1]);
-    // fallback: captura blocos de 10+ dígitos
-    const all = ev.description.match(/\b\d{10,13}\b/g);
-    (all || []).forEach(add);
-  }
-
-  // título pode ter telefone
-  if (ev?.summary) {
-    const all = ev.summary.match(/\b\d{10,13}\b/g);
-    (all || []).forEach(add);
-  }
-
-  return Array.from(out);
-}
-
-function extractNamesFromEvent(ev) {
-  const out = new Set();
-  const add = (v) => { const n = normalizeStrLite(v); if (n) out.add(n); };
-
-  // extendedProperties.private.patient_name
-  const pvt = ev?.extendedProperties?.private || {};
-  if (pvt.patient_name) add(pvt.patient_name);
+// Reaproveita os dados da consulta localizada (cancelar/remarcar) na próxima marcação:
+// nome, telefone, modalidade, tipo de consulta e profissional
+function prefillFromEvent(from, ev = {}) {
+  try {
+    const convPrefill = ensureConversation(from);
 
-  // descrição "Paciente: Fulano"
-  if (ev?.description) {
-    const m = ev.description.match(/^\s*Paciente:\s*(.+)$/im);
-    if (m?.[1]) add(m[1]);
-    const mTag = ev.description.match(/#patient_name:([^\n\r]+)/i);
-    if (mTag?.[1]) add(mTag[1]);
-  }
+    // Telefones e nomes extraídos do evento (patient_identity.js)
+    const evPhones = extractPhonesFromEvent(ev);
+    const evNames  = extractNamesFromEvent(ev);
 
-  // título "Consulta (...) — Nome — ..."
-  if (ev?.summary) {
-    // pega o trecho entre travessões como possível nome
-    const parts = ev.summary.split("—").map(s => s.trim());
-    for (const part of parts) {
-      if (part && /[A-Za-zÀ-ÿ]/.test(part)) add(part);
+    if (evNames.length && !convPrefill.patientName) {
+      convPrefill.patientName = toTitleCase(evNames[0]);
+    }
+    if (evPhones.length) {
+      convPrefill.lastKnownPhone = evPhones[0];
     }
-  }
-  return Array.from(out);
-}
 
-function eventMatchesIdentity(ev, { phone, name }) {
-  // Se fornecer telefone, ele DEVE bater
-  if (phone) {
-    const evPhones = extractPhonesFromEvent(ev);
-    const okPhone = evPhones.some(p => phonesEqual(p, phone));
-    if (!okPhone) return false;
-  }
-  // Se fornecer nome, ele DEVE bater
-  if (name) {
-    const target = normalizeStrLite(name);
-    const evNames = extractNamesFromEvent(ev);
+    // Modalidade gravada como “nota” no histórico para a IA reaproveitar
+    const prevMod = ev?.extendedProperties?.private?.modality;
+    if (prevMod) appendMessage(from, "assistant", `Modalidade: ${prevMod}`);
+    if (normalizeModality(prevMod)) convPrefill.modality = normalizeModality(prevMod);
 
-    // Casa exato OU por inclusão (parcial), para tolerar variações.
-    const okName = evNames.some(n =>
-      n === target || n.includes(target) || target.includes(n)
-    );
+    // Remarcação oferece horários do mesmo tipo de consulta ("Motivo:" da descrição)
+    const prevType = getAppointmentType(String(ev?.description || "").match(/Motivo:\s*([^\n]+)/i)?.[1]);
+    if (prevType) convPrefill.appointmentType = prevType.id;
 
-    if (!okName) return false;
-  }
-  return true;
+    // ...e com o mesmo profissional (agenda do evento cancelado)
+    const prevPro = professionalByCalendar(ev?.calendarId);
+    if (prevPro && hasManyProfessionals()) convPrefill.professionalId = prevPro.id;
+  } catch {}
 }
+
 // === Sidecar da IA durante o CANCELAMENTO (não reinicia conversa) ===
 async function aiAssistCancel({ from, userText }) {
   const conv = getConversation(from) || ensureConversation(from);
   const ctx  = conv.cancelCtx || {};
   // Monta um prompt curto e CONTEXTUALIZADO com a etapa do cancelamento
   const stageHints = [
-    ctx.awaitingConfirm ? "ETAPA: aguardando confirmação 'sim' ou 'não' do cancelamento." : null,
+    getState(conv) === STATES.CANCEL_CONFIRM ? "ETAPA: aguardando confirmação 'sim' ou 'não' do cancelamento." : null,
     (!ctx.phone && !ctx.name) ? "ETAPA: aguardando identidade (Telefone e/ou Nome)." : null,
     (ctx.phone || ctx.name) && !ctx.chosenEvent ? "ETAPA: localizando/selecionando o agendamento correto." : null,
     (ctx.confirmed) ? "ETAPA: cancelamento confirmado; preparando execução." : null
@@ -1368,7 +1629,8 @@ if (
   const slots = await listAvailableSlots({
     fromISO: new Date().toISOString(),
     days: 14,
-    limit: SLOTS_PAGE_SIZE
+    limit: SLOTS_PAGE_SIZE,
+    type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
   });
 
   let msg;
@@ -1395,12 +1657,12 @@ if (
 }
 // --- [FIM DO BLOCO DE ENVIO AUTOMÁTICO DE OPÇÕES] ---
 
-    // Se a IA detectar intenção de remarcar, sinalizamos para o pós-cancelamento
+    // Se a IA detectar intenção de remarcar no meio de um cancelamento, a busca vira remarcação
     try {
-      const wantsReschedule = /\b(reagend|remarc|mudar\s*hor[áa]rio|adiar)\b/i.test(answer);
-      if (wantsReschedule) {
-        const c = ensureConversation(from);
-        if (c?.mode === "cancel") c.after = "schedule";
+      const wantsReschedule = /\b(reagend|remarc|mudar\s*hor[áa]rio|adiar)/i.test(answer);
+      const c = getConversation(from);
+      if (wantsReschedule && isCancelFlow(c) && getState(c) !== STATES.RESCHEDULE) {
+        setState(from, STATES.RESCHEDULE, "IA: remarcar");
       }
     } catch {}
   }
@@ -1409,13 +1671,15 @@ if (
 // === MODO CANCELAMENTO: coletar dados (telefone/nome/data) e cancelar com base em 1+ campos ===
 {
   const convMem = getConversation(from);
-  if (convMem?.mode === "cancel") {
+  if (isCancelFlow(convMem)) {
     const ctx = convMem.cancelCtx || (convMem.cancelCtx = { phone: "", name: "", dateISO: null, timeHHMM: null, chosenEvent: null });
+    // estado de busca deste fluxo (cancelar simples ou remarcar)
+    const lookupState = getState(convMem) === STATES.RESCHEDULE ? STATES.RESCHEDULE : STATES.CANCEL_LOOKUP;
     // Garante que o anti-silêncio não bloqueie as respostas nesta etapa
 ensureConversation(from).lastUserAt = Date.now();
 
     // Se estamos aguardando confirmação do cancelamento:
-if (ctx.awaitingConfirm) {
+if (getState(convMem) === STATES.CANCEL_CONFIRM && !ctx.confirmed) {
     const yes = /\b(sim|pode|confirmo|confirmar|ok|isso|pode\s*cancelar|pode\s*sim|tudo\s*certo)\b/i.test(userText || "");
   const no  = /\b(n[aã]o|negativo|melhor\s*n[aã]o|cancelar\s*n[aã]o|pera|espera|a?guarda|deixa\s*quieto)\b/i.test(userText || "");
 
@@ -1426,21 +1690,23 @@ if (ctx.awaitingConfirm) {
         phone: ctx.phone,
         name:  ctx.name || "",
         daysBack: 180,
-        daysAhead: 365
+        daysAhead: 365,
+        calendarIds: professionalCalendarIds(),
       });
 
       let toCancel = rawEvents && rawEvents[0];
       if (ctx.dateISO) {
-        const target = new Date(ctx.dateISO).getTime();
-        toCancel = rawEvents.sort((a,b) => Math.abs(new Date(a.startISO)-target) - Math.abs(new Date(b.startISO)-target))[0];
+        const target = inZone(ctx.dateISO).toMillis();
+        toCancel = rawEvents.sort((a,b) => Math.abs(inZone(a.startISO).toMillis()-target) - Math.abs(inZone(b.startISO).toMillis()-target))[0];
       }
 
       if (toCancel?.id) {
-        await cancelCalendarEvent({ eventId: toCancel.id });
+        await cancelAppointment({
+          calendarId: toCancel.calendarId, eventId: toCancel.id, reason: "paciente pelo WhatsApp (botão)", source: "whatsapp",
+        });
         await sendText({ to: from, text: `Pronto! Sua consulta está cancelada para ${toCancel.dayLabel} ${toCancel.timeLabel}.` });
 
-        const convMem2 = ensureConversation(from);
-        convMem2.mode = null; convMem2.after = null; convMem2.cancelCtx = null;
+        setState(from, STATES.IDLE, "cancelado (botão)");
         return;
       }
     } catch (e) {
@@ -1451,16 +1717,13 @@ if (ctx.awaitingConfirm) {
 
   
   if (yes && ctx.chosenEvent) {
-  // confirmou: destrava confirmação e marca flag permanente
-  ctx.awaitingConfirm = false;
+  // confirmou: marca flag permanente (segue em CANCEL_CONFIRM até executar)
   ctx.confirmed = true;
   convMem.updatedAt = Date.now();
   // segue o fluxo adiante até o bloco "Cancelar no Google"
 } else if (no) {
     // não quer mais cancelar → volta para IA ajudar
-    ctx.awaitingConfirm = false;
-    convMem.mode = null;
-    convMem.after = null;
+    setState(from, STATES.IDLE, "desistiu do cancelamento");
 
     await sendText({
       to: from,
@@ -1495,15 +1758,15 @@ if (pickM && Array.isArray(convMem.cancelCtx?.matchList) && convMem.cancelCtx.ma
 // telefone
 const maybePhone = extractPhoneFromText(userText);
 if (maybePhone) {
-  ctx.phone = normalizePhoneForLookup(maybePhone);
+  ctx.phone = phoneKey(maybePhone);
 
   // *** reset defensivo ao trocar telefone ***
   ctx.dateISO = null;
   ctx.timeHHMM = null;
   ctx.chosenEvent = null;
   ctx.matchList = [];
-  ctx.awaitingConfirm = false;
   ctx.confirmed = false;
+  setState(from, lookupState, "troca de identidade");
 }
 
 // nome (reaproveita seu extrator robusto)
@@ -1520,8 +1783,8 @@ if (candidateName && (/\s/.test(candidateName) || candidateName.replace(/\s+/g,
   ctx.timeHHMM = null;
   ctx.chosenEvent = null;
   ctx.matchList = [];
-  ctx.awaitingConfirm = false;
   ctx.confirmed = false;
+  setState(from, lookupState, "troca de identidade");
 }
     // 2) Tentar extrair data/hora (aceita "26/09", "26/09 09:00", "26-09 9h")
     const mDate = userText.match(/(\d{1,2})[\/\-](\d{1,2})(?:[\/\-](\d{2,4}))?/);
@@ -1529,8 +1792,8 @@ if (candidateName && (/\s/.test(candidateName) || candidateName.replace(/\s+/g,
     if (mDate) {
       const dd = String(mDate[1]).padStart(2, "0");
       const mm = String(mDate[2]).padStart(2, "0");
-      const yyyyFull = mDate[3] ? (String(mDate[3]).length === 2 ? 2000 + Number(mDate[3]) : Number(mDate[3])) : new Date().getFullYear();
-      ctx.dateISO = `${yyyyFull}-${mm}-${dd}T00:00:00`;
+      const yyyyFull = mDate[3] ? (String(mDate[3]).length === 2 ? 2000 + Number(mDate[3]) : Number(mDate[3])) : currentLocalYear();
+      ctx.dateISO = `${yyyyFull}-${mm}-${dd}T00:00:00`; // sem offset = data local da clínica (ver tz.esm.js)
     }
     if (mTime) {
       const hh = String(mTime[1]).padStart(2, "0");
@@ -1596,17 +1859,18 @@ if (!ctx.phone && !ctx.name) {
 
 let matches = [];
 try {
-   // Use telefone "fallback" só para ampliar a BUSCA;
+   // Telefone "fallback" (o do WhatsApp) só entra na BUSCA quando não há nome;
   // no filtro final, só exigimos telefone se o paciente informou explicitamente.
-  const phoneForFetch = ctx.phone || (normalizePhoneForLookup(conversations.get(from)?.lastKnownPhone) || "");
   const nameForLookup  = ctx.name  || "";
+  const phoneForFetch = ctx.phone || (nameForLookup ? "" : phoneKey(getConversation(from)?.lastKnownPhone));
 
   // 4.1) Busca ampla por paciente no período
   const rawEvents = await findPatientEvents({
     phone: phoneForFetch,
     name:  nameForLookup,
     daysBack: 180,
-    daysAhead: 365
+    daysAhead: 365,
+    calendarIds: professionalCalendarIds(),
   });
 
   // 4.2) Filtra PRIMEIRO pela identidade (telefone/nome)
@@ -1616,21 +1880,19 @@ try {
 
   // 4.3) Se veio data/hora, aplicar como filtros ADICIONAIS
   if (ctx.dateISO) {
-    const dayStart = new Date(ctx.dateISO);
-    const dayEnd   = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+    const dayStart = startOfLocalDay(ctx.dateISO).toJSDate();
+    const dayEnd   = startOfLocalDay(ctx.dateISO, 1).toJSDate();
 
     filtered = filtered.filter(ev => {
-      const dt = ev.startISO ? new Date(ev.startISO) : null;
+      const dt = ev.startISO ? inZone(ev.startISO).toJSDate() : null; // dia inteiro = 00:00 local
       if (!dt) return false;
       if (dt < dayStart || dt >= dayEnd) return false;
 
       if (ctx.timeHHMM) {
-        const hh = String(dt.getHours()).padStart(2, "0");
-        const mi = String(dt.getMinutes()).padStart(2, "0");
-        const hhmm = `${hh}:${mi}`;
+        const hhmm = formatLocal(dt, "HH:mm");
         // tolerância de 15 min
         if (hhmm !== ctx.timeHHMM) {
-          const target = new Date(`${dayStart.toISOString().slice(0,10)}T${ctx.timeHHMM}:00`);
+          const target = atLocalTime(dayStart, ctx.timeHHMM).toJSDate();
           const diff = Math.abs(dt.getTime() - target.getTime());
           if (diff > 15 * 60 * 1000) return false;
         }
@@ -1687,8 +1949,58 @@ try {
       // ainda não escolheu corretamente
       return;
     }
+// 8) Remarcar: nada é cancelado agora. A consulta atual continua na agenda e só muda de
+//    horário quando o novo for confirmado (conv.reschedule -> rescheduleBooking)
+if (ctx.chosenEvent && getState(convMem) === STATES.RESCHEDULE && !ctx.confirmed) {
+  const ev = ctx.chosenEvent;
+  prefillFromEvent(from, ev);
+
+  const slots = await listAvailableSlots({
+    fromISO: new Date().toISOString(),
+    days: 14,
+    limit: SLOTS_PAGE_SIZE,
+    type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
+  });
+  const keep = `Sua consulta de **${ev.dayLabel}** às **${ev.timeLabel}** continua marcada até você confirmar o novo horário.`;
+
+  let msg;
+  if (!slots.length) {
+    setState(from, STATES.IDLE, "remarcar sem horários na lista");
+    msg = `Encontrei sua consulta. ${keep}\nNão encontrei horários nos próximos dias. ` +
+          "Se preferir, me diga uma **data específica** (ex.: 24/09).";
+  } else {
+    const linhas = slots.map((s, i) => `${i + 1}) ${s.dayLabel} ${s.label}`).join("\n");
+    msg = `Encontrei sua consulta, {{nome}}. ${keep} Seguem as opções:\n` +
+          linhas +
+          '\n\nResponda com **opção N** (ex.: "opção 3") ou digite **data e horário** (ex.: "24/09 14:00").\n' +
+          'Se quiser ver **mais opções**, responda: **mais**.';
+    convMem.lastSlots = slots;
+    convMem.slotCursor = { fromISO: new Date().toISOString(), page: 1 };
+    setState(from, STATES.CHOOSING_SLOT, "remarcar: escolhendo o novo horário");
+  }
+  // depois do setState: a consulta a mover vale até BOOKED, desistência ou cancelamento
+  convMem.reschedule = {
+    eventId: ev.id,
+    calendarId: ev.calendarId,
+    startISO: ev.startISO,
+    dayLabel: ev.dayLabel,
+    timeLabel: ev.timeLabel,
+  };
+
+  appendMessage(from, "assistant", msg);
+  await sendText({ to: from, text: msg });
+
+  const c = ensureConversation(from);
+  c.justPickedOption = true;
+  setTimeout(() => {
+    const c2 = getConversation(from);
+    if (c2) c2.justPickedOption = false;
+  }, 1500);
+  return;
+}
+
 // 8) Confirma ANTES de cancelar (novo passo)
-if (ctx.chosenEvent && !ctx.awaitingConfirm && !ctx.confirmed) {
+if (ctx.chosenEvent && getState(convMem) !== STATES.CANCEL_CONFIRM && !ctx.confirmed) {
   const who = (ctx.name && ctx.name !== "Paciente (WhatsApp)") ? `, ${ctx.name}` : "";
   const dd = ctx.chosenEvent.dayLabel;
   const hhmm = ctx.chosenEvent.timeLabel;
@@ -1701,8 +2013,7 @@ if (ctx.chosenEvent && !ctx.awaitingConfirm && !ctx.confirmed) {
   });
 
   // marca que estamos aguardando confirmação
-  ctx.awaitingConfirm = true;
-  convMem.updatedAt = Date.now();
+  setState(from, STATES.CANCEL_CONFIRM, "evento localizado");
   return;
 }
 
@@ -1712,7 +2023,9 @@ if (!ctx.confirmed) {
   return;
 }
 try {
-  await cancelCalendarEvent({ eventId: ctx.chosenEvent.id });
+  await cancelAppointment({
+    calendarId: ctx.chosenEvent.calendarId, eventId: ctx.chosenEvent.id, reason: "paciente pelo WhatsApp", source: "whatsapp",
+  });
 } catch (e) {
 
   console.error("[cancel-google] erro:", e?.message || e);
@@ -1726,72 +2039,16 @@ try {
     // Mensagem padrão compatível com seu fluxo antigo (mantida)
     const dd = ctx.chosenEvent.dayLabel;
     const hhmm = ctx.chosenEvent.timeLabel;
-    const yy = new Date(ctx.chosenEvent.startISO).getFullYear().toString().slice(-2);
-    const cancelText = `Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia ${dd}/${yy} ${hhmm}.`;
+    const yy = formatLocal(ctx.chosenEvent.startISO, "yy");
+    const cancelPro = professionalByCalendar(ctx.chosenEvent.calendarId) || defaultProfessional();
+    const cancelText = `Pronto! Sua consulta com ${withArticle(cancelPro)} está cancelada para o dia ${dd}/${yy} ${hhmm}.`;
 
     await sendText({ to: from, text: cancelText });
 // --- PREFILL para reagendamento após cancelamento ---
-try {
-  const ev = ctx?.chosenEvent || {};
-  const convPrefill = ensureConversation(from);
-
-  // Telefones e nomes extraídos do evento (helpers já existem no arquivo)
-  const evPhones = extractPhonesFromEvent?.(ev) || [];
-  const evNames  = extractNamesFromEvent?.(ev)  || [];
-
-  if (evNames.length && !convPrefill.patientName) {
-    convPrefill.patientName = toTitleCase(evNames[0]);
-  }
-  if (evPhones.length) {
-    convPrefill.lastKnownPhone = normalizePhoneForLookup(evPhones[0]);
-  }
-
-  // Modalidade gravada como “nota” no histórico para a IA reaproveitar
-  const prevMod = ev?.extendedProperties?.private?.modality;
-  if (prevMod) appendMessage(from, "assistant", `Modalidade: ${prevMod}`);
-} catch {}
-// --- FIM PREFILL ---
-
-    // 9) Se era remarcar, oferecer horários (com "opção N")
-    const shouldReschedule = convMem.after === "schedule";
-    convMem.mode = null;
-    convMem.after = null;
+prefillFromEvent(from, ctx?.chosenEvent);
 
-    if (shouldReschedule) {
-      const slots = await listAvailableSlots({
-        fromISO: new Date().toISOString(),
-        days: 14,
-        limit: SLOTS_PAGE_SIZE
-      });
-
-      let msg;
-      if (!slots.length) {
-        msg = "Cancelamento concluído. Vamos remarcar? Não encontrei horários nos próximos dias. " +
-              "Se preferir, me diga uma **data específica** (ex.: 24/09).";
-      } else {
-        const linhas = slots.map((s, i) => `${i + 1}) ${s.dayLabel} ${s.label}`).join("\n");
-        msg = msg = "Cancelamento concluído, {{nome}}. Vamos remarcar agora. Seguem as opções:\n" + 
-          linhas +
-              '\n\nResponda com **opção N** (ex.: "opção 3") ou digite **data e horário** (ex.: "24/09 14:00").\n' +
-              'Se quiser ver **mais opções**, responda: **mais**.';
-        convMem.lastSlots = slots;
-        convMem.slotCursor = { fromISO: new Date().toISOString(), page: 1 };
-        convMem.updatedAt = Date.now();
-      }
-      // registra no histórico e envia a lista para permitir “opção N” e “N”
-appendMessage(from, "assistant", msg);
-await sendText({ to: from, text: msg });
-
-// evita a IA relistar horários logo em seguida (apenas neste turno)
-const c = ensureConversation(from);
-c.justPickedOption = true;
-// libera a autolista novamente após 1,5s (não mexe no comportamento futuro)
-setTimeout(() => {
-  const c2 = getConversation(from);
-  if (c2) c2.justPickedOption = false;
-}, 1500);
-
-    }
+    // cancelamento confirmado termina aqui; remarcar move o mesmo evento (ver "8) Remarcar" acima)
+    setState(from, STATES.IDLE, "cancelamento concluído");
 
     return; // não deixa cair em outras regras
   }
@@ -1800,7 +2057,7 @@ setTimeout(() => {
 // === ATALHO: "opção N" + "mais" (somente fora do modo cancelamento) ===
 try {
   const convMem = getConversation(from);
-  if (convMem?.mode === "cancel") {
+  if (isCancelFlow(convMem)) {
     // ignorar durante cancelamento
   } else {
     const txt = (userText || "").trim().toLowerCase();
@@ -1808,10 +2065,9 @@ try {
     // Paginação "mais"
     if (txt === "mais" || txt === "ver mais" || txt === "mais opções") {
       const cursor = convMem?.slotCursor || { fromISO: new Date().toISOString(), page: 1 };
-      const base = new Date(cursor.fromISO);
-      const nextFrom = new Date(base.getTime() + cursor.page * 7 * 86400000).toISOString();
+      const nextFrom = inZone(cursor.fromISO).plus({ days: cursor.page * 7 }).toUTC().toISO();
 
-      const more = await listAvailableSlots({ fromISO: nextFrom, days: MORE_SLOTS_DAYS, limit: SLOTS_PAGE_SIZE });
+      const more = await listAvailableSlots({ fromISO: nextFrom, days: MORE_SLOTS_DAYS, limit: SLOTS_PAGE_SIZE, type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from });
       const weekdayOnly = (more || []).filter(s => !isWeekend(s.startISO)).slice(0, SLOTS_PAGE_SIZE);
       if (!weekdayOnly.length) {
         await sendText({
@@ -1827,7 +2083,7 @@ try {
         const convUpd = ensureConversation(from);
         convUpd.lastSlots = weekdayOnly;
         convUpd.slotCursor = { fromISO: nextFrom, page: (cursor.page || 1) + 1 };
-        convUpd.updatedAt = Date.now();
+        setState(from, STATES.CHOOSING_SLOT, "mais opções");
       }
       return; // evita cair em outras regras neste turno
     }
@@ -1849,19 +2105,18 @@ try {
         return;
       }
 
+      if (!(await holdChosenSlot(from, chosen))) return;
+
       // Converte a escolha em texto que já ativa o fluxo de criação
-      const dt = new Date(chosen.startISO);
-      const tz = process.env.TZ || "America/Sao_Paulo";
-      const fmt = new Intl.DateTimeFormat("pt-BR", {
-        timeZone: tz, day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit"
-      }).formatToParts(dt).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
-      const ddmmhhmm = `${fmt.day}/${fmt.month} ${fmt.hour}:${fmt.minute}`;
+      const ddmmhhmm = formatLocal(chosen.startISO, "dd/MM HH:mm");
       userText = `Quero agendar nesse horário: ${ddmmhhmm}`;
       const convFlag = ensureConversation(from);
 convFlag.justPickedOption = true; // evita autolista no mesmo turno
+convFlag.slotProfessionalId = chosen.professionalId || null; // agenda de quem oferece o horário
   // evita relistar/repensar a mesma página de opções no próximo turno
   const convUpd = ensureConversation(from);
   convUpd.lastSlots = [];
+  setState(from, STATES.COLLECTING_DATA, `opção ${idx + 1}`);
 
       // segue o fluxo normal (sem return)
     }
@@ -1870,7 +2125,7 @@ convFlag.justPickedOption = true; // evita autolista no mesmo turno
   console.error("[option-pick] erro:", e?.message || e);
 }
 
-    safeLog("INBOUND", req.body);
+    safeLog("INBOUND", { ...msg, raw: undefined });
 
     // === PICK NUMÉRICO GLOBAL (antes de datas) ===
 {
@@ -1880,12 +2135,11 @@ convFlag.justPickedOption = true; // evita autolista no mesmo turno
     const idx = Number(pure) - 1;
     const chosen = conv.lastSlots[idx];
     if (chosen) {
-      const dt = new Date(chosen.startISO);
-      const tz = process.env.TZ || "America/Sao_Paulo";
-      const fmt = new Intl.DateTimeFormat("pt-BR", { timeZone: tz, day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" })
-        .formatToParts(dt).reduce((acc, p) => (acc[p.type] = p.value, acc), {});
-      userText = `Quero agendar nesse horário: ${fmt.day}/${fmt.month} ${fmt.hour}:${fmt.minute}`;
+      if (!(await holdChosenSlot(from, chosen))) return;
+      userText = `Quero agendar nesse horário: ${formatLocal(chosen.startISO, "dd/MM HH:mm")}`;
       ensureConversation(from).justPickedOption = true;
+      ensureConversation(from).slotProfessionalId = chosen.professionalId || null;
+      setState(from, STATES.COLLECTING_DATA, `opção ${idx + 1}`);
       // não limpamos lastSlots aqui (mantém robusto se o provedor repetir evento)
     }
   }
@@ -1893,7 +2147,7 @@ convFlag.justPickedOption = true; // evita autolista no mesmo turno
 // === DATETIME LIVRE: "quarta dia 01/10 11:00", "qua 01/10 11:00", "01/10 11:00" ===
 try {
   // não roubar o foco quando ainda estamos no modo de cancelamento
-  if ((getConversation(from)?.mode || null) !== "cancel") {
+  if (!isCancelFlow(getConversation(from))) {
     const raw = String(userText || "");
     let lower = raw
       .toLowerCase()
@@ -2083,12 +2337,12 @@ if (genericPeriod.test(lower)) {
   if (onlyDate && !hasTime) {
     const dd = onlyDate[1];
     const mm = onlyDate[2];
-    const yyyy = new Date().getFullYear();
+    const yyyy = currentLocalYear();
 
-    const start = new Date(`${yyyy}-${mm}-${dd}T00:00:00`);
-    const end   = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    const start = inZone(`${yyyy}-${mm}-${dd}T00:00:00`).toJSDate(); // 00:00 no fuso da clínica
+    const end   = startOfLocalDay(start, 1).toJSDate();
     // GUARD: não listar datas que já passaram
-    const today0 = new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate(), 0,0,0,0);
+    const today0 = startOfLocalDay().toJSDate();
     if (start.getTime() < today0.getTime()) {
       await sendText({
         to: from,
@@ -2096,12 +2350,14 @@ if (genericPeriod.test(lower)) {
       });
       return;
     }
+    if (await rejectClosedDay(from, start)) return;
 
     // Busca slots (do seu provedor) e filtra só o mesmo dia
     const all = await listAvailableSlots({
       fromISO: start.toISOString(),
       days: 1,
-      limit: SLOTS_PAGE_SIZE
+      limit: SLOTS_PAGE_SIZE,
+      type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
     });
 
     const sameDay = (all || []).filter(s => {
@@ -2111,7 +2367,7 @@ if (genericPeriod.test(lower)) {
 
     let msg;
     if (!sameDay.length) {
-      msg = "Para este dia não encontrei horários. Se quiser, me diga outro dia para verificarmos.";
+      msg = "Para este dia não encontrei horários. Se quiser, me diga outro dia para verificarmos." + waitlistInvite(from, start);
     } else {
       const linhas = sameDay.map((s, i) => `${i + 1}) ${s.dayLabel} ${s.label}`).join("\n");
       msg =
@@ -2125,6 +2381,7 @@ if (genericPeriod.test(lower)) {
     conv.lastSlots = sameDay;
     conv.slotCursor = { fromISO: start.toISOString(), page: 1 };
     conv.updatedAt = Date.now();
+    if (sameDay.length) setState(from, STATES.CHOOSING_SLOT, "dia específico");
 
     await sendText({ to: from, text: msg });
     return; // encerra este turno (não cai nos parsers abaixo)
@@ -2153,13 +2410,13 @@ if (genericPeriod.test(lower)) {
       const dd = String(m[1]).padStart(2, "0");
       const mm = String(m[2]).padStart(2, "0");
       const yyyy =
-        m[3] ? (String(m[3]).length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : new Date().getFullYear();
+        m[3] ? (String(m[3]).length === 2 ? 2000 + Number(m[3]) : Number(m[3])) : currentLocalYear();
       const hh = String(m[4]).padStart(2, "0");
       const mi = String(m[5]).padStart(2, "0");
 
       // validação simples: não permitir passado
       const whenISO = `${yyyy}-${mm}-${dd}T${hh}:${mi}:00`;
-      const when = new Date(whenISO);
+      const when = inZone(whenISO).toJSDate(); // horário local da clínica
       if (Number.isNaN(when.getTime())) {
         // deixa seguir o fluxo normal (IA/relativos) se não der pra parsear
       } else if (when.getTime() < Date.now()) {
@@ -2169,6 +2426,8 @@ if (genericPeriod.test(lower)) {
             "Datas/horários no passado não podem ser agendados. Diga um **dia e horário a partir de agora** (ex.: 01/10 11:00) ou peça **opções**."
         });
         return;
+      } else if (await rejectClosedDay(from, when)) {
+        return;
       } else {
         // Normaliza para o formato que o fluxo já entende
         userText = `Quero agendar nesse horário: ${dd}/${mm} ${hh}:${mi}`;
@@ -2178,6 +2437,7 @@ if (genericPeriod.test(lower)) {
         // evita relistar automaticamente neste turno
         // Guarda o horário ISO escolhido para a IA usar na confirmação
 try {
+  setState(from, STATES.COLLECTING_DATA, "data/hora livre");
   const conv = ensureConversation(from);
   conv.pendingRescheduleISO = whenISO;   // ex.: "2025-10-01T11:00:00"
   conv.updatedAt = Date.now();
@@ -2194,7 +2454,7 @@ try {
 
     // === RELATIVOS: hoje / amanhã / depois de amanhã / ontem ===
 try {
-  if ((getConversation(from)?.mode || null) !== "cancel") {
+  if (!isCancelFlow(getConversation(from))) {
     const raw = String(userText || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
 
     const saysHoje   = /\bhoje\b/.test(raw);
@@ -2203,15 +2463,14 @@ try {
     const saysOntem  = /\bontem\b/.test(raw);
 
     if (saysHoje || saysAmanha || saysDpsA || saysOntem) {
-      const tz = process.env.TZ || "America/Sao_Paulo";
+      // dias de calendário no fuso da clínica (não o fuso do servidor)
       const now = new Date();
-      const startOf = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0);
-      const today0 = startOf(now);
+      const today0 = startOfLocalDay(now).toJSDate();
 
-      let targetDate = startOf(now);
-      if (saysAmanha)   targetDate = new Date(today0.getTime() + 1 * 86400000);
-      if (saysDpsA)     targetDate = new Date(today0.getTime() + 2 * 86400000);
-      if (saysOntem)    targetDate = new Date(today0.getTime() - 1 * 86400000);
+      let targetDate = today0;
+      if (saysAmanha)   targetDate = startOfLocalDay(now, 1).toJSDate();
+      if (saysDpsA)     targetDate = startOfLocalDay(now, 2).toJSDate();
+      if (saysOntem)    targetDate = startOfLocalDay(now, -1).toJSDate();
 
       // 1) "ontem" => não permite passado
       if (saysOntem || targetDate.getTime() < today0.getTime()) {
@@ -2223,7 +2482,7 @@ try {
       }
 
       // 2) Sábado/domingo → sem expediente
-      const dow = targetDate.getDay(); // 0=dom, 6=sáb
+      const dow = localWeekday(targetDate); // 0=dom, 6=sáb
       if (dow === 6 || dow === 0) {
         const lbl = dow === 6 ? "sábado" : "domingo";
         await sendText({
@@ -2233,18 +2492,20 @@ try {
         return;
       }
 
+      // 2b) Feriado / fechamento da clínica
+      if (await rejectClosedDay(from, targetDate)) return;
+
       // 3) Hoje/agora → se "hoje", listar a partir de agora; senão, o dia todo
       const fromISO = saysHoje ? now.toISOString() : targetDate.toISOString();
-      const slots = await listAvailableSlots({ fromISO, days: saysHoje ? 1 : 1, limit: SLOTS_PAGE_SIZE });
+      const slots = await listAvailableSlots({ fromISO, days: saysHoje ? 1 : 1, limit: SLOTS_PAGE_SIZE, type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from });
 
-      const fmt = new Intl.DateTimeFormat("pt-BR", { timeZone: tz, day: "2-digit", month: "2-digit" })
-        .formatToParts(targetDate).reduce((a,p)=> (a[p.type]=p.value, a), {});
-      const ddmm = `${fmt.day}/${fmt.month}`;
+      const ddmm = formatLocal(targetDate, "dd/MM");
 
       if (!slots.length) {
         await sendText({
           to: from,
-          text: `Para **${ddmm}** não encontrei horários livres. Posso te enviar alternativas próximas dessa data ou procurar outro dia.`
+          text: `Para **${ddmm}** não encontrei horários livres. Posso te enviar alternativas próximas dessa data ou procurar outro dia.` +
+            waitlistInvite(from, targetDate)
         });
       } else {
         const linhas = slots.map((s, i) => `${i + 1}) ${s.dayLabel} ${s.label}`).join("\n");
@@ -2254,7 +2515,7 @@ try {
         });
         const convMem = ensureConversation(from);
         convMem.lastSlots = slots;
-        convMem.updatedAt = Date.now();
+        setState(from, STATES.CHOOSING_SLOT, "dia relativo");
       }
       return;
     }
@@ -2265,13 +2526,8 @@ try {
 
 // === ENTENDE "tem dia 19?" (sem mês) e "próxima terça?" (dia da semana) ===
 try {
-  if ((getConversation(from)?.mode || null) !== "cancel") {
+  if (!isCancelFlow(getConversation(from))) {
     const raw = String(userText || "").toLowerCase();
-    const tz = process.env.TZ || "America/Sao_Paulo";
-
-    // helpers
-    const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0);
-    const toISOStart = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, 0, 0, 0).toISOString();
 
     // 1) "tem dia 19?" / "dia 02" (sem mês)
     // evita conflito com dd/mm já tratado depois (não pode ter "/" nem "-")
@@ -2285,25 +2541,21 @@ try {
     if (mDayOnly) {
       // Próximo dia do mês >= hoje; se já passou, mês seguinte; se não existir (ex.: 31/04), avança até existir
       const wantDay = Math.min(31, Number(mDayOnly[1]));
-      const now = new Date();
-      // tenta este mês
-      let y = now.getFullYear();
-      let m = now.getMonth(); // 0-11
-      let candidate = new Date(y, m, wantDay, 0, 0, 0, 0);
+      const todayStart = startOfLocalDay();
+      // tenta este mês (no fuso da clínica)
+      let y = todayStart.year;
+      let m = todayStart.month; // 1-12
+      let candidate = localDateTime({ year: y, month: m, day: wantDay });
 
-      // se o "dia" retrocedeu (não existe esse dia neste mês) ou já passou hoje, vamos avançando mês a mês até achar
-      const todayStart = startOfDay(now).getTime();
+      // se o dia não existe neste mês (null) ou já passou hoje, vamos avançando mês a mês até achar
       let guard = 0;
-      while (
-        (candidate.getDate() !== wantDay) || // data "rolou" para outro dia => mês não tem esse dia
-        (candidate.getTime() < todayStart)    // já passou (é antes de hoje 00:00)
-      ) {
+      while (!candidate || candidate < todayStart) {
         m += 1;
-        if (m > 11) { m = 0; y += 1; }
-        candidate = new Date(y, m, wantDay, 0, 0, 0, 0);
+        if (m > 12) { m = 1; y += 1; }
+        candidate = localDateTime({ year: y, month: m, day: wantDay });
         if (++guard > 24) break; // guarda-fio extremo
       }
-      targetDate = candidate;
+      targetDate = candidate ? candidate.toJSDate() : null;
     }
 
     if (!targetDate && mNextWeekday) {
@@ -2312,29 +2564,24 @@ try {
         "quarta": 3, "quinta": 4, "sexta": 5, "sábado": 6, "sabado": 6
       };
       const want = wkMap[mNextWeekday[1].normalize("NFD").replace(/[\u0300-\u036f]/g, "")];
-      const now = new Date();
-      const todayDow = now.getDay(); // 0=domingo
+      const todayDow = localWeekday(); // 0=domingo
       let add = (want - todayDow + 7) % 7;
       if (add === 0) add = 7; // "próxima terça" nunca é hoje; é a da semana que vem
-      targetDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + add, 0, 0, 0, 0);
+      targetDate = startOfLocalDay(new Date(), add).toJSDate();
     }
 
     if (targetDate) {
       // GUARDAS: passado e fim de semana sem expediente
-const now = new Date();
-const today0 = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0,0,0,0);
+const today0 = startOfLocalDay().toJSDate();
 if (targetDate.getTime() < today0.getTime()) {
-  const tz = process.env.TZ || "America/Sao_Paulo";
-  const fmt = new Intl.DateTimeFormat("pt-BR",{timeZone:tz,day:"2-digit",month:"2-digit"})
-    .formatToParts(targetDate).reduce((a,p)=> (a[p.type]=p.value, a), {});
-  const ddmm = `${fmt.day}/${fmt.month}`;
+  const ddmm = formatLocal(targetDate, "dd/MM");
   await sendText({
     to: from,
     text: `**${ddmm}** já passou. Me diga uma data **a partir de hoje** (ex.: 24/09) ou peça por um dia da semana (ex.: "próxima quinta").`
   });
   return;
 }
-const dow = targetDate.getDay(); // 0=dom, 6=sáb
+const dow = localWeekday(targetDate); // 0=dom, 6=sáb
 if (dow === 6 || dow === 0) {
   const lbl = dow === 6 ? "sábado" : "domingo";
   await sendText({
@@ -2343,29 +2590,31 @@ if (dow === 6 || dow === 0) {
   });
   return;
 }
+if (await rejectClosedDay(from, targetDate)) return;
 
       // Listar opções deste dia
       const slots = await listAvailableSlots({
-        fromISO: toISOStart(targetDate),
+        fromISO: targetDate.toISOString(), // já é 00:00 local
         days: 1,
-        limit: SLOTS_PAGE_SIZE
+        limit: SLOTS_PAGE_SIZE,
+        type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
       });
 
       const convMem = ensureConversation(from);
       convMem.lastSlots = slots;
       convMem.updatedAt = Date.now();
+      if (slots.length) setState(from, STATES.CHOOSING_SLOT, "próxima data");
 
-      const { name } = extractPatientInfo({ payload: p, phone: from, conversation: getConversation(from) });
+      const { name } = extractPatientInfo({ message: msg, phone: from, conversation: getConversation(from) });
 
       // formata dd/mm
-      const fmt = new Intl.DateTimeFormat("pt-BR", { timeZone: tz, day: "2-digit", month: "2-digit" })
-        .formatToParts(targetDate).reduce((acc, part) => (acc[part.type] = part.value, acc), {});
-      const ddmm = `${fmt.day}/${fmt.month}`;
+      const ddmm = formatLocal(targetDate, "dd/MM");
 
       if (!slots.length) {
         const msg =
   `Para **${ddmm}** não encontrei horários livres.\n` +
-  `Posso te enviar alternativas próximas dessa data ou procurar outra data que você prefira.`;
+  `Posso te enviar alternativas próximas dessa data ou procurar outra data que você prefira.` +
+  waitlistInvite(from, targetDate);
         appendMessage(from, "assistant", msg);
         await sendText({ to: from, text: msg });
       } else {
@@ -2385,7 +2634,7 @@ if (dow === 6 || dow === 0) {
 }
 
 // === PEDIDO DE DATA ESPECÍFICA (ex.: "tem dia 24/09?", "quero dia 24/09") ===
-if ((getConversation(from)?.mode || null) !== "cancel") {
+if (!isCancelFlow(getConversation(from))) {
   try {
     const raw = String(userText || "");
     // dd/mm ou dd/mm/aa(aa) – aceita "dia 24/09", "24-09", etc.
@@ -2395,7 +2644,6 @@ if ((getConversation(from)?.mode || null) !== "cancel") {
     const mTime = raw.match(/\b(\d{1,2})(?:[:h](\d{2}))\b/i);
 
     if (mDate) {
-      const tz = process.env.TZ || "America/Sao_Paulo";
       const dd = String(mDate[1]).padStart(2, "0");
       const mm = String(mDate[2]).padStart(2, "0");
       let yyyy;
@@ -2403,7 +2651,7 @@ if ((getConversation(from)?.mode || null) !== "cancel") {
         const yy = String(mDate[3]);
         yyyy = yy.length === 2 ? (2000 + Number(yy)) : Number(yy);
       } else {
-        yyyy = new Date().getFullYear();
+        yyyy = currentLocalYear();
       }
 
       // Se o paciente já deu hora junto (ex.: "24/09 14:00"), vira intenção direta
@@ -2415,9 +2663,9 @@ if ((getConversation(from)?.mode || null) !== "cancel") {
 ensureConversation(from).justPickedOption = true;
       } else {
         // Só a DATA -> listar horários desse dia
-        const dayStart = new Date(`${yyyy}-${mm}-${dd}T00:00:00`);
+        const dayStart = inZone(`${yyyy}-${mm}-${dd}T00:00:00`).toJSDate(); // 00:00 no fuso da clínica
         // GUARD: data passada não pode
-const today0 = new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate(), 0,0,0,0);
+const today0 = startOfLocalDay().toJSDate();
 if (dayStart.getTime() < today0.getTime()) {
   await sendText({
     to: from,
@@ -2425,23 +2673,27 @@ if (dayStart.getTime() < today0.getTime()) {
   });
   return;
 }
+if (await rejectClosedDay(from, dayStart)) return;
 
         const slots = await listAvailableSlots({
           fromISO: dayStart.toISOString(),
           days: 1,
-          limit: SLOTS_PAGE_SIZE
+          limit: SLOTS_PAGE_SIZE,
+          type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
         });
 
         const convMem = ensureConversation(from);
         convMem.lastSlots = slots;
         convMem.updatedAt = Date.now();
+        if (slots.length) setState(from, STATES.CHOOSING_SLOT, "dia do mês");
 
-        const { name } = extractPatientInfo({ payload: p, phone: from, conversation: getConversation(from) });
+        const { name } = extractPatientInfo({ message: msg, phone: from, conversation: getConversation(from) });
 
         if (!slots.length) {
          const msg =
   `Para **${dd}/${mm}** não encontrei horários livres.\n` +
-  `Posso te enviar alternativas próximas dessa data ou procurar outra data que você prefira.`;
+  `Posso te enviar alternativas próximas dessa data ou procurar outra data que você prefira.` +
+  waitlistInvite(from, dayStart);
           appendMessage(from, "assistant", msg);
           await sendText({ to: from, text: msg });
         } else {
@@ -2463,7 +2715,7 @@ if (dayStart.getTime() < today0.getTime()) {
 { /* guard removido a pedido do Marcos: não enviamos mais o prompt padrão aqui */ }
 // === VALIDADOR RÁPIDO DE "DATA + HORA" (mensagem de ajuda quando formato inválido) ===
 try {
-  const tz = process.env.TZ || "America/Sao_Paulo";
+  const tz = clinicZone();
   const mDT = /(\d{1,2})[\/\-](\d{1,2})\s+(\d{1,2})(?::|h)(\d{2})/i.exec(String(userText||""));
   if (mDT) {
     // Monta "dd/mm hh:mm" e valida com seu parser padrão
@@ -2504,17 +2756,30 @@ if (justBookedRecently) {
   systemHints.push("O agendamento JÁ FOI confirmado no sistema. NÃO peça confirmação novamente; ofereça orientações pré-consulta ou ajuda extra.");
 }
 // Sempre que o paciente mudar de ideia (ex.: estava cancelando e quer remarcar), a IA deve acolher e redirecionar gentilmente SEM reiniciar a conversa.
+systemHints.push(`ESTADO_ATUAL=${describeState(conv)}`);
+// Profissionais da clínica (professionals.js) e, se já definido, com quem será a consulta
+systemHints.push(`PROFISSIONAIS=${describeProfessionals()}`);
 systemHints.push("Se o paciente mudar de intenção (agendar ↔ cancelar ↔ remarcar ↔ tirar dúvida), acolha e redirecione para o fluxo correto, sem reiniciar e sem repetir apresentação.");
+// Remarcação em andamento: a consulta atual só muda de horário quando o novo for confirmado
+if (conv?.reschedule) {
+  systemHints.push(
+    `REMARCACAO: a consulta de ${conv.reschedule.dayLabel} às ${conv.reschedule.timeLabel} CONTINUA marcada até a FRASE CABALÍSTICA do novo horário; ` +
+    "NÃO diga que ela foi cancelada."
+  );
+}
 // Se acabou de escolher um horário (opção N ou "dd/mm hh:mm"), a IA deve conduzir a confirmação completa
 try {
   const convSnap = getConversation(from);
   const pickedNow = !!(convSnap && convSnap.justPickedOption);
   const saidDirectPick = /^quero agendar nesse horário:/i.test(String(userText || ""));
   if (pickedNow || saidDirectPick) {
+    const pro = getProfessional(convSnap?.slotProfessionalId) || professionalOf(from) ||
+      (hasManyProfessionals() ? null : defaultProfessional());
+    const com = pro ? withArticle(pro) : "<a Dra./o Dr. + NOME DO PROFISSIONAL>";
     systemHints.push(
       "AGORA conduza o REAGENDAMENTO: 1) confirme NOME COMPLETO, TELEFONE, IDADE, MODALIDADE e MOTIVO; " +
       "2) confirme o HORÁRIO escolhido; 3) finalize com a FRASE CABALÍSTICA exata " +
-      "('Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia DD/MM/AA, horário HH:MM.'). " +
+      `('Pronto! Sua consulta com ${com} está agendada para o dia DD/MM/AA, horário HH:MM.'). ` +
       "Use 2 dígitos para o ano (AA) e horário em 24h. NÃO crie evento — apenas escreva a frase ao final."
     );
 
@@ -2574,15 +2839,15 @@ const wantsAvailability =
 // dispare a listagem se for qualquer uma das intenções acima
 if (
    (wantsNearest || wantsAvailability) &&
-   (getConversation(from)?.mode || null) !== "cancel" &&
+   !isCancelFlow(getConversation(from)) &&
    process.env.AVAIL_FAST_PATH !== "false"
  ) {
     const baseISO = new Date().toISOString();
 
     // pega próximos dias úteis, limitado à sua página
-    const raw = await listAvailableSlots({ fromISO: baseISO, days: 7, limit: SLOTS_PAGE_SIZE });
+    const raw = await listAvailableSlots({ fromISO: baseISO, days: 7, limit: SLOTS_PAGE_SIZE, type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from });
     const slots = (raw || []).filter(s => {
-      const dow = new Date(s.startISO).getDay(); // 0 dom, 6 sáb
+      const dow = localWeekday(s.startISO); // 0 dom, 6 sáb
       return dow !== 0 && dow !== 6;
     });
 
@@ -2602,6 +2867,7 @@ if (
       convNow.lastSlots = slots;
       convNow.slotCursor = { fromISO: baseISO, page: 1 };
       convNow.updatedAt = Date.now();
+      setState(from, STATES.CHOOSING_SLOT, "lista automática");
 
       appendMessage(from, "assistant", msg);
       await sendText({ to: from, text: msg });
@@ -2618,7 +2884,6 @@ if (
 let finalAnswer = answer;
 try {
   const convNow = ensureConversation(from);
-  const modeNow = getConversation(from)?.mode || null;
 
   // dispare somente quando a IA PROMETER enviar horários
   const shouldList =
@@ -2626,17 +2891,16 @@ try {
   /perfeito,\s*j[aá]\s*te mando as op[cç][oõ]es na mensagem a seguir/i.test(answer || "");
 
   // não autolistar se acabou de escolher "opção N" ou se está em modo cancelamento
-  const skipAuto = Boolean(convNow.justPickedOption) || modeNow === "cancel";
+  const skipAuto = Boolean(convNow.justPickedOption) || isCancelFlow(convNow);
 
   if (shouldList && !skipAuto) {
     const baseISO = new Date().toISOString();
-    const raw = await listAvailableSlots({ fromISO: baseISO, days: 7, limit: SLOTS_PAGE_SIZE });
+    const raw = await listAvailableSlots({ fromISO: baseISO, days: 7, limit: SLOTS_PAGE_SIZE, type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from });
 
 
     // filtra fim de semana aqui mesmo (sem depender de helper externo)
     const slots = (raw || []).filter(s => {
-      const d = new Date(s.startISO);
-      const dow = d.getDay(); // 0=domingo, 6=sábado
+      const dow = localWeekday(s.startISO); // 0=domingo, 6=sábado
       return dow !== 0 && dow !== 6;
     });
 
@@ -2654,6 +2918,7 @@ try {
       convNow.lastSlots = slots;
       convNow.slotCursor = { fromISO: baseISO, page: 1 };
       convNow.updatedAt = Date.now();
+      setState(from, STATES.CHOOSING_SLOT, "lista automática");
     }
   }
 
@@ -2666,36 +2931,38 @@ try {
 
     // ======== DISPARO DE CANCELAMENTO (formato EXATO) ========
     // "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia dd/mm/aa HH:MM"
+    // (qualquer profissional: o serviço de cancelamento acha a agenda pelo nome)
+    // Vai junto o telefone do paciente: só o evento que for dele é cancelado.
+    // No próprio processo; por HTTP só com CANCEL_SERVER_URL (ver cancellation.esm.js)
     try {
      const cancelRegex =
-       /^Pronto!\s*Sua consulta com a Dra\.?\s*Jenifer está cancelada para o dia\s+(\d{2})\/(\d{2})(?:\/(\d{2}))?\s+(\d{1,2}:\d{2})\.?$/i;
+       /^Pronto!\s*Sua consulta com (?:(?:a|o)\s+)?[^\n,]{2,60}? está cancelada para o dia\s+(\d{2})\/(\d{2})(?:\/(\d{2}))?\s+(\d{1,2}:\d{2})\.?$/i;
       if (answer && cancelRegex.test(answer)) {
-        const cancelURLBase = process.env.CANCEL_SERVER_URL || "https://charming-growth-production.up.railway.app";
-        const endpoint = `${cancelURLBase.replace(/\/+$/,'')}/cancel-from-message`;
-        const r = await fetch(endpoint, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ text: answer }),
-        });
-        const jr = await r.json().catch(() => ({}));
-        console.log("[cancel-forward] sent to:", endpoint, "response:", jr);
+        const patientPhone = getConversation(from)?.cancelCtx?.phone || phoneKey(from);
+        const result = await cancelFromMessage({ text: answer, phone: patientPhone });
+        console.log(`[cancel-forward] ${result.remote ? `enviado a ${result.endpoint}` : "no processo"}:`,
+          { ok: result.ok, cancelled: result.cancelled, ambiguous: result.ambiguous, error: result.error });
+        // a IA afirmou o cancelamento, mas nada foi cancelado: não confirma ao paciente
+        if (!result.ok) finalAnswer = cancelNotDoneText(from, result, patientPhone);
       }
     } catch (err) {
       console.error("[cancel-forward] error:", err?.message || err);
+      finalAnswer = cancelNotDoneText(from, { ok: false }, null);
     }
     // ======== FIM DO DISPARO DE CANCELAMENTO ========
 // ======== SÓ CRIA EVENTO SE A SECRETÁRIA CONFIRMAR NESSE FORMATO ========
     // "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 30/08/25, horário 14:00."
+    // O nome (grupo 1) escolhe o profissional e a agenda (ver bookingProfessional)
     const confirmRegex =
-      /pronto!\s*sua\s+consulta\s+com\s+a\s+dra\.?\s+jenifer\s+est[aá]\s+agendada\s+para\s+o\s+dia\s+(\d{1,2})\/(\d{1,2})\/\d{2}\s*,?\s*hor[áa]rio\s+(\d{1,2}:\d{2}|\d{1,2}h)/i;
+      /pronto!\s*sua\s+consulta\s+com\s+(?:(?:a|o)\s+)?([^\n,]{2,60}?)\s+est[aá]\s+agendada\s+para\s+o\s+dia\s+(\d{1,2})\/(\d{1,2})\/\d{2}\s*,?\s*hor[áa]rio\s+(\d{1,2}:\d{2}|\d{1,2}h)/i;
 
     if (answer) {
       const m = answer.match(confirmRegex);
       if (m) {
         try {
-          const dd = m[1].padStart(2, "0");
-          const mm = m[2].padStart(2, "0");
-          let hhmm = m[3];
+          const dd = m[2].padStart(2, "0");
+          const mm = m[3].padStart(2, "0");
+          let hhmm = m[4];
 
           // Normaliza "14h" -> "14:00"
           if (/^\d{1,2}h$/i.test(hhmm)) {
@@ -2706,20 +2973,32 @@ try {
           // Obs.: ele usa o ANO ATUAL por padrão.
           const textForParser = `${dd}/${mm} ${hhmm}`;
 
-          const { found, startISO, endISO } = parseCandidateDateTime(
+          const { found, startISO } = parseCandidateDateTime(
             textForParser,
-            process.env.TZ || "America/Sao_Paulo"
+            clinicZone()
           );
 
           if (found) {
             // Enriquecer o evento com Nome, Telefone, Motivo e Modalidade
 const conv = getConversation(from);
-const { name, phoneFormatted, reason, modality } = extractPatientInfo({
-  payload: p,
+const { name, phoneFormatted, phone: patientPhone, reason, modality } = extractPatientInfo({
+  message: msg,
   phone: from,
   conversation: conv,
 });
 
+// Tipo de consulta = motivo escolhido; define a duração do evento
+const apptType = getAppointmentType(reason) || appointmentTypeOf(from);
+ensureConversation(from).appointmentType = apptType.id;
+const endISO = new Date(new Date(startISO).getTime() + apptType.durationMin * 60000).toISOString();
+
+// Modalidade da consulta: horários e agenda próprios (ver modalities.js)
+ensureConversation(from).modality = modality;
+
+// Profissional e agenda onde o evento será criado
+const pro = await bookingProfessional(from, { named: m[1], type: apptType, modality, startISO, endISO });
+const eventCalendarId = professionalEventCalendarId(pro, modality);
+
 // Título com modalidade
 const summary = `Consulta (${modality}) — ${name} — ${reason} — ${phoneFormatted}`;
 
@@ -2729,6 +3008,7 @@ const description = [
   `Telefone: ${phoneFormatted}`,
   `Motivo: ${reason}`,
   `Modalidade: ${modality}`,
+  `Profissional: ${pro.name}`,
   `Origem: WhatsApp (Cristina)`,
 ].join("\n");
 
@@ -2738,15 +3018,32 @@ const location =
     ? "Telemedicina (link será enviado)"
     : (process.env.CLINIC_ADDRESS || "Clínica");
             
+            // === MESMA CONFIRMAÇÃO REPETIDA (IA ou webhook reentregue): NÃO DUPLICA ===
+// segue como o evento devolvido pelo bookAppointment com created=false: sem remarcação nem
+// checagem de conflito (o próprio evento ocupa o horário), mas com memória e estado BOOKED
+const already = await findBooking({ calendarId: eventCalendarId, phone: patientPhone, startISO, type: apptType });
+
+            // === REMARCAÇÃO: a consulta localizada (conv.reschedule) muda de horário ===
+// só se ela ainda existir; apagada/cancelada nesse meio-tempo -> agendamento normal
+let moving = null;
+if (!already && conv?.reschedule?.eventId) {
+  const original = await getCalendarEvent({ calendarId: conv.reschedule.calendarId, eventId: conv.reschedule.eventId });
+  if (original && original.status !== "cancelled") moving = conv.reschedule;
+  else conv.reschedule = null;
+}
+
             // === CHECA CONFLITO NO CALENDÁRIO ANTES DE CRIAR ===
-const { busy, conflicts } = await isSlotBlockedOrBusy({ startISO, endISO });
-if (busy) {
+const { busy, conflicts } = already ? { busy: false } : await isSlotBlockedOrBusy({
+  startISO, endISO, type: apptType, modality, professional: pro, calendarIds: professionalBusyCalendarIds(pro),
+  ignoreEventId: moving?.eventId, // a própria consulta remarcada não ocupa o novo horário
+});
+// horário reservado por outro paciente que ainda está passando os dados (slot_holds.js)
+const held = !already && heldByOther({ phone: from, professionalId: pro.id, startISO, endISO });
+if (busy || held) {
   let msg = "Esse horário acabou de ficar indisponível.";
   if (conflicts?.length) {
-    const tz = process.env.TZ || "America/Sao_Paulo";
     const lines = conflicts.map(c => {
-      const when = new Date(c.start);
-      const lbl = when.toLocaleString("pt-BR", { timeZone: tz });
+      const lbl = formatLocal(c.start, c.allDay ? "dd/MM/yyyy" : "dd/MM/yyyy HH:mm");
       return `• ${lbl} — ${c.summary || "Compromisso"}`;
     });
     msg += "\n\nConflitos encontrados:\n" + lines.join("\n");
@@ -2754,7 +3051,8 @@ if (busy) {
   const alternativas = await listAvailableSlots({
   fromISO: startISO,
   days: 3,   // só os próximos 3 dias como alternativa
-  limit: 5
+  limit: 5,
+  type: appointmentTypeOf(from), professional: professionalOf(from), modality: modalityOf(from), phone: from
 });
 
   if (alternativas?.length) {
@@ -2764,6 +3062,7 @@ if (busy) {
     const convMem = ensureConversation(from);
     convMem.lastSlots = alternativas;
     convMem.updatedAt = Date.now();
+    setState(from, STATES.CHOOSING_SLOT, "horário ocupado");
   } else {
     msg += "\n\nNos próximos dias não há janelas livres. Posso procurar mais adiante.";
   }
@@ -2771,57 +3070,83 @@ if (busy) {
   return; // não cria evento, sai daqui
 }
 
-await createCalendarEvent({
+const booking = {
+  phone: patientPhone,
   summary,
   description:
     description +
-    `\n#patient_phone:${onlyDigits(phoneFormatted)}` +
+    `\n#patient_phone:${patientPhone}` +
     `\n#patient_name:${String(name || "").trim().toLowerCase()}`,
   startISO,
   endISO,
+  calendarId: eventCalendarId,
+  appointmentType: apptType,
   attendees: [], // inclua e-mails só com consentimento
   location: process.env.CLINIC_ADDRESS || "Clínica",
   extendedProperties: {
     private: {
-      patient_phone: onlyDigits(phoneFormatted),
+      patient_phone: patientPhone,
       patient_name: String(name || "").trim().toLowerCase(),
-      modality
+      modality,
+      professional_id: pro.id
     }
   }
-});
+};
 
-            try {
-  const startISOwithTime = startISO; // já está no formato ISO com hora
+let created, isNew, freedByMove = null;
+if (already) {
+  created = already;
+  isNew = false;
+} else if (moving) {
+  // mesmo evento no novo horário; o aviso aos convidados sai só com a alteração feita
+  const moved = await rescheduleBooking({
+    ...booking,
+    calendarId: moving.calendarId,
+    eventId: moving.eventId,
+    targetCalendarId: eventCalendarId,
+  });
+  created = moved.event;
+  // outra agenda: o cancelamento do antigo já avisa a lista de espera (onAppointmentCancelled)
+  if (moved.moved) {
+    freedByMove = {
+      calendarId: moving.calendarId,
+      professionalId: pro.id,
+      startISO: moved.previousStartISO,
+      endISO: moved.previousEndISO,
+    };
+  }
+  isNew = true;
+  conv.reschedule = null;
+  finalAnswer += `\nSeu horário anterior (${moving.dayLabel} às ${moving.timeLabel}) foi liberado.`;
+} else {
+  ({ event: created, created: isNew } = await bookAppointment(booking));
+}
 
-  // Quando enviar: véspera 17:00 (TZ São Paulo)
-  const when = reminderTimeVespera17(startISOwithTime);
+            // a reserva provisória virou o evento
+            convertHold(from, created?.id);
 
-  // Dados do paciente/modo/local para o template
-  const pacienteNome = (name && name !== "Paciente (WhatsApp)") ? name : "Paciente";
-  const dataHoraPt   = DateTime.fromISO(startISOwithTime, { zone: "America/Sao_Paulo" }).toFormat("dd/LL 'às' HH:mm");
-  const localOuMod   = (process.env.CLINIC_ADDRESS || "consultório") + (modality ? ` • ${modality}` : "");
-
-  const phoneDigits = onlyDigits(phoneFormatted);
-
-  scheduleOneShot(when, async () => {
-    // lê texto base do template e faz substituição simples
-let rawMessage = process.env.REMINDER_MESSAGE || "Olá {{nome}}, sua consulta é amanhã às {{hora}}.";
-rawMessage = rawMessage
-  .replace("{{nome}}", pacienteNome)
-  .replace("{{hora}}", dataHoraPt);
-
-// log para conferência
-console.log(`[📤 Enviando template]: ${rawMessage}`);
-
-await sendConfirmationTemplate({
-  to: phoneDigits,
-  bodyParams: [
-    { type: "text", text: rawMessage }
-  ],
-  confirmPayload: `CONFIRMAR|${phoneDigits}|${startISOwithTime}`,
-  cancelPayload:  `CANCELAR|${phoneDigits}|${startISOwithTime}`,
-});
+            // horário oferecido pela lista de espera agendado: agora sim sai da lista
+            if (conv?.waitlistOfferISO && new Date(conv.waitlistOfferISO).getTime() === new Date(startISO).getTime()) {
+              leaveWaitlist(from, "agendou o horário oferecido");
+            }
+
+            // horário antigo da remarcação: oferece à lista de espera
+            if (freedByMove) await offerFreedSlot(freedByMove);
+
+            // confirmação repetida ou corrida com outra entrega dela: o evento já existia
+            if (!isNew) {
+              finalAnswer = alreadyBookedText(pro, startISO);
+            }
 
+            // Lembrete da véspera (fila durável)
+            try {
+  await enqueueConfirmationReminder({
+    eventId: created?.id,
+    calendarId: eventCalendarId,
+    startISO,
+    phone: patientPhone,
+    name,
+    modality,
   });
 } catch (e) {
   console.error("Falha ao agendar template de véspera:", e?.message || e);
@@ -2831,6 +3156,8 @@ await sendConfirmationTemplate({
 try {
   const c = ensureConversation(from);
   c.lastBookedAt = Date.now();
+  c.slotProfessionalId = null;
+  setState(from, STATES.BOOKED, "evento criado");
 } catch {}
 
 
@@ -2863,6 +3190,11 @@ if (finalAnswer) {
     const text = String(finalAnswer || "");
     const conv = ensureConversation(from);
 
+    // Cristina pediu a confirmação final ("posso agendar ...?")
+    if (/posso\s+agendar/i.test(text) && !isCancelFlow(conv)) {
+      setState(from, STATES.AWAITING_CONFIRMATION, "pré-confirmação da IA");
+    }
+
     // Só tenta capturar se ainda não "travamos" o nome antes
     if (!conv.patientNameLocked) {
       // 1) Caso "para outra pessoa": "... consulta do[a] paciente Fulano de Tal para o dia ..."
@@ -2917,31 +3249,109 @@ try {
 // <-- fecha o try global do handleInbound
 } catch (err) {
   console.error("ERR inbound:", err?.response?.data || err);
+} finally {
+  // grava o que mudou neste turno (no driver memory é no-op); o objeto da conversa
+  // é alterado direto, então o turno inteiro conta como alteração
+  conversationStore.touch(phoneKey(msg?.from));
+  await conversationStore.flush();
 }
 
 // <-- fecha a função handleInbound
 }
 
+// Webhook de um provedor: responde 200 na hora, registra status de entrega e
+// passa cada mensagem recebida (já normalizada) para o handleInbound
+function inboundWebhook(providerName) {
+  return async (req, res) => {
+    res.status(200).end();
+    try {
+      console.log(
+        "[WEBHOOK HIT]",
+        new Date().toISOString(),
+        "provider=", providerName,
+        "ct=", req.headers["content-type"],
+        "keys=", Object.keys(req.body || {})
+      );
+
+      const provider = getProvider(providerName);
+      for (const st of provider.parseStatus(req.body)) {
+        console.log(`[status] ${provider.name} ${mask(st.to)} ${st.messageId || "-"} -> ${st.status}${st.error ? ` (${st.error})` : ""}`);
+      }
+      for (const msg of provider.parseInbound(req.body)) {
+        if (msg.fromMe) continue; // nossas próprias mensagens (evita loop)
+        await handleInbound(msg);
+      }
+    } catch (e) {
+      console.error(`[/webhook/${providerName}] erro:`, e?.response?.data || e);
+    }
+  };
+}
+
 // =====================
 // Routes mapping
 // =====================
-app.post("/webhook/gupshup", handleInbound);
-app.post("/healthz", handleInbound); // fallback/alias POST
-app.post("/", handleInbound);        // fallback/alias
+// cada rota exige a autenticação do seu provedor (ver webhook_auth.js)
+app.post("/webhook/gupshup", webhookAuth("gupshup"), inboundWebhook("gupshup"));
+app.post("/webhook/zapi", webhookAuth("zapi"), inboundWebhook("zapi"));
+app.post("/webhook/meta", webhookAuth("meta"), inboundWebhook("meta"));
+app.post("/healthz", webhookAuth("gupshup"), inboundWebhook("gupshup")); // fallback/alias POST
+app.post("/", webhookAuth("gupshup"), inboundWebhook("gupshup"));        // fallback/alias
+
+// Notificações push do Google Calendar (X-Goog-Channel-Token; ver calendar_watch.esm.js)
+app.post("/webhook/gcal", calendarWatchRoute());
+
+// API administrativa das conversas (ADMIN_TOKEN; ver src/admin.js)
+app.use("/admin", createAdminRouter({ store: conversationStore, resetConversation }));
+
+// Usados pelo simulador (src/sim/), que importa este módulo sem subir o servidor
+export { app, handleInbound, reminderJobs, conversationStore };
 
 // =====================
 // Start
 // =====================
-app.listen(PORT, () => console.log(`Server listening on :${PORT}`));
+const isMain = process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href;
 
-// Reagenda confirmações da véspera para os próximos 30 dias ao iniciar (esqueleto, adapte se tiver listagem global de eventos)
-(async function resumeConfirmationJobs() {
-  try {
-    // Se você tiver uma função para listar todos os eventos futuros, use-a aqui e re-agende:
-    // Ex.: const events = await listAllUpcomingEvents({ daysAhead: 30 });
-    // for (const ev of events) { const when = reminderTimeVespera17(ev.startISO); if (when > DateTime.now().setZone("America/Sao_Paulo")) scheduleOneShot(when, ...); }
-  } catch (e) {
-    console.error("[resumeConfirmationJobs] erro:", e?.message || e);
-  }
-})();
+if (isMain) {
+  app.listen(PORT, () => console.log(`Server listening on :${PORT}`));
 
+  // Railway envia SIGTERM no redeploy: grava as conversas pendentes antes de sair
+  process.on("SIGTERM", async () => {
+    reminderJobs.stop();
+    try { await conversationStore.flush(); } catch {}
+    try { await flushWaitlist(); } catch {}
+    process.exit(0);
+  });
+
+  // Reconstrói os lembretes a partir do Google Calendar e liga o executor da fila
+  (async function resumeConfirmationJobs() {
+    try {
+      await rebuildConfirmationJobs();
+    } catch (e) {
+      console.error("[resumeConfirmationJobs] erro:", e?.message || e);
+    }
+    // lista de espera antes do executor: o prazo das ofertas em aberto acha a oferta gravada
+    try {
+      await loadWaitlist();
+      for (const o of openOffers()) {
+        holdSlot({
+          phone: o.phone,
+          startISO: o.slot.startISO,
+          endISO: o.slot.endISO,
+          professionalId: o.slot.professionalId || null,
+          calendarId: o.slot.calendarId || null,
+          minutes: Math.ceil((o.expiresAt - Date.now()) / 60000),
+        });
+      }
+    } catch (e) {
+      console.error("[waitlist] carga falhou:", e?.message || e);
+    }
+    reminderJobs.start();
+  })();
+
+  // Canais de notificação do Google Calendar: registra na subida e renova antes de vencer
+  if (calendarWatchConfig().enabled) {
+    const renew = () => renewCalendarWatches().catch((e) => console.error("[calendar-watch] renovação:", e?.message || e));
+    renew();
+    setInterval(renew, 30 * 60 * 1000).unref();
+  }
+}
@@ -0,0 +1,27 @@
+// src/sim/clock.js
+// Relógio controlável: troca o Date global para que Date.now()/new Date()
+// (e o luxon, que usa Date) vejam o horário simulado.
+// Não mexe em setTimeout/setInterval.
+const RealDate = Date;
+
+export function installClock(startISO = new RealDate().toISOString()) {
+  let current = new RealDate(startISO).getTime();
+  if (Number.isNaN(current)) throw new Error(`installClock: data inválida ${startISO}`);
+
+  class FakeDate extends RealDate {
+    constructor(...args) {
+      if (args.length === 0) super(current);
+      else super(...args);
+    }
+    static now() { return current; }
+  }
+  globalThis.Date = FakeDate;
+
+  return {
+    now: () => new RealDate(current),
+    set(iso) { current = new RealDate(iso).getTime(); },
+    advance(ms) { current += ms; },
+    advanceMinutes(min) { current += min * 60000; },
+    restore() { globalThis.Date = RealDate; },
+  };
+}
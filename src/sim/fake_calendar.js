@@ -0,0 +1,244 @@
+// src/sim/fake_calendar.js
+// Google Calendar em memória, com o mesmo formato de chamadas/respostas do
+// googleapis (calendar v3) que o projeto usa: events.list/get/insert/patch/delete/watch,
+// channels.stop e freebusy.query. Cada chamada fica registrada em `calls`.
+// events.list aceita syncToken (só o que mudou desde o token) e sempre devolve nextSyncToken.
+
+function notFound(eventId) {
+  const e = new Error(`Not Found: ${eventId}`);
+  e.code = 404;
+  return e;
+}
+
+function gone() {
+  const e = new Error("Sync token is no longer valid, a full sync is required.");
+  e.code = 410;
+  return e;
+}
+
+function startMs(ev) {
+  const s = ev.start?.dateTime || (ev.start?.date ? `${ev.start.date}T00:00:00` : null);
+  return s ? new Date(s).getTime() : NaN;
+}
+
+function endMs(ev) {
+  const s = ev.end?.dateTime || (ev.end?.date ? `${ev.end.date}T00:00:00` : null);
+  return s ? new Date(s).getTime() : NaN;
+}
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+// merge raso como o PATCH do Google; extendedProperties.private/shared são mesclados
+// (chave com null é apagada)
+const merge = (a, b) => Object.fromEntries(Object.entries({ ...(a || {}), ...(b || {}) }).filter(([, v]) => v !== null));
+
+function applyPatch(ev, body) {
+  const out = { ...ev, ...body };
+  if (body.extendedProperties) {
+    out.extendedProperties = {
+      private: merge(ev.extendedProperties?.private, body.extendedProperties.private),
+      shared: merge(ev.extendedProperties?.shared, body.extendedProperties.shared),
+    };
+  }
+  return out;
+}
+
+export function createFakeCalendar() {
+  const calendars = new Map(); // calendarId -> Map(eventId -> evento)
+  const calls = [];
+  let seq = 0;
+  const revs = new Map(); // "calendarId|eventId" -> nº da última alteração (para syncToken)
+  let rev = 0;
+  let syncEpoch = 0; // tokens de outra época respondem 410
+  const currentSyncToken = () => `${syncEpoch}:${rev}`;
+  const channels = new Map(); // channelId -> { id, resourceId, calendarId, address, token, expiration }
+
+  const cal = (id = "primary") => {
+    if (!calendars.has(id)) calendars.set(id, new Map());
+    return calendars.get(id);
+  };
+  const record = (method, params) => calls.push({ method, params: clone(params || {}), at: new Date().toISOString() });
+  let lastStamp = 0;
+  // carimbo `updated` sempre crescente (o relógio simulado fica parado entre as falas)
+  const stamp = () => {
+    lastStamp = Math.max(Date.now(), lastStamp + 1);
+    return new Date(lastStamp).toISOString();
+  };
+  const put = (calendarId, ev) => {
+    cal(calendarId).set(ev.id, ev);
+    revs.set(`${calendarId || "primary"}|${ev.id}`, ++rev);
+  };
+
+  const events = {
+    async list(params = {}) {
+      record("events.list", params);
+      const { calendarId, timeMin, timeMax, showDeleted = false, orderBy, maxResults = 250, q, syncToken } = params;
+      if (syncToken) {
+        const [epoch, since] = String(syncToken).split(":").map(Number);
+        if (epoch !== syncEpoch || !Number.isInteger(since)) throw gone();
+        // incremental: tudo que mudou desde o token, inclusive cancelados
+        const items = Array.from(cal(calendarId).values()).filter((ev) => revs.get(`${calendarId || "primary"}|${ev.id}`) > since);
+        return { data: { items: clone(items), nextSyncToken: currentSyncToken() } };
+      }
+      const min = timeMin ? new Date(timeMin).getTime() : -Infinity;
+      const max = timeMax ? new Date(timeMax).getTime() : Infinity;
+      const needle = q ? String(q).toLowerCase() : null;
+
+      let items = Array.from(cal(calendarId).values()).filter((ev) => {
+        if (!showDeleted && ev.status === "cancelled") return false;
+        // mesma regra do Google: termina depois de timeMin e começa antes de timeMax
+        if (!(endMs(ev) > min && startMs(ev) < max)) return false;
+        if (needle && !`${ev.summary || ""} ${ev.description || ""}`.toLowerCase().includes(needle)) return false;
+        return true;
+      });
+      if (orderBy === "startTime") items.sort((a, b) => startMs(a) - startMs(b));
+      items = items.slice(0, maxResults);
+      return { data: { items: clone(items), nextSyncToken: currentSyncToken() } };
+    },
+
+    async get({ calendarId, eventId }) {
+      record("events.get", { calendarId, eventId });
+      const ev = cal(calendarId).get(eventId);
+      if (!ev) throw notFound(eventId);
+      return { data: clone(ev) };
+    },
+
+    async insert(params = {}) {
+      record("events.insert", params);
+      const body = params.requestBody || params.resource || {};
+      const id = body.id || `ev${++seq}`;
+      // como no Google: id repetido (mesmo de evento cancelado) é recusado
+      if (cal(params.calendarId).has(id)) {
+        const e = new Error(`The requested identifier already exists: ${id}`);
+        e.code = 409;
+        throw e;
+      }
+      const now = stamp();
+      const ev = { status: "confirmed", ...clone(body), id, created: now, updated: now };
+      put(params.calendarId, ev);
+      return { data: clone(ev) };
+    },
+
+    async patch(params = {}) {
+      record("events.patch", params);
+      const { calendarId, eventId } = params;
+      const ev = cal(calendarId).get(eventId);
+      if (!ev) throw notFound(eventId);
+      const next = { ...applyPatch(ev, clone(params.requestBody || params.resource || {})), updated: stamp() };
+      put(calendarId, next);
+      return { data: clone(next) };
+    },
+
+    async delete(params = {}) {
+      record("events.delete", params);
+      const { calendarId, eventId } = params;
+      const ev = cal(calendarId).get(eventId);
+      if (!ev || ev.status === "cancelled") throw notFound(eventId);
+      // o Google mantém o evento como "cancelled" (aparece com showDeleted)
+      put(calendarId, { ...ev, status: "cancelled", updated: stamp() });
+      return { data: "" };
+    },
+
+    async watch(params = {}) {
+      record("events.watch", params);
+      const body = params.requestBody || params.resource || {};
+      const ttl = Number(body.params?.ttl) || 604800;
+      const ch = {
+        id: body.id,
+        resourceId: `res-${params.calendarId || "primary"}`,
+        calendarId: params.calendarId || "primary",
+        address: body.address,
+        token: body.token,
+        expiration: Date.now() + ttl * 1000,
+      };
+      channels.set(ch.id, ch);
+      return { data: { kind: "api#channel", id: ch.id, resourceId: ch.resourceId, expiration: String(ch.expiration) } };
+    },
+  };
+
+  const channelsApi = {
+    async stop(params = {}) {
+      record("channels.stop", params);
+      const body = params.requestBody || params.resource || {};
+      const ch = channels.get(body.id);
+      if (!ch || ch.resourceId !== body.resourceId) throw notFound(body.id);
+      channels.delete(body.id);
+      return { data: "" };
+    },
+  };
+
+  const freebusy = {
+    async query(params = {}) {
+      record("freebusy.query", params);
+      const body = params.requestBody || params.resource || {};
+      const min = new Date(body.timeMin).getTime();
+      const max = new Date(body.timeMax).getTime();
+      const out = {};
+      for (const { id } of body.items || []) {
+        const busy = Array.from(cal(id).values())
+          .filter((ev) => ev.status !== "cancelled" && ev.transparency !== "transparent")
+          .filter((ev) => endMs(ev) > min && startMs(ev) < max)
+          .sort((a, b) => startMs(a) - startMs(b))
+          .map((ev) => ({ start: new Date(startMs(ev)).toISOString(), end: new Date(endMs(ev)).toISOString() }));
+        out[id] = { busy };
+      }
+      return { data: { kind: "calendar#freeBusy", timeMin: body.timeMin, timeMax: body.timeMax, calendars: out } };
+    },
+  };
+
+  return {
+    // objeto no formato de google.calendar({ version: "v3" })
+    api: { events, freebusy, channels: channelsApi },
+    calls,
+    // Semeia um evento direto (sem registrar chamada)
+    seed(ev, calendarId = "primary") {
+      const id = ev.id || `seed${++seq}`;
+      put(calendarId, { status: "confirmed", ...clone(ev), id });
+      return id;
+    },
+    // Edição manual (equipe mexendo na agenda do Google, fora do bot)
+    edit(calendarId, eventId, changes) {
+      const ev = cal(calendarId).get(eventId);
+      if (!ev) throw notFound(eventId);
+      put(calendarId, { ...applyPatch(ev, clone(changes)), updated: stamp() });
+    },
+    remove(calendarId, eventId) {
+      const ev = cal(calendarId).get(eventId);
+      if (!ev) throw notFound(eventId);
+      put(calendarId, { ...ev, status: "cancelled", updated: stamp() });
+    },
+    // Canais ativos (events.watch) e os cabeçalhos que o Google mandaria a cada um
+    // numa mudança da agenda (POST sem corpo no endereço do canal)
+    channels() {
+      return clone(Array.from(channels.values()));
+    },
+    notifications(calendarId = "primary", state = "exists") {
+      return Array.from(channels.values())
+        .filter((ch) => ch.calendarId === calendarId)
+        .map((ch) => ({
+          "x-goog-channel-id": ch.id,
+          "x-goog-channel-token": ch.token || "",
+          "x-goog-channel-expiration": new Date(ch.expiration).toUTCString(),
+          "x-goog-resource-id": ch.resourceId,
+          "x-goog-resource-state": state,
+          "x-goog-resource-uri": `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events?alt=json`,
+          "x-goog-message-number": String(++seq),
+        }));
+    },
+    // Invalida os syncTokens emitidos até aqui (próximo list incremental responde 410)
+    expireSyncTokens() {
+      syncEpoch++;
+    },
+    // Eventos atuais (inclui cancelados) de uma agenda
+    events(calendarId = "primary") {
+      return clone(Array.from(cal(calendarId).values()));
+    },
+    reset() {
+      calendars.clear();
+      calls.length = 0;
+      channels.clear();
+      revs.clear();
+      syncEpoch++;
+    },
+  };
+}
@@ -0,0 +1,27 @@
+// src/sim/fake_llm.js
+// LLM roteirizado no formato do SDK da OpenAI (chat.completions.create).
+// Cada chamada consome a próxima resposta do roteiro; a resposta pode ser
+// uma string ou uma função (userText, params) => string.
+export function createScriptedLLM(script = [], { fallback = "Certo! Como posso ajudar?" } = {}) {
+  const queue = [...script];
+  const prompts = []; // { userText, reply }
+
+  return {
+    prompts,
+    // acrescenta respostas ao roteiro
+    push(...replies) { queue.push(...replies); },
+    pending() { return queue.length; },
+    reset(next = []) { queue.length = 0; queue.push(...next); prompts.length = 0; },
+    chat: {
+      completions: {
+        async create(params) {
+          const userText = params?.messages?.find((m) => m.role === "user")?.content || "";
+          const next = queue.length ? queue.shift() : fallback;
+          const reply = typeof next === "function" ? await next(userText, params) : String(next);
+          prompts.push({ userText, reply });
+          return { choices: [{ message: { role: "assistant", content: reply } }] };
+        },
+      },
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// src/sim/fake_provider.js
+// Provedor de WhatsApp falso (interface de messaging.js): não envia nada,
+// só registra cada mensagem de saída em `outbox`.
+import { phoneKey } from "../phone.js";
+
+export function createFakeProvider(name = "fake") {
+  const outbox = [];
+  let seq = 0;
+
+  const record = (kind, to, data) => {
+    const messageId = `fake-${++seq}`;
+    outbox.push({ kind, to: phoneKey(to) || String(to), ...data, messageId, at: new Date().toISOString() });
+    return { provider: name, messageId, raw: null };
+  };
+
+  return {
+    outbox,
+    adapter: {
+      name,
+      checkConfig: () => [],
+      async sendText({ to, text }) { return record("text", to, { text }); },
+      async sendTemplate({ to, name: template, language, params = [], buttons = [] }) {
+        return record("template", to, { template, language, params, buttons, text: params.join("\n") });
+      },
+      async sendButtons({ to, text, buttons = [] }) { return record("buttons", to, { text, buttons }); },
+      // body: { from, text, name?, buttonPayload? }
+      parseInbound(body) {
+        const from = phoneKey(body?.from);
+        if (!from) return [];
+        const isButton = !!body.buttonPayload;
+        return [{
+          provider: name,
+          messageId: `in-${++seq}`,
+          from,
+          name: body.name || "",
+          type: isButton ? "button" : "text",
+          text: body.text || "",
+          buttonPayload: body.buttonPayload || "",
+          fromMe: false,
+          raw: body,
+        }];
+      },
+      parseStatus() { return []; },
+    },
+  };
+}
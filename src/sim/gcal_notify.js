@@ -0,0 +1,52 @@
+// src/sim/gcal_notify.js
+// Manda para um servidor rodando a mesma notificação que o Google Calendar envia
+// num canal de events.watch (POST sem corpo, só cabeçalhos X-Goog-*). Útil para testar
+// /webhook/gcal em desenvolvimento, sem endereço público nem canal de verdade.
+//
+//   node src/sim/gcal_notify.js --calendar=primary
+//   node src/sim/gcal_notify.js --url=http://localhost:8080/webhook/gcal --calendar=tele --state=sync
+//
+// Opções:
+//   --url=<url>        endereço do webhook (padrão: http://localhost:$PORT/webhook/gcal)
+//   --calendar=<id>    agenda que "mudou" (padrão: GOOGLE_CALENDAR_ID ou primary)
+//   --state=<estado>   exists (padrão), not_exists ou sync
+//   --channel=<id>     id do canal (padrão: um qualquer; o servidor usa a agenda da URI)
+//   --token=<token>    padrão: CALENDAR_WATCH_TOKEN
+//
+// O servidor só sincroniza de fato se o backend da agenda suportar (driver google).
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const opts = {};
+  for (const arg of argv) {
+    const m = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (m) opts[m[1]] = m[2] ?? "";
+  }
+  return opts;
+}
+
+const opts = parseArgs(process.argv.slice(2));
+const url = opts.url || `http://localhost:${process.env.PORT || 8080}/webhook/gcal`;
+const calendarId = opts.calendar || process.env.GOOGLE_CALENDAR_ID || "primary";
+const token = opts.token ?? process.env.CALENDAR_WATCH_TOKEN ?? "";
+
+if (!token) {
+  console.error("defina CALENDAR_WATCH_TOKEN (ou --token=)");
+  process.exit(2);
+}
+
+const headers = {
+  "X-Goog-Channel-ID": opts.channel || `local-${crypto.randomUUID()}`,
+  "X-Goog-Channel-Token": token,
+  "X-Goog-Resource-ID": `local-${calendarId}`,
+  "X-Goog-Resource-State": opts.state || "exists",
+  "X-Goog-Resource-URI": `https://www.googleapis.com/calendar/v3/calendars/${encodeURIComponent(calendarId)}/events?alt=json`,
+  "X-Goog-Message-Number": String(Date.now()),
+};
+
+const res = await fetch(url, { method: "POST", headers, signal: AbortSignal.timeout(10000) });
+console.log(`${res.status} ${res.statusText} <- ${url} (${calendarId}, ${headers["X-Goog-Resource-State"]})`);
+process.exit(res.ok ? 0 : 1);
@@ -0,0 +1,214 @@
+// src/sim/harness.js
+// Simulação ponta a ponta, sem rede: Google Calendar, WhatsApp e OpenAI falsos,
+// relógio controlável e o handleInbound de verdade (server.js importado sem listen).
+//
+//   const sim = await createSimulation({ now: "2025-09-01T10:00:00-03:00", llm: ["Olá!"] });
+//   const replies = await sim.say("11987654321", "quero agendar");
+//   sim.calendar.events()   // eventos criados/cancelados
+//   await sim.runReminders()
+//   await sim.notifyCalendar("primary")  // notificação push do Google (ver calendar_watch.esm.js)
+//   await sim.request("GET", "/admin/conversations", { headers })  // HTTP de verdade no app do server.js
+//
+// server.js é um singleton (memória de conversas, fila de lembretes): chamar
+// createSimulation de novo reinicia os falsos, mas as conversas continuam —
+// use um telefone diferente por cenário (ou sim.forget(tel)).
+import http from "http";
+import { google } from "googleapis";
+import { registerProvider } from "../messaging.js";
+import { setOpenAIClient } from "../openai.js";
+import { phoneKey } from "../phone.js";
+import { createFakeCalendar } from "./fake_calendar.js";
+import { createFakeProvider } from "./fake_provider.js";
+import { createScriptedLLM } from "./fake_llm.js";
+import { installClock } from "./clock.js";
+
+// Tudo que o servidor lê no import precisa estar no env ANTES do import
+const SIM_ENV = {
+  NODE_ENV: "test",
+  TZ: "America/Sao_Paulo",
+  OPENAI_API_KEY: "sim",
+  WHATSAPP_PROVIDER: "fake",
+  CALENDAR_BACKEND: "google", // agenda falsa no lugar do googleapis
+  GOOGLE_CLIENT_ID: "sim",
+  GOOGLE_CLIENT_SECRET: "sim",
+  GOOGLE_REDIRECT_URI: "http://localhost/sim",
+  GOOGLE_REFRESH_TOKEN: "sim",
+  GOOGLE_CALENDAR_ID: "primary",
+  GOOGLE_BLOCK_CALENDAR_ID: "",
+  CONVERSATION_STORE: "memory",
+  REMINDER_JOBS_STORE: "memory",
+  DATABASE_URL: "",
+  // sem jitter/cooldown do sendText
+  MIN_DELAY_MS: "0",
+  MAX_DELAY_MS: "0",
+  MIN_INTERVAL_PER_CONTACT_MS: "0",
+  QUIET_HOURS: "",
+  WORKING_HOURS_JSON: JSON.stringify({
+    1: [["08:00", "12:00"], ["13:00", "17:00"]],
+    2: [["08:00", "12:00"], ["13:00", "17:00"]],
+    3: [["08:00", "12:00"], ["13:00", "17:00"]],
+    4: [["08:00", "12:00"], ["13:00", "17:00"]],
+    5: [["08:00", "12:00"], ["13:00", "17:00"]],
+  }),
+};
+
+let booted = null; // { server, calendar, provider, llm, clock }
+const forwarded = []; // chamadas HTTP de saída (ex.: /cancel-from-message)
+
+// fetch falso: com CANCEL_SERVER_URL o servidor encaminha cancelamentos por HTTP; aqui só registramos
+async function fakeFetch(url, opts = {}) {
+  let body = opts.body;
+  try { body = JSON.parse(body); } catch {}
+  forwarded.push({ url: String(url), method: opts.method || "GET", body, at: new Date().toISOString() });
+  return { ok: true, status: 200, json: async () => ({ ok: true, sim: true }), text: async () => "" };
+}
+
+// Requisição HTTP ao app (porta efêmera em 127.0.0.1). Sem fetch: o global é o falso acima.
+function httpRequest(port, method, path, { headers = {}, body } = {}) {
+  const data = body === undefined ? null : JSON.stringify(body);
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, method, path, headers: { ...(data ? { "content-type": "application/json" } : {}), ...headers } },
+      (res) => {
+        let raw = "";
+        res.setEncoding("utf8");
+        res.on("data", (c) => (raw += c));
+        res.on("end", () => {
+          let json = null;
+          try { json = JSON.parse(raw); } catch {}
+          resolve({ status: res.statusCode, body: json ?? raw });
+        });
+      }
+    );
+    req.setTimeout(5000, () => req.destroy(new Error(`${method} ${path}: timeout`)));
+    req.on("error", reject);
+    req.end(data);
+  });
+}
+
+function silenceConsole() {
+  const saved = { log: console.log, info: console.info, warn: console.warn };
+  console.log = console.info = console.warn = () => {};
+  return () => Object.assign(console, saved);
+}
+
+/**
+ * @param {{ now?: string, llm?: Array<string|Function>, env?: object, verbose?: boolean }} opts
+ */
+export async function createSimulation({ now = "2025-09-01T10:00:00-03:00", llm = [], env = {}, verbose = !!process.env.SIM_VERBOSE } = {}) {
+  if (booted) booted.clock.restore();
+  const clock = installClock(now);
+  const restoreConsole = verbose ? () => {} : silenceConsole();
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = fakeFetch;
+  forwarded.length = 0;
+
+  if (!booted) {
+    for (const [k, v] of Object.entries({ ...SIM_ENV, ...env })) process.env[k] = String(v);
+
+    const calendar = createFakeCalendar();
+    google.calendar = () => calendar.api; // o driver google (google.esm.js) chama google.calendar(...)
+
+    const provider = createFakeProvider("fake");
+    registerProvider(provider.adapter);
+
+    const model = createScriptedLLM();
+    setOpenAIClient(model);
+
+    const server = await import("../server.js");
+    const { invalidateBusyCache } = await import("../busy_cache.esm.js");
+    const { handleCalendarNotification } = await import("../calendar_watch.esm.js");
+    const { clearHolds } = await import("../slot_holds.js");
+    const { clearWaitlist } = await import("../waitlist.js");
+    // seed() grava direto na agenda falsa, sem passar por calendar.esm.js: invalida à mão
+    const seed = calendar.seed;
+    calendar.seed = (...args) => { invalidateBusyCache(); return seed(...args); };
+    booted = { server, calendar, provider, llm: model, invalidateBusyCache, handleCalendarNotification, clearHolds, clearWaitlist };
+  }
+  booted.clock = clock;
+
+  const { server, calendar, provider, llm: model } = booted;
+  calendar.reset();
+  booted.invalidateBusyCache(); // o cache de ocupados é do processo: não vaza entre cenários
+  booted.clearHolds(); // idem para as reservas provisórias de horário
+  booted.clearWaitlist(); // e para a lista de espera
+  provider.outbox.length = 0;
+  model.reset(llm);
+
+  // `at`: horário da mensagem (replay de transcrição); sem ele, avança 1 min
+  // para sair das janelas de dedupe de entrada/saída. O relógio nunca volta.
+  let listening = null; // http.Server do app, aberto no primeiro sim.request
+
+  async function deliver(body, at) {
+    const t = at ? new Date(at).getTime() : NaN;
+    if (Number.isNaN(t)) clock.advanceMinutes(1);
+    else clock.set(new Date(Math.max(t, clock.now().getTime() + 1000)).toISOString());
+    const before = provider.outbox.length;
+    for (const msg of provider.adapter.parseInbound(body)) {
+      await server.handleInbound(msg);
+    }
+    return provider.outbox.slice(before);
+  }
+
+  return {
+    clock,
+    calendar,
+    llm: model,
+    outbox: provider.outbox,
+    forwarded,
+
+    // Paciente manda texto; retorna as mensagens enviadas neste turno
+    say(from, text, { name = "", at } = {}) {
+      return deliver({ from, text, name }, at);
+    },
+
+    // Paciente toca num botão (ex.: "CONFIRMAR|5511...|2025-09-02T09:00:00-03:00")
+    press(from, buttonPayload, { text = "", name = "", at } = {}) {
+      return deliver({ from, text: text || buttonPayload, name, buttonPayload }, at);
+    },
+
+    conversation(phone) {
+      return server.conversationStore.get(phoneKey(phone));
+    },
+
+    // Esquece a conversa desse telefone (para reaproveitá-lo do zero)
+    forget(phone) {
+      server.conversationStore.reset(phoneKey(phone));
+    },
+
+    sentTo(phone) {
+      const key = phoneKey(phone);
+      return provider.outbox.filter((m) => m.to === key);
+    },
+
+    // O Google avisa cada canal registrado (events.watch) na agenda; retorna o resultado de cada um
+    async notifyCalendar(calendarId = "primary", state = "exists") {
+      const out = [];
+      for (const headers of calendar.notifications(calendarId, state)) {
+        out.push(await booted.handleCalendarNotification(headers));
+      }
+      return out;
+    },
+
+    // Executa os lembretes vencidos no horário simulado
+    runReminders() {
+      return server.reminderJobs.runDue(new Date());
+    },
+
+    // Chama uma rota do app (ex.: /admin); retorna { status, body }
+    async request(method, path, opts) {
+      if (!listening) {
+        listening = http.createServer(server.app);
+        await new Promise((resolve) => listening.listen(0, "127.0.0.1", resolve));
+      }
+      return httpRequest(listening.address().port, method, path, opts);
+    },
+
+    close() {
+      if (listening) listening.close();
+      clock.restore();
+      restoreConsole();
+      globalThis.fetch = realFetch;
+    },
+  };
+}
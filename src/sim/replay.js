@@ -0,0 +1,171 @@
+// src/sim/replay.js
+// Reproduz uma transcrição de conversa real contra o handleInbound, com
+// Calendar/WhatsApp/OpenAI falsos (src/sim/harness.js). Para cada mensagem do
+// paciente mostra as respostas do bot, o estado da conversa (state/mode,
+// cancelCtx, lastSlots), as chamadas ao Calendar e se a IA foi chamada.
+//
+//   npm run replay -- conversa.txt
+//   npm run replay -- conversa.json --phone=11987654321 --events=agenda.json
+//
+// Opções:
+//   --phone=<tel>     telefone do paciente (ou "# phone:" na transcrição)
+//   --name=<nome>     nome do perfil do WhatsApp (padrão: remetente na transcrição)
+//   --now=<ISO>       relógio inicial quando as mensagens não têm data
+//   --events=<json>   eventos para semear na agenda falsa ([{...evento Google}] ou
+//                     [{ calendarId, event }])
+//   --bot=<nome>      remetente que é o bot (além de Cristina/bot/assistente...)
+//   --no-script       não usa as falas gravadas do bot como respostas da IA
+//   --json            saída em JSON (um objeto por turno)
+//   --verbose         mostra os logs do servidor
+//
+// As falas gravadas do bot depois de cada mensagem do paciente viram o roteiro
+// da IA daquele turno; assim a detecção da frase mágica ("está agendada",
+// "posso agendar") roda sobre o texto que a IA respondeu de fato.
+import fs from "fs";
+import { createSimulation } from "./harness.js";
+import { parseTranscript, patientTurns } from "./transcript.js";
+import { phoneKey } from "../phone.js";
+import { clinicZone } from "../tz.esm.js";
+
+const DEFAULT_PHONE = "11900000000";
+
+function parseArgs(argv) {
+  const opts = { files: [], bot: [], script: true, json: false, verbose: false };
+  for (const arg of argv) {
+    const m = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) { opts.files.push(arg); continue; }
+    const [, key, val = ""] = m;
+    if (key === "bot") opts.bot.push(val);
+    else if (key === "no-script") opts.script = false;
+    else if (key === "json") opts.json = true;
+    else if (key === "verbose") opts.verbose = true;
+    else opts[key] = val;
+  }
+  return opts;
+}
+
+const fmtTime = (iso) => {
+  const d = new Date(iso);
+  return d.toLocaleString("pt-BR", { timeZone: clinicZone(), day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+};
+
+const indent = (text, pad) => String(text).split("\n").join(`\n${pad}`);
+
+// cancelCtx sem os eventos completos (só id/início), para caber numa linha
+function compactCancelCtx(ctx) {
+  if (!ctx) return null;
+  const ev = (e) => (e ? { id: e.id, start: e.startISO || e.start?.dateTime || e.start || null } : null);
+  const out = { ...ctx, chosenEvent: ev(ctx.chosenEvent) };
+  if (Array.isArray(ctx.matchList)) out.matchList = ctx.matchList.map(ev);
+  for (const k of Object.keys(out)) if (out[k] === null || out[k] === "") delete out[k];
+  return out;
+}
+
+function snapshot(conv) {
+  return {
+    state: conv?.state || "idle",
+    mode: conv?.mode || null,
+    cancelCtx: compactCancelCtx(conv?.cancelCtx),
+    lastSlots: (conv?.lastSlots || []).map((s) => `${s.dayLabel || ""} ${s.label || s.startISO || ""}`.trim()),
+  };
+}
+
+function summarizeCalls(calls) {
+  const counts = new Map();
+  for (const c of calls) {
+    const label = c.method === "events.list" && c.params?.q ? `events.list(q=${c.params.q})` : c.method;
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+  return Array.from(counts, ([label, n]) => (n > 1 ? `${label} ×${n}` : label));
+}
+
+function replyLine(m) {
+  if (m.kind === "template") return `[template ${m.template}] ${m.text} {${m.buttons.join(" | ")}}`;
+  if (m.kind === "buttons") return `${m.text} {${m.buttons.map((b) => b.title || b.id).join(" | ")}}`;
+  return m.text;
+}
+
+function printTurn(t) {
+  console.log(`\n#${t.n} [${fmtTime(t.at)}] paciente: ${indent(t.button ? `[botão] ${t.button}` : t.text, "   ")}`);
+  if (!t.replies.length) console.log("   (sem resposta)");
+  for (const r of t.replies) console.log(`   ← ${indent(replyLine(r), "     ")}`);
+  const s = t.state;
+  console.log(`   estado: ${s.state} | mode=${s.mode || "-"}`);
+  console.log(`   cancelCtx: ${s.cancelCtx ? JSON.stringify(s.cancelCtx) : "-"}`);
+  console.log(`   lastSlots: ${s.lastSlots.length ? s.lastSlots.map((l, i) => `${i + 1}) ${l}`).join("; ") : "-"}`);
+  console.log(`   calendar: ${t.calendar.length ? t.calendar.join(", ") : "-"}`);
+  if (t.llm.length) {
+    console.log(`   ia: ${t.llm.length} chamada(s) (${t.scripted ? "fala gravada" : "resposta padrão"})`);
+  }
+  if (t.forwarded.length) console.log(`   http: ${t.forwarded.map((f) => `${f.method} ${f.url}`).join(", ")}`);
+}
+
+async function replay(file, opts) {
+  const transcript = parseTranscript(fs.readFileSync(file, "utf8"), { botNames: opts.bot });
+  const turns = patientTurns(transcript);
+  if (!turns.length) throw new Error(`${file}: nenhuma mensagem do paciente`);
+
+  const phone = opts.phone || transcript.phone || DEFAULT_PHONE;
+  const name = opts.name || transcript.name || "";
+  const firstAt = turns.find((t) => t.at)?.at;
+  const now = opts.now || transcript.now || (firstAt ? new Date(new Date(firstAt).getTime() - 5 * 60000).toISOString() : undefined);
+
+  const sim = await createSimulation({ ...(now ? { now } : {}), verbose: opts.verbose });
+  const results = [];
+  try {
+    sim.forget(phone);
+    const events = opts.events ? JSON.parse(fs.readFileSync(opts.events, "utf8")) : transcript.events;
+    for (const e of events || []) {
+      if (e.event) sim.calendar.seed(e.event, e.calendarId);
+      else sim.calendar.seed(e);
+    }
+
+    for (const [i, t] of turns.entries()) {
+      const scripted = opts.script && t.recorded.length > 0;
+      sim.llm.reset(scripted ? t.recorded : []);
+      const callsBefore = sim.calendar.calls.length;
+      const fwdBefore = sim.forwarded.length;
+
+      const replies = t.button
+        ? await sim.press(phone, t.button, { name, at: t.at })
+        : await sim.say(phone, t.text, { name, at: t.at });
+
+      results.push({
+        n: i + 1,
+        at: sim.clock.now().toISOString(),
+        text: t.text,
+        ...(t.button ? { button: t.button } : {}),
+        replies: replies.map(({ kind, text, template, buttons }) => ({ kind, text, template, buttons })),
+        recorded: t.recorded,
+        state: snapshot(sim.conversation(phone)),
+        calendar: summarizeCalls(sim.calendar.calls.slice(callsBefore)),
+        llm: sim.llm.prompts.map((p) => p.reply),
+        scripted,
+        forwarded: sim.forwarded.slice(fwdBefore),
+      });
+    }
+  } finally {
+    sim.close();
+  }
+
+  if (opts.json) {
+    console.log(JSON.stringify({ file, phone: phoneKey(phone), turns: results }, null, 2));
+  } else {
+    console.log(`== ${file} (${phoneKey(phone)}, ${results.length} mensagens do paciente)`);
+    results.forEach(printTurn);
+    console.log(`\nAgenda ao final: ${sim.calendar.events().map((e) => `${e.id} ${e.status} ${e.start?.dateTime || e.start?.date}`).join("; ") || "vazia"}`);
+  }
+}
+
+const opts = parseArgs(process.argv.slice(2));
+if (!opts.files.length) {
+  console.error("uso: npm run replay -- <transcricao.txt|.json> [--phone=] [--events=] [--now=] [--bot=] [--no-script] [--json]");
+  process.exit(2);
+}
+try {
+  for (const file of opts.files) await replay(file, opts);
+  process.exit(0);
+} catch (e) {
+  console.error(`[replay] ${e?.stack || e}`);
+  process.exit(1);
+}
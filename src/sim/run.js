@@ -0,0 +1,39 @@
+// src/sim/run.js
+// Roda os cenários de src/sim/scenarios (ou os arquivos passados na linha de comando).
+//   npm run sim
+//   npm run sim -- src/sim/scenarios/cancel_by_name.js
+//   SIM_VERBOSE=1 npm run sim   (mostra os logs do servidor)
+//
+// Cada cenário exporta `name`, `options` (para createSimulation) e um default
+// async (sim) => {} que usa node:assert; qualquer exceção reprova o cenário.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { createSimulation } from "./harness.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+function scenarioFiles(args) {
+  if (args.length) return args.map((a) => path.resolve(a));
+  const dir = path.join(here, "scenarios");
+  return fs.readdirSync(dir).filter((f) => f.endsWith(".js")).sort().map((f) => path.join(dir, f));
+}
+
+let failed = 0;
+for (const file of scenarioFiles(process.argv.slice(2))) {
+  const mod = await import(pathToFileURL(file).href);
+  const name = mod.name || path.basename(file);
+  const sim = await createSimulation(mod.options || {});
+  try {
+    await mod.default(sim);
+    sim.close();
+    console.log(`✔ ${name}`);
+  } catch (e) {
+    sim.close();
+    failed++;
+    console.error(`✘ ${name}\n  ${e?.stack || e}`);
+  }
+}
+
+console.log(failed ? `\n${failed} cenário(s) falharam.` : "\nTodos os cenários passaram.");
+process.exit(failed ? 1 : 0);
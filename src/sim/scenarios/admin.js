@@ -0,0 +1,72 @@
+// API /admin: token, listagem por ref, telefones mascarados nas flags, PATCH e reset
+import assert from "node:assert/strict";
+
+export const name = "API admin protege por token, mascara telefones e altera/reseta a conversa pelo ref";
+
+export const options = { now: "2025-09-01T10:00:00-03:00" };
+
+const PHONE = "11955550001";
+const TOKEN = "sim-admin-token";
+const auth = { headers: { authorization: `Bearer ${TOKEN}` } };
+
+const appointment = (start, end) => ({
+  summary: "Consulta (Presencial) — Ana Costa — dor",
+  description: "Paciente: Ana Costa\nTelefone: (11) 95555-0001\n#patient_phone:+5511955550001\n#patient_name:ana costa",
+  start: { dateTime: start },
+  end: { dateTime: end },
+  extendedProperties: { private: { patient_phone: "+5511955550001" } },
+});
+
+export default async function (sim) {
+  sim.calendar.seed(appointment("2025-09-03T09:00:00-03:00", "2025-09-03T10:00:00-03:00"));
+  sim.calendar.seed(appointment("2025-09-04T14:00:00-03:00", "2025-09-04T15:00:00-03:00"));
+
+  // duas consultas: a conversa guarda a lista para escolha (cancelCtx.matchList)
+  await sim.say(PHONE, "quero cancelar minha consulta");
+  const list = await sim.say(PHONE, "Ana Costa");
+  assert.match(list.at(-1).text, /Encontrei mais de um agendamento/);
+  assert.equal(sim.conversation(PHONE).cancelCtx.matchList.length, 2);
+
+  const previous = process.env.ADMIN_TOKEN;
+  try {
+    delete process.env.ADMIN_TOKEN;
+    assert.equal((await sim.request("GET", "/admin/conversations")).status, 404, "sem ADMIN_TOKEN a API fica desligada");
+    process.env.ADMIN_TOKEN = TOKEN;
+    assert.equal((await sim.request("GET", "/admin/conversations", { headers: { authorization: "Bearer errado" } })).status, 401);
+
+    const all = await sim.request("GET", "/admin/conversations", auth);
+    assert.equal(all.status, 200);
+    const item = all.body.items.find((c) => c.phone === "+55 (11) 95555-****");
+    assert.ok(item, "conversa não listada com o telefone mascarado");
+    assert.match(item.ref, /^[0-9a-f]{12}$/);
+
+    // nenhum telefone inteiro na resposta, nem nos eventos do cancelCtx
+    const one = await sim.request("GET", `/admin/conversations/${item.ref}`, auth);
+    assert.equal(one.status, 200);
+    assert.equal(one.body.flags.cancelCtx.matchList.length, 2);
+    assert.match(one.body.flags.cancelCtx.matchList[0].description, /95555-\*\*\*\*/);
+    const { messages, ...rest } = one.body;
+    assert.doesNotMatch(JSON.stringify(rest), /5555-?0001/);
+
+    assert.equal((await sim.request("GET", "/admin/conversations/000000000000", auth)).status, 404);
+
+    const bad = await sim.request("PATCH", `/admin/conversations/${item.ref}`, { ...auth, body: { phone: "x" } });
+    assert.equal(bad.status, 400);
+    assert.deepEqual(bad.body.unknown, ["phone"]);
+    const refused = await sim.request("PATCH", `/admin/conversations/${item.ref}`, { ...auth, body: { state: "collecting_data" } });
+    assert.equal(refused.status, 409);
+
+    const renamed = await sim.request("PATCH", `/admin/conversations/${item.ref}`, { ...auth, body: { patientName: "Ana P. Costa" } });
+    assert.equal(renamed.status, 200);
+    assert.equal(sim.conversation(PHONE).patientName, "Ana P. Costa");
+    assert.equal(sim.conversation(PHONE).patientNameLocked, true);
+
+    const reset = await sim.request("POST", `/admin/conversations/${item.ref}/reset`, auth);
+    assert.equal(reset.status, 200);
+    assert.equal(reset.body.ref, item.ref);
+    assert.equal(sim.conversation(PHONE), null);
+  } finally {
+    if (previous === undefined) delete process.env.ADMIN_TOKEN;
+    else process.env.ADMIN_TOKEN = previous;
+  }
+}
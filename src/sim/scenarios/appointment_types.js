@@ -0,0 +1,50 @@
+// Tipo de consulta citado pelo paciente define a grade de horários e a duração do evento
+import assert from "node:assert/strict";
+
+export const name = "avaliação pré-anestésica usa grade e duração do próprio tipo";
+
+export const options = {
+  now: "2025-08-31T10:00:00-03:00", // domingo
+  llm: [
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Perfeito! Me confirme nome completo, idade e modalidade.",
+    "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 01/09/25, horário 08:30.",
+  ],
+};
+
+const PHONE = "11976543210";
+
+const TYPES = [
+  { id: "dor", label: "Medicina da Dor", durationMin: 60 },
+  { id: "pre_anestesica", label: "Avaliação Pré-anestésica", durationMin: 30, hours: { 1: [["08:00", "09:00"]] } },
+];
+
+export default async function (sim) {
+  const previous = process.env.APPOINTMENT_TYPES_JSON;
+  process.env.APPOINTMENT_TYPES_JSON = JSON.stringify(TYPES);
+  try {
+    const list = await sim.say(PHONE, "Oi, quero agendar uma avaliação pré-anestésica");
+    assert.equal(sim.conversation(PHONE).appointmentType, "pre_anestesica");
+    const text = list.at(-1).text;
+    assert.match(text, /1\) Seg 01\/09\/25 08:00/);
+    assert.match(text, /2\) Seg 01\/09\/25 08:30/);
+    assert.doesNotMatch(text, /09:00/);
+
+    await sim.say(PHONE, "opção 2");
+    const done = await sim.say(PHONE, "Maria Souza, 54 anos, presencial, avaliação pré-anestésica");
+    assert.match(done.at(-1).text, /está agendada/);
+
+    const [ev] = sim.calendar.events();
+    assert.ok(ev, "evento não foi criado");
+    assert.equal(new Date(ev.start.dateTime).toISOString(), "2025-09-01T11:30:00.000Z");
+    assert.equal(new Date(ev.end.dateTime).toISOString(), "2025-09-01T12:00:00.000Z");
+    assert.equal(ev.extendedProperties.private.appointment_type, "pre_anestesica");
+
+    // lembrete da véspera (31/08 17:00) sai normalmente; também esvazia a fila para os próximos cenários
+    sim.clock.advanceMinutes(8 * 60);
+    assert.equal(await sim.runReminders(), 1);
+  } finally {
+    if (previous === undefined) delete process.env.APPOINTMENT_TYPES_JSON;
+    else process.env.APPOINTMENT_TYPES_JSON = previous;
+  }
+}
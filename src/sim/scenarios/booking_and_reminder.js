@@ -0,0 +1,51 @@
+// Agendamento completo pela "opção N" e lembrete da véspera com botões
+import assert from "node:assert/strict";
+
+export const name = "agendar pela lista de horários e receber o template da véspera";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Perfeito! Me confirme nome completo, idade, modalidade e motivo.",
+    "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 01/09/25, horário 14:00.",
+  ],
+};
+
+const PHONE = "11987654321";
+
+export default async function (sim) {
+  const list = await sim.say(PHONE, "Oi, quero agendar uma consulta");
+  assert.match(list.at(-1).text, /2\) Seg 01\/09\/25 14:00/);
+  assert.equal(sim.conversation(PHONE).state, "choosing_slot");
+
+  await sim.say(PHONE, "opção 2");
+  assert.equal(sim.conversation(PHONE).state, "collecting_data");
+
+  const done = await sim.say(PHONE, "Maria Souza, presencial, dor");
+  assert.match(done.at(-1).text, /está agendada/);
+
+  const [ev] = sim.calendar.events();
+  assert.ok(ev, "evento não foi criado");
+  assert.equal(new Date(ev.start.dateTime).toISOString(), "2025-09-01T17:00:00.000Z");
+  assert.equal(ev.extendedProperties.private.patient_phone, "+5511987654321");
+  assert.equal(sim.conversation(PHONE).state, "booked");
+
+  // consulta é hoje às 14h: o lembrete "da véspera" já venceu e sai no próximo ciclo
+  assert.equal(await sim.runReminders(), 1);
+  const tpl = sim.sentTo(PHONE).find((m) => m.kind === "template");
+  assert.ok(tpl, "template da véspera não enviado");
+  assert.deepEqual(tpl.buttons.map((b) => b.split("|")[0]), ["CONFIRMAR", "CANCELAR"]);
+
+  // idempotência: rodar de novo não reenvia
+  sim.clock.advanceMinutes(5);
+  await sim.runReminders();
+  assert.equal(sim.sentTo(PHONE).filter((m) => m.kind === "template").length, 1);
+
+  // botão CANCELAR do template vale mesmo com a paciente escolhendo outro horário
+  await sim.say(PHONE, "tem horário dia 03/09?");
+  assert.equal(sim.conversation(PHONE).state, "choosing_slot");
+  const cancel = await sim.press(PHONE, tpl.buttons[1]);
+  assert.equal(sim.conversation(PHONE).state, "cancel_confirm");
+  assert.match(cancel.at(-1).text, /cancel/i);
+}
@@ -0,0 +1,78 @@
+// Frase de confirmação repetida e confirmações simultâneas: um evento só, com booking_key
+import assert from "node:assert/strict";
+import { bookAppointment, bookingKey } from "../../booking.esm.js";
+import { cancelAppointment } from "../../cancellation.esm.js";
+
+export const name = "confirmação repetida não duplica o evento";
+
+const DONE = "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 02/09/25, horário 09:00.";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    "Perfeito! Me confirme nome completo, idade, modalidade e motivo.",
+    DONE,
+    DONE, // a IA repete a frase no turno seguinte
+  ],
+};
+
+const PHONE = "11987650123";
+
+export default async function (sim) {
+  const booked = () => sim.calendar.events().filter((e) => e.extendedProperties && e.status !== "cancelled");
+
+  await sim.say(PHONE, "Quero agendar dia 02/09 às 09:00");
+  const first = await sim.say(PHONE, "Maria Souza, 40 anos, presencial, dor");
+  assert.match(first.at(-1).text, /está agendada para o dia 02\/09\/25/);
+  assert.equal(booked().length, 1);
+  const [ev] = booked();
+  assert.equal(ev.extendedProperties.private.booking_key, bookingKey({ phone: PHONE, startISO: "2025-09-02T12:00:00.000Z", type: "dor" }));
+
+  // mesma frase de novo: responde que já está agendada e não insere nada
+  const inserts = () => sim.calendar.calls.filter((c) => c.method === "events.insert").length;
+  const before = inserts();
+  const again = await sim.say(PHONE, "Ok, obrigada!");
+  assert.match(again.at(-1).text, /já está agendada\. Não criei outro horário/);
+  assert.equal(inserts(), before);
+  assert.equal(booked().length, 1);
+  // o turno fica na memória e a conversa continua agendada
+  const conv = sim.conversation(PHONE);
+  assert.deepEqual(conv.messages.slice(-2).map((m) => m.content), ["Ok, obrigada!", again.at(-1).text]);
+  assert.equal(conv.state, "booked");
+  assert.ok(Date.now() - conv.lastBookedAt < 60000, "lastBookedAt não foi renovado");
+
+  // duas entregas ao mesmo tempo (outra agenda, outro horário): uma cria, a outra recebe o mesmo evento
+  const req = {
+    phone: "11976540987",
+    summary: "Consulta",
+    startISO: "2025-09-03T14:00:00.000Z",
+    endISO: "2025-09-03T15:00:00.000Z",
+    calendarId: "primary",
+    appointmentType: "dor",
+  };
+  const [a, b] = await Promise.all([bookAppointment(req), bookAppointment(req)]);
+  assert.equal(a.created, true);
+  assert.equal(b.created, false);
+  assert.equal(a.event.id, b.event.id);
+  // mesmo depois, sem a promessa em andamento: o 409 do backend devolve o existente
+  const c = await bookAppointment(req);
+  assert.equal(c.created, false);
+  assert.equal(c.event.id, a.event.id);
+  assert.equal(booked().length, 2);
+
+  // cancelado e confirmado de novo pelo mesmo paciente: o mesmo evento volta a valer
+  await cancelAppointment({ eventId: a.event.id, reason: "teste", source: "sim" });
+  const d = await bookAppointment(req);
+  assert.equal(d.created, true);
+  assert.equal(d.reactivated, true);
+  assert.equal(d.event.id, a.event.id);
+  assert.equal(d.event.status, "confirmed");
+  for (const k of ["cancel_reason", "cancelled_at", "cancelled_by"]) {
+    assert.equal(k in d.event.extendedProperties.private, false, `${k} ficou no evento reativado`);
+  }
+  assert.equal(booked().length, 2);
+
+  // lembrete da véspera (01/09 17:00); esvazia a fila para os próximos cenários
+  sim.clock.advanceMinutes(8 * 60);
+  assert.equal(await sim.runReminders(), 1);
+}
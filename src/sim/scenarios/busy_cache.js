@@ -0,0 +1,54 @@
+// Grade de 14 dias numa única consulta freeBusy, cache entre conversas e invalidação ao agendar/cancelar
+import assert from "node:assert/strict";
+import { listAvailableSlots } from "../../slots.esm.js";
+import { createCalendarEvent } from "../../calendar.esm.js";
+import { cancelAppointment } from "../../cancellation.esm.js";
+
+export const name = "ocupados da janela inteira numa consulta, com cache invalidado pelas escritas do bot";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+  ],
+};
+
+export default async function (sim) {
+  const queries = () => sim.calendar.calls.filter((c) => c.method === "freebusy.query").length;
+
+  // cada sim.say avança o relógio 1 min: TTL maior que o padrão (60 s) para caber o roteiro
+  const previous = process.env.BUSY_CACHE_TTL_SECONDS;
+  process.env.BUSY_CACHE_TTL_SECONDS = "300";
+  try {
+    const first = await listAvailableSlots({ days: 14 });
+    assert.equal(queries(), 1, "14 dias devem sair de uma consulta só");
+    assert.equal(first[0].startISO, "2025-09-01T14:00:00.000Z"); // 11:00 (1h de antecedência)
+
+    // outra conversa pedindo horários: sai do cache
+    await sim.say("11910987654", "Oi, quero agendar uma consulta");
+    await listAvailableSlots({ fromISO: "2025-09-03T08:00:00-03:00", days: 5 });
+    assert.equal(queries(), 1);
+
+    // agendamento pelo bot invalida: a próxima lista consulta de novo e não oferece o horário
+    const target = first[3];
+    const ev = await createCalendarEvent({ summary: "Consulta", startISO: target.startISO, endISO: target.endISO });
+    const afterBooking = await listAvailableSlots({ days: 14 });
+    assert.equal(queries(), 2);
+    assert.ok(!afterBooking.some((s) => s.startISO === target.startISO), "horário agendado ainda oferecido");
+
+    // cancelamento também
+    await cancelAppointment({ eventId: ev.id, reason: "teste", source: "sim" });
+    const afterCancel = await listAvailableSlots({ days: 14 });
+    assert.equal(queries(), 3);
+    assert.ok(afterCancel.some((s) => s.startISO === target.startISO), "horário cancelado não voltou");
+
+    // TTL vencido: consulta de novo
+    sim.clock.advanceMinutes(6);
+    await sim.say("11909876543", "Oi, quero agendar uma consulta");
+    assert.equal(queries(), 4);
+  } finally {
+    if (previous === undefined) delete process.env.BUSY_CACHE_TTL_SECONDS;
+    else process.env.BUSY_CACHE_TTL_SECONDS = previous;
+  }
+}
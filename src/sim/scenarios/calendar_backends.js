@@ -0,0 +1,123 @@
+// Drivers ICS (arquivo) e CalDAV (servidor falso local): ida e volta pela interface de agenda
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import {
+  createCalendarEvent, listEvents, freeBusy, getEvent, cancelEvent, findByPatient,
+} from "../../calendar.esm.js";
+
+export const name = "drivers ICS e CalDAV gravam, listam, calculam ocupados e cancelam com propriedades";
+
+export const options = { now: "2025-09-01T10:00:00-03:00" };
+
+const DAY = { timeMin: "2025-09-03T00:00:00-03:00", timeMax: "2025-09-04T00:00:00-03:00" };
+
+// Servidor CalDAV mínimo: PUT/GET de recursos .ics com ETag e REPORT da coleção
+function fakeCalDAV() {
+  const resources = new Map(); // pathname -> { ics, etag }
+  let n = 0;
+  const xml = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      const { pathname } = new URL(req.url, "http://x");
+      const cur = resources.get(pathname);
+      if (req.method === "PUT") {
+        if (req.headers["if-none-match"] === "*" && cur) return res.writeHead(412).end();
+        if (req.headers["if-match"] && req.headers["if-match"] !== cur?.etag) return res.writeHead(412).end();
+        const etag = `"${++n}"`;
+        resources.set(pathname, { ics: body, etag });
+        return res.writeHead(cur ? 204 : 201, { etag }).end();
+      }
+      if (req.method === "GET") {
+        if (!cur) return res.writeHead(404).end();
+        return res.writeHead(200, { etag: cur.etag, "content-type": "text/calendar" }).end(cur.ics);
+      }
+      if (req.method === "REPORT") {
+        const items = Array.from(resources)
+          .filter(([p]) => p.startsWith(pathname))
+          .map(([p, r]) => `<D:response><D:href>${p}</D:href><D:propstat><D:prop><D:getetag>${xml(r.etag)}</D:getetag>` +
+            `<C:calendar-data>${xml(r.ics)}</C:calendar-data></D:prop></D:propstat></D:response>`);
+        return res.writeHead(207, { "content-type": "application/xml" })
+          .end(`<D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">${items.join("")}</D:multistatus>`);
+      }
+      res.writeHead(405).end();
+    });
+  });
+  return { server, resources };
+}
+
+async function roundTrip(label) {
+  const created = await createCalendarEvent({
+    summary: "Consulta (Presencial) — Bia Reis — dor",
+    description: "Paciente: Bia Reis\n#patient_phone:+5511966660001\n#patient_name:bia reis",
+    startISO: "2025-09-03T09:00:00-03:00",
+    endISO: "2025-09-03T10:00:00-03:00",
+    calendarId: "primary",
+    extendedProperties: { private: { patient_phone: "+5511966660001", modality: "Presencial" } },
+    appointmentType: "dor",
+  });
+  assert.ok(created.id, `${label}: sem id`);
+
+  const listed = await listEvents({ calendarId: "primary", ...DAY });
+  assert.equal(listed.length, 1, `${label}: listagem`);
+  assert.equal(listed[0].summary, "Consulta (Presencial) — Bia Reis — dor");
+  assert.equal(listed[0].extendedProperties.private.patient_phone, "+5511966660001");
+  assert.equal(listed[0].extendedProperties.private.appointment_type, "dor");
+  assert.equal(new Date(listed[0].start.dateTime).toISOString(), "2025-09-03T12:00:00.000Z");
+  assert.equal((await findByPatient({ calendarId: "primary", phone: "11966660001" })).length, 1, `${label}: busca por telefone`);
+
+  const busy = await freeBusy({ calendarIds: ["primary"], ...DAY });
+  assert.deepEqual(busy.primary, [{ start: "2025-09-03T12:00:00.000Z", end: "2025-09-03T13:00:00.000Z" }], `${label}: ocupados`);
+
+  await cancelEvent({ calendarId: "primary", eventId: created.id, props: { cancel_reason: "paciente; pelo WhatsApp", cancel_source: "whatsapp" } });
+  const after = await getEvent({ calendarId: "primary", eventId: created.id });
+  assert.equal(after.status, "cancelled", `${label}: não cancelou`);
+  assert.deepEqual(after.extendedProperties.private, {
+    patient_phone: "+5511966660001",
+    modality: "Presencial",
+    appointment_type: "dor",
+    cancel_reason: "paciente; pelo WhatsApp",
+    cancel_source: "whatsapp",
+  }, `${label}: propriedades do cancelamento`);
+  assert.equal((await listEvents({ calendarId: "primary", ...DAY })).length, 0, `${label}: cancelado na listagem`);
+  assert.equal((await listEvents({ calendarId: "primary", ...DAY, showDeleted: true })).length, 1);
+  assert.deepEqual((await freeBusy({ calendarIds: ["primary"], ...DAY })).primary, [], `${label}: cancelado ocupa a grade`);
+}
+
+export default async function (sim) {
+  const keys = ["CALENDAR_BACKEND", "ICS_CALENDAR_DIR", "CALDAV_URL", "CALDAV_USERNAME", "CALDAV_PASSWORD"];
+  const previous = Object.fromEntries(keys.map((k) => [k, process.env[k]]));
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "sim-ics-"));
+  const dav = fakeCalDAV();
+  try {
+    // ICS: o arquivo gravado é relido a cada operação
+    Object.assign(process.env, { CALENDAR_BACKEND: "ics", ICS_CALENDAR_DIR: dir });
+    await roundTrip("ics");
+    assert.match(await fs.readFile(path.join(dir, "primary.ics"), "utf8"), /STATUS:CANCELLED/);
+
+    // CalDAV: um recurso por evento, alterado com If-Match
+    await new Promise((resolve) => dav.server.listen(0, "127.0.0.1", resolve));
+    Object.assign(process.env, {
+      CALENDAR_BACKEND: "caldav",
+      CALDAV_URL: `http://127.0.0.1:${dav.server.address().port}/cal/clinica/`,
+      CALDAV_USERNAME: "sim",
+      CALDAV_PASSWORD: "sim",
+    });
+    await roundTrip("caldav");
+    assert.equal(dav.resources.size, 1);
+    assert.match(Array.from(dav.resources.values())[0].ics, /X-CRISTINA-PRIVATE;X-KEY=cancel_source:whatsapp/);
+  } finally {
+    dav.server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+    for (const [k, v] of Object.entries(previous)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+  assert.equal(sim.calendar.events().length, 0, "escreveu na agenda Google falsa");
+}
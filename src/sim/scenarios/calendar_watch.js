@@ -0,0 +1,111 @@
+// Notificação push do Google: sincronização incremental, cache de ocupados e agendamento mexido na mão
+import assert from "node:assert/strict";
+import { listAvailableSlots } from "../../slots.esm.js";
+import {
+  renewCalendarWatches, stopCalendarWatch, calendarWatchStatus, onExternalEventChange, handleCalendarNotification,
+} from "../../calendar_watch.esm.js";
+
+export const name = "notificação da agenda atualiza a grade e reagenda o lembrete de consulta movida fora do bot";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Perfeito! Me confirme nome completo, idade, modalidade e motivo.",
+    "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 02/09/25, horário 08:00.",
+  ],
+};
+
+const PHONE = "11976543210";
+const WATCH_ENV = {
+  CALENDAR_WATCH_URL: "https://sim.example/webhook/gcal",
+  CALENDAR_WATCH_TOKEN: "sim-watch-token",
+  BUSY_CACHE_TTL_SECONDS: "300",
+};
+
+export default async function (sim) {
+  const previous = Object.fromEntries(Object.keys(WATCH_ENV).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, WATCH_ENV);
+  const changes = [];
+  const unsubscribe = onExternalEventChange((c) => changes.push(c));
+  const tuesday = async () =>
+    (await listAvailableSlots({ fromISO: "2025-09-02T00:00:00-03:00", days: 1 })).map((s) => s.startISO);
+
+  try {
+    // segunda lotada: a lista começa na terça 08:00
+    sim.calendar.seed({
+      summary: "Mutirão",
+      start: { dateTime: "2025-09-01T08:00:00-03:00" },
+      end: { dateTime: "2025-09-01T17:00:00-03:00" },
+    });
+
+    const [registered] = await renewCalendarWatches({ calendarIds: ["primary"] });
+    assert.equal(registered.renewed, true);
+    const [channel] = sim.calendar.channels();
+    assert.equal(channel.address, WATCH_ENV.CALENDAR_WATCH_URL);
+    assert.equal(channel.token, WATCH_ENV.CALENDAR_WATCH_TOKEN);
+    assert.equal(calendarWatchStatus().calendars.find((c) => c.calendarId === "primary").synced, true);
+
+    // agendamento pelo bot: a notificação que ele gera não conta como mudança externa
+    await sim.say(PHONE, "Oi, quero agendar uma consulta");
+    await sim.say(PHONE, "opção 1");
+    const done = await sim.say(PHONE, "Maria Souza, 40 anos, presencial, dor");
+    assert.match(done.at(-1).text, /está agendada/);
+    const [booked] = sim.calendar.events().filter((e) => e.extendedProperties);
+    const [own] = await sim.notifyCalendar("primary");
+    assert.equal(own.status, 200);
+    assert.equal(own.external.length, 0);
+
+    const before = await tuesday();
+    assert.ok(!before.includes("2025-09-02T11:00:00.000Z"), "horário agendado ainda oferecido");
+    assert.ok(before.includes("2025-09-02T18:00:00.000Z"));
+
+    // a equipe arrasta a consulta para 15:00 no Google: sem notificação, o cache ainda vale
+    const duration = new Date(booked.end.dateTime) - new Date(booked.start.dateTime);
+    sim.calendar.edit("primary", booked.id, {
+      start: { dateTime: "2025-09-02T15:00:00-03:00" },
+      end: { dateTime: new Date(new Date("2025-09-02T15:00:00-03:00").getTime() + duration).toISOString() },
+    });
+    assert.deepEqual(await tuesday(), before);
+
+    const [moved] = await sim.notifyCalendar("primary");
+    assert.equal(moved.external.length, 1);
+    assert.equal(changes.at(-1).type, "moved");
+    assert.equal(changes.at(-1).eventId, booked.id);
+    const after = await tuesday();
+    assert.ok(after.includes("2025-09-02T11:00:00.000Z"), "horário antigo não foi liberado");
+    assert.ok(!after.includes("2025-09-02T18:00:00.000Z"), "horário novo ainda oferecido");
+
+    // lembrete da véspera sai para o horário novo (o do antigo se descarta)
+    sim.clock.advanceMinutes(7 * 60);
+    await sim.runReminders();
+    const templates = sim.sentTo(PHONE).filter((m) => m.kind === "template");
+    assert.equal(templates.length, 1);
+    assert.match(templates[0].text, /02\/09 às 15:00/);
+
+    // apagado na agenda: avisado como cancelamento
+    sim.calendar.remove("primary", booked.id);
+    await sim.notifyCalendar("primary");
+    assert.equal(changes.at(-1).type, "cancelled");
+    assert.ok((await tuesday()).includes("2025-09-02T18:00:00.000Z"));
+
+    // syncToken vencido (410): leitura completa, sem erro
+    sim.calendar.expireSyncTokens();
+    const [resynced] = await sim.notifyCalendar("primary");
+    assert.equal(resynced.full, true);
+    assert.equal(resynced.error, undefined);
+
+    // token errado é recusado
+    const forged = { ...sim.calendar.notifications("primary")[0], "x-goog-channel-token": "outro" };
+    assert.equal((await handleCalendarNotification(forged)).status, 401);
+
+    assert.equal(await stopCalendarWatch("primary"), true);
+    assert.equal(sim.calendar.channels().length, 0);
+  } finally {
+    unsubscribe();
+    for (const [k, v] of Object.entries(previous)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
@@ -0,0 +1,34 @@
+// Cancelamento: localiza pelo nome, pede confirmação e cancela no calendário
+import assert from "node:assert/strict";
+
+export const name = "cancelar consulta existente informando o nome";
+
+export const options = { now: "2025-09-01T10:00:00-03:00" };
+
+const PHONE = "11912345678";
+
+export default async function (sim) {
+  const id = sim.calendar.seed({
+    summary: "Consulta (Presencial) — João Lima — Medicina da Dor",
+    description: "Paciente: João Lima\n#patient_phone:+5511912345678\n#patient_name:joão lima",
+    start: { dateTime: "2025-09-03T09:00:00-03:00" },
+    end: { dateTime: "2025-09-03T10:00:00-03:00" },
+    extendedProperties: { private: { patient_phone: "+5511912345678" } },
+  });
+
+  await sim.say(PHONE, "quero cancelar minha consulta");
+  assert.equal(sim.conversation(PHONE).state, "cancel_lookup");
+
+  const ask = await sim.say(PHONE, "João Lima");
+  assert.match(ask.at(-1).text, /Posso proceder com o cancelamento\?/);
+  assert.equal(sim.conversation(PHONE).state, "cancel_confirm");
+  assert.equal(sim.calendar.events()[0].status, "confirmed", "cancelou antes do 'sim'");
+
+  const done = await sim.say(PHONE, "sim");
+  assert.match(done.at(-1).text, /está cancelada para o dia 03\/09\/25 09:00/);
+
+  const ev = sim.calendar.events().find((e) => e.id === id);
+  assert.equal(ev.status, "cancelled");
+  assert.equal(sim.conversation(PHONE).state, "idle");
+  assert.equal(sim.llm.prompts.length, 0, "o fluxo de cancelamento não deveria chamar a IA");
+}
@@ -0,0 +1,115 @@
+// Cancelamento por mensagem: só o evento do paciente informado, cancelamento suave com auditoria, no processo ou remoto
+import assert from "node:assert/strict";
+import { cancelEventFromMessage, cancellationAudit } from "../../cancellation.esm.js";
+
+export const name = "cancelamento por mensagem confere telefone/nome, cancela suave e audita (no processo ou remoto)";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00",
+  llm: [
+    "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 03/09/25 09:00",
+    "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 03/09/25 09:00",
+    "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 03/09/25 09:00",
+    "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 03/09/25 09:00",
+  ],
+};
+
+const PHONE = "11934567890";
+const NOBODY = "11934567891"; // sem consulta no horário
+const TWICE = "11934567892"; // duas consultas no horário
+const TEXT = "Pronto! Sua consulta com a Dra. Jenifer está cancelada para o dia 03/09/25 09:15";
+
+const patientEvent = (name, phone, start, end) => ({
+  summary: `Consulta (Presencial) — ${name} — dor`,
+  description: `Paciente: ${name}\n#patient_phone:${phone}\n#patient_name:${name.toLowerCase()}`,
+  start: { dateTime: start },
+  end: { dateTime: end },
+  extendedProperties: { private: { patient_phone: phone } },
+});
+
+export default async function (sim) {
+  // três consultas na janela de ±30 min de 09:15; duas do mesmo paciente
+  const early = sim.calendar.seed(patientEvent("João Lima", "+5511912345678", "2025-09-03T08:30:00-03:00", "2025-09-03T09:00:00-03:00"));
+  const joao = sim.calendar.seed(patientEvent("João Lima", "+5511912345678", "2025-09-03T09:00:00-03:00", "2025-09-03T09:30:00-03:00"));
+  const ana = sim.calendar.seed(patientEvent("Ana Souza", "+5511923456789", "2025-09-03T09:30:00-03:00", "2025-09-03T10:00:00-03:00"));
+  const status = (id) => sim.calendar.events().find((e) => e.id === id).status;
+
+  // sem telefone/nome: recusa (antes cancelava o primeiro evento da janela)
+  const anon = await cancelEventFromMessage(TEXT);
+  assert.equal(anon.ok, false);
+  assert.equal(status(early), "confirmed");
+
+  // dry-run: mostra o que seria cancelado e não mexe na agenda
+  const preview = await cancelEventFromMessage(TEXT, { phone: "(11) 92345-6789", dryRun: true });
+  assert.equal(preview.dryRun, true);
+  assert.equal(preview.cancelled, false);
+  assert.deepEqual(preview.candidates.map((c) => c.eventId), [ana]);
+  assert.equal(status(ana), "confirmed");
+
+  const done = await cancelEventFromMessage(TEXT, { phone: "11923456789" });
+  assert.equal(done.cancelled, true);
+  assert.equal(done.cancelledEventId, ana);
+  assert.equal(status(ana), "cancelled");
+  assert.equal(status(joao), "confirmed");
+  // cancelamento suave: motivo, momento e origem no próprio evento + entrada de auditoria
+  const soft = sim.calendar.events().find((e) => e.id === ana).extendedProperties.private;
+  assert.equal(soft.cancelled_by, "cancel-server");
+  assert.ok(soft.cancel_reason);
+  assert.equal(soft.cancelled_at, new Date().toISOString());
+  assert.equal(cancellationAudit()[0].eventId, ana);
+  assert.equal(cancellationAudit()[0].phone, "+55 (11) 92345-****");
+
+  // duas consultas do mesmo paciente no horário: nada é cancelado, volta a lista
+  const twice = await cancelEventFromMessage(TEXT, { name: "joao lima" });
+  assert.equal(twice.ambiguous, true);
+  assert.deepEqual(twice.candidates.map((c) => c.eventId).sort(), [early, joao].sort());
+  assert.equal(status(early), "confirmed");
+  assert.equal(status(joao), "confirmed");
+
+  // telefone e nome informados: os dois têm que bater
+  const mismatch = await cancelEventFromMessage(TEXT, { phone: "11923456789", name: "João Lima" });
+  assert.equal(mismatch.cancelled, false);
+  assert.deepEqual(mismatch.candidates, []);
+
+  // frase de cancelamento da IA: resolvida no próprio processo, com o telefone da conversa
+  const own = sim.calendar.seed(patientEvent("Carla Dias", "+5511934567890", "2025-09-03T09:00:00-03:00", "2025-09-03T09:30:00-03:00"));
+  await sim.say(PHONE, "Oi, deu tudo certo com aquele pedido?");
+  assert.equal(status(own), "cancelled");
+  assert.equal(status(joao), "confirmed", "cancelou a consulta do vizinho de horário");
+  assert.equal(cancellationAudit()[0].source, "whatsapp");
+  assert.equal(sim.forwarded.length, 0);
+
+  // com CANCEL_SERVER_URL, vai por HTTP ao server.cancel.js
+  const previous = process.env.CANCEL_SERVER_URL;
+  process.env.CANCEL_SERVER_URL = "http://cancel.sim";
+  try {
+    await sim.say(PHONE, "E agora?");
+    const [forwarded] = sim.forwarded;
+    assert.equal(forwarded.url, "http://cancel.sim/cancel-from-message");
+    assert.equal(forwarded.body.phone, "+5511934567890");
+  } finally {
+    if (previous === undefined) delete process.env.CANCEL_SERVER_URL;
+    else process.env.CANCEL_SERVER_URL = previous;
+  }
+
+  // a IA afirma o cancelamento, mas o paciente não tem consulta no horário: corrige a resposta
+  const none = await sim.say(NOBODY, "Oi, resolveu aquilo de quarta?");
+  assert.doesNotMatch(none.at(-1).text, /está cancelada/);
+  assert.match(none.at(-1).text, /nada foi cancelado/);
+  assert.equal(status(joao), "confirmed");
+
+  // duas consultas dele no horário: nada é cancelado e a lista segue no fluxo guiado
+  const first = sim.calendar.seed(patientEvent("Rita Nunes", "+5511934567892", "2025-09-03T08:45:00-03:00", "2025-09-03T09:00:00-03:00"));
+  const second = sim.calendar.seed(patientEvent("Rita Nunes", "+5511934567892", "2025-09-03T09:15:00-03:00", "2025-09-03T09:30:00-03:00"));
+  const both = await sim.say(TWICE, "E aquela de quarta, deu certo?");
+  assert.match(both.at(-1).text, /mais de um agendamento.*não cancelei/);
+  assert.match(both.at(-1).text, /2\) 03\/09 09:15/);
+  assert.equal(sim.conversation(TWICE).state, "cancel_lookup");
+  assert.equal(status(first), "confirmed");
+  assert.equal(status(second), "confirmed");
+  const ask = await sim.say(TWICE, "2");
+  assert.match(ask.at(-1).text, /Posso proceder com o cancelamento\?/);
+  await sim.say(TWICE, "sim");
+  assert.equal(status(second), "cancelled");
+  assert.equal(status(first), "confirmed");
+}
@@ -0,0 +1,38 @@
+// Feriados nacionais e fechamentos locais não entram na lista e são recusados com explicação
+import assert from "node:assert/strict";
+import { listAvailableSlots } from "../../slots.esm.js";
+
+export const name = "feriados e recesso da clínica ficam fora das opções";
+
+export const options = {
+  now: "2025-04-17T10:00:00-03:00", // quinta antes da Sexta-feira Santa
+  llm: [],
+};
+
+const PHONE = "11965432109";
+
+export default async function (sim) {
+  const previous = process.env.CLINIC_CLOSURES_JSON;
+  process.env.CLINIC_CLOSURES_JSON = JSON.stringify([{ from: "2025-04-22", to: "2025-04-23", name: "Recesso da clínica" }]);
+  try {
+    const amanha = await sim.say(PHONE, "tem horário amanhã?");
+    assert.match(amanha.at(-1).text, /18\/04.*Sexta-feira Santa, feriado nacional/);
+
+    const tiradentes = await sim.say(PHONE, "tem dia 21/04?");
+    assert.match(tiradentes.at(-1).text, /21\/04.*Tiradentes/);
+
+    const recesso = await sim.say(PHONE, "e dia 22/04?");
+    assert.match(recesso.at(-1).text, /22\/04.*Recesso da clínica/);
+
+    const segunda = await sim.say(PHONE, "tem na próxima segunda?");
+    assert.match(segunda.at(-1).text, /21\/04.*Tiradentes/);
+
+    // a grade pula feriados e o recesso: de quinta (17/04) a próxima data útil é quinta, 24/04
+    const slots = await listAvailableSlots({ fromISO: "2025-04-17T20:00:00-03:00", days: 8 });
+    const days = [...new Set(slots.map((s) => s.label.slice(0, 5)))];
+    assert.deepEqual(days, ["24/04"]);
+  } finally {
+    if (previous === undefined) delete process.env.CLINIC_CLOSURES_JSON;
+    else process.env.CLINIC_CLOSURES_JSON = previous;
+  }
+}
@@ -0,0 +1,59 @@
+// Telemedicina com grade e agenda próprias: lista filtrada, evento na agenda da modalidade e conflito fora da grade
+import assert from "node:assert/strict";
+
+export const name = "telemedicina oferece só a própria grade e recusa horário fora dela";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Perfeito! Me confirme nome completo, idade, modalidade e motivo.",
+    "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 02/09/25, horário 18:00.",
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 01/09/25, horário 14:00.",
+  ],
+};
+
+const PHONE = "11932109876";
+const OTHER = "11921098765";
+
+const MODALITIES = {
+  Telemedicina: { hours: { 2: [["18:00", "20:00"]] }, calendarId: "tele" },
+};
+
+export default async function (sim) {
+  const previous = process.env.MODALITIES_JSON;
+  process.env.MODALITIES_JSON = JSON.stringify(MODALITIES);
+  try {
+    const list = await sim.say(PHONE, "Oi, quero agendar uma teleconsulta");
+    assert.equal(sim.conversation(PHONE).modality, "Telemedicina");
+    const text = list.at(-1).text;
+    assert.match(text, /1\) Ter 02\/09\/25 18:00/);
+    assert.match(text, /2\) Ter 02\/09\/25 19:00/);
+    assert.doesNotMatch(text, /Seg 01\/09/);
+
+    await sim.say(PHONE, "opção 1");
+    const done = await sim.say(PHONE, "Maria Souza, 40 anos, telemedicina, dor");
+    assert.match(done.at(-1).text, /está agendada/);
+
+    const [ev] = sim.calendar.events("tele");
+    assert.ok(ev, "evento não foi criado na agenda de telemedicina");
+    assert.equal(new Date(ev.start.dateTime).toISOString(), "2025-09-02T21:00:00.000Z");
+    assert.equal(ev.extendedProperties.private.modality, "Telemedicina");
+
+    // horário presencial confirmado para quem pediu online: fora da grade, não cria evento
+    await sim.say(OTHER, "Oi, quero uma consulta online");
+    const refused = await sim.say(OTHER, "Ana Lima, 35 anos, online, dor");
+    assert.match(refused.at(-1).text, /Fora do horário de Telemedicina/);
+    assert.equal(sim.calendar.events().length, 0);
+    assert.equal(sim.calendar.events("tele").length, 1);
+
+    // lembrete da véspera (01/09 17:00) confere o evento na agenda da modalidade; esvazia a fila
+    sim.clock.advanceMinutes(8 * 60);
+    assert.equal(await sim.runReminders(), 1);
+    assert.ok(sim.sentTo(PHONE).some((m) => m.kind === "template"), "template da véspera não enviado");
+  } finally {
+    if (previous === undefined) delete process.env.MODALITIES_JSON;
+    else process.env.MODALITIES_JSON = previous;
+  }
+}
@@ -0,0 +1,65 @@
+// Dois profissionais com agendas próprias: a lista junta os dois e o evento vai para a agenda de quem atende
+import assert from "node:assert/strict";
+
+export const name = "vários profissionais: lista conjunta, filtro pelo nome e agenda de cada um";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.",
+    "Perfeito! Me confirme nome completo, idade, modalidade e motivo.",
+    "Pronto! Sua consulta com o Dr. Paulo Mendes está agendada para o dia 01/09/25, horário 13:00.",
+  ],
+};
+
+const PHONE = "11954321098";
+const OTHER = "11943210987";
+
+const PROFESSIONALS = [
+  { id: "jenifer", name: "Dra. Jenifer", calendarId: "primary" },
+  { id: "paulo", name: "Dr. Paulo Mendes", calendarId: "paulo", hours: { 1: [["13:00", "15:00"]] }, types: ["dor"] },
+];
+
+export default async function (sim) {
+  const previous = process.env.PROFESSIONALS_JSON;
+  process.env.PROFESSIONALS_JSON = JSON.stringify(PROFESSIONALS);
+  try {
+    // tarde da Dra. Jenifer ocupada: às 13h só o Dr. Paulo atende
+    sim.calendar.seed({
+      summary: "Cirurgia",
+      start: { dateTime: "2025-09-01T13:00:00-03:00" },
+      end: { dateTime: "2025-09-01T17:00:00-03:00" },
+    });
+
+    // pedido com nome: só horários da Dra. Jenifer
+    const onlyHer = await sim.say(OTHER, "Oi, quero agendar com a Dra. Jenifer");
+    assert.equal(sim.conversation(OTHER).professionalId, "jenifer");
+    assert.match(onlyHer.at(-1).text, /1\) Ter 02\/09\/25 08:00 — Dra\. Jenifer/);
+    assert.doesNotMatch(onlyHer.at(-1).text, /Paulo/);
+
+    // sem preferência: lista conjunta, em ordem de horário
+    const list = await sim.say(PHONE, "Oi, quero agendar uma consulta");
+    const text = list.at(-1).text;
+    assert.match(text, /1\) Seg 01\/09\/25 13:00 — Dr\. Paulo Mendes/);
+    assert.match(text, /2\) Seg 01\/09\/25 14:00 — Dr\. Paulo Mendes/);
+    assert.match(text, /3\) Ter 02\/09\/25 08:00 — Dra\. Jenifer/);
+
+    await sim.say(PHONE, "opção 1");
+    const done = await sim.say(PHONE, "Maria Souza, presencial, dor");
+    assert.match(done.at(-1).text, /está agendada/);
+
+    const [ev] = sim.calendar.events("paulo");
+    assert.ok(ev, "evento não foi criado na agenda do Dr. Paulo");
+    assert.equal(new Date(ev.start.dateTime).toISOString(), "2025-09-01T16:00:00.000Z");
+    assert.equal(ev.extendedProperties.private.professional_id, "paulo");
+    assert.equal(sim.calendar.events().filter((e) => e.extendedProperties).length, 0);
+
+    // lembrete confere o evento na agenda certa (e esvazia a fila para os próximos cenários)
+    assert.equal(await sim.runReminders(), 1);
+    assert.ok(sim.sentTo(PHONE).some((m) => m.kind === "template"), "template da véspera não enviado");
+  } finally {
+    if (previous === undefined) delete process.env.PROFESSIONALS_JSON;
+    else process.env.PROFESSIONALS_JSON = previous;
+  }
+}
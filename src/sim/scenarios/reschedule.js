@@ -0,0 +1,102 @@
+// Remarcação: a consulta continua na agenda até o novo horário ser confirmado e então muda de horário (mesmo evento)
+import assert from "node:assert/strict";
+
+export const name = "remarcar move o mesmo evento e desistir mantém a consulta";
+
+const ASK = "Perfeito! Me confirme nome completo, idade, modalidade e motivo.";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [
+    ASK,
+    "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 02/09/25, horário 08:00.",
+    ASK,
+    "Claro! Em vez de cancelar, vamos remarcar: me envie seu nome completo.",
+  ],
+};
+
+const PHONE = "11912345678";
+const OTHER = "11923456789";
+const THIRD = "11934567890";
+
+const patientEvent = (name, phone, start, end) => ({
+  summary: `Consulta (Presencial) — ${name} — dor`,
+  description: `Paciente: ${name}\nMotivo: dor\nModalidade: Presencial\n#patient_phone:${phone}\n#patient_name:${name.toLowerCase()}`,
+  start: { dateTime: start },
+  end: { dateTime: end },
+  extendedProperties: { private: { patient_phone: phone, modality: "Presencial" } },
+});
+
+export default async function (sim) {
+  // segunda lotada: a lista começa na terça 08:00
+  sim.calendar.seed({
+    summary: "Mutirão",
+    start: { dateTime: "2025-09-01T08:00:00-03:00" },
+    end: { dateTime: "2025-09-01T17:00:00-03:00" },
+  });
+  const id = sim.calendar.seed(
+    patientEvent("João Lima", "+5511912345678", "2025-09-03T09:00:00-03:00", "2025-09-03T10:00:00-03:00")
+  );
+  const event = (eventId) => sim.calendar.events().find((e) => e.id === eventId);
+
+  await sim.say(PHONE, "quero remarcar minha consulta");
+  assert.equal(sim.conversation(PHONE).state, "reschedule");
+
+  // localizada: nada é cancelado, vai direto para a lista de horários
+  const list = await sim.say(PHONE, "João Lima");
+  assert.match(list.at(-1).text, /continua marcada até você confirmar o novo horário/);
+  assert.match(list.at(-1).text, /1\) Ter 02\/09\/25 08:00/);
+  assert.equal(sim.conversation(PHONE).state, "choosing_slot");
+  assert.equal(sim.conversation(PHONE).reschedule.eventId, id);
+  assert.equal(event(id).status, "confirmed");
+
+  await sim.say(PHONE, "opção 1");
+  assert.equal(event(id).status, "confirmed", "consulta mexida antes da confirmação");
+
+  const done = await sim.say(PHONE, "João Lima, 40 anos, presencial, dor");
+  assert.match(done.at(-1).text, /está agendada para o dia 02\/09\/25/);
+  assert.match(done.at(-1).text, /horário anterior \(03\/09 às 09:00\) foi liberado/);
+
+  // o mesmo evento, no horário novo, com o histórico; nenhum evento criado ou cancelado
+  const moved = event(id);
+  assert.equal(moved.status, "confirmed");
+  assert.equal(new Date(moved.start.dateTime).toISOString(), "2025-09-02T11:00:00.000Z");
+  assert.match(moved.description, /Remarcado em .*: 03\/09\/25 09:00 -> 02\/09\/25 08:00/);
+  assert.equal(moved.extendedProperties.private.patient_phone, "+5511912345678");
+  assert.equal(moved.extendedProperties.private.rescheduled_from, "2025-09-03T12:00:00.000Z");
+  assert.equal(sim.calendar.calls.filter((c) => c.method === "events.insert").length, 0);
+  const patches = sim.calendar.calls.filter((c) => c.method === "events.patch" && c.params.eventId === id);
+  assert.equal(patches.length, 1);
+  assert.equal(patches[0].params.sendUpdates, "all");
+  assert.equal(sim.conversation(PHONE).reschedule, null);
+
+  // outro paciente escolhe o novo horário e desiste: a consulta dele continua onde estava
+  const kept = sim.calendar.seed(
+    patientEvent("Ana Souza", "+5511923456789", "2025-09-04T10:00:00-03:00", "2025-09-04T11:00:00-03:00")
+  );
+  await sim.say(OTHER, "quero remarcar");
+  await sim.say(OTHER, "Ana Souza");
+  await sim.say(OTHER, "opção 1");
+  await sim.say(OTHER, "reset");
+  assert.equal(event(kept).status, "confirmed");
+  assert.equal(new Date(event(kept).start.dateTime).toISOString(), "2025-09-04T13:00:00.000Z");
+  assert.equal(sim.calendar.calls.filter((c) => c.method === "events.patch" && c.params.eventId === kept).length, 0);
+
+  // começou cancelando e a IA levou para a remarcação: a busca segue como remarcação
+  const third = sim.calendar.seed(
+    patientEvent("Caio Dias", "+5511934567890", "2025-09-05T10:00:00-03:00", "2025-09-05T11:00:00-03:00")
+  );
+  await sim.say(THIRD, "quero cancelar");
+  assert.equal(sim.conversation(THIRD).state, "cancel_lookup");
+  await sim.say(THIRD, "hmm, e se eu só trocasse o dia?");
+  assert.equal(sim.conversation(THIRD).state, "reschedule");
+  const moving = await sim.say(THIRD, "Caio Dias");
+  assert.match(moving.at(-1).text, /continua marcada até você confirmar o novo horário/);
+  assert.equal(sim.conversation(THIRD).reschedule.eventId, third);
+  await sim.say(THIRD, "reset");
+  assert.equal(event(third).status, "confirmed");
+
+  // lembrete da véspera do horário novo (01/09 17:00); esvazia a fila para os próximos cenários
+  sim.clock.advanceMinutes(7 * 60);
+  assert.equal(await sim.runReminders(), 1);
+}
@@ -0,0 +1,89 @@
+// Reserva provisória do horário escolhido: some da lista dos outros, recusa confirmação alheia e vence sozinha
+import assert from "node:assert/strict";
+import { listAvailableSlots } from "../../slots.esm.js";
+import { getHold } from "../../slot_holds.js";
+
+export const name = "horário escolhido fica reservado enquanto o paciente passa os dados";
+
+const LIST = "Olá! Sou a Secretária Cristina. Vou te enviar os horários livres.";
+const ASK = "Perfeito! Me confirme nome completo, idade, modalidade e motivo.";
+const DONE = "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 02/09/25, horário 08:00.";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [LIST, LIST, ASK, DONE, DONE, LIST, ASK, LIST, ASK],
+};
+
+const A = "11965432109";
+const B = "11954321087";
+const C = "11943210976";
+const D = "11932109865";
+const E = "11921098754";
+
+const TUE_08 = "2025-09-02T11:00:00.000Z";
+const TUE_09 = "2025-09-02T12:00:00.000Z";
+const TUE_10 = "2025-09-02T13:00:00.000Z";
+
+export default async function (sim) {
+  const startsFor = async (phone) =>
+    (await listAvailableSlots({ fromISO: "2025-09-02T00:00:00-03:00", days: 1, phone })).map((s) => s.startISO);
+
+  // segunda lotada: as listas começam na terça 08:00
+  sim.calendar.seed({
+    summary: "Mutirão",
+    start: { dateTime: "2025-09-01T08:00:00-03:00" },
+    end: { dateTime: "2025-09-01T17:00:00-03:00" },
+  });
+
+  // os dois recebem a mesma lista
+  const listA = await sim.say(A, "Oi, quero agendar uma consulta");
+  const listB = await sim.say(B, "Oi, quero agendar uma consulta");
+  assert.match(listA.at(-1).text, /1\) Ter 02\/09\/25 08:00/);
+  assert.match(listB.at(-1).text, /1\) Ter 02\/09\/25 08:00/);
+
+  // A escolhe primeiro: o horário fica reservado para ele
+  await sim.say(A, "opção 1");
+  assert.equal(getHold(A)?.startISO, TUE_08);
+
+  // B escolhe o mesmo: avisado na hora, com a lista atualizada
+  const taken = await sim.say(B, "opção 1");
+  assert.match(taken.at(-1).text, /reservado por outro paciente/);
+  assert.match(taken.at(-1).text, /1\) Ter 02\/09\/25 09:00/);
+  assert.equal(getHold(B), null);
+
+  // mesmo que a IA confirme para B, o evento não é criado
+  const refused = await sim.say(B, "Ana Lima, 35 anos, presencial, dor");
+  assert.match(refused.at(-1).text, /acabou de ficar indisponível/);
+  assert.equal(sim.calendar.events().filter((e) => e.extendedProperties).length, 0);
+
+  // A confirma: a reserva vira o evento
+  const done = await sim.say(A, "Maria Souza, 40 anos, presencial, dor");
+  assert.match(done.at(-1).text, /está agendada/);
+  const [ev] = sim.calendar.events().filter((e) => e.extendedProperties);
+  assert.equal(new Date(ev.start.dateTime).toISOString(), TUE_08);
+  assert.equal(getHold(A), null);
+
+  // C escolhe 09:00 e desiste (reset): o horário volta para os outros
+  await sim.say(C, "Oi, quero agendar uma consulta");
+  await sim.say(C, "opção 1");
+  assert.equal(getHold(C)?.startISO, TUE_09);
+  assert.ok(!(await startsFor(D)).includes(TUE_09), "reserva de C aparece para D");
+  assert.ok((await startsFor(C)).includes(TUE_09), "C deixou de ver a própria reserva");
+  await sim.say(C, "reset");
+  assert.equal(getHold(C), null);
+  assert.ok((await startsFor(D)).includes(TUE_09));
+
+  // E escolhe e some: a reserva vence (SLOT_HOLD_MINUTES, padrão 15)
+  await sim.say(E, "Oi, quero agendar uma consulta");
+  await sim.say(E, "opção 1");
+  assert.equal(getHold(E)?.startISO, TUE_09);
+  assert.ok(!(await startsFor(D)).includes(TUE_09));
+  sim.clock.advanceMinutes(16);
+  assert.equal(getHold(E), null);
+  assert.ok((await startsFor(D)).includes(TUE_09), "reserva vencida ainda bloqueia");
+  assert.ok((await startsFor(D)).includes(TUE_10));
+
+  // lembrete da véspera de A (01/09 17:00); esvazia a fila para os próximos cenários
+  sim.clock.advanceMinutes(7 * 60);
+  assert.equal(await sim.runReminders(), 1);
+}
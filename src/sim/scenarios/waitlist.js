@@ -0,0 +1,156 @@
+// Lista de espera: horário liberado vai para o primeiro da fila que aceita o dia/período, com prazo
+import assert from "node:assert/strict";
+import { listAvailableSlots } from "../../slots.esm.js";
+import { getHold } from "../../slot_holds.js";
+import { getWaitlistEntry, loadWaitlist } from "../../waitlist.js";
+import { cancelAppointment } from "../../cancellation.esm.js";
+import { renewCalendarWatches, stopCalendarWatch } from "../../calendar_watch.esm.js";
+
+export const name = "lista de espera oferece o horário liberado na ordem da fila, com prazo, e agenda quem aceita";
+
+const PICK = "Qual das opções de 03/09 fica melhor para você?";
+const ASK = "Perfeito! Me confirme nome completo, idade, modalidade e motivo.";
+const DONE = "Pronto! Sua consulta com a Dra. Jenifer está agendada para o dia 02/09/25, horário 11:00.";
+
+export const options = {
+  now: "2025-09-01T10:00:00-03:00", // segunda-feira
+  llm: [PICK, ASK, DONE],
+};
+
+const A = "11998761001"; // manhã de 02/09
+const B = "11998761002"; // qualquer horário de 01/09 a 03/09
+const C = "11998761003"; // tarde de 02/09
+const D = "11998761004"; // datas sem ano que já passaram neste ano
+const WATCH_ENV = {
+  CALENDAR_WATCH_URL: "https://sim.example/webhook/gcal",
+  CALENDAR_WATCH_TOKEN: "sim-watch-token",
+};
+
+const TUE_09 = "2025-09-02T12:00:00.000Z";
+const TUE_11 = "2025-09-02T14:00:00.000Z";
+const TUE_14 = "2025-09-02T17:00:00.000Z";
+
+const block = (start, end) => ({ summary: "Mutirão", start: { dateTime: start }, end: { dateTime: end } });
+const patientEvent = (name, phone, start, end) => ({
+  summary: `Consulta (Presencial) — ${name} — dor`,
+  description: `Paciente: ${name}\n#patient_phone:${phone}\n#patient_name:${name.toLowerCase()}`,
+  start: { dateTime: start },
+  end: { dateTime: end },
+  extendedProperties: { private: { patient_phone: phone, modality: "Presencial" } },
+});
+
+export default async function (sim) {
+  const last = (phone) => sim.sentTo(phone).at(-1)?.text || "";
+  const offered = (phone) => sim.sentTo(phone).filter((m) => /Vagou um horário/.test(m.text));
+
+  // terça lotada: três consultas de pacientes entre os bloqueios
+  sim.calendar.seed(block("2025-09-02T08:00:00-03:00", "2025-09-02T09:00:00-03:00"));
+  const x = sim.calendar.seed(patientEvent("Rui Prado", "+5511998762001", "2025-09-02T09:00:00-03:00", "2025-09-02T10:00:00-03:00"));
+  sim.calendar.seed(block("2025-09-02T10:00:00-03:00", "2025-09-02T11:00:00-03:00"));
+  const y = sim.calendar.seed(patientEvent("Lia Melo", "+5511998762002", "2025-09-02T11:00:00-03:00", "2025-09-02T12:00:00-03:00"));
+  sim.calendar.seed(block("2025-09-02T13:00:00-03:00", "2025-09-02T14:00:00-03:00"));
+  const z = sim.calendar.seed(patientEvent("Edu Reis", "+5511998762003", "2025-09-02T14:00:00-03:00", "2025-09-02T15:00:00-03:00"));
+  sim.calendar.seed(block("2025-09-02T15:00:00-03:00", "2025-09-02T17:00:00-03:00"));
+
+  const previous = Object.fromEntries(Object.keys(WATCH_ENV).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, WATCH_ENV);
+  try {
+    // dia sem horário: convite para a lista de espera desse dia
+    const none = await sim.say(A, "tem horário dia 02/09?");
+    assert.match(none.at(-1).text, /não encontrei horários/);
+    assert.match(none.at(-1).text, /lista de espera/);
+
+    const joined = await sim.say(A, "lista de espera de manhã");
+    assert.match(joined.at(-1).text, /lista de espera para 02\/09 \(manhã\)/);
+    await sim.say(C, "lista de espera 02/09 à tarde");
+    await sim.say(B, "lista de espera 01/09 a 03/09");
+    assert.equal(getWaitlistEntry(B).toDate, "2025-09-03");
+    assert.equal(getWaitlistEntry(C).period, "tarde");
+
+    // dd/mm que já passou é do ano que vem; intervalo que vira o ano começa neste
+    await sim.say(D, "lista de espera 15/08");
+    assert.deepEqual([getWaitlistEntry(D).fromDate, getWaitlistEntry(D).toDate], ["2026-08-15", "2026-08-15"]);
+    await sim.say(D, "lista de espera 28/12 a 05/01");
+    assert.deepEqual([getWaitlistEntry(D).fromDate, getWaitlistEntry(D).toDate], ["2025-12-28", "2026-01-05"]);
+    await sim.say(D, "sair da lista de espera");
+    assert.equal(getWaitlistEntry(D), null);
+
+    // cancelamento libera 09:00: oferta ao primeiro da fila, reservada para ele
+    await cancelAppointment({ eventId: x, reason: "paciente pelo WhatsApp", source: "whatsapp" });
+    assert.match(last(A), /Vagou um horário.*Ter 02\/09\/25 09:00/);
+    assert.match(last(A), /em até 30 minutos/);
+    assert.equal(getHold(A)?.startISO, TUE_09);
+    assert.equal(offered(B).length, 0);
+    assert.equal(offered(C).length, 0, "ofereceu horário da manhã a quem quer a tarde");
+    const others = await listAvailableSlots({ fromISO: "2025-09-02T00:00:00-03:00", days: 1, phone: "11998769999" });
+    assert.ok(!others.some((s) => s.startISO === TUE_09), "horário oferecido apareceu para outro paciente");
+
+    // A recusa: continua na lista e o horário vai para B
+    await sim.say(A, "não");
+    assert.match(last(A), /continua na lista de espera/);
+    assert.ok(getWaitlistEntry(A));
+    assert.match(last(B), /Vagou um horário.*Ter 02\/09\/25 09:00/);
+    assert.equal(getHold(B)?.startISO, TUE_09);
+
+    // B não responde: a oferta vence, a reserva sai e não há mais ninguém para 09:00
+    sim.clock.advanceMinutes(31);
+    assert.equal(await sim.runReminders(), 1);
+    assert.match(last(B), /prazo .* acabou/);
+    assert.equal(getHold(B), null);
+    assert.equal(offered(A).length, 1);
+    assert.equal(offered(C).length, 0);
+
+    // 11:00 liberado: volta para A, que está escolhendo horário de outro dia; "sim" solto é
+    // da escolha, só a resposta explícita aceita a oferta e segue para a confirmação
+    await sim.say(A, "tem horário dia 03/09?");
+    assert.equal(sim.conversation(A).state, "choosing_slot");
+    await cancelAppointment({ eventId: y, reason: "paciente pelo WhatsApp", source: "whatsapp" });
+    assert.match(last(A), /Vagou um horário.*Ter 02\/09\/25 11:00/);
+    assert.match(last(A), /quero o horário/);
+    const bare = await sim.say(A, "sim");
+    assert.equal(bare.at(-1).text, PICK);
+    assert.equal(getHold(A)?.startISO, TUE_11, "\"sim\" da escolha encerrou a oferta");
+    const accepted = await sim.say(A, "sim, quero o horário");
+    assert.equal(accepted.at(-1).text, ASK);
+    assert.equal(sim.conversation(A).state, "collecting_data");
+    assert.equal(getHold(A)?.startISO, TUE_11);
+    assert.ok(getWaitlistEntry(A), "saiu da lista antes de agendar");
+    const done = await sim.say(A, "Maria Alves, 30 anos, presencial, dor");
+    assert.match(done.at(-1).text, /está agendada para o dia 02\/09\/25/);
+    const booked = sim.calendar.events().find((e) => e.extendedProperties?.private?.patient_phone === "+5511998761001");
+    assert.equal(new Date(booked.start.dateTime).toISOString(), TUE_11);
+    assert.equal(getWaitlistEntry(A), null, "quem aceitou continua na lista");
+
+    // consulta apagada direto na agenda (ou pelo servidor de cancelamento): 14:00 vai para C
+    // (a sincronização do módulo sobrevive entre cenários: leitura completa antes)
+    await renewCalendarWatches({ calendarIds: ["primary"] });
+    sim.calendar.expireSyncTokens();
+    await sim.notifyCalendar("primary");
+    sim.calendar.remove("primary", z);
+    await sim.notifyCalendar("primary");
+    assert.match(last(C), /Vagou um horário.*Ter 02\/09\/25 14:00/);
+    assert.equal(getHold(C)?.startISO, TUE_14);
+
+    // reinício sem gravação (WAITLIST_STORE=memory): a lista e a oferta de C somem, mas o job do
+    // prazo traz o horário e a fila; B entra de novo e recebe o horário quando C não responde
+    await loadWaitlist();
+    assert.equal(getWaitlistEntry(B), null);
+    await sim.say(B, "lista de espera 01/09 a 03/09");
+    sim.clock.advanceMinutes(31);
+    await sim.runReminders();
+    assert.match(last(C), /prazo .* acabou/);
+    assert.equal(getHold(C), null);
+    assert.match(last(B), /Vagou um horário.*Ter 02\/09\/25 14:00/);
+
+    // esvazia a fila para os próximos cenários (lembrete da véspera de A às 17:00 e a oferta de B)
+    sim.clock.advanceMinutes(7 * 60);
+    await sim.runReminders();
+    assert.equal(getHold(B), null);
+    assert.equal(await stopCalendarWatch("primary"), true);
+  } finally {
+    for (const [k, v] of Object.entries(previous)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  }
+}
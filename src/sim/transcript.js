@@ -0,0 +1,144 @@
+// src/sim/transcript.js
+// Lê uma transcrição de conversa (texto ou JSON) para o replay (src/sim/replay.js).
+//
+// Texto — uma mensagem por linha, com ou sem data (fuso America/Sao_Paulo):
+//   [01/09/2025 10:02] Maria Souza: quero cancelar
+//   01/09/2025 10:02 - Cristina: Claro! Me informe seu nome completo.   (export do WhatsApp)
+//   2025-09-01 10:03 Paciente: [botão] CONFIRMAR|5511987654321|2025-09-02T09:00:00-03:00
+//   Paciente: sim
+// Linhas sem cabeçalho continuam a mensagem anterior. Diretivas: "# phone: ...",
+// "# name: ...", "# now: <ISO>"; outras linhas com "#" são comentários.
+// Quem fala como Cristina/bot/assistente/secretária/clínica (ou --bot=<nome>) é o bot;
+// o resto é o paciente.
+//
+// JSON — { phone, name, now, events: [evento Google], turns: [{ at, role, text, button }] }
+// ou só o array de turns. role: "patient" (padrão) ou "bot".
+import { DateTime } from "luxon";
+import { clinicZone } from "../tz.esm.js";
+
+const BOT_RE = /^(cristina|bot|assistente|assistant|secret[aá]ria|cl[ií]nica)\b/i;
+const PATIENT_RE = /^(paciente|patient|cliente|usu[aá]rio|user)\b/i;
+const BUTTON_RE = /^\s*\[(?:bot[aã]o|button)\]\s*/i;
+
+// [dd/mm/aaaa hh:mm(:ss)] Nome: texto   |   dd/mm/aa, hh:mm - Nome: texto
+const BR_LINE = /^\[?(\d{1,2})\/(\d{1,2})\/(\d{2,4}),?\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\]?\s*(?:-\s*)?([^:]{1,60}?):\s?(.*)$/;
+// [2025-09-01T10:02(:00)] Nome: texto
+const ISO_LINE = /^\[?(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)\]?\s*(?:-\s*)?([^:]{1,60}?):\s?(.*)$/;
+// Paciente: texto   (sem data; só papéis conhecidos, para não confundir "Motivo: dor")
+const BARE_LINE = /^([A-Za-zÀ-ÿ. ]{1,30}?):\s?(.*)$/;
+
+function roleOf(speaker, botNames) {
+  const s = String(speaker || "").trim();
+  if (BOT_RE.test(s)) return "bot";
+  if (botNames.some((n) => n && s.toLowerCase() === n.toLowerCase())) return "bot";
+  return "patient";
+}
+
+function brDate(d, m, y, hh, mm, ss = "0") {
+  const year = y.length === 2 ? 2000 + Number(y) : Number(y);
+  const dt = DateTime.fromObject(
+    { year, month: Number(m), day: Number(d), hour: Number(hh), minute: Number(mm), second: Number(ss) },
+    { zone: clinicZone() }
+  );
+  return dt.isValid ? dt.toISO() : null;
+}
+
+function isoDate(date, time) {
+  const dt = DateTime.fromISO(`${date}T${time}`, { zone: clinicZone() });
+  return dt.isValid ? dt.toISO() : null;
+}
+
+function makeTurn(role, speaker, at, text) {
+  const turn = { role, speaker: speaker.trim(), at, text: text || "" };
+  if (role === "patient" && BUTTON_RE.test(turn.text)) {
+    turn.button = turn.text.replace(BUTTON_RE, "").trim();
+    turn.text = "";
+  }
+  return turn;
+}
+
+export function parseTextTranscript(raw, { botNames = [] } = {}) {
+  const out = { phone: "", name: "", now: null, events: [], turns: [] };
+  let last = null;
+
+  for (const line of String(raw).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    const dir = line.match(/^#\s*(phone|name|now)\s*:\s*(.+)$/i);
+    if (dir) { out[dir[1].toLowerCase()] = dir[2].trim(); continue; }
+    if (/^\s*#/.test(line)) continue;
+
+    let m;
+    let turn = null;
+    if ((m = line.match(BR_LINE))) {
+      turn = makeTurn(roleOf(m[7], botNames), m[7], brDate(m[1], m[2], m[3], m[4], m[5], m[6]), m[8]);
+    } else if ((m = line.match(ISO_LINE))) {
+      turn = makeTurn(roleOf(m[3], botNames), m[3], isoDate(m[1], m[2]), m[4]);
+    } else if ((m = line.match(BARE_LINE)) && (BOT_RE.test(m[1]) || PATIENT_RE.test(m[1]) || botNames.includes(m[1].trim()))) {
+      turn = makeTurn(roleOf(m[1], botNames), m[1], null, m[2]);
+    }
+
+    if (turn) {
+      out.turns.push(turn);
+      last = turn;
+    } else if (last) {
+      last.text = last.text ? `${last.text}\n${line}` : line; // mensagem com várias linhas
+    } else {
+      last = makeTurn("patient", "Paciente", null, line);
+      out.turns.push(last);
+    }
+  }
+
+  // nome do perfil = primeiro remetente do paciente que não seja um papel genérico
+  if (!out.name) {
+    const named = out.turns.find((t) => t.role === "patient" && !PATIENT_RE.test(t.speaker));
+    if (named) out.name = named.speaker;
+  }
+  return out;
+}
+
+export function parseJsonTranscript(data) {
+  const doc = Array.isArray(data) ? { turns: data } : { ...(data || {}) };
+  const turns = (doc.turns || []).map((t) => {
+    const role = BOT_RE.test(t.role || t.from || "") || t.role === "bot" ? "bot" : "patient";
+    return {
+      role,
+      speaker: t.speaker || t.from || role,
+      at: t.at ? DateTime.fromISO(String(t.at), { zone: clinicZone() }).toISO() : null,
+      text: String(t.text ?? ""),
+      ...(t.button ? { button: String(t.button) } : {}),
+    };
+  });
+  return { phone: doc.phone || "", name: doc.name || "", now: doc.now || null, events: doc.events || [], turns };
+}
+
+/**
+ * Detecta o formato (JSON ou texto) e normaliza.
+ * @returns {{ phone: string, name: string, now: string|null, events: object[],
+ *             turns: Array<{ role: "patient"|"bot", speaker: string, at: string|null, text: string, button?: string }> }}
+ */
+export function parseTranscript(raw, opts = {}) {
+  const trimmed = String(raw).trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    try {
+      return parseJsonTranscript(JSON.parse(trimmed));
+    } catch (e) {
+      // "[01/09/2025 10:02] ..." também começa com "["
+      if (trimmed.startsWith("{")) throw new Error(`Transcrição JSON inválida: ${e.message}`);
+    }
+  }
+  return parseTextTranscript(trimmed, opts);
+}
+
+/**
+ * Agrupa em turnos do paciente: cada mensagem do paciente leva as respostas
+ * gravadas do bot que vieram logo depois (usadas como roteiro da IA no replay).
+ */
+export function patientTurns(transcript) {
+  const out = [];
+  for (const t of transcript.turns) {
+    if (t.role === "patient") out.push({ ...t, recorded: [] });
+    else if (out.length) out.at(-1).recorded.push(t.text);
+  }
+  return out;
+}
@@ -0,0 +1,99 @@
+// src/slot_holds.js
+// Reserva provisória do horário escolhido ("opção N") enquanto a Cristina coleta nome,
+// idade, motivo e modalidade. Enquanto vale, o horário some da lista dos outros pacientes
+// (listAvailableSlots com `phone`) e a confirmação de outro paciente nele é recusada.
+//
+// SLOT_HOLD_MINUTES: validade da reserva (padrão 15; 0 desliga).
+// Um telefone segura no máximo um horário: escolher outro troca a reserva. Ela acaba
+// quando vence, quando o paciente muda de ideia (nova lista, cancelamento, reset) ou
+// quando vira o evento na agenda (convertHold).
+//
+// Fica na memória do processo: com mais de uma instância, cada uma só vê as suas.
+import { mask } from "./redact.js";
+import { phoneKey } from "./phone.js";
+
+const holds = new Map(); // telefone canônico -> { phone, startISO, endISO, professionalId, calendarId, createdAt, expiresAt }
+
+function ttlMs() {
+  const m = Number(process.env.SLOT_HOLD_MINUTES ?? 15);
+  return Number.isFinite(m) && m > 0 ? m * 60000 : 0;
+}
+
+function sweep(now = Date.now()) {
+  for (const [phone, h] of holds) {
+    if (h.expiresAt <= now) {
+      holds.delete(phone);
+      console.log(`[slot-hold] ${mask(phone)} ${h.startISO} venceu`);
+    }
+  }
+}
+
+const overlaps = (h, startMs, endMs) =>
+  new Date(h.startISO).getTime() < endMs && startMs < new Date(h.endISO).getTime();
+
+/**
+ * Reservas ativas de outros pacientes (todas, sem `exceptPhone`), opcionalmente de um profissional.
+ */
+export function activeHolds({ exceptPhone, professionalId } = {}) {
+  sweep();
+  const except = exceptPhone ? phoneKey(exceptPhone) : null;
+  return Array.from(holds.values()).filter(
+    (h) => h.phone !== except && (!professionalId || !h.professionalId || h.professionalId === professionalId)
+  );
+}
+
+/**
+ * Reserva de outro paciente que cruza o intervalo (mesmo profissional), ou null.
+ */
+export function heldByOther({ phone, professionalId, startISO, endISO }) {
+  const s = new Date(startISO).getTime();
+  const e = new Date(endISO).getTime();
+  return activeHolds({ exceptPhone: phone, professionalId }).find((h) => overlaps(h, s, e)) || null;
+}
+
+/**
+ * Reserva o horário para o telefone (troca a reserva anterior dele).
+ * Retorna { ok: true, hold } ou { ok: false, heldBy } se outro paciente já segura o horário.
+ * Com SLOT_HOLD_MINUTES=0: { ok: true, hold: null }.
+ * `minutes` sobrepõe a validade (oferta da lista de espera, waitlist.js).
+ */
+export function holdSlot({ phone, startISO, endISO, professionalId = null, calendarId = null, minutes }) {
+  const key = phoneKey(phone);
+  const ttl = minutes > 0 && ttlMs() ? minutes * 60000 : ttlMs();
+  if (!key || !ttl) return { ok: true, hold: null };
+
+  const other = heldByOther({ phone: key, professionalId, startISO, endISO });
+  if (other) return { ok: false, heldBy: other };
+
+  const now = Date.now();
+  const hold = { phone: key, startISO, endISO, professionalId, calendarId, createdAt: now, expiresAt: now + ttl };
+  holds.set(key, hold);
+  console.log(`[slot-hold] ${mask(key)} segura ${startISO} (${professionalId || "-"}) por ${ttl / 60000} min`);
+  return { ok: true, hold };
+}
+
+export function getHold(phone) {
+  sweep();
+  return holds.get(phoneKey(phone)) || null;
+}
+
+/**
+ * Libera a reserva do telefone (mudou de ideia, reset...). Retorna se havia uma.
+ */
+export function releaseHold(phone, reason = "liberada") {
+  const key = phoneKey(phone);
+  const h = holds.get(key);
+  if (!h) return false;
+  holds.delete(key);
+  console.log(`[slot-hold] ${mask(key)} ${h.startISO} ${reason}`);
+  return true;
+}
+
+// Reserva virou o evento na agenda: a ocupação agora vem do calendário
+export function convertHold(phone, eventId) {
+  return releaseHold(phone, `convertida no evento ${eventId || "?"}`);
+}
+
+export function clearHolds() {
+  holds.clear();
+}
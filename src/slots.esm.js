@@ -2,143 +2,200 @@
 // - Mantém listAvailableSlots (compatível com o que já funciona).
 // - Adiciona helpers para: agrupar por dia, achar "dia ou próximo", e formatar texto no layout pedido.
 
-import { google } from "googleapis";
+import { getBusyIntervals } from "./busy_cache.esm.js";
+import { atLocalTime, startOfLocalDay, localWeekday, formatLocal } from "./tz.esm.js";
+import { getAppointmentType, typeHoursFor } from "./appointment_types.js";
+import { isClosedDay } from "./holidays.esm.js";
+import {
+  getProfessional, professionalsFor, professionalBusyCalendarIds, professionalHoursFor, hasManyProfessionals,
+  professionalModality, professionalEventCalendarId,
+} from "./professionals.js";
+import { normalizeModality, modalityHoursFor } from "./modalities.js";
+import { activeHolds } from "./slot_holds.js";
 
 // ===== Vars =====
-const CLIENT_ID     = process.env.GOOGLE_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET;
-const REDIRECT_URI  = process.env.GOOGLE_REDIRECT_URI;
-const REFRESH_TOKEN = process.env.GOOGLE_REFRESH_TOKEN;
-const CALENDAR_ID   = process.env.GOOGLE_CALENDAR_ID || "primary";
-const BLOCK_CAL_ID  = process.env.GOOGLE_BLOCK_CALENDAR_ID || "";
-
-const TZ              = process.env.TZ || "America/Sao_Paulo";
-const TZ_OFFSET_HOURS = Number(process.env.TZ_OFFSET_HOURS ?? -3); // padrão -3 (SP sem DST)
-
-let WORKING_HOURS = {};
-try { WORKING_HOURS = JSON.parse(process.env.WORKING_HOURS_JSON || "{}"); } catch { WORKING_HOURS = {}; }
-
-const SLOT_MINUTES = Number(process.env.SLOT_MINUTES || 60);
-const BUFFER_MIN   = Number(process.env.BUFFER_MINUTES || 0);
-const ADVANCE_MIN  = Number(process.env.ADVANCE_MIN_HOURS || 1) * 60; // em minutos
-
-// ===== Helpers de data/hora =====
-const WEEKDAY_FULL = new Intl.DateTimeFormat("pt-BR", { weekday:"long", timeZone: TZ });
-const DATE_DDMMYY  = new Intl.DateTimeFormat("pt-BR", { day:"2-digit", month:"2-digit", year:"2-digit", timeZone: TZ });
-const TIME_HHMM    = new Intl.DateTimeFormat("pt-BR", { hour:"2-digit", minute:"2-digit", timeZone: TZ });
-
-function fmtDow(d){ return new Intl.DateTimeFormat("pt-BR",{weekday:"short", timeZone: TZ}).format(d).replace(".",""); }
-function fmtDate(d){ return DATE_DDMMYY.format(d); }
-function fmtTime(d){ return TIME_HHMM.format(d); }
-function getDowTZ(d){
-  const k=fmtDow(d).toLowerCase().slice(0,3);
-  const map={dom:0,seg:1,ter:2,qua:3,qui:4,sex:5,sab:6,"sáb":6};
-  return map[k] ?? new Date(d).getUTCDay();
+// Fuso: TZ (ver tz.esm.js). TZ_OFFSET_HOURS não é mais usado.
+// Lidas a cada consulta (não no import), como o resto da configuração por env.
+let hoursCache = { raw: null, value: {} };
+function workingHours(){
+  const raw = process.env.WORKING_HOURS_JSON || "{}";
+  if (raw !== hoursCache.raw){
+    let value = {};
+    try { value = JSON.parse(raw); } catch { value = {}; }
+    hoursCache = { raw, value };
+  }
+  return hoursCache.value;
 }
+
+const slotMinutes = () => Number(process.env.SLOT_MINUTES || 60);
+const bufferMin   = () => Number(process.env.BUFFER_MINUTES || 0);
+const advanceMin  = () => Number(process.env.ADVANCE_MIN_HOURS || 1) * 60; // em minutos
+
+// ===== Helpers de data/hora (fuso da clínica) =====
+function fmtDow(d){ return formatLocal(d, "ccc").replace(".",""); }
+function fmtDate(d){ return formatLocal(d, "dd/MM/yy"); }
+function fmtTime(d){ return formatLocal(d, "HH:mm"); }
 function cap(str){
   if (!str) return str;
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-// Constrói um Date (UTC) correspondente ao horário local em TZ_OFFSET_HOURS do mesmo dia de `base`.
+// Date (UTC) do horário local hh:mm no mesmo dia local de `base`
 function atTZ(base, hhmm) {
-  const [h,m] = String(hhmm).split(":").map(Number);
-  const b = new Date(base);
-  const utc = Date.UTC(b.getUTCFullYear(), b.getUTCMonth(), b.getUTCDate(), (h ?? 0) - TZ_OFFSET_HOURS, m ?? 0, 0, 0);
-  return new Date(utc);
+  return atLocalTime(base, hhmm).toJSDate();
 }
 
-// Auth
-function getAuth(){
-  if (!CLIENT_ID || !CLIENT_SECRET || !REDIRECT_URI || !REFRESH_TOKEN) {
-    throw new Error("Google OAuth: variáveis ausentes.");
-  }
-  const o = new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
-  o.setCredentials({ refresh_token: REFRESH_TOKEN });
-  return o;
+// Ocupados da janela inteira (00:00 do primeiro dia local .. 00:00 depois do último),
+// numa única consulta e pelo cache compartilhado (ver busy_cache.esm.js)
+async function getWindowBusy(ids, from, days){
+  return getBusyIntervals({
+    calendarIds: ids,
+    timeMin: startOfLocalDay(from).toUTC().toISO(),
+    timeMax: startOfLocalDay(from, days).toUTC().toISO(),
+  });
 }
 
-// FreeBusy para um dia (00:00..24:00 em TZ_OFFSET_HOURS)
-async function getBusyTimes(auth, ids, day){
-  const cal = google.calendar({ version:"v3", auth });
-  const start = atTZ(day, "00:00");
-  const end   = atTZ(new Date(day.getTime() + 24*60*60*1000), "00:00");
-  const r = await cal.freebusy.query({
-    requestBody: {
-      timeMin: start.toISOString(),
-      timeMax: end.toISOString(),
-      items: ids.map(id => ({ id })),
-    },
-  });
+// Tipo de consulta: objeto do catálogo ou id/nome (ver appointment_types.js)
+function resolveType(type){
+  if (!type) return null;
+  return typeof type === "string" ? getAppointmentType(type) : type;
+}
+
+// Interseção de faixas ["HH:MM","HH:MM"] (horários do tipo x do profissional x da modalidade)
+function intersectRanges(a, b){
+  if (!b) return a || [];
   const out = [];
-  const cals = r?.data?.calendars || {};
-  for (const k of Object.keys(cals)) {
-    for (const b of (cals[k]?.busy || [])) {
-      const s = new Date(b.start);
-      const e = new Date(b.end);
-      if (!isNaN(s) && !isNaN(e)) out.push({ start:s, end:e });
+  for (const [aIni, aFim] of a || []){
+    for (const [bIni, bFim] of b){
+      const ini = aIni > bIni ? aIni : bIni;
+      const fim = aFim < bFim ? aFim : bFim;
+      if (ini < fim) out.push([ini, fim]);
     }
   }
   return out;
 }
 
-// ===== Núcleo: mesma função de sempre (compatível) =====
-export async function listAvailableSlots({ fromISO, days=7, limit=100 } = {}){
-  let from = fromISO ? new Date(fromISO) : new Date();
-  if (ADVANCE_MIN > 0) from = new Date(from.getTime() + ADVANCE_MIN*60000);
+// Profissionais considerados: o pedido (filtro) ou todos que atendem o tipo
+function resolveProfessionals(professional, appt){
+  if (professional){
+    const p = getProfessional(professional);
+    return p ? [p] : [];
+  }
+  return professionalsFor(appt);
+}
 
-  const auth = getAuth();
-  const ids = [CALENDAR_ID];
-  if (BLOCK_CAL_ID && BLOCK_CAL_ID !== CALENDAR_ID) ids.push(BLOCK_CAL_ID);
+// Horários livres de um profissional num dia local (`busy`: ocupados da janela por agenda)
+function daySlotsFor(pro, day, dow, { appt, modality, duration, step, after, from, busy, holds }){
+  // horários próprios do tipo, do profissional e da modalidade se cruzam;
+  // se nenhum dos três tiver, vale WORKING_HOURS_JSON
+  const own = [
+    appt?.hours ? typeHoursFor(appt, dow) : null,
+    professionalHoursFor(pro, dow),
+    modalityHoursFor(professionalModality(pro, modality), dow),
+  ].filter(Boolean);
+  const ranges = own.length
+    ? own.reduce((acc, r) => intersectRanges(acc, r))
+    : (appt ? typeHoursFor(appt, dow) : workingHours()[String(dow)]) || [];
+  if (!ranges.length) return [];
+
+  const busyN = professionalBusyCalendarIds(pro).flatMap(id => busy[id] || []);
+  // horários reservados por outros pacientes no meio da coleta de dados (slot_holds.js)
+  for (const h of holds){
+    if (!h.professionalId || h.professionalId === pro.id) busyN.push({ start: new Date(h.startISO), end: new Date(h.endISO) });
+  }
 
   const out = [];
+  for (const [hIni, hFim] of ranges){
+    let winStart = atTZ(day, hIni);
+    let winEnd   = atTZ(day, hFim);
+
+    const buffer = bufferMin();
+    if (buffer > 0){
+      winStart = new Date(winStart.getTime() + buffer*60000);
+      winEnd   = new Date(winEnd.getTime()   - buffer*60000);
+    }
 
-  for (let i=0; i<days; i++){
-    const day = new Date(from.getTime() + i*24*60*60*1000);
+    const startMs = winStart.getTime();
+    const endMs   = winEnd.getTime();
 
-    const dow = getDowTZ(day);
-    if (dow === 0 || dow === 6) continue;
-    const ranges = WORKING_HOURS[String(dow)];
-    if (!ranges || !ranges.length) continue;
-
-    const busy = await getBusyTimes(auth, ids, day);
-    const busyN = busy.map(b => ({
-      start: b.start instanceof Date ? b.start : new Date(b.start),
-      end:   b.end   instanceof Date ? b.end   : new Date(b.end),
-    }));
-
-    for (const [hIni, hFim] of ranges){
-      let winStart = atTZ(day, hIni);
-      let winEnd   = atTZ(day, hFim);
-
-      if (BUFFER_MIN > 0){
-        winStart = new Date(winStart.getTime() + BUFFER_MIN*60000);
-        winEnd   = new Date(winEnd.getTime()   - BUFFER_MIN*60000);
-      }
+    for (let t=startMs; t<endMs; t += step*60000){
+      const start = new Date(t);
+      const end   = new Date(t + duration*60000);
+      const until = new Date(end.getTime() + after*60000);
 
-      const startMs = winStart.getTime();
-      const endMs   = winEnd.getTime();
+      if (end > winEnd) break;      // última não ultrapassa a faixa
+      if (start < from) continue;   // respeita antecedência
 
-      for (let t=startMs; t<endMs; t += SLOT_MINUTES*60000){
-        const start = new Date(t);
-        const end   = new Date(t + SLOT_MINUTES*60000);
+      const overlap = busyN.some(b => !(until <= b.start || start >= b.end));
+      if (overlap) continue;
 
-        if (end > winEnd) break;      // última não ultrapassa a faixa
-        if (start < from) continue;   // respeita antecedência
+      out.push({ start, end });
+    }
+  }
+  return out;
+}
 
-        const overlap = busyN.some(b => !(end <= b.start || start >= b.end));
-        if (overlap) continue;
+// ===== Núcleo: mesma função de sempre (compatível) =====
+// Com `type`, a grade usa a duração, o buffer e os horários do tipo;
+// sem ele, SLOT_MINUTES e WORKING_HOURS_JSON, como antes.
+// `professional` (id/nome, ver professionals.js) filtra um profissional; sem ele,
+// a lista junta todos os que atendem o tipo, em ordem de horário. Cada slot leva
+// professionalId/calendarId e, com mais de um profissional cadastrado, o nome no label.
+// `modality` ("Presencial"/"Telemedicina", ver modalities.js) aplica os horários e a
+// agenda da modalidade; sem ela, a grade não muda.
+// Horários reservados por outros pacientes (slot_holds.js) ficam de fora; `phone` é
+// quem pede a lista, que continua vendo a própria reserva.
+export async function listAvailableSlots({ fromISO, days=7, limit=100, type, professional, modality, phone } = {}){
+  const appt     = resolveType(type);
+  const mod      = normalizeModality(modality);
+  const duration = appt ? appt.durationMin : slotMinutes();
+  const step     = appt ? appt.stepMin : slotMinutes();
+  const after    = appt ? appt.bufferMin : 0; // livre exigido depois da consulta
 
-        // Mantém os campos esperados pelo server atual
-        const dowShort = fmtDow(start);                    // ex.: "qua."
-        const dayLabel = cap(dowShort.replace(".","").slice(0,3)); // "Qua"
-        const label    = `${fmtDate(start)} ${fmtTime(start)}`;    // "03/09/25 08:00"
+  let from = fromISO ? new Date(fromISO) : new Date();
+  const advance = advanceMin();
+  if (advance > 0) from = new Date(from.getTime() + advance*60000);
 
-        out.push({ startISO: start.toISOString(), endISO: end.toISOString(), dayLabel, label });
+  const pros = resolveProfessionals(professional, appt);
+  const showName = hasManyProfessionals();
+  const busy = pros.length && days > 0
+    ? await getWindowBusy([...new Set(pros.flatMap(professionalBusyCalendarIds))], from, days)
+    : {};
+  const holds = activeHolds({ exceptPhone: phone });
 
-        if (out.length >= limit) return out;
+  const out = [];
+
+  for (let i=0; i<days; i++){
+    // dia de calendário no fuso da clínica (não 24h fixas)
+    const day = startOfLocalDay(from, i).toJSDate();
+
+    const dow = localWeekday(day);
+    if (dow === 0 || dow === 6) continue;
+    if (isClosedDay(day)) continue; // feriado ou fechamento da clínica
+
+    const daySlots = [];
+    for (const pro of pros){
+      for (const s of daySlotsFor(pro, day, dow, { appt, modality: mod, duration, step, after, from, busy, holds })){
+        daySlots.push({ ...s, pro });
       }
     }
+    daySlots.sort((a, b) => a.start - b.start);
+
+    for (const { start, end, pro } of daySlots){
+      // Mantém os campos esperados pelo server atual
+      const dowShort = fmtDow(start);                    // ex.: "qua."
+      const dayLabel = cap(dowShort.replace(".","").slice(0,3)); // "Qua"
+      const label    = `${fmtDate(start)} ${fmtTime(start)}${showName ? ` — ${pro.name}` : ""}`; // "03/09/25 08:00" (+ " — Dr. Paulo")
+
+      out.push({
+        startISO: start.toISOString(), endISO: end.toISOString(), dayLabel, label,
+        professionalId: pro.id, calendarId: professionalEventCalendarId(pro, mod),
+        ...(appt ? { appointmentType: appt.id } : {}),
+        ...(mod ? { modality: mod } : {}),
+      });
+
+      if (out.length >= limit) return out;
+    }
   }
 
   return out;
@@ -154,7 +211,7 @@ export function groupSlotsByDay(slots){
   for (const s of slots || []){
     const dateKey = (s.label || "").slice(0,8); // "dd/mm/aa"
     const when = new Date(s.startISO);
-    const wd = WEEKDAY_FULL.format(when);       // "quarta-feira"
+    const wd = formatLocal(when, "cccc");       // "quarta-feira"
     const dateLabel = fmtDate(when);            // "03/09/25"
     const time = fmtTime(when);                 // "08:00"
 
@@ -172,8 +229,8 @@ export function groupSlotsByDay(slots){
 }
 
 // Lista já "pronto por dia" a partir de uma data (fromISO), por N dias
-export async function listAvailableSlotsByDay({ fromISO, days=7, limitPerDay=20 } = {}){
-  const flat = await listAvailableSlots({ fromISO, days, limit: days * limitPerDay });
+export async function listAvailableSlotsByDay({ fromISO, days=7, limitPerDay=20, type, professional, modality, phone } = {}){
+  const flat = await listAvailableSlots({ fromISO, days, limit: days * limitPerDay, type, professional, modality, phone });
   const grouped = groupSlotsByDay(flat);
   // corta por limite por dia
   for (const g of grouped){
@@ -183,24 +240,23 @@ export async function listAvailableSlotsByDay({ fromISO, days=7, limitPerDay=20
 }
 
 // Tenta o DIA alvo; se vazio, acha a PRÓXIMA DATA que tenha horários (até searchDays)
-export async function findDayOrNextWithSlots({ targetISO, searchDays=14, limitPerDay=20 } = {}){
+export async function findDayOrNextWithSlots({ targetISO, searchDays=14, limitPerDay=20, type, professional, modality, phone } = {}){
   if (!targetISO) {
     // se não veio alvo, retorna os próximos dias agrupados
-    return { status:"from-now", groups: await listAvailableSlotsByDay({ fromISO: new Date().toISOString(), days: 7, limitPerDay }) };
+    return { status:"from-now", groups: await listAvailableSlotsByDay({ fromISO: new Date().toISOString(), days: 7, limitPerDay, type, professional, modality, phone }) };
   }
 
-  const dayStart = new Date(targetISO);
-  // Normaliza para 00:00 local (TZ_OFFSET) -> UTC
-  const startUTC = atTZ(dayStart, "00:00").toISOString();
+  // Normaliza para 00:00 local (fuso da clínica) -> UTC
+  const startUTC = startOfLocalDay(targetISO).toUTC().toISO();
 
   // 1) Só o dia solicitado
-  const gToday = await listAvailableSlotsByDay({ fromISO: startUTC, days: 1, limitPerDay });
+  const gToday = await listAvailableSlotsByDay({ fromISO: startUTC, days: 1, limitPerDay, type, professional, modality, phone });
   if (gToday.length && gToday[0]?.times?.length) {
     return { status:"exact-day", groups: gToday };
   }
 
   // 2) Procura a próxima data com horários (até searchDays)
-  const gForward = await listAvailableSlotsByDay({ fromISO: startUTC, days: searchDays, limitPerDay });
+  const gForward = await listAvailableSlotsByDay({ fromISO: startUTC, days: searchDays, limitPerDay, type, professional, modality, phone });
   if (gForward.length) {
     // pega só o primeiro dia que tem horários
     const first = gForward[0];
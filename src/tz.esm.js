@@ -0,0 +1,75 @@
+// tz.esm.js
+// Camada única de fuso horário: toda conta de data/hora da clínica passa por aqui.
+// O fuso é o de TZ (padrão America/Sao_Paulo) e o horário de verão fica a cargo
+// do luxon — nada de somar 3 horas nem de depender do fuso do servidor.
+import { DateTime } from "luxon";
+
+export function clinicZone() {
+  return process.env.TZ || "America/Sao_Paulo";
+}
+
+/**
+ * Instante (Date, ISO, ms ou DateTime) visto no fuso da clínica.
+ * ISO sem offset é lido como horário local da clínica.
+ */
+export function inZone(v = new Date()) {
+  const zone = clinicZone();
+  if (DateTime.isDateTime(v)) return v.setZone(zone);
+  if (v instanceof Date) return DateTime.fromJSDate(v, { zone });
+  if (typeof v === "number") return DateTime.fromMillis(v, { zone });
+  return DateTime.fromISO(String(v), { zone });
+}
+
+export function nowLocal() {
+  return DateTime.now().setZone(clinicZone());
+}
+
+/**
+ * Horário local da clínica -> DateTime (null se a data não existir, ex.: 31/02 ou 25:00).
+ * Horário que "não existe" na virada do horário de verão é empurrado para frente pelo luxon.
+ */
+export function localDateTime({ year, month, day, hour = 0, minute = 0 }) {
+  const dt = DateTime.fromObject(
+    { year: Number(year), month: Number(month), day: Number(day), hour: Number(hour), minute: Number(minute) },
+    { zone: clinicZone() }
+  );
+  return dt.isValid ? dt : null;
+}
+
+// 00:00 local do dia de `v` (+ plusDays dias de calendário)
+export function startOfLocalDay(v = new Date(), plusDays = 0) {
+  return inZone(v).startOf("day").plus({ days: plusDays });
+}
+
+// Mesmo dia local de `v`, no horário "HH:mm"
+export function atLocalTime(v, hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return inZone(v).set({ hour: h || 0, minute: m || 0, second: 0, millisecond: 0 });
+}
+
+// Dia da semana local no padrão do JS: 0=dom ... 6=sáb
+export function localWeekday(v = new Date()) {
+  return inZone(v).weekday % 7;
+}
+
+export function isLocalWeekend(v) {
+  const dow = localWeekday(v);
+  return dow === 0 || dow === 6;
+}
+
+// Formata no fuso da clínica (tokens do luxon, ex.: "dd/MM HH:mm")
+export function formatLocal(v, fmt) {
+  return inZone(v).setLocale("pt-BR").toFormat(fmt);
+}
+
+// Ano corrente no fuso da clínica (para datas digitadas sem ano)
+export function currentLocalYear() {
+  return nowLocal().year;
+}
+
+// Ano da próxima ocorrência de dia/mês (hoje conta): "05/01" digitado em dezembro é do ano que vem
+export function upcomingLocalYear({ day, month }) {
+  const today = nowLocal().startOf("day");
+  const dt = localDateTime({ year: today.year, month, day });
+  return dt && dt < today ? today.year + 1 : today.year;
+}
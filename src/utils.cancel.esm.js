@@ -1,5 +1,6 @@
 // utils.cancel.esm.js
 import { parseCandidateDateTime } from "./utils.esm.js";
+import { clinicZone } from "./tz.esm.js";
 
 /**
  * Faz o parsing de mensagens de cancelamento no formato:
@@ -8,7 +9,7 @@ import { parseCandidateDateTime } from "./utils.esm.js";
  * - "16/08/25 às 10:00"
  * - "16/08/25 10:00"
  */
-export function parseCancelDateTime(text, tz = "America/Sao_Paulo") {
+export function parseCancelDateTime(text, tz = clinicZone()) {
   if (!text) return { found: false };
 
   // Normaliza
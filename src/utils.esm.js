@@ -1,12 +1,14 @@
 // utils.esm.js
+import { localDateTime, currentLocalYear, clinicZone } from "./tz.esm.js";
+
 /**
  * Lê datas no formato brasileiro em mensagens de WhatsApp e retorna startISO/endISO.
  * Aceita: "30/08 às 14:00", "30/08 14h", "29/08 08:30", e variações.
- * Duração padrão: 60 minutos.
+ * Duração padrão: 60 minutos (ou `durationMin`, ex.: a do tipo de consulta).
  *
- * Obs.: convertemos para UTC assumindo fuso de São Paulo (UTC-3, sem horário de verão).
+ * O horário é lido no fuso da clínica (TZ, ver tz.esm.js) e convertido para UTC.
  */
-export function parseCandidateDateTime(text, _tz = "America/Sao_Paulo") {
+export function parseCandidateDateTime(text, _tz = clinicZone(), { durationMin = 60 } = {}) {
   if (!text) return { found: false };
 
   // Padrões aceitos: dd/mm HH:mm | dd/mm HHh
@@ -19,7 +21,6 @@ export function parseCandidateDateTime(text, _tz = "America/Sao_Paulo") {
   const minStr = m[3] || "00";
 
   // Se não vier ano no texto, usamos o ano corrente
-  const now = new Date();
   let dd, mm, yyyy;
   const parts = dayMonthYear.split("/").map(s => s.trim());
   dd = parseInt(parts[0], 10);
@@ -35,7 +36,7 @@ export function parseCandidateDateTime(text, _tz = "America/Sao_Paulo") {
       yyyy = parseInt(y, 10);
     }
   } else {
-    yyyy = now.getFullYear();
+    yyyy = currentLocalYear();
   }
 
   const HH = parseInt(hourStr, 10);
@@ -50,11 +51,10 @@ export function parseCandidateDateTime(text, _tz = "America/Sao_Paulo") {
     return { found: false };
   }
 
-  // São Paulo = UTC-3. Para obter o instante UTC correspondente ao horário local,
-  // somamos +3 horas no construtor UTC.
-  // Ex.: 14:00 em São Paulo == 17:00 UTC.
-  const startUTC = new Date(Date.UTC(yyyy, mm - 1, dd, HH + 3, MM, 0, 0));
-  const endUTC = new Date(startUTC.getTime() + 60 * 60 * 1000); // +60 min
+  // Ex.: 14:00 em São Paulo == 17:00 UTC (o offset vem do fuso, inclusive com horário de verão)
+  const start = localDateTime({ year: yyyy, month: mm, day: dd, hour: HH, minute: MM });
+  if (!start) return { found: false }; // ex.: 31/02
+  const end = start.plus({ minutes: durationMin });
 
-  return { found: true, startISO: startUTC.toISOString(), endISO: endUTC.toISOString() };
+  return { found: true, startISO: start.toUTC().toISO(), endISO: end.toUTC().toISO() };
 }
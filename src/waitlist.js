@@ -0,0 +1,295 @@
+// src/waitlist.js
+// Lista de espera. Quem não achou horário num dia (ou intervalo de dias) entra na fila
+// com o período do dia (manhã, tarde ou qualquer horário). Quando um cancelamento libera
+// um horário compatível, o server.js oferece o horário ao primeiro da fila; a oferta vale
+// WAITLIST_OFFER_MINUTES (padrão 30) e, recusada ou vencida, passa para o próximo.
+//
+// Um telefone tem no máximo uma entrada (entrar de novo troca a anterior e volta para o
+// fim da fila) e uma oferta em aberto. Entradas saem sozinhas quando o último dia passa.
+//
+// A API é síncrona sobre a memória do processo; cada mudança é gravada em segundo plano
+// pelo driver (WAITLIST_STORE=memory|postgres; padrão postgres quando houver DATABASE_URL),
+// uma linha por telefone com a entrada e a oferta. loadWaitlist() traz tudo na subida.
+import crypto from "crypto";
+import { getPool } from "./db.js";
+import { mask } from "./redact.js";
+import { phoneKey } from "./phone.js";
+import { formatLocal } from "./tz.esm.js";
+
+const entries = []; // ordem de chegada: { id, phone, fromDate, toDate, period, typeId, professionalId, modality, createdAt }
+const offers = new Map(); // telefone canônico -> { id, entryId, phone, typeId, modality, slot, freed, createdAt, expiresAt, tried }
+const closed = new Map(); // id da oferta -> desfecho (respondida/vencida neste processo)
+const CLOSED_MAX = 1000;
+
+// ===== Drivers =====
+
+function createMemoryDriver() {
+  return {
+    name: "memory",
+    async init() {},
+    async readAll() { return []; },
+    async write() {},
+    async remove() {},
+  };
+}
+
+function createPostgresDriver(pool) {
+  const TABLE = process.env.WAITLIST_TABLE || "waitlist";
+  return {
+    name: "postgres",
+    async init() {
+      await pool.query(
+        `CREATE TABLE IF NOT EXISTS ${TABLE} (
+           phone TEXT PRIMARY KEY,
+           entry JSONB,
+           offer JSONB,
+           updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+         )`
+      );
+    },
+    async readAll() {
+      const { rows } = await pool.query(`SELECT phone, entry, offer FROM ${TABLE}`);
+      return rows;
+    },
+    async write(phone, { entry, offer }) {
+      await pool.query(
+        `INSERT INTO ${TABLE} (phone, entry, offer, updated_at) VALUES ($1, $2, $3, now())
+         ON CONFLICT (phone) DO UPDATE SET entry = EXCLUDED.entry, offer = EXCLUDED.offer, updated_at = now()`,
+        [phone, entry ? JSON.stringify(entry) : null, offer ? JSON.stringify(offer) : null]
+      );
+    },
+    async remove(phone) {
+      await pool.query(`DELETE FROM ${TABLE} WHERE phone = $1`, [phone]);
+    },
+  };
+}
+
+function pickDriver(name) {
+  const wanted = String(name || "").toLowerCase();
+  if (wanted === "postgres" || wanted === "pg") {
+    const pool = getPool();
+    if (pool) return createPostgresDriver(pool);
+    console.warn("[waitlist] WAITLIST_STORE=postgres sem DATABASE_URL; usando memória.");
+  }
+  return createMemoryDriver();
+}
+
+let backend = null;
+let ready = null;
+let writes = Promise.resolve();
+
+function store() {
+  if (!backend) backend = pickDriver(process.env.WAITLIST_STORE || (process.env.DATABASE_URL ? "postgres" : "memory"));
+  return backend;
+}
+
+function init() {
+  if (!ready) {
+    ready = store().init().catch((e) => {
+      ready = null;
+      throw e;
+    });
+  }
+  return ready;
+}
+
+// Grava a entrada e a oferta do telefone como estão agora (em ordem, sem bloquear quem chamou)
+function persist(phone) {
+  const entry = entries.find((e) => e.phone === phone) || null;
+  const offer = offers.get(phone) || null;
+  const row = JSON.parse(JSON.stringify({ entry, offer }));
+  writes = writes
+    .then(async () => {
+      await init();
+      if (row.entry || row.offer) await store().write(phone, row);
+      else await store().remove(phone);
+    })
+    .catch((e) => console.error(`[waitlist] gravação de ${mask(phone)} falhou:`, e?.message || e));
+  return writes;
+}
+
+// Espera as gravações pendentes (ex.: antes de encerrar o processo)
+export function flushWaitlist() {
+  return writes;
+}
+
+/**
+ * Traz a lista e as ofertas gravadas (subida do processo). Retorna { entries, offers }.
+ */
+export async function loadWaitlist() {
+  await init();
+  const rows = await store().readAll();
+  entries.length = 0;
+  offers.clear();
+  for (const { phone, entry, offer } of rows) {
+    if (entry) entries.push(entry);
+    if (offer) offers.set(phone, offer);
+  }
+  entries.sort((a, b) => a.createdAt - b.createdAt);
+  sweep();
+  console.log(`[waitlist] ${store().name}: ${entries.length} na lista, ${offers.size} oferta(s)`);
+  return { entries: entries.length, offers: offers.size };
+}
+
+export const PERIODS = Object.freeze({ manha: "manhã", tarde: "tarde", qualquer: "qualquer horário" });
+
+export function offerMinutes() {
+  const m = Number(process.env.WAITLIST_OFFER_MINUTES ?? 30);
+  return Number.isFinite(m) && m > 0 ? m : 30;
+}
+
+// "de manhã" -> "manha"; "à tarde" -> "tarde"; senão "qualquer"
+export function parsePeriod(text) {
+  const t = String(text || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+  if (/\bmanha\b/.test(t)) return "manha";
+  if (/\btarde\b/.test(t)) return "tarde";
+  return "qualquer";
+}
+
+const localDate = (v) => formatLocal(v, "yyyy-MM-dd");
+const periodOf = (iso) => (Number(formatLocal(iso, "H")) < 12 ? "manha" : "tarde");
+
+function sweep(now = new Date()) {
+  const today = localDate(now);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].toDate < today) {
+      const [e] = entries.splice(i, 1);
+      console.log(`[waitlist] ${mask(e.phone)} saiu da lista (período ${e.fromDate}..${e.toDate} passou)`);
+      persist(e.phone);
+    }
+  }
+}
+
+/**
+ * Entra na lista (troca a entrada anterior do telefone). Datas "yyyy-MM-dd" no fuso da clínica.
+ */
+export function joinWaitlist({ phone, fromDate, toDate = fromDate, period = "qualquer", typeId = null, professionalId = null, modality = null }) {
+  const key = phoneKey(phone);
+  if (!key || !fromDate) throw new Error("joinWaitlist: telefone e data são obrigatórios");
+  leaveWaitlist(key, "trocou a entrada");
+  const [a, b] = fromDate <= toDate ? [fromDate, toDate] : [toDate, fromDate];
+  const entry = {
+    id: crypto.randomUUID(),
+    phone: key,
+    fromDate: a,
+    toDate: b,
+    period: PERIODS[period] ? period : "qualquer",
+    typeId,
+    professionalId,
+    modality,
+    createdAt: Date.now(),
+  };
+  entries.push(entry);
+  persist(key);
+  console.log(`[waitlist] ${mask(key)} entrou: ${a}..${b} (${entry.period}), posição ${entries.length}`);
+  return { ...entry };
+}
+
+/**
+ * Sai da lista. Retorna se havia entrada.
+ */
+export function leaveWaitlist(phone, reason = "saiu") {
+  const key = phoneKey(phone);
+  const i = entries.findIndex((e) => e.phone === key);
+  if (i < 0) return false;
+  entries.splice(i, 1);
+  persist(key);
+  console.log(`[waitlist] ${mask(key)} ${reason}`);
+  return true;
+}
+
+export function getWaitlistEntry(phone) {
+  sweep();
+  const e = entries.find((x) => x.phone === phoneKey(phone));
+  return e ? { ...e } : null;
+}
+
+export function listWaitlist() {
+  sweep();
+  return entries.map((e) => ({ ...e }));
+}
+
+/**
+ * Entradas, na ordem da fila, que aceitam um horário começando em `startISO`: dia dentro do
+ * intervalo, período do dia e profissional (quando a entrada tem um). Pula quem já tem
+ * oferta em aberto e os ids em `exclude` (já receberam a oferta deste horário).
+ */
+export function waitlistFor({ startISO, professionalId = null, exclude = [] }) {
+  sweep();
+  const day = localDate(startISO);
+  const period = periodOf(startISO);
+  return entries
+    .filter((e) =>
+      e.fromDate <= day && day <= e.toDate &&
+      (e.period === "qualquer" || e.period === period) &&
+      (!e.professionalId || !professionalId || e.professionalId === professionalId) &&
+      !exclude.includes(e.id) &&
+      !getOffer(e.phone))
+    .map((e) => ({ ...e }));
+}
+
+/**
+ * Registra a oferta de `slot` (um item de listAvailableSlots) para a entrada.
+ * `freed`: o intervalo liberado ({ calendarId, professionalId, startISO, endISO }), que passa
+ * ao próximo da fila se esta oferta não for aceita; `tried`: ids que já o receberam.
+ */
+export function createOffer({ entry, slot, freed = null, tried = [] }) {
+  const now = Date.now();
+  const offer = {
+    id: crypto.randomUUID(),
+    entryId: entry.id,
+    phone: entry.phone,
+    typeId: entry.typeId,
+    modality: entry.modality,
+    slot,
+    freed,
+    createdAt: now,
+    expiresAt: now + offerMinutes() * 60000,
+    tried: [...new Set([...tried, entry.id])],
+  };
+  offers.set(entry.phone, offer);
+  persist(entry.phone);
+  console.log(`[waitlist] oferta ${slot.startISO} para ${mask(entry.phone)} por ${offerMinutes()} min`);
+  return offer;
+}
+
+// Oferta em aberto (não vencida) do telefone, ou null
+export function getOffer(phone) {
+  const o = offers.get(phoneKey(phone));
+  return o && o.expiresAt > Date.now() ? o : null;
+}
+
+// Ofertas em aberto (ex.: refazer as reservas de horário depois de loadWaitlist)
+export function openOffers() {
+  return Array.from(offers.values()).filter((o) => o.expiresAt > Date.now());
+}
+
+// Desfecho da oferta se ela foi encerrada neste processo, ou null
+export function offerOutcome(offerId) {
+  return closed.get(offerId) || null;
+}
+
+/**
+ * Encerra a oferta do telefone (mesmo vencida) e a devolve, ou null.
+ * outcome: "accepted" | "declined" | "expired" | "taken" | "undelivered". Em todos o paciente continua na
+ * lista; quem aceitou só sai quando o agendamento do horário oferecido é criado (server.js).
+ * Com `offerId`, só encerra se for essa a oferta.
+ */
+export function closeOffer(phone, outcome, { offerId } = {}) {
+  const key = phoneKey(phone);
+  const o = offers.get(key);
+  if (!o || (offerId && o.id !== offerId)) return null;
+  offers.delete(key);
+  closed.set(o.id, outcome);
+  if (closed.size > CLOSED_MAX) closed.delete(closed.keys().next().value);
+  persist(key);
+  console.log(`[waitlist] oferta ${o.slot.startISO} de ${mask(key)}: ${outcome}`);
+  return o;
+}
+
+// Só a memória (simulação); não apaga o que o driver gravou
+export function clearWaitlist() {
+  entries.length = 0;
+  offers.clear();
+  closed.clear();
+}
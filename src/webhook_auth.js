@@ -0,0 +1,126 @@
+// src/webhook_auth.js
+// Autenticação dos webhooks de entrada, por rota:
+//  - segredo compartilhado: header "x-webhook-secret" ou ?token= na URL
+//    (Gupshup/Z-API não assinam o corpo; o token vai na Callback URL)
+//  - HMAC-SHA256 do corpo bruto (req.rawBody) quando o remetente assina
+//    (Meta: X-Hub-Signature-256; nosso /cancel-from-message: X-Signature-256)
+//  - allowlist opcional de IPs/CIDRs (IPv4)
+//
+// Variáveis por rota (ROTA = GUPSHUP | ZAPI | META | CANCEL):
+//   WEBHOOK_SECRET_<ROTA>  segredo compartilhado
+//   WEBHOOK_IPS_<ROTA>     "1.2.3.4,10.0.0.0/8" (ou WEBHOOK_IPS para todas)
+// Rota sem nada configurado é recusada (401). Para aceitar Gupshup/Z-API sem autenticação
+// (desenvolvimento local), é preciso WEBHOOK_AUTH_STRICT=false explícito. Meta e cancel
+// exigem sempre a assinatura (META_APP_SECRET / CANCEL_WEBHOOK_SECRET): allowlist de IPs ou
+// segredo compartilhado se somam a ela, não a substituem.
+import crypto from "crypto";
+
+const ROUTES = {
+  gupshup: {},
+  zapi: {},
+  meta: { hmacEnv: "META_APP_SECRET", hmacHeader: "x-hub-signature-256", strict: true },
+  cancel: { hmacEnv: "CANCEL_WEBHOOK_SECRET", hmacHeader: "x-signature-256", strict: true },
+};
+
+const warned = new Set();
+
+// comparação em tempo constante (também usada pelo admin.js)
+export function safeEqual(a, b) {
+  const A = Buffer.from(String(a));
+  const B = Buffer.from(String(b));
+  return A.length === B.length && crypto.timingSafeEqual(A, B);
+}
+
+// "sha256=<hex>" do corpo com o segredo
+export function signBody(body, secret) {
+  return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+export function verifyHmac(rawBody, header, secret) {
+  if (!secret || !rawBody || !header) return false;
+  return safeEqual(String(header).trim().toLowerCase(), signBody(rawBody, secret));
+}
+
+function ipv4ToInt(ip) {
+  const parts = String(ip).split(".").map(Number);
+  if (parts.length !== 4 || parts.some((n) => !Number.isInteger(n) || n < 0 || n > 255)) return null;
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+export function ipAllowed(ip, allowlist) {
+  const addr = String(ip || "").replace(/^::ffff:/, "");
+  return allowlist.some((entry) => {
+    if (!entry.includes("/")) return entry === addr;
+    const [base, bitsRaw] = entry.split("/");
+    const bits = Number(bitsRaw);
+    const a = ipv4ToInt(addr);
+    const b = ipv4ToInt(base);
+    if (a === null || b === null || !(bits >= 0 && bits <= 32)) return false;
+    const m = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (a & m) === (b & m);
+  });
+}
+
+function listEnv(v) {
+  return String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+// Configuração efetiva da rota (lida a cada requisição: troca de env sem redeploy do código)
+function routeConfig(route) {
+  const R = route.toUpperCase();
+  const base = ROUTES[route] || {};
+  return {
+    secret: process.env[`WEBHOOK_SECRET_${R}`] || "",
+    hmacEnv: base.hmacEnv,
+    hmacSecret: base.hmacEnv ? process.env[base.hmacEnv] || "" : "",
+    hmacHeader: base.hmacHeader,
+    ips: listEnv(process.env[`WEBHOOK_IPS_${R}`] || process.env.WEBHOOK_IPS),
+    strict: base.strict || String(process.env.WEBHOOK_AUTH_STRICT ?? "").trim().toLowerCase() !== "false",
+    signed: !!base.strict, // meta/cancel: a assinatura é obrigatória
+  };
+}
+
+// Motivo da recusa, ou null se a requisição pode seguir
+function rejectReason(req, cfg) {
+  if (cfg.ips.length && !ipAllowed(req.ip, cfg.ips)) return { status: 403, reason: "ip fora da allowlist" };
+  if (cfg.signed && !cfg.hmacSecret) return { status: 401, reason: `${cfg.hmacEnv} não configurado (rota exige assinatura)` };
+
+  if (cfg.hmacSecret) {
+    const sig = req.get(cfg.hmacHeader);
+    if (!sig) return { status: 401, reason: `sem ${cfg.hmacHeader}` };
+    if (!verifyHmac(req.rawBody, sig, cfg.hmacSecret)) return { status: 401, reason: "assinatura inválida" };
+  }
+
+  if (cfg.secret) {
+    const given = req.get("x-webhook-secret") || req.query?.token || "";
+    if (!given) return { status: 401, reason: "sem segredo (x-webhook-secret/?token=)" };
+    if (!safeEqual(given, cfg.secret)) return { status: 401, reason: "segredo inválido" };
+  }
+
+  if (!cfg.hmacSecret && !cfg.secret && !cfg.ips.length && cfg.strict) {
+    return { status: 401, reason: "rota sem autenticação configurada" };
+  }
+  return null;
+}
+
+/**
+ * Middleware Express para a rota `route` (gupshup | zapi | meta | cancel).
+ * Recusa com 401/403 e registra o motivo; nunca loga o segredo recebido.
+ */
+export function webhookAuth(route) {
+  return (req, res, next) => {
+    // o ?token= não deve aparecer no log de acesso (morgan usa originalUrl)
+    if (req.originalUrl) req.originalUrl = req.originalUrl.replace(/([?&]token=)[^&]*/i, "$1***");
+    const cfg = routeConfig(route);
+    const rejected = rejectReason(req, cfg);
+    if (rejected) {
+      console.warn(`[webhook-auth] ${route} recusado: ${rejected.reason} (ip=${req.ip} ${req.method} ${req.path})`);
+      return res.sendStatus(rejected.status);
+    }
+    if (!cfg.hmacSecret && !cfg.secret && !cfg.ips.length && !warned.has(route)) {
+      warned.add(route);
+      console.warn(`[webhook-auth] ${route} aceitando sem autenticação (WEBHOOK_AUTH_STRICT=false); configure WEBHOOK_SECRET_${route.toUpperCase()}`);
+    }
+    next();
+  };
+}
@@ -1,32 +1,154 @@
 // src/zapi.js
+// Adaptador Z-API (WhatsApp Web) para a interface de messaging.js
 import axios from "axios";
+import { phoneKey, toProviderDigits, onlyDigits } from "./phone.js";
 
 /**
- * Envia texto pelo Z-API (WhatsApp Web)
  * Requer:
- *  - ZAPI_INSTANCE
- *  - ZAPI_TOKEN
+ *  - ZAPI_INSTANCE_ID (ou ZAPI_INSTANCE)
+ *  - ZAPI_TOKEN  -> token da instância
  *  - (opcional) ZAPI_ACCOUNT_TOKEN -> header Client-Token se habilitado na conta
+ *  - (opcional) ZAPI_BASE_URL (padrão https://api.z-api.io)
  */
-export async function sendZapiText({ phone, message }) {
-  if (!process.env.ZAPI_INSTANCE) throw new Error("ZAPI_INSTANCE ausente");
-  if (!process.env.ZAPI_TOKEN) throw new Error("ZAPI_TOKEN ausente");
+function config() {
+  return {
+    base: (process.env.ZAPI_BASE_URL || "https://api.z-api.io").replace(/\/+$/, ""),
+    instance: process.env.ZAPI_INSTANCE_ID || process.env.ZAPI_INSTANCE,
+    token: process.env.ZAPI_TOKEN,
+    accountToken: process.env.ZAPI_ACCOUNT_TOKEN,
+  };
+}
 
-  const base = `https://api.z-api.io/instances/${process.env.ZAPI_INSTANCE}/token/${process.env.ZAPI_TOKEN}`;
+function checkConfig() {
+  const c = config();
+  const missing = [];
+  if (!c.instance) missing.push("ZAPI_INSTANCE_ID");
+  if (!c.token) missing.push("ZAPI_TOKEN");
+  return missing;
+}
+
+async function post(path, body) {
+  const missing = checkConfig();
+  if (missing.length) throw new Error(`${missing.join(", ")} ausente`);
+  const c = config();
 
   const { data } = await axios.post(
-    `${base}/send-text`,
-    { phone, message },
+    `${c.base}/instances/${c.instance}/token/${c.token}${path}`,
+    body,
     {
       headers: {
         "Content-Type": "application/json",
-        ...(process.env.ZAPI_ACCOUNT_TOKEN
-          ? { "Client-Token": process.env.ZAPI_ACCOUNT_TOKEN }
-          : {}),
+        ...(c.accountToken ? { "Client-Token": c.accountToken } : {}),
       },
       timeout: 15000,
     }
   );
+  // zaapId/messageId etc.
+  return { provider: "zapi", messageId: data?.messageId || data?.id || data?.zaapId || null, raw: data };
+}
+
+const dest = (to) => toProviderDigits(to) || onlyDigits(to);
+
+export async function sendZapiText({ phone, message }) {
+  return post("/send-text", { phone: dest(phone), message });
+}
+
+// Template aprovado (namespace em ZAPI_TEMPLATE_NAMESPACE); `buttons` = payloads quick_reply
+async function sendTemplate({ to, name, language = "pt_BR", params = [], buttons = [] }) {
+  return post("/send-template", {
+    phone: dest(to),
+    namespace: process.env.ZAPI_TEMPLATE_NAMESPACE || null,
+    name,
+    language,
+    components: [
+      { type: "body", parameters: params.map((text) => ({ type: "text", text: String(text) })) },
+      ...buttons.map((payload, i) => ({
+        type: "button", sub_type: "quick_reply", index: String(i),
+        parameters: [{ type: "payload", payload }],
+      })),
+    ],
+  });
+}
+
+// buttons: [{ id, title }]
+async function sendButtons({ to, text, buttons = [] }) {
+  return post("/send-button-list", {
+    phone: dest(to),
+    message: text,
+    buttonList: { buttons: buttons.map((b) => ({ id: b.id, label: b.title })) },
+  });
+}
+
+// "ReceivedCallback" da Z-API -> mensagens normalizadas
+function parseInbound(b) {
+  if (!b || (b.type && b.type !== "ReceivedCallback")) return [];
+  if (b.isGroup) return [];
+
+  const from = phoneKey((b?.phone || b?.message?.from || "") + "", { international: true });
+  if (!from) return [];
 
-  return data; // retorna zaapId/messageId etc.
+  // Com "Notificar as enviadas por mim também" ligado, a Z-API devolve as nossas
+  // próprias mensagens; marcamos para o webhook ignorar (evita loop)
+  const fromMe = b?.fromMe === true || b?.owner === true || b?.status === "SENT";
+
+  let type = "other";
+  let text = "";
+  let buttonPayload = "";
+  if (b.buttonsResponseMessage) {
+    type = "button";
+    text = b.buttonsResponseMessage.message || "";
+    buttonPayload = (b.buttonsResponseMessage.buttonId || "") + "";
+  } else if (b.listResponseMessage) {
+    type = "button";
+    text = b.listResponseMessage.title || b.listResponseMessage.message || "";
+    buttonPayload = (b.listResponseMessage.selectedRowId || "") + "";
+  } else {
+    text = b?.text?.message || b?.message?.text?.message || b?.message?.body || "";
+    if (text) type = "text";
+  }
+
+  return [{
+    provider: "zapi",
+    messageId: b.messageId || null,
+    from,
+    name: (
+      b?.senderName ||
+      b?.pushname ||
+      b?.message?.sender?.name ||
+      b?.message?.senderName ||
+      b?.message?.authorName ||
+      ""
+    ).toString().trim(),
+    type,
+    text,
+    buttonPayload,
+    fromMe,
+    raw: b,
+  }];
 }
+
+// "MessageStatusCallback" (SENT/RECEIVED/READ/PLAYED) e "DeliveryCallback" com erro
+function parseStatus(b) {
+  if (b?.type === "MessageStatusCallback") {
+    const map = { SENT: "sent", RECEIVED: "delivered", READ: "read", PLAYED: "read" };
+    const status = map[String(b.status || "").toUpperCase()];
+    if (!status) return [];
+    return (b.ids || [b.messageId]).filter(Boolean).map((messageId) => ({
+      provider: "zapi", messageId, to: phoneKey(b.phone), status, error: null, raw: b,
+    }));
+  }
+  if (b?.type === "DeliveryCallback" && b.error) {
+    return [{ provider: "zapi", messageId: b.messageId || null, to: phoneKey(b.phone), status: "failed", error: b.error, raw: b }];
+  }
+  return [];
+}
+
+export const zapiProvider = {
+  name: "zapi",
+  checkConfig,
+  sendText: ({ to, text }) => sendZapiText({ phone: to, message: text }),
+  sendTemplate,
+  sendButtons,
+  parseInbound,
+  parseStatus,
+};